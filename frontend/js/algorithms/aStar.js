@@ -1,6 +1,9 @@
 /**
  * A* Pathfinding - Algorithm Implementation
  */
+import { StepStore } from '../utils/store.js';
+import { PriorityQueue } from '../utils/helpers.js';
+
 export class AStar {
   constructor(rows = 20, cols = 35) {
     this.rows = rows;
@@ -8,11 +11,12 @@ export class AStar {
     this.grid = [];
     this.start = { row: 10, col: 5 };
     this.end = { row: 10, col: 29 };
-    this.states = [];
+    this.heuristicType = 'manhattan'; // 'none' turns the search into Dijkstra's
+    this.states = new StepStore();
   }
 
   reset() {
-    this.states = [];
+    this.states = new StepStore();
     this.grid = Array(this.rows).fill().map(() => 
       Array(this.cols).fill(0) // 0 = empty, 1 = wall
     );
@@ -53,6 +57,7 @@ export class AStar {
   }
 
   heuristic(a, b) {
+    if (this.heuristicType === 'none') return 0;
     // Manhattan distance
     return Math.abs(a.row - b.row) + Math.abs(a.col - b.col);
   }
@@ -73,40 +78,44 @@ export class AStar {
 
   // Run A* and generate states
   findPath() {
-    this.states = [];
+    this.states = new StepStore();
     
-    const openSet = [];
     const closedSet = new Set();
     const cameFrom = new Map();
     const gScore = new Map();
     const fScore = new Map();
     
     const key = (n) => `${n.row},${n.col}`;
+
+    // Binary heap on f with decrease-key; ties go to the cell queued first
+    let queued = 0;
+    const open = new PriorityQueue((a, b) => a.f - b.f || a.order - b.order, { key });
+    const openSet = open.heap;
     
     gScore.set(key(this.start), 0);
     fScore.set(key(this.start), this.heuristic(this.start, this.end));
-    openSet.push({ ...this.start });
+    open.push({ ...this.start, f: fScore.get(key(this.start)), order: queued++ });
 
     this.states.push({
-      openSet: openSet.map(n => ({...n})),
-      closedSet: new Set(closedSet),
+      openSet,
+      closedSet,
       current: null,
       path: [],
-      gScores: new Map(gScore),
-      fScores: new Map(fScore),
-      description: 'Starting A* search'
+      gScores: gScore,
+      fScores: fScore,
+      description: this.heuristicType === 'none' ? 'Starting A* search without a heuristic (Dijkstra)' : 'Starting A* search'
     });
 
-    while (openSet.length > 0) {
-      // Find node with lowest fScore
-      openSet.sort((a, b) => (fScore.get(key(a)) || Infinity) - (fScore.get(key(b)) || Infinity));
-      const current = openSet.shift();
+    while (!open.isEmpty) {
+      // Pop the node with the lowest fScore
+      const { row, col } = open.pop();
+      const current = { row, col };
       const currentKey = key(current);
 
       this.states.push({
-        openSet: openSet.map(n => ({...n})),
-        closedSet: new Set(closedSet),
-        current: { ...current },
+        openSet,
+        closedSet,
+        current,
         path: [],
         description: `Exploring (${current.row}, ${current.col}) - f: ${fScore.get(currentKey)?.toFixed(1)}`
       });
@@ -123,7 +132,7 @@ export class AStar {
 
         this.states.push({
           openSet: [],
-          closedSet: new Set(closedSet),
+          closedSet,
           current: null,
           path: path,
           description: `Path found! Length: ${path.length}`
@@ -146,16 +155,16 @@ export class AStar {
           gScore.set(neighborKey, tentativeG);
           fScore.set(neighborKey, tentativeG + this.heuristic(neighbor, this.end));
           
-          if (!openSet.some(n => key(n) === neighborKey)) {
-            openSet.push({ ...neighbor });
-          }
+          const f = fScore.get(neighborKey);
+          if (open.has(neighbor)) open.update({ ...open.get(neighbor), f });
+          else open.push({ ...neighbor, f, order: queued++ });
         }
       }
     }
 
     this.states.push({
       openSet: [],
-      closedSet: new Set(closedSet),
+      closedSet,
       current: null,
       path: [],
       description: 'No path found!'
@@ -0,0 +1,215 @@
+/**
+ * Bellman-Ford Shortest Path - Algorithm Implementation
+ */
+import { Dijkstra } from './dijkstra.js';
+
+// Same graph model as Dijkstra (nodes, edges, adjacency list, directed)
+export class BellmanFord extends Dijkstra {
+  // A directed graph where the cheapest route to F goes through a
+  // negative edge that Dijkstra looks at too late. Edges are listed from
+  // the far end, so each pass only gets one edge further.
+  createSampleGraph() {
+    super.createSampleGraph();
+    this.directed = true;
+    this.edges = [
+      { from: 3, to: 5, weight: 4 },
+      { from: 4, to: 5, weight: 3 },
+      { from: 2, to: 4, weight: 3 },
+      { from: 2, to: 3, weight: 6 },
+      { from: 1, to: 3, weight: 3 },
+      { from: 1, to: 2, weight: -4 },
+      { from: 0, to: 2, weight: 2 },
+      { from: 0, to: 1, weight: 5 }
+    ];
+    this.buildAdjacencyList();
+  }
+
+  // Every edge in the direction(s) it can be followed, in the order the
+  // edges were added
+  arcs() {
+    return this.edges.flatMap(({ from, to, weight }) => this.directed
+      ? [{ from, to, weight }]
+      : [{ from, to, weight }, { from: to, to: from, weight }]);
+  }
+
+  /**
+   * Relax every edge up to V - 1 times, then once more to look for a
+   * negative cycle. Steps use Dijkstra's schema plus `pass` and, when a
+   * cycle is found, `cycle` (its nodes in order).
+   * @param {number} startId
+   * @param {number} endId
+   * @returns {{distance: number, path: number[], cycle?: number[]}}
+   */
+  bellmanFord(startId, endId) {
+    this.reset();
+    const n = this.nodes.length;
+    const arcs = this.arcs();
+    const distances = new Array(n).fill(Infinity);
+    const previous = new Array(n).fill(null);
+    const visited = new Set(); // Nodes with a known distance
+    const label = (id) => this.nodes[id].label;
+    distances[startId] = 0;
+    visited.add(startId);
+
+    this.states.push({
+      distances,
+      visited,
+      current: null,
+      exploring: null,
+      path: [],
+      pass: 0,
+      description: `Starting from node ${label(startId)}; ${this.edges.length} edges to relax up to ${n - 1} times`,
+      phase: 'init'
+    });
+
+    // Relax each arc once; returns the last node whose distance dropped
+    const relaxAll = (pass) => {
+      let last = null;
+      for (const { from, to, weight } of arcs) {
+        if (distances[from] === Infinity) continue;
+        const newDist = distances[from] + weight;
+
+        this.states.push({
+          distances,
+          visited,
+          current: from,
+          exploring: { from, to, weight },
+          path: [],
+          pass,
+          description: `Checking ${label(from)} → ${label(to)} (${distances[from]} ${weight < 0 ? '−' : '+'} ${Math.abs(weight)} = ${newDist})`,
+          phase: 'explore'
+        });
+
+        if (newDist < distances[to]) {
+          distances[to] = newDist;
+          previous[to] = from;
+          visited.add(to);
+          last = to;
+
+          this.states.push({
+            distances,
+            visited,
+            current: from,
+            exploring: { from, to },
+            updated: to,
+            path: [],
+            pass,
+            description: `Updated distance to ${label(to)}: ${newDist}`,
+            phase: 'update'
+          });
+        }
+      }
+      return last;
+    };
+
+    let pass = 0;
+    let changed = n > 1;
+    while (changed && pass < n - 1) {
+      pass++;
+      this.states.push({
+        distances,
+        visited,
+        current: null,
+        exploring: null,
+        path: [],
+        pass,
+        description: `Pass ${pass} of ${n - 1}: relax every edge`,
+        phase: 'visit'
+      });
+      changed = relaxAll(pass) !== null;
+      if (!changed) {
+        this.states.push({
+          distances,
+          visited,
+          current: null,
+          exploring: null,
+          path: [],
+          pass,
+          description: `Pass ${pass} changed nothing, so every distance is final`,
+          phase: 'visit'
+        });
+      }
+    }
+
+    // After V - 1 passes a shortest path can't improve, unless a
+    // negative cycle keeps making it shorter
+    if (changed) {
+      pass++;
+      this.states.push({
+        distances,
+        visited,
+        current: null,
+        exploring: null,
+        path: [],
+        pass,
+        description: `Pass ${pass}: any further improvement means a negative cycle`,
+        phase: 'visit'
+      });
+      const last = relaxAll(pass);
+      if (last !== null) {
+        const cycle = this.traceCycle(previous, last);
+        const total = cycle.reduce((sum, from, i) => sum + this.cheapestWeight(arcs, from, cycle[(i + 1) % cycle.length]), 0);
+        const names = [...cycle, cycle[0]].map(label).join(' → ');
+
+        this.states.push({
+          distances,
+          visited,
+          current: null,
+          exploring: null,
+          path: [],
+          cycle,
+          pass,
+          description: `Negative cycle ${names} (total ${total}): no shortest path exists`,
+          phase: 'invalid'
+        });
+
+        return { distance: -Infinity, path: [], cycle };
+      }
+    }
+
+    if (distances[endId] === Infinity) {
+      this.states.push({
+        distances,
+        visited,
+        current: null,
+        exploring: null,
+        path: [],
+        pass,
+        description: `No path found to ${label(endId)}`,
+        phase: 'done'
+      });
+      return { distance: Infinity, path: [] };
+    }
+
+    const path = [];
+    for (let node = endId; node !== null; node = previous[node]) path.unshift(node);
+
+    this.states.push({
+      distances,
+      visited,
+      current: null,
+      exploring: null,
+      path,
+      pass,
+      description: `Found shortest path! Distance: ${distances[endId]} (${pass} ${pass === 1 ? 'pass' : 'passes'})`,
+      phase: 'done'
+    });
+
+    return { distance: distances[endId], path };
+  }
+
+  // Walking back V times from a node improved in pass V lands on the
+  // cycle; keep walking until it closes
+  traceCycle(previous, node) {
+    for (let i = 0; i < this.nodes.length && previous[node] !== null; i++) node = previous[node];
+    const cycle = [node];
+    for (let v = previous[node]; v !== node && v !== null; v = previous[v]) cycle.unshift(v);
+    return cycle;
+  }
+
+  cheapestWeight(arcs, from, to) {
+    return Math.min(...arcs.filter(arc => arc.from === from && arc.to === to).map(arc => arc.weight));
+  }
+}
+
+export default BellmanFord;
@@ -1,15 +1,17 @@
 /**
  * Binary Search Tree - Algorithm Implementation
  */
+import { StepStore } from '../utils/store.js';
+
 export class BinarySearchTree {
   constructor() {
     this.root = null;
-    this.states = [];
+    this.states = new StepStore();
   }
 
   reset() {
     this.root = null;
-    this.states = [];
+    this.states = new StepStore();
   }
 
   createNode(value) {
@@ -39,13 +41,13 @@ export class BinarySearchTree {
 
   // Insert with animation states
   insert(value) {
-    this.states = [];
+    this.states = new StepStore();
     
     if (!this.root) {
       this.root = this.createNode(value);
       this.calculatePositions(this.root, 300, 40, 120);
       this.states.push({
-        tree: this.cloneTree(this.root),
+        tree: this.root,
         highlight: [value],
         description: `Inserted ${value} as root`
       });
@@ -53,7 +55,7 @@ export class BinarySearchTree {
     }
 
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       highlight: [],
       description: `Inserting ${value}`
     });
@@ -62,7 +64,7 @@ export class BinarySearchTree {
     this.calculatePositions(this.root, 300, 40, 120);
     
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       highlight: [value],
       description: `Inserted ${value}`
     });
@@ -70,7 +72,7 @@ export class BinarySearchTree {
 
   insertRecursive(node, value) {
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       current: node.value,
       highlight: [],
       description: `Comparing ${value} with ${node.value}`
@@ -93,16 +95,16 @@ export class BinarySearchTree {
 
   // Search with animation
   search(value) {
-    this.states = [];
+    this.states = new StepStore();
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       description: `Searching for ${value}`
     });
     
     const found = this.searchRecursive(this.root, value);
     
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       highlight: found ? [value] : [],
       description: found ? `Found ${value}!` : `${value} not found`
     });
@@ -114,7 +116,7 @@ export class BinarySearchTree {
     if (!node) return false;
 
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       current: node.value,
       description: `Checking node ${node.value}`
     });
@@ -150,7 +152,7 @@ export class BinarySearchTree {
 
   // Traversals
   inorder() {
-    this.states = [];
+    this.states = new StepStore();
     const result = [];
     this.inorderRecursive(this.root, result);
     return result;
@@ -161,7 +163,7 @@ export class BinarySearchTree {
     this.inorderRecursive(node.left, result);
     result.push(node.value);
     this.states.push({
-      tree: this.cloneTree(this.root),
+      tree: this.root,
       current: node.value,
       visited: [...result],
       description: `Visiting ${node.value}`
@@ -0,0 +1,85 @@
+/**
+ * Bubble Sort - Algorithm Implementation
+ */
+export class BubbleSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  generateStates() {
+    this.reset();
+    const arr = [...this.array];
+    const n = arr.length;
+    const sorted = [];
+
+    this.record(arr, 'Starting Bubble Sort');
+
+    for (let pass = 0; pass < n - 1; pass++) {
+      let swapped = false;
+
+      for (let j = 0; j < n - pass - 1; j++) {
+        this.comparisons++;
+        this.record(arr, `Comparing ${arr[j]} and ${arr[j + 1]}`, { comparing: [j, j + 1], sorted: [...sorted], pass });
+
+        if (arr[j] > arr[j + 1]) {
+          [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+          this.swaps++;
+          this.writes += 2;
+          swapped = true;
+          this.record(arr, `Swapped ${arr[j + 1]} and ${arr[j]}`, {
+            comparing: [j, j + 1], swapping: [j, j + 1], sorted: [...sorted], pass
+          });
+        }
+      }
+
+      sorted.unshift(n - pass - 1);
+      if (!swapped) {
+        this.record(arr, `No swaps in pass ${pass + 1}, so the rest is already in order`, { sorted: [...sorted], pass });
+        break;
+      }
+      this.record(arr, `${arr[n - pass - 1]} bubbled up to position ${n - pass - 1}`, { sorted: [...sorted], pass });
+    }
+
+    this.record(arr, 'Array is now sorted!', { sorted: arr.map((_, i) => i) });
+    return this.states;
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default BubbleSort;
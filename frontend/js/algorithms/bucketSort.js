@@ -0,0 +1,126 @@
+/**
+ * Bucket Sort - Algorithm Implementation
+ */
+export class BucketSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0; // Only made while sorting inside a bucket
+    this.swaps = 0; // Swaps inside buckets
+    this.writes = 0; // Writes of the buckets back into the array
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  /**
+   * @param {number|string} bucketCount - Number of equal-width value ranges
+   *   ('auto' for about √n)
+   */
+  generateStates(bucketCount = 'auto') {
+    this.reset();
+    const arr = [...this.array];
+    const n = arr.length;
+    if (!n) {
+      this.record(arr, 'Nothing to sort');
+      return this.states;
+    }
+
+    const count = bucketCount === 'auto' ? Math.max(1, Math.round(Math.sqrt(n))) : Math.max(1, parseInt(bucketCount));
+    const min = Math.min(...arr);
+    const span = Math.max(...arr) - min + 1;
+    const bucketOf = (value) => Math.floor((value - min) * count / span);
+    const buckets = Array.from({ length: count }, () => []);
+    const labels = buckets.map((_, b) => {
+      const low = min + Math.ceil(b * span / count);
+      const high = min + Math.ceil((b + 1) * span / count) - 1;
+      if (low > high) return '—'; // More buckets than values in the range
+      return low === high ? `${low}` : `${low}–${high}`;
+    });
+    const lanes = (active = [], focus = []) => [{
+      id: 'buckets', label: 'bucket', buckets: true,
+      values: buckets.map(bucket => [...bucket]), labels, active, focus
+    }];
+
+    this.record(arr, `Starting Bucket Sort with ${count} buckets over ${min}..${min + span - 1}`, { aux: lanes() });
+
+    // 1. Scatter by value range
+    arr.forEach((value, i) => {
+      const b = bucketOf(value);
+      buckets[b].push(value);
+      this.record(arr, `${value} goes into bucket ${labels[b]}`, {
+        comparing: [i],
+        aux: lanes([b]),
+        move: { value, from: { lane: 'array', index: i }, to: { lane: 'buckets', index: b, depth: buckets[b].length - 1 } }
+      });
+    });
+
+    // 2. Insertion sort inside each bucket
+    buckets.forEach((bucket, b) => {
+      if (bucket.length < 2) return;
+      this.record(arr, `Sorting bucket ${labels[b]}`, { aux: lanes([b]) });
+      for (let i = 1; i < bucket.length; i++) {
+        for (let j = i; j > 0; j--) {
+          this.comparisons++;
+          this.record(arr, `Comparing ${bucket[j - 1]} and ${bucket[j]} in bucket ${labels[b]}`, { aux: lanes([b], [[b, j - 1], [b, j]]) });
+          if (bucket[j - 1] <= bucket[j]) break;
+          [bucket[j - 1], bucket[j]] = [bucket[j], bucket[j - 1]];
+          this.swaps++;
+          this.record(arr, `Swapped ${bucket[j]} and ${bucket[j - 1]} in bucket ${labels[b]}`, { aux: lanes([b], [[b, j - 1], [b, j]]) });
+        }
+      }
+    });
+
+    // 3. Gather the buckets in order
+    let k = 0;
+    buckets.forEach((bucket, b) => {
+      while (bucket.length) {
+        const value = bucket.shift();
+        arr[k] = value;
+        this.writes++;
+        this.record(arr, `Wrote ${value} from bucket ${labels[b]} at position ${k}`, {
+          swapping: [k],
+          sorted: Array.from({ length: k + 1 }, (_, i) => i),
+          aux: lanes([b]),
+          move: { value, from: { lane: 'buckets', index: b, depth: 0 }, to: { lane: 'array', index: k } }
+        });
+        k++;
+      }
+    });
+
+    this.record(arr, 'Array is now sorted!', { sorted: arr.map((_, i) => i), aux: lanes() });
+    return this.states;
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default BucketSort;
@@ -0,0 +1,118 @@
+/**
+ * Counting Sort - Algorithm Implementation
+ */
+export class CountingSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0; // Always 0: values are counted, never compared
+    this.swaps = 0;
+    this.writes = 0; // Writes into the array (the output copied back)
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  generateStates() {
+    this.reset();
+    const arr = [...this.array];
+    const n = arr.length;
+    if (!n) {
+      this.record(arr, 'Nothing to sort');
+      return this.states;
+    }
+
+    const min = Math.min(...arr);
+    const max = Math.max(...arr);
+    const counts = new Array(max - min + 1).fill(0);
+    const output = new Array(n).fill(null);
+    const lanes = (active = {}) => [
+      { id: 'count', label: 'count', values: [...counts], labels: counts.map((_, i) => min + i), active: active.count },
+      { id: 'output', label: 'output', values: [...output], active: active.output }
+    ];
+    const prefix = (end) => Array.from({ length: end }, (_, i) => i);
+
+    this.record(arr, `Starting Counting Sort over the values ${min}..${max}`, { aux: lanes() });
+
+    // 1. How often each value occurs
+    arr.forEach((value, i) => {
+      counts[value - min]++;
+      this.record(arr, `count[${value}] = ${counts[value - min]}`, {
+        comparing: [i],
+        aux: lanes({ count: [value - min] }),
+        move: { value, from: { lane: 'array', index: i }, to: { lane: 'count', index: value - min } }
+      });
+    });
+
+    // 2. Running totals: count[v] becomes the end of v's block in the output
+    for (let v = 1; v < counts.length; v++) {
+      const own = counts[v];
+      counts[v] += counts[v - 1];
+      // Values that never occur just carry the total, so they get no step
+      if (own) {
+        this.record(arr, `count[${min + v}] += count[${min + v - 1}], so ${min + v} ends at ${counts[v]}`, {
+          aux: lanes({ count: [v - 1, v] })
+        });
+      }
+    }
+
+    // 3. Right to left into the output, which keeps equal values in order
+    for (let i = n - 1; i >= 0; i--) {
+      const value = arr[i];
+      const pos = --counts[value - min];
+      output[pos] = value;
+      this.record(arr, `Placed ${value} at output[${pos}]`, {
+        comparing: [i],
+        aux: lanes({ count: [value - min], output: [pos] }),
+        move: { value, from: { lane: 'array', index: i }, to: { lane: 'output', index: pos } }
+      });
+    }
+
+    // 4. Copy the output back
+    output.forEach((value, k) => {
+      arr[k] = value;
+      this.writes++;
+      this.record(arr, `Copied ${value} back to position ${k}`, {
+        swapping: [k],
+        sorted: prefix(k + 1),
+        aux: lanes({ output: [k] }),
+        move: { value, from: { lane: 'output', index: k }, to: { lane: 'array', index: k } }
+      });
+    });
+
+    this.record(arr, 'Array is now sorted!', { sorted: prefix(n), aux: lanes() });
+    return this.states;
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default CountingSort;
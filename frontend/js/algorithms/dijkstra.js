@@ -1,16 +1,20 @@
 /**
  * Dijkstra's Shortest Path - Algorithm Implementation
  */
+import { StepStore } from '../utils/store.js';
+import { PriorityQueue } from '../utils/helpers.js';
+
 export class Dijkstra {
   constructor() {
     this.nodes = [];
     this.edges = [];
     this.adjacencyList = new Map();
-    this.states = [];
+    this.directed = false; // Edges run from -> to only
+    this.states = new StepStore();
   }
 
   reset() {
-    this.states = [];
+    this.states = new StepStore();
   }
 
   // Create a sample graph
@@ -45,14 +49,28 @@ export class Dijkstra {
     
     this.edges.forEach(edge => {
       this.adjacencyList.get(edge.from).push({ node: edge.to, weight: edge.weight });
-      this.adjacencyList.get(edge.to).push({ node: edge.from, weight: edge.weight });
+      if (!this.directed) this.adjacencyList.get(edge.to).push({ node: edge.from, weight: edge.weight });
     });
   }
 
-  // Generate random graph
-  generateGraph(nodeCount = 6) {
+  /**
+   * Generate a random connected graph with nodes on a circle
+   * @param {number} nodeCount
+   * @param {Object} [options]
+   * @param {boolean} [options.negative] - Make about a quarter of the weights
+   *   -1..-4. Directed graphs then only get edges from lower to higher
+   *   labels, so there is no cycle at all (let alone a negative one); in an
+   *   undirected graph every negative edge is a negative cycle.
+   */
+  generateGraph(nodeCount = 6, { negative = false } = {}) {
     this.nodes = [];
     this.edges = [];
+    const weight = () => negative && Math.random() < 0.25
+      ? -(Math.floor(Math.random() * 4) + 1)
+      : Math.floor(Math.random() * 9) + 1;
+    const edge = (i, j) => this.directed && !negative && Math.random() < 0.5
+      ? { from: j, to: i, weight: weight() }
+      : { from: i, to: j, weight: weight() };
     
     // Generate nodes in a layout
     const width = 500, height = 350;
@@ -73,11 +91,7 @@ export class Dijkstra {
     for (let i = 0; i < nodeCount; i++) {
       for (let j = i + 1; j < nodeCount; j++) {
         if (Math.random() < 0.5) {
-          this.edges.push({
-            from: i,
-            to: j,
-            weight: Math.floor(Math.random() * 9) + 1
-          });
+          this.edges.push(edge(i, j));
         }
       }
     }
@@ -88,53 +102,89 @@ export class Dijkstra {
         (e.from === i || e.to === i) && (e.from < i || e.to < i)
       );
       if (!hasEdge) {
-        this.edges.push({
-          from: i - 1,
-          to: i,
-          weight: Math.floor(Math.random() * 9) + 1
-        });
+        this.edges.push(edge(i - 1, i));
       }
     }
 
     this.buildAdjacencyList();
   }
 
-  // Run Dijkstra's algorithm and record states
+  /**
+   * Run Dijkstra's algorithm and record states. The frontier is a binary
+   * heap of { node, dist } with decrease-key, so each step carries `heap`
+   * and `heapSwaps`; steps where an entry sifts one level carry
+   * `heapSwap: [from, to]`.
+   */
   findShortestPath(startId, endId) {
     this.reset();
     const n = this.nodes.length;
     const distances = new Array(n).fill(Infinity);
     const previous = new Array(n).fill(null);
     const visited = new Set();
-    const pq = [{ node: startId, dist: 0 }];
+    const pq = new PriorityQueue((a, b) => a.dist - b.dist, { key: entry => entry.node });
+    const label = (id) => this.nodes[id].label;
+    let heapSwaps = 0;
+    let popped = null;
+    let current = null;
+    let exploring = null;
+    let updated;
+
+    // Record each level an entry sifts through, as the heap moves it
+    pq.onSwap = (from, to) => {
+      heapSwaps++;
+      const moved = pq.heap[to];
+      const other = pq.heap[from];
+      this.states.push({
+        distances,
+        visited,
+        current,
+        exploring,
+        updated,
+        path: [],
+        heap: pq.heap,
+        heapSwap: [from, to],
+        heapSwaps,
+        description: to < from
+          ? `${label(moved.node)} (${moved.dist}) sifts up past its parent ${label(other.node)} (${other.dist})`
+          : `${popped ? `${label(popped.node)} left the top, so ` : ''}${label(moved.node)} (${moved.dist}) sifts down past its smaller child ${label(other.node)} (${other.dist})`,
+        phase: 'swap'
+      });
+    };
+
     distances[startId] = 0;
+    pq.push({ node: startId, dist: 0 });
 
     this.states.push({
-      distances: [...distances],
-      visited: new Set(visited),
+      distances,
+      visited,
       current: null,
       exploring: null,
       path: [],
-      pq: [...pq],
-      description: `Starting from node ${this.nodes[startId].label}`,
+      heap: pq.heap,
+      heapSwaps,
+      description: `Starting from node ${label(startId)}`,
       phase: 'init'
     });
 
-    while (pq.length > 0) {
-      // Get min distance node
-      pq.sort((a, b) => a.dist - b.dist);
-      const { node: current, dist } = pq.shift();
-
-      if (visited.has(current)) continue;
+    while (!pq.isEmpty) {
+      // Take the min distance node off the top of the heap
+      current = null;
+      exploring = null;
+      updated = undefined;
+      popped = pq.peek();
+      const { node, dist } = pq.pop();
+      popped = null;
+      current = node;
 
       this.states.push({
-        distances: [...distances],
-        visited: new Set(visited),
+        distances,
+        visited,
         current: current,
         exploring: null,
         path: [],
-        pq: [...pq],
-        description: `Visiting node ${this.nodes[current].label} (distance: ${dist})`,
+        heap: pq.heap,
+        heapSwaps,
+        description: `Visiting node ${label(current)} (distance: ${dist}), popped from the top of the heap`,
         phase: 'visit'
       });
 
@@ -149,13 +199,19 @@ export class Dijkstra {
           node = previous[node];
         }
 
+        // Negative edges can undercut a node after it was finalized
+        const negative = this.edges.some(edge => edge.weight < 0);
         this.states.push({
-          distances: [...distances],
-          visited: new Set(visited),
+          distances,
+          visited,
           current: null,
           exploring: null,
           path: path,
-          description: `Found shortest path! Distance: ${distances[endId]}`,
+          heap: pq.heap,
+          heapSwaps,
+          description: negative
+            ? `Found a path of distance ${distances[endId]}, but with negative edges Dijkstra can miss a shorter one`
+            : `Found shortest path! Distance: ${distances[endId]}`,
           phase: 'done'
         });
 
@@ -165,45 +221,79 @@ export class Dijkstra {
       // Explore neighbors
       const neighbors = this.adjacencyList.get(current) || [];
       for (const { node: neighbor, weight } of neighbors) {
-        if (visited.has(neighbor)) continue;
-
         const newDist = distances[current] + weight;
+        exploring = { from: current, to: neighbor, weight };
+        updated = undefined;
+
+        if (visited.has(neighbor)) {
+          // Only a negative edge can get here, and Dijkstra never looks back
+          if (newDist < distances[neighbor]) {
+            this.states.push({
+              distances,
+              visited,
+              current: current,
+              exploring,
+              path: [],
+              heap: pq.heap,
+              heapSwaps,
+              description: `${label(neighbor)} is already visited, so the shorter route (${newDist} < ${distances[neighbor]}) is ignored`,
+              phase: 'mismatch'
+            });
+          }
+          continue;
+        }
 
         this.states.push({
-          distances: [...distances],
-          visited: new Set(visited),
+          distances,
+          visited,
           current: current,
-          exploring: { from: current, to: neighbor, weight },
+          exploring,
           path: [],
-          description: `Checking edge to ${this.nodes[neighbor].label} (${distances[current]} + ${weight} = ${newDist})`,
+          heap: pq.heap,
+          heapSwaps,
+          description: `Checking edge to ${label(neighbor)} (${distances[current]} + ${weight} = ${newDist})`,
           phase: 'explore'
         });
 
         if (newDist < distances[neighbor]) {
+          const queued = pq.has({ node: neighbor });
+          const entry = { node: neighbor, dist: newDist };
           distances[neighbor] = newDist;
           previous[neighbor] = current;
-          pq.push({ node: neighbor, dist: newDist });
+          exploring = { from: current, to: neighbor };
+          updated = neighbor;
 
           this.states.push({
-            distances: [...distances],
-            visited: new Set(visited),
+            distances,
+            visited,
             current: current,
-            exploring: { from: current, to: neighbor },
-            updated: neighbor,
+            exploring,
+            updated,
             path: [],
-            description: `Updated distance to ${this.nodes[neighbor].label}: ${newDist}`,
+            // The entry in place before it sifts: appended, or its key lowered
+            heap: queued ? pq.heap.map(e => e.node === neighbor ? entry : e) : [...pq.heap, entry],
+            heapSwaps,
+            description: queued
+              ? `Updated distance to ${label(neighbor)}: ${newDist}, decreasing its key in the heap`
+              : `Updated distance to ${label(neighbor)}: ${newDist}, pushing it onto the heap`,
             phase: 'update'
           });
+
+          // Decrease-key keeps one entry per node, so the heap never holds more than V
+          if (queued) pq.update(entry);
+          else pq.push(entry);
         }
       }
     }
 
     this.states.push({
-      distances: [...distances],
-      visited: new Set(visited),
+      distances,
+      visited,
       current: null,
       path: [],
-      description: `No path found to ${this.nodes[endId].label}`,
+      heap: pq.heap,
+      heapSwaps,
+      description: `No path found to ${label(endId)}`,
       phase: 'done'
     });
 
@@ -0,0 +1,127 @@
+/**
+ * Floyd-Warshall All-Pairs Shortest Paths - Algorithm Implementation
+ */
+import { Dijkstra } from './dijkstra.js';
+
+// Same graph model as Dijkstra (nodes, edges, adjacency list, directed)
+export class FloydWarshall extends Dijkstra {
+  /**
+   * Fill the distance and next-hop matrices, allowing one more
+   * intermediate node k per round. Each (k, i, j) with i, j other than k
+   * is one step; steps carry `dist` and `next` (V × V, next[i][j] is the
+   * first hop from i towards j or null), `cell: { k, i, j }` and
+   * `improved` when dist[i][j] dropped. `distances` is the start node's
+   * row, so the graph shows distances from it as they shrink.
+   * @param {number} startId - Row shown on the graph and path start
+   * @param {number} endId - Path end
+   * @returns {{dist: number[][], next: Array[], path: number[]}}
+   */
+  floydWarshall(startId, endId) {
+    this.reset();
+    const n = this.nodes.length;
+    const label = (id) => this.nodes[id].label;
+    const dist = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 0 : Infinity));
+    const next = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? j : null));
+    const format = (d) => d === Infinity ? '∞' : String(d);
+
+    // Direct edges; the cheapest one wins when there are several
+    this.adjacencyList.forEach((neighbors, from) => {
+      neighbors.forEach(({ node: to, weight }) => {
+        if (weight < dist[from][to]) {
+          dist[from][to] = weight;
+          next[from][to] = to;
+        }
+      });
+    });
+
+    const step = (fields) => this.states.push({
+      distances: dist[startId],
+      visited: new Set(),
+      current: null,
+      exploring: null,
+      path: [],
+      dist,
+      next,
+      ...fields
+    });
+
+    step({ cell: null, description: 'Start with the direct edges: dist[i][j] is the edge weight, ∞ without one', phase: 'init' });
+
+    for (let k = 0; k < n; k++) {
+      step({
+        current: k,
+        cell: { k, i: null, j: null },
+        description: `Round ${k + 1} of ${n}: may paths go through ${label(k)}?`,
+        phase: 'visit'
+      });
+
+      for (let i = 0; i < n; i++) {
+        if (i === k) continue;
+        for (let j = 0; j < n; j++) {
+          if (j === k) continue;
+          const through = dist[i][k] + dist[k][j];
+          const pair = [i, j];
+          const route = `${label(i)} → ${label(k)} → ${label(j)}`;
+
+          if (through < dist[i][j]) {
+            const before = dist[i][j];
+            dist[i][j] = through;
+            next[i][j] = next[i][k];
+            step({
+              current: k,
+              pair,
+              cell: { k, i, j },
+              improved: true,
+              updated: i === startId ? j : undefined,
+              description: `${route}: ${format(dist[i][k])} + ${format(dist[k][j])} = ${through} < ${format(before)}, so dist[${label(i)}][${label(j)}] = ${through}`,
+              phase: 'update'
+            });
+          } else {
+            step({
+              current: k,
+              pair,
+              cell: { k, i, j },
+              description: through === Infinity
+                ? `${route}: no route through ${label(k)} yet`
+                : `${route}: ${format(dist[i][k])} + ${format(dist[k][j])} = ${through} is no shorter than ${format(dist[i][j])}`,
+              phase: 'compare'
+            });
+          }
+        }
+      }
+    }
+
+    // A node that can reach itself for less than nothing lies on a negative cycle
+    const looped = dist.findIndex((row, v) => row[v] < 0);
+    if (looped >= 0) {
+      const cycle = [];
+      for (let v = looped; cycle.length <= n && !cycle.includes(v); v = next[v][looped]) cycle.push(v);
+      step({
+        cycle,
+        cell: { k: null, i: looped, j: looped },
+        description: `Negative cycle: dist[${label(looped)}][${label(looped)}] = ${dist[looped][looped]}, so shortest paths through it don't exist`,
+        phase: 'invalid'
+      });
+      return { dist, next, path: [] };
+    }
+
+    const path = [];
+    if (next[startId][endId] !== null) {
+      for (let v = startId; v !== endId; v = next[v][endId]) path.push(v);
+      path.push(endId);
+    }
+
+    step({
+      path,
+      cell: path.length ? { k: null, i: startId, j: endId } : null,
+      description: path.length
+        ? `All pairs done. ${label(startId)} → ${label(endId)}: distance ${dist[startId][endId]}, following next hops ${path.map(label).join(' → ')}`
+        : `All pairs done. No path from ${label(startId)} to ${label(endId)}`,
+      phase: 'done'
+    });
+
+    return { dist, next, path };
+  }
+}
+
+export default FloydWarshall;
@@ -0,0 +1,104 @@
+/**
+ * Heap Sort - Algorithm Implementation
+ */
+export class HeapSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  generateStates() {
+    this.reset();
+    const arr = [...this.array];
+    const n = arr.length;
+    const suffix = (start) => Array.from({ length: n - start }, (_, i) => start + i);
+
+    this.record(arr, 'Starting Heap Sort', { heapSize: n });
+
+    // Build a max-heap bottom-up
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+      this.record(arr, `Heapifying the subtree at ${i}`, { heapSize: n, stage: 'build' });
+      this.siftDown(arr, i, n, [], 'build');
+    }
+    this.record(arr, `Max-heap built, largest is ${arr[0]}`, { heapSize: n, stage: 'build' });
+
+    // Move the root to the end and restore the heap on what is left
+    for (let end = n - 1; end > 0; end--) {
+      [arr[0], arr[end]] = [arr[end], arr[0]];
+      this.swaps++;
+      this.writes += 2;
+      this.record(arr, `Moved max ${arr[end]} to position ${end}`, {
+        swapping: [0, end], heapSize: end, sorted: suffix(end), stage: 'extract'
+      });
+      this.siftDown(arr, 0, end, suffix(end), 'extract');
+    }
+
+    this.record(arr, 'Array is now sorted!', { sorted: suffix(0), heapSize: 0 });
+    return this.states;
+  }
+
+  siftDown(arr, root, size, sorted, stage) {
+    let parent = root;
+    while (true) {
+      const left = 2 * parent + 1;
+      const right = left + 1;
+      let largest = parent;
+
+      if (left < size) {
+        this.comparisons++;
+        this.record(arr, `Comparing ${arr[left]} with ${arr[largest]}`, { comparing: [largest, left], heapSize: size, sorted, stage });
+        if (arr[left] > arr[largest]) largest = left;
+      }
+      if (right < size) {
+        this.comparisons++;
+        this.record(arr, `Comparing ${arr[right]} with ${arr[largest]}`, { comparing: [largest, right], heapSize: size, sorted, stage });
+        if (arr[right] > arr[largest]) largest = right;
+      }
+      if (largest === parent) return;
+
+      [arr[parent], arr[largest]] = [arr[largest], arr[parent]];
+      this.swaps++;
+      this.writes += 2;
+      this.record(arr, `Swapped ${arr[largest]} down, ${arr[parent]} up`, { swapping: [parent, largest], heapSize: size, sorted, stage });
+      parent = largest;
+    }
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default HeapSort;
@@ -0,0 +1,80 @@
+/**
+ * Insertion Sort - Algorithm Implementation
+ */
+export class InsertionSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0; // Always 0: elements are shifted, not swapped
+    this.writes = 0; // Shifts plus the final placement of each key
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  generateStates() {
+    this.reset();
+    const arr = [...this.array];
+    const prefix = (end) => Array.from({ length: end }, (_, i) => i);
+
+    this.record(arr, 'Starting Insertion Sort', { sorted: prefix(Math.min(1, arr.length)) });
+
+    for (let i = 1; i < arr.length; i++) {
+      const key = arr[i];
+      let j = i - 1;
+
+      this.record(arr, `Inserting ${key} into the sorted prefix`, { key: i, sorted: prefix(i) });
+
+      while (j >= 0) {
+        this.comparisons++;
+        this.record(arr, `Comparing ${arr[j]} with ${key}`, { comparing: [j, j + 1], key: j + 1, sorted: prefix(i) });
+        if (arr[j] <= key) break;
+
+        arr[j + 1] = arr[j];
+        arr[j] = key; // Keeps the key visible while it moves left
+        this.writes++;
+        this.record(arr, `Shifted ${arr[j + 1]} right`, { swapping: [j, j + 1], key: j, sorted: prefix(i) });
+        j--;
+      }
+
+      this.writes++;
+      this.record(arr, `Placed ${key} at position ${j + 1}`, { sorted: prefix(i + 1) });
+    }
+
+    this.record(arr, 'Array is now sorted!', { sorted: prefix(arr.length) });
+    return this.states;
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default InsertionSort;
@@ -0,0 +1,167 @@
+/**
+ * Kruskal's Minimum Spanning Tree - Algorithm Implementation
+ */
+import { Dijkstra } from './dijkstra.js';
+
+// Same graph model as Dijkstra (nodes, edges, adjacency list), always undirected
+export class Kruskal extends Dijkstra {
+  // Dijkstra's layout with weights ordered so that two rank 1 sets merge
+  // before an edge reaches down into the result, so a find compresses a path
+  createSampleGraph() {
+    super.createSampleGraph();
+    this.edges = [
+      { from: 0, to: 1, weight: 7 },
+      { from: 0, to: 2, weight: 6 },
+      { from: 1, to: 2, weight: 1 },
+      { from: 1, to: 3, weight: 3 },
+      { from: 2, to: 3, weight: 4 },
+      { from: 2, to: 4, weight: 8 },
+      { from: 3, to: 4, weight: 2 },
+      { from: 3, to: 5, weight: 9 },
+      { from: 4, to: 5, weight: 5 }
+    ];
+    this.buildAdjacencyList();
+  }
+
+  /**
+   * Take edges cheapest first, keeping each one that joins two different
+   * sets of a union-find (union by rank, path compression). Steps carry
+   * `tree` and `weight` like Prim's, the live `parent` and `rank` arrays,
+   * `finding` (nodes on the two find paths), `compressed` (nodes just
+   * repointed at their root), `linked: [root, newParent]` and `promoted`
+   * (a root whose rank just grew) after a union, `compressions` (pointers
+   * repointed so far) and, for a skipped edge, the `cycle` it would close.
+   * @returns {{tree: Array, weight: number}}
+   */
+  kruskal() {
+    this.reset();
+    const n = this.nodes.length;
+    const parent = this.nodes.map((_, i) => i);
+    const rank = new Array(n).fill(0);
+    const joined = new Set(); // Nodes touched by a tree edge
+    const tree = [];
+    const label = (id) => this.nodes[id].label;
+    const sorted = [...this.edges].sort((a, b) => a.weight - b.weight);
+    let weight = 0;
+    let compressions = 0;
+
+    const step = (fields) => this.states.push({
+      visited: joined,
+      current: null,
+      exploring: null,
+      path: [],
+      tree,
+      weight,
+      parent,
+      rank,
+      compressions,
+      ...fields
+    });
+
+    // Parent pointers from node up to its root, node first
+    const findPath = (node) => {
+      const path = [node];
+      while (parent[path[path.length - 1]] !== path[path.length - 1]) path.push(parent[path[path.length - 1]]);
+      return path;
+    };
+    const describeFind = (path) => path.length === 1
+      ? `find(${label(path[0])}) = ${label(path[0])}`
+      : `find(${label(path[0])}) = ${label(path[path.length - 1])} (${path.map(label).join(' → ')})`;
+
+    step({ description: `${sorted.length} edges sorted by weight; each node starts as its own set (parent itself, rank 0)`, phase: 'init' });
+
+    for (const { from, to, weight: edgeWeight } of sorted) {
+      if (tree.length === n - 1) break;
+      const exploring = { from, to, weight: edgeWeight };
+      const fromPath = findPath(from);
+      const toPath = findPath(to);
+      const fromRoot = fromPath[fromPath.length - 1];
+      const toRoot = toPath[toPath.length - 1];
+      const edgeName = `${label(from)}–${label(to)} (${edgeWeight})`;
+
+      step({
+        exploring,
+        finding: [...fromPath, ...toPath],
+        description: `Edge ${edgeName}: ${describeFind(fromPath)}, ${describeFind(toPath)}`,
+        phase: 'explore'
+      });
+
+      // Everything on a find path more than one hop below the root now points at it
+      const rootOf = (node) => fromPath.includes(node) ? fromRoot : toRoot;
+      const compressed = [...new Set([...fromPath, ...toPath])].filter(node => parent[node] !== node && parent[node] !== rootOf(node));
+      if (compressed.length) {
+        compressed.forEach(node => { parent[node] = rootOf(node); });
+        compressions += compressed.length;
+        const names = compressed.map(label);
+        step({
+          exploring,
+          compressed,
+          description: `Path compression: ${names.join(' and ')} now point${names.length === 1 ? 's' : ''} straight at the root ${label(parent[compressed[0]])}`,
+          phase: 'update'
+        });
+      }
+
+      if (fromRoot === toRoot) {
+        step({
+          exploring,
+          cycle: this.treePath(tree, from, to),
+          description: `${label(from)} and ${label(to)} are already in ${label(fromRoot)}'s set, so ${edgeName} would close a cycle: skip it`,
+          phase: 'mismatch'
+        });
+        continue;
+      }
+
+      // Union by rank: the shorter tree goes under the taller one's root
+      const [high, low] = rank[fromRoot] >= rank[toRoot] ? [fromRoot, toRoot] : [toRoot, fromRoot];
+      const tie = rank[high] === rank[low];
+      parent[low] = high;
+      if (tie) rank[high]++;
+      tree.push(exploring);
+      weight += edgeWeight;
+      joined.add(from);
+      joined.add(to);
+
+      step({
+        exploring,
+        linked: [low, high],
+        promoted: tie ? high : undefined,
+        description: `${tie
+          ? `Roots ${label(high)} and ${label(low)} both have rank ${rank[high] - 1}, so ${label(low)} goes under ${label(high)}, whose rank becomes ${rank[high]}`
+          : `Root ${label(low)} (rank ${rank[low]}) goes under the taller root ${label(high)} (rank ${rank[high]})`}. ${edgeName} joins the tree, total ${weight}`,
+        phase: 'place'
+      });
+    }
+
+    const roots = parent.filter((p, i) => p === i).length;
+    step({
+      description: roots === 1
+        ? `Minimum spanning tree: ${tree.length} edges, total weight ${weight}`
+        : `The graph falls apart into ${roots} pieces, so this is a minimum spanning forest: ${tree.length} edges, total weight ${weight}`,
+      phase: 'done'
+    });
+
+    return { tree, weight };
+  }
+
+  // Nodes on the tree path from one node to another, found by a search
+  // over the tree edges chosen so far
+  treePath(tree, from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length && !previous.has(to)) {
+      const node = queue.shift();
+      tree.forEach(edge => {
+        const other = edge.from === node ? edge.to : edge.to === node ? edge.from : null;
+        if (other !== null && !previous.has(other)) {
+          previous.set(other, node);
+          queue.push(other);
+        }
+      });
+    }
+    const path = [];
+    for (let node = to; node !== null && node !== undefined; node = previous.get(node)) path.unshift(node);
+    return path;
+  }
+}
+
+export default Kruskal;
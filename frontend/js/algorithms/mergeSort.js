@@ -6,11 +6,14 @@ export class MergeSort {
     this.array = [];
     this.states = [];
     this.comparisons = 0;
+    this.writes = 0; // Array element writes while merging
+    this.tags = []; // Original index of the element now at each position (for the stability view)
   }
 
   reset() {
     this.states = [];
     this.comparisons = 0;
+    this.writes = 0;
   }
 
   setArray(arr) {
@@ -30,27 +33,32 @@ export class MergeSort {
   generateStates() {
     this.reset();
     const arr = [...this.array];
+    this.tags = arr.map((_, i) => i);
     
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       comparing: [],
       sorted: [],
       merging: [],
       left: null,
       right: null,
       description: 'Starting Merge Sort',
-      comparisons: 0
+      comparisons: 0,
+      writes: 0
     });
 
     this.mergeSort(arr, 0, arr.length - 1);
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       comparing: [],
       sorted: arr.map((_, i) => i),
       merging: [],
       description: 'Array is now sorted!',
-      comparisons: this.comparisons
+      comparisons: this.comparisons,
+      writes: this.writes
     });
 
     return this.states;
@@ -63,11 +71,13 @@ export class MergeSort {
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       comparing: [],
       sorted: [],
       dividing: { left, mid, right },
       description: `Dividing: [${left}-${mid}] and [${mid + 1}-${right}]`,
-      comparisons: this.comparisons
+      comparisons: this.comparisons,
+      writes: this.writes
     });
 
     this.mergeSort(arr, left, mid);
@@ -78,14 +88,18 @@ export class MergeSort {
   merge(arr, left, mid, right) {
     const leftArr = arr.slice(left, mid + 1);
     const rightArr = arr.slice(mid + 1, right + 1);
+    const leftTags = this.tags.slice(left, mid + 1);
+    const rightTags = this.tags.slice(mid + 1, right + 1);
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       merging: Array.from({ length: right - left + 1 }, (_, i) => left + i),
       leftSubarray: leftArr,
       rightSubarray: rightArr,
       description: `Merging [${left}-${mid}] with [${mid + 1}-${right}]`,
-      comparisons: this.comparisons
+      comparisons: this.comparisons,
+      writes: this.writes
     });
 
     let i = 0, j = 0, k = left;
@@ -95,55 +109,70 @@ export class MergeSort {
 
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         comparing: [left + i, mid + 1 + j],
         merging: Array.from({ length: right - left + 1 }, (_, idx) => left + idx),
         description: `Comparing ${leftArr[i]} and ${rightArr[j]}`,
-        comparisons: this.comparisons
+        comparisons: this.comparisons,
+        writes: this.writes
       });
 
       if (leftArr[i] <= rightArr[j]) {
         arr[k] = leftArr[i];
+        this.tags[k] = leftTags[i];
         i++;
       } else {
         arr[k] = rightArr[j];
+        this.tags[k] = rightTags[j];
         j++;
       }
       k++;
+      this.writes++;
 
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         merging: Array.from({ length: right - left + 1 }, (_, idx) => left + idx),
         sorted: Array.from({ length: k - left }, (_, idx) => left + idx),
         description: `Placed element at position ${k - 1}`,
-        comparisons: this.comparisons
+        comparisons: this.comparisons,
+        writes: this.writes
       });
     }
 
     while (i < leftArr.length) {
       arr[k] = leftArr[i];
+      this.tags[k] = leftTags[i];
       i++;
       k++;
+      this.writes++;
 
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         merging: Array.from({ length: right - left + 1 }, (_, idx) => left + idx),
         sorted: Array.from({ length: k - left }, (_, idx) => left + idx),
         description: 'Copying remaining left elements',
-        comparisons: this.comparisons
+        comparisons: this.comparisons,
+        writes: this.writes
       });
     }
 
     while (j < rightArr.length) {
       arr[k] = rightArr[j];
+      this.tags[k] = rightTags[j];
       j++;
       k++;
+      this.writes++;
 
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         merging: Array.from({ length: right - left + 1 }, (_, idx) => left + idx),
         sorted: Array.from({ length: k - left }, (_, idx) => left + idx),
         description: 'Copying remaining right elements',
-        comparisons: this.comparisons
+        comparisons: this.comparisons,
+        writes: this.writes
       });
     }
   }
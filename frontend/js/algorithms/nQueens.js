@@ -122,11 +122,21 @@ export class NQueens {
   // Generate states for animation (simplified for performance)
   generateStates(findFirst = true) {
     this.reset();
-    const states = [];
-    const board = Array(this.n).fill(-1); // board[row] = column of queen
+    return [...this.generateSteps(findFirst)];
+  }
 
-    states.push({
-      board: Array(this.n).fill().map(() => Array(this.n).fill(0)),
+  /**
+   * Yield solver steps one at a time, so an all-solutions search can be
+   * played back without recording it up front
+   * @param {boolean} findFirst - Stop at the first solution
+   * @returns {Generator<Object>}
+   */
+  *generateSteps(findFirst = true) {
+    const n = this.n;
+    const board = Array(n).fill(-1); // board[row] = column of queen
+
+    yield {
+      board: Array(n).fill().map(() => Array(n).fill(0)),
       queens: [],
       currentRow: 0,
       currentCol: -1,
@@ -134,22 +144,23 @@ export class NQueens {
       conflicts: [],
       description: 'Starting N-Queens solver',
       solutionsFound: 0
-    });
+    };
 
     let solutionsFound = 0;
 
-    const solve = (row) => {
-      if (row >= this.n) {
+    const solve = function* (row) {
+      if (row >= n) {
         solutionsFound++;
-        const boardGrid = Array(this.n).fill().map(() => Array(this.n).fill(0));
+        const boardGrid = Array(n).fill().map(() => Array(n).fill(0));
         const queens = [];
-        for (let r = 0; r < this.n; r++) {
+        for (let r = 0; r < n; r++) {
           if (board[r] >= 0) {
             boardGrid[r][board[r]] = 1;
             queens.push({ row: r, col: board[r] });
           }
         }
-        states.push({
+        yield {
+          type: 'solution',
           board: boardGrid,
           queens: queens,
           currentRow: -1,
@@ -159,13 +170,13 @@ export class NQueens {
           description: `Solution ${solutionsFound} found!`,
           solutionsFound: solutionsFound,
           isSolution: true
-        });
+        };
         return findFirst;
       }
 
-      for (let col = 0; col < this.n; col++) {
+      for (let col = 0; col < n; col++) {
         // Check position
-        const boardGrid = Array(this.n).fill().map(() => Array(this.n).fill(0));
+        const boardGrid = Array(n).fill().map(() => Array(n).fill(0));
         const queens = [];
         for (let r = 0; r < row; r++) {
           if (board[r] >= 0) {
@@ -185,7 +196,8 @@ export class NQueens {
           }
         }
 
-        states.push({
+        yield {
+          type: 'try',
           board: boardGrid,
           queens: queens,
           currentRow: row,
@@ -197,14 +209,15 @@ export class NQueens {
             ? `Row ${row + 1}, Col ${col + 1}: Safe position`
             : `Row ${row + 1}, Col ${col + 1}: Conflicts detected`,
           solutionsFound: solutionsFound
-        });
+        };
 
         if (safe) {
           board[row] = col;
           boardGrid[row][col] = 1;
           queens.push({ row, col });
 
-          states.push({
+          yield {
+            type: 'place',
             board: boardGrid.map(r => [...r]),
             queens: [...queens],
             currentRow: row,
@@ -213,20 +226,21 @@ export class NQueens {
             conflicts: [],
             description: `Placed queen at row ${row + 1}, column ${col + 1}`,
             solutionsFound: solutionsFound
-          });
+          };
 
-          if (solve(row + 1)) return true;
+          if (yield* solve(row + 1)) return true;
 
           // Backtrack
           board[row] = -1;
           queens.pop();
 
-          const backtrackGrid = Array(this.n).fill().map(() => Array(this.n).fill(0));
+          const backtrackGrid = Array(n).fill().map(() => Array(n).fill(0));
           for (let r = 0; r < row; r++) {
             if (board[r] >= 0) backtrackGrid[r][board[r]] = 1;
           }
 
-          states.push({
+          yield {
+            type: 'remove',
             board: backtrackGrid,
             queens: queens.filter(q => q.row < row),
             currentRow: row,
@@ -236,16 +250,14 @@ export class NQueens {
             isBacktrack: true,
             description: `Backtracking from row ${row + 1}`,
             solutionsFound: solutionsFound
-          });
+          };
         }
       }
 
       return false;
     };
 
-    solve(0);
-
-    return states;
+    yield* solve(0);
   }
 }
 
@@ -0,0 +1,132 @@
+/**
+ * Prim's Minimum Spanning Tree - Algorithm Implementation
+ */
+import { Dijkstra } from './dijkstra.js';
+import { PriorityQueue } from '../utils/helpers.js';
+
+// Same graph model as Dijkstra (nodes, edges, adjacency list), always undirected
+export class Prim extends Dijkstra {
+  /**
+   * Grow a minimum spanning tree from one node. Like Dijkstra, but a node's
+   * key is the weight of its cheapest edge to the tree rather than its
+   * distance from the start. Steps use Dijkstra's schema with the keys as
+   * `distances` and the heap ordered by key, plus `tree` (edges chosen so
+   * far) and `weight` (their total).
+   * @param {number} startId
+   * @returns {{tree: Array, weight: number}}
+   */
+  prim(startId) {
+    this.reset();
+    const n = this.nodes.length;
+    const keys = new Array(n).fill(Infinity);
+    const parent = new Array(n).fill(null);
+    const inTree = new Set();
+    const tree = [];
+    const pq = new PriorityQueue((a, b) => a.dist - b.dist, { key: entry => entry.node });
+    const label = (id) => this.nodes[id].label;
+    let weight = 0;
+    let heapSwaps = 0;
+    let popped = null;
+    let current = null;
+    let exploring = null;
+    let updated;
+
+    const step = (fields) => this.states.push({
+      distances: keys,
+      visited: inTree,
+      current,
+      exploring,
+      updated,
+      path: [],
+      tree,
+      weight,
+      heap: pq.heap,
+      heapSwaps,
+      ...fields
+    });
+
+    pq.onSwap = (from, to) => {
+      heapSwaps++;
+      const moved = pq.heap[to];
+      const other = pq.heap[from];
+      step({
+        heapSwap: [from, to],
+        description: to < from
+          ? `${label(moved.node)} (${moved.dist}) sifts up past its parent ${label(other.node)} (${other.dist})`
+          : `${popped ? `${label(popped.node)} left the top, so ` : ''}${label(moved.node)} (${moved.dist}) sifts down past its smaller child ${label(other.node)} (${other.dist})`,
+        phase: 'swap'
+      });
+    };
+
+    keys[startId] = 0;
+    pq.push({ node: startId, dist: 0 });
+    step({ description: `Growing the tree from ${label(startId)}; a node's key is its cheapest edge to the tree, ∞ for now`, phase: 'init' });
+
+    while (!pq.isEmpty) {
+      current = null;
+      exploring = null;
+      updated = undefined;
+      popped = pq.peek();
+      const { node } = pq.pop();
+      popped = null;
+      current = node;
+      inTree.add(node);
+
+      if (parent[node] === null) {
+        step({ description: `${label(node)} starts the tree`, phase: 'visit' });
+      } else {
+        tree.push({ from: parent[node], to: node, weight: keys[node] });
+        weight += keys[node];
+        step({
+          description: `${label(node)} joins the tree by its cheapest edge ${label(parent[node])}–${label(node)} (${keys[node]}), popped from the top of the heap. Total: ${weight}`,
+          phase: 'visit'
+        });
+      }
+
+      for (const { node: neighbor, weight: edgeWeight } of this.adjacencyList.get(node) || []) {
+        if (inTree.has(neighbor)) continue;
+        exploring = { from: node, to: neighbor, weight: edgeWeight };
+        updated = undefined;
+
+        step({
+          description: `Checking edge ${label(node)}–${label(neighbor)} (${edgeWeight}) against ${label(neighbor)}'s key ${keys[neighbor] === Infinity ? '∞' : keys[neighbor]}`,
+          phase: 'explore'
+        });
+
+        if (edgeWeight < keys[neighbor]) {
+          const queued = pq.has({ node: neighbor });
+          const entry = { node: neighbor, dist: edgeWeight };
+          keys[neighbor] = edgeWeight;
+          parent[neighbor] = node;
+          updated = neighbor;
+
+          step({
+            // The entry in place before it sifts, as in Dijkstra
+            heap: queued ? pq.heap.map(e => e.node === neighbor ? entry : e) : [...pq.heap, entry],
+            description: queued
+              ? `${label(neighbor)}'s cheapest edge is now ${label(node)}–${label(neighbor)} (${edgeWeight}), decreasing its key in the heap`
+              : `${label(neighbor)} can join through ${label(node)}–${label(neighbor)} (${edgeWeight}), pushing it onto the heap`,
+            phase: 'update'
+          });
+
+          if (queued) pq.update(entry);
+          else pq.push(entry);
+        }
+      }
+    }
+
+    current = null;
+    exploring = null;
+    updated = undefined;
+    step({
+      description: tree.length === n - 1
+        ? `Minimum spanning tree: ${tree.length} edges, total weight ${weight}`
+        : `Only ${inTree.size} of ${n} nodes are reachable from ${label(startId)}: this is the minimum spanning tree of their component, total weight ${weight}`,
+      phase: 'done'
+    });
+
+    return { tree, weight };
+  }
+}
+
+export default Prim;
@@ -1,18 +1,25 @@
 /**
  * Quick Sort - Algorithm Implementation
  */
+import { seededRandom, randomSeed } from '../utils/helpers.js';
+
 export class QuickSort {
   constructor() {
     this.array = [];
     this.states = [];
     this.comparisons = 0;
     this.swaps = 0;
+    this.writes = 0;
+    this.seed = null; // Makes random pivots repeatable (e.g. for shared links)
+    this.random = null;
+    this.tags = []; // Original position of each element; swap() moves it with the element
   }
 
   reset() {
     this.states = [];
     this.comparisons = 0;
     this.swaps = 0;
+    this.writes = 0;
   }
 
   setArray(arr) {
@@ -31,28 +38,35 @@ export class QuickSort {
   generateStates(pivotStrategy = 'last') {
     this.reset();
     const arr = [...this.array];
+    this.tags = arr.map((_, i) => i);
     
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       pivot: null,
       comparing: [],
       sorted: [],
       partitioning: [],
       description: 'Starting Quick Sort',
       comparisons: 0,
-      swaps: 0
+      swaps: 0,
+      writes: 0
     });
 
+    this.random = seededRandom(this.seed ?? randomSeed());
     this.quickSort(arr, 0, arr.length - 1, pivotStrategy);
+    this.random = null;
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       pivot: null,
       comparing: [],
       sorted: arr.map((_, i) => i),
       description: 'Array is now sorted!',
       comparisons: this.comparisons,
-      swaps: this.swaps
+      swaps: this.swaps,
+      writes: this.writes
     });
 
     return this.states;
@@ -66,12 +80,14 @@ export class QuickSort {
     } else if (low === high) {
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         pivot: null,
         comparing: [],
         sorted: this.getSortedIndices(arr, low, high),
         description: `Element at ${low} is in place`,
         comparisons: this.comparisons,
-        swaps: this.swaps
+        swaps: this.swaps,
+        writes: this.writes
       });
     }
   }
@@ -80,25 +96,43 @@ export class QuickSort {
     // Select pivot based on strategy
     let pivotIndex = high;
     if (pivotStrategy === 'first') pivotIndex = low;
-    else if (pivotStrategy === 'random') pivotIndex = Math.floor(Math.random() * (high - low + 1)) + low;
-    else if (pivotStrategy === 'median') pivotIndex = this.medianOfThree(arr, low, high);
+    else if (pivotStrategy === 'random') pivotIndex = Math.floor(this.random() * (high - low + 1)) + low;
+    const range = Array.from({ length: high - low + 1 }, (_, i) => low + i);
+    // Two elements have no middle one to take, so the last is kept
+    if (pivotStrategy === 'median' && high - low > 1) pivotIndex = this.medianOfThree(arr, low, high, range);
     
     // Move pivot to end if not already there
     if (pivotIndex !== high) {
-      [arr[pivotIndex], arr[high]] = [arr[high], arr[pivotIndex]];
+      this.swap(arr, pivotIndex, high);
+      this.swaps++;
+      this.writes += 2;
+
+      this.states.push({
+        array: [...arr],
+        tags: [...this.tags],
+        pivot: high,
+        comparing: [],
+        swapping: [pivotIndex, high],
+        partitioning: range,
+        description: `Moved pivot ${arr[high]} to the end`,
+        comparisons: this.comparisons,
+        swaps: this.swaps,
+        writes: this.writes
+      });
     }
 
     const pivot = arr[high];
-    const range = Array.from({ length: high - low + 1 }, (_, i) => low + i);
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       pivot: high,
       comparing: [],
       partitioning: range,
       description: `Partitioning [${low}-${high}] with pivot ${pivot}`,
       comparisons: this.comparisons,
-      swaps: this.swaps
+      swaps: this.swaps,
+      writes: this.writes
     });
 
     let i = low - 1;
@@ -108,6 +142,7 @@ export class QuickSort {
 
       this.states.push({
         array: [...arr],
+        tags: [...this.tags],
         pivot: high,
         comparing: [j, high],
         i: i,
@@ -115,24 +150,28 @@ export class QuickSort {
         partitioning: range,
         description: `Comparing ${arr[j]} with pivot ${pivot}`,
         comparisons: this.comparisons,
-        swaps: this.swaps
+        swaps: this.swaps,
+        writes: this.writes
       });
 
       if (arr[j] < pivot) {
         i++;
         if (i !== j) {
-          [arr[i], arr[j]] = [arr[j], arr[i]];
+          this.swap(arr, i, j);
           this.swaps++;
+          this.writes += 2;
 
           this.states.push({
             array: [...arr],
+            tags: [...this.tags],
             pivot: high,
             comparing: [i, j],
             swapping: [i, j],
             partitioning: range,
             description: `Swapped ${arr[j]} and ${arr[i]}`,
             comparisons: this.comparisons,
-            swaps: this.swaps
+            swaps: this.swaps,
+            writes: this.writes
           });
         }
       }
@@ -141,31 +180,76 @@ export class QuickSort {
     // Place pivot in correct position
     const pivotPos = i + 1;
     if (pivotPos !== high) {
-      [arr[pivotPos], arr[high]] = [arr[high], arr[pivotPos]];
+      this.swap(arr, pivotPos, high);
       this.swaps++;
+      this.writes += 2;
     }
 
     this.states.push({
       array: [...arr],
+      tags: [...this.tags],
       pivot: pivotPos,
+      swapping: pivotPos !== high ? [pivotPos, high] : [],
       sorted: this.getSortedIndices(arr, low, pivotPos),
       partitioning: [],
       description: `Pivot ${pivot} placed at position ${pivotPos}`,
       comparisons: this.comparisons,
-      swaps: this.swaps
+      swaps: this.swaps,
+      writes: this.writes
     });
 
     return pivotPos;
   }
 
-  medianOfThree(arr, low, high) {
+  // Sort the first, middle and last elements in place; the middle one is the pivot
+  medianOfThree(arr, low, high, range) {
     const mid = Math.floor((low + high) / 2);
-    if (arr[low] > arr[mid]) [arr[low], arr[mid]] = [arr[mid], arr[low]];
-    if (arr[low] > arr[high]) [arr[low], arr[high]] = [arr[high], arr[low]];
-    if (arr[mid] > arr[high]) [arr[mid], arr[high]] = [arr[high], arr[mid]];
+    const order = (a, b) => {
+      this.comparisons++;
+
+      this.states.push({
+        array: [...arr],
+        tags: [...this.tags],
+        pivot: null,
+        comparing: [a, b],
+        partitioning: range,
+        description: `Median of three: comparing ${arr[a]} with ${arr[b]}`,
+        comparisons: this.comparisons,
+        swaps: this.swaps,
+        writes: this.writes
+      });
+
+      if (arr[a] > arr[b]) {
+        this.swap(arr, a, b);
+        this.swaps++;
+        this.writes += 2;
+
+        this.states.push({
+          array: [...arr],
+          tags: [...this.tags],
+          pivot: null,
+          comparing: [a, b],
+          swapping: [a, b],
+          partitioning: range,
+          description: `Median of three: swapped ${arr[b]} and ${arr[a]}`,
+          comparisons: this.comparisons,
+          swaps: this.swaps,
+          writes: this.writes
+        });
+      }
+    };
+    order(low, mid);
+    order(low, high);
+    order(mid, high);
     return mid;
   }
 
+  // Swap two elements, and their tags with them
+  swap(arr, a, b) {
+    [arr[a], arr[b]] = [arr[b], arr[a]];
+    [this.tags[a], this.tags[b]] = [this.tags[b], this.tags[a]];
+  }
+
   getSortedIndices(arr, low, high) {
     const sorted = [];
     const sortedArr = [...this.array].sort((a, b) => a - b);
@@ -0,0 +1,161 @@
+/**
+ * Radix Sort - Algorithm Implementation
+ * Base 10, least or most significant digit first
+ */
+export class RadixSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0; // Always 0: values are bucketed by digit, never compared
+    this.swaps = 0;
+    this.writes = 0; // Writes of each pass's output back into the array
+    this.sorted = null; // Positions an MSD run has finished
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    // Digits of a negative number would index buckets below 0
+    if (arr.some(value => !Number.isInteger(value) || value < 0)) {
+      throw new Error('Radix Sort only sorts whole numbers of 0 or more');
+    }
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  /**
+   * @param {string} order - 'lsd' (least significant digit first) or 'msd'
+   *   (most significant first, recursing into each bucket)
+   */
+  generateStates(order = 'lsd') {
+    this.reset();
+    const arr = [...this.array];
+    const max = Math.max(0, ...arr);
+
+    if (order === 'msd') {
+      let place = 1;
+      while (place * 10 <= max) place *= 10;
+      this.sorted = new Set();
+      this.record(arr, 'Starting Radix Sort (most significant digit first)', { aux: bucketLane(emptyBuckets()) });
+      this.msd(arr, 0, arr.length, place);
+      this.sorted = null;
+    } else {
+      this.record(arr, 'Starting Radix Sort (least significant digit first)', { aux: bucketLane(emptyBuckets()) });
+      for (let place = 1; Math.floor(max / place) > 0; place *= 10) {
+        this.distribute(arr, 0, arr.length, place);
+        this.record(arr, `Ordered by the ${placeName(place)} digit`, { place, aux: bucketLane(emptyBuckets()) });
+      }
+    }
+
+    this.record(arr, 'Array is now sorted!', { sorted: arr.map((_, i) => i), aux: bucketLane(emptyBuckets()) });
+    return this.states;
+  }
+
+  /**
+   * Sort arr[lo..hi) by one digit through ten buckets
+   * @returns {number[]} Where each bucket starts once written back
+   */
+  distribute(arr, lo, hi, place) {
+    const digitOf = (value) => Math.floor(value / place) % 10;
+    const buckets = emptyBuckets();
+    const fields = (extra) => ({ place, range: this.sorted ? [lo, hi - 1] : null, sorted: this.sortedIndices(), ...extra });
+
+    for (let i = lo; i < hi; i++) {
+      const value = arr[i];
+      const digit = digitOf(value);
+      buckets[digit].push(value);
+      this.record(arr, `${value} has ${digit} in the ${placeName(place)} place`, fields({
+        comparing: [i],
+        aux: bucketLane(buckets, [digit]),
+        move: { value, from: { lane: 'array', index: i }, to: { lane: 'buckets', index: digit, depth: buckets[digit].length - 1 } }
+      }));
+    }
+
+    // Collecting the buckets in order keeps the pass stable
+    const starts = [];
+    let k = lo;
+    buckets.forEach((bucket, digit) => {
+      starts[digit] = k;
+      while (bucket.length) {
+        const value = bucket.shift();
+        arr[k] = value;
+        this.writes++;
+        this.record(arr, `Wrote ${value} from bucket ${digit} at position ${k}`, fields({
+          swapping: [k],
+          aux: bucketLane(buckets, [digit]),
+          move: { value, from: { lane: 'buckets', index: digit, depth: 0 }, to: { lane: 'array', index: k } }
+        }));
+        k++;
+      }
+    });
+    starts[10] = hi;
+    return starts;
+  }
+
+  msd(arr, lo, hi, place) {
+    if (hi - lo <= 1 || place < 1) {
+      for (let i = lo; i < hi; i++) this.sorted.add(i);
+      if (hi - lo > 1) {
+        this.record(arr, `[${lo}-${hi - 1}] share every digit, so they are in place`, { sorted: this.sortedIndices(), aux: bucketLane(emptyBuckets()) });
+      }
+      return;
+    }
+
+    const starts = this.distribute(arr, lo, hi, place);
+    this.record(arr, `Ordered [${lo}-${hi - 1}] by the ${placeName(place)} digit`, {
+      place, range: [lo, hi - 1], sorted: this.sortedIndices(), aux: bucketLane(emptyBuckets())
+    });
+    for (let digit = 0; digit < 10; digit++) {
+      if (starts[digit + 1] > starts[digit]) this.msd(arr, starts[digit], starts[digit + 1], place / 10);
+    }
+  }
+
+  sortedIndices() {
+    return this.sorted ? [...this.sorted] : [];
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      place: null,
+      range: null,
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+function emptyBuckets() {
+  return Array.from({ length: 10 }, () => []);
+}
+
+function bucketLane(buckets, active = []) {
+  return [{
+    id: 'buckets', label: 'digit', buckets: true,
+    values: buckets.map(bucket => [...bucket]), labels: buckets.map((_, digit) => digit), active
+  }];
+}
+
+function placeName(place) {
+  return { 1: 'ones', 10: 'tens', 100: 'hundreds', 1000: 'thousands' }[place] || `${place}s`;
+}
+
+export default RadixSort;
@@ -0,0 +1,82 @@
+/**
+ * Selection Sort - Algorithm Implementation
+ */
+export class SelectionSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  generateStates() {
+    this.reset();
+    const arr = [...this.array];
+    const n = arr.length;
+    const prefix = (end) => Array.from({ length: end }, (_, i) => i);
+
+    this.record(arr, 'Starting Selection Sort');
+
+    for (let i = 0; i < n - 1; i++) {
+      let min = i;
+      this.record(arr, `Looking for the smallest element from position ${i}`, { minimum: min, sorted: prefix(i) });
+
+      for (let j = i + 1; j < n; j++) {
+        this.comparisons++;
+        this.record(arr, `Comparing ${arr[j]} with the minimum ${arr[min]}`, { comparing: [min, j], minimum: min, sorted: prefix(i) });
+        if (arr[j] < arr[min]) {
+          min = j;
+          this.record(arr, `New minimum ${arr[min]}`, { minimum: min, sorted: prefix(i) });
+        }
+      }
+
+      if (min !== i) {
+        [arr[i], arr[min]] = [arr[min], arr[i]];
+        this.swaps++;
+        this.writes += 2;
+        this.record(arr, `Swapped ${arr[i]} into position ${i}`, { swapping: [i, min], sorted: prefix(i) });
+      }
+      this.record(arr, `${arr[i]} is in place`, { sorted: prefix(i + 1) });
+    }
+
+    this.record(arr, 'Array is now sorted!', { sorted: prefix(n) });
+    return this.states;
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      minimum: null,
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default SelectionSort;
@@ -0,0 +1,98 @@
+/**
+ * Shell Sort - Algorithm Implementation
+ */
+export class ShellSort {
+  constructor() {
+    this.array = [];
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0; // Always 0: elements are shifted, not swapped
+    this.writes = 0; // Shifts plus the final placement of each element
+  }
+
+  reset() {
+    this.states = [];
+    this.comparisons = 0;
+    this.swaps = 0;
+    this.writes = 0;
+  }
+
+  setArray(arr) {
+    this.array = [...arr];
+    this.reset();
+  }
+
+  generateRandomArray(size = 20, min = 10, max = 100) {
+    this.array = Array.from({ length: size }, () =>
+      Math.floor(Math.random() * (max - min + 1)) + min
+    );
+    this.reset();
+    return this.array;
+  }
+
+  /**
+   * @param {string} gapSequence - 'shell' (n/2, n/4, ..., 1) or 'knuth' (1, 4, 13, 40, ...)
+   */
+  generateStates(gapSequence = 'shell') {
+    this.reset();
+    const arr = [...this.array];
+    const gaps = this.getGaps(arr.length, gapSequence);
+
+    this.record(arr, `Starting Shell Sort with gaps ${gaps.join(', ')}`);
+
+    gaps.forEach(gap => {
+      this.record(arr, `Insertion sort on elements ${gap} apart`, { gap });
+
+      for (let i = gap; i < arr.length; i++) {
+        const value = arr[i];
+        let j = i;
+
+        while (j >= gap) {
+          this.comparisons++;
+          this.record(arr, `Comparing ${arr[j - gap]} with ${value} (gap ${gap})`, { comparing: [j - gap, j], gap });
+          if (arr[j - gap] <= value) break;
+
+          arr[j] = arr[j - gap];
+          arr[j - gap] = value; // Keeps the moving element visible
+          this.writes++;
+          this.record(arr, `Shifted ${arr[j]} right by ${gap}`, { swapping: [j - gap, j], gap });
+          j -= gap;
+        }
+
+        if (j !== i) {
+          this.writes++;
+          this.record(arr, `Placed ${value} at position ${j}`, { gap });
+        }
+      }
+    });
+
+    this.record(arr, 'Array is now sorted!', { sorted: arr.map((_, i) => i) });
+    return this.states;
+  }
+
+  getGaps(n, gapSequence) {
+    const gaps = [];
+    if (gapSequence === 'knuth') {
+      for (let gap = 1; gap < n; gap = gap * 3 + 1) gaps.unshift(gap);
+    } else {
+      for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) gaps.push(gap);
+    }
+    return gaps.length ? gaps : [1];
+  }
+
+  record(arr, description, fields = {}) {
+    this.states.push({
+      array: [...arr],
+      comparing: [],
+      sorted: [],
+      gap: null,
+      ...fields,
+      description,
+      comparisons: this.comparisons,
+      swaps: this.swaps,
+      writes: this.writes
+    });
+  }
+}
+
+export default ShellSort;
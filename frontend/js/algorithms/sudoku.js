@@ -1,10 +1,12 @@
 /**
  * Sudoku Solver - Algorithm Implementation
  */
+import { StepStore } from '../utils/store.js';
+
 export class SudokuSolver {
   constructor() {
     this.grid = this.getEmptyGrid();
-    this.states = [];
+    this.states = new StepStore();
     this.original = [];
   }
 
@@ -13,7 +15,7 @@ export class SudokuSolver {
   }
 
   reset() {
-    this.states = [];
+    this.states = new StepStore();
   }
 
   setGrid(grid) {
@@ -56,69 +58,85 @@ export class SudokuSolver {
 
   solve() {
     this.reset();
+    const steps = this.solveSteps();
+    let result = steps.next();
+    while (!result.done) {
+      this.states.push(result.value);
+      result = steps.next();
+    }
+    return result.value;
+  }
+
+  /**
+   * Yield solver steps one at a time. Steps reference the live working
+   * grid, so consumers must copy each one before pulling the next
+   * (StepStore and the animator's lazy StepStream both do).
+   * @returns {Generator<Object, boolean>} Returns whether a solution exists
+   */
+  *solveSteps() {
     const grid = this.grid.map(row => [...row]);
-    
-    this.states.push({
-      grid: grid.map(row => [...row]),
+
+    yield {
+      grid,
       current: null,
       trying: null,
       description: 'Starting Sudoku solver'
-    });
+    };
 
-    const solved = this.solveRecursive(grid);
+    const solved = yield* this.solveRecursive(grid);
 
     if (solved) {
-      this.states.push({
-        grid: grid.map(row => [...row]),
+      yield {
+        grid,
         solved: true,
         description: 'Puzzle solved!'
-      });
+      };
       this.grid = grid;
     } else {
-      this.states.push({
-        grid: grid.map(row => [...row]),
+      yield {
+        grid,
         description: 'No solution exists'
-      });
+      };
     }
 
     return solved;
   }
 
-  solveRecursive(grid) {
+  *solveRecursive(grid) {
     const empty = this.findEmpty(grid);
     if (!empty) return true;
 
     const { row, col } = empty;
 
     for (let num = 1; num <= 9; num++) {
-      this.states.push({
-        grid: grid.map(r => [...r]),
+      yield {
+        grid,
         current: { row, col },
         trying: num,
         description: `Trying ${num} at (${row + 1}, ${col + 1})`
-      });
+      };
 
       if (this.isValid(grid, row, col, num)) {
         grid[row][col] = num;
 
-        this.states.push({
-          grid: grid.map(r => [...r]),
+        yield {
+          grid,
           current: { row, col },
           placed: num,
           valid: true,
           description: `Placed ${num} at (${row + 1}, ${col + 1})`
-        });
+        };
 
-        if (this.solveRecursive(grid)) return true;
+        if (yield* this.solveRecursive(grid)) return true;
 
         // Backtrack
         grid[row][col] = 0;
-        this.states.push({
-          grid: grid.map(r => [...r]),
+        yield {
+          grid,
           current: { row, col },
           backtrack: true,
           description: `Backtracking from (${row + 1}, ${col + 1})`
-        });
+        };
       }
     }
 
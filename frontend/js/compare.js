@@ -0,0 +1,456 @@
+/**
+ * DSA Algorithm Visualizer - Comparison Page
+ * Two visualizers side by side on identical input, driven by one master
+ * AnimationController
+ *
+ * Each side is algorithm.html embedded with `?embed=1`, which hands this
+ * page its VisualizerShell once loaded. Inputs are copied from one side to
+ * the other through the descriptors' `problem` keys and serialize() /
+ * restore(). Every tick of the master moves both sides: to the same step
+ * index, or to the same fraction of their runs.
+ */
+import { getAlgorithm, getAlgorithms, getCategoryLabel, loadPlugins } from './registry.js';
+import { AnimationController } from './utils/animator.js';
+import { readLink, writeLink } from './utils/link.js';
+import { debounce } from './utils/helpers.js';
+
+const PRESETS = [
+  { label: 'Merge Sort vs Quick Sort', panes: [{ id: 'merge-sort' }, { id: 'quick-sort' }] },
+  {
+    label: 'Dijkstra vs A* (same grid)',
+    panes: [{ id: 'a-star', params: { heuristic: 'none' } }, { id: 'a-star', params: { heuristic: 'manhattan' } }]
+  },
+  {
+    // Bellman-Ford's sample graph, which has a negative edge
+    label: 'Dijkstra vs Bellman-Ford (negative edge)',
+    panes: [
+      {
+        id: 'dijkstra',
+        params: {
+          nodes: '100.200_250.100_250.300_400.100_400.300_550.200',
+          edges: '3.5.4_4.5.3_2.4.3_2.3.6_1.3.3_1.2.-4_0.2.2_0.1.5',
+          directed: 'directed'
+        }
+      },
+      { id: 'bellman-ford' }
+    ]
+  },
+  {
+    // Kruskal's sample graph, where a find compresses a path
+    label: 'Prim vs Kruskal (same graph)',
+    panes: [
+      {
+        id: 'prim',
+        params: {
+          nodes: '100.200_250.100_250.300_400.100_400.300_550.200',
+          edges: '0.1.7_0.2.6_1.2.1_1.3.3_2.3.4_2.4.8_3.4.2_3.5.9_4.5.5'
+        }
+      },
+      { id: 'kruskal' }
+    ]
+  },
+  {
+    label: 'BFS vs DFS',
+    panes: [{ id: 'graph-traversal', params: { algorithm: 'bfs' } }, { id: 'graph-traversal', params: { algorithm: 'dfs' } }]
+  },
+  {
+    label: 'Quick Sort: last vs median-of-three pivot',
+    panes: [{ id: 'quick-sort', params: { pivot: 'last' } }, { id: 'quick-sort', params: { pivot: 'median' } }]
+  }
+];
+
+const SIDES = ['left', 'right'];
+
+// Running counters, read from whichever of these fields a visualizer's steps carry
+const COUNTERS = [
+  { label: 'Comparisons', value: state => state?.comparisons },
+  { label: 'Swaps', value: state => state?.swaps },
+  { label: 'Visited', value: state => sizeOf(state?.visited ?? state?.closedSet ?? state?.order) }
+];
+
+const master = new AnimationController();
+const panes = SIDES.map((side, index) => ({ side, index, id: null, title: '', shell: null }));
+let syncMode = 'step';
+let source = 0; // Side whose input both sides run on
+let playWhenReady = false;
+let elements = {};
+
+const saveLink = debounce(writePageLink, 300);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  initElements();
+  await loadPlugins();
+  renderOptions();
+  setupMaster();
+  bindEvents();
+  window.addEventListener('message', onPaneMessage);
+  restoreLink();
+});
+
+function initElements() {
+  const byId = (id) => document.getElementById(id);
+  elements = {
+    preset: byId('compare-preset'),
+    selects: [byId('compare-left'), byId('compare-right')],
+    source: byId('compare-source'),
+    sync: byId('compare-sync'),
+    run: byId('compare-run'),
+    reset: byId('compare-reset'),
+    stepBack: byId('compare-step-back'),
+    play: byId('compare-play'),
+    stepForward: byId('compare-step-forward'),
+    scrubber: byId('compare-scrubber'),
+    step: byId('compare-step'),
+    speed: byId('compare-speed'),
+    speedLabel: byId('compare-speed-label'),
+    status: byId('compare-status'),
+    titles: [byId('pane-title-0'), byId('pane-title-1')],
+    counters: [byId('pane-counters-0'), byId('pane-counters-1')],
+    frames: [byId('pane-frame-0'), byId('pane-frame-1')]
+  };
+}
+
+function renderOptions() {
+  elements.preset.innerHTML += PRESETS.map((preset, i) => `<option value="${i}">${preset.label}</option>`).join('');
+
+  const groups = new Map();
+  getAlgorithms().forEach(algo => {
+    if (!groups.has(algo.category)) groups.set(algo.category, []);
+    groups.get(algo.category).push(algo);
+  });
+  const options = [...groups].map(([category, algos]) => `
+    <optgroup label="${getCategoryLabel(category)}">
+      ${algos.map(algo => `<option value="${algo.id}">${algo.title}</option>`).join('')}
+    </optgroup>`).join('');
+  elements.selects.forEach(select => { select.innerHTML = options; });
+}
+
+function setupMaster() {
+  master.onStepChange = (ticks) => {
+    if (!ticks) return;
+    panes.forEach((pane, k) => pane.shell.animator.goToStep(ticks[k]));
+    updateCounters();
+    saveLink();
+  };
+  // Tween sides that move by exactly one step this tick
+  master.onProgress = (progress) => {
+    const from = master.getCurrentState();
+    const to = master.getNextState();
+    if (!from || !to) return;
+    panes.forEach((pane, k) => {
+      if (!pane.shell.descriptor.tween || to[k] !== from[k] + 1) return;
+      pane.shell.animator.stepProgress = progress;
+      pane.shell.render();
+    });
+  };
+  master.onStateChange = updateBar;
+  master.onComplete = () => setStatus(describeResult());
+}
+
+function bindEvents() {
+  elements.preset.addEventListener('change', () => {
+    const preset = PRESETS[elements.preset.value];
+    elements.preset.value = '';
+    if (preset) preset.panes.forEach((spec, k) => loadPane(panes[k], spec.id, spec.params));
+  });
+  elements.selects.forEach((select, k) => {
+    select.addEventListener('change', () => loadPane(panes[k], select.value));
+  });
+  elements.source.addEventListener('change', () => {
+    source = parseInt(elements.source.value);
+    if (panes.every(pane => pane.shell)) shareInput();
+    saveLink();
+  });
+  elements.sync.addEventListener('change', () => {
+    syncMode = elements.sync.value;
+    rebuild(true);
+    saveLink();
+  });
+  elements.run.addEventListener('click', runBoth);
+  elements.play.addEventListener('click', () => master.toggle());
+  elements.reset.addEventListener('click', () => {
+    master.pause();
+    master.reset();
+  });
+  elements.stepBack.addEventListener('click', () => {
+    master.pause();
+    master.stepBackward();
+  });
+  elements.stepForward.addEventListener('click', () => {
+    master.pause();
+    master.stepForward();
+  });
+  elements.scrubber.addEventListener('input', () => {
+    const tick = parseInt(elements.scrubber.value);
+    master.pause();
+    master.goToStep(tick);
+  });
+  elements.speed.addEventListener('input', () => {
+    master.setSpeed(parseFloat(elements.speed.value));
+    elements.speedLabel.textContent = `${master.speed.toFixed(2)}x`;
+  });
+}
+
+/**
+ * Load the sides from the page URL: `left` and `right` are visualizer ids,
+ * `left.<param>` / `right.<param>` are passed on to that side as its own
+ * link parameters (see utils/link.js)
+ */
+function restoreLink() {
+  const params = readLink();
+  const fallback = PRESETS[0].panes;
+  if (params.get('sync') === 'progress') syncMode = 'progress';
+  if (params.get('source') === 'right') source = 1;
+  elements.sync.value = syncMode;
+  elements.source.value = String(source);
+
+  panes.forEach((pane, k) => {
+    const id = params.get(pane.side);
+    const spec = getAlgorithm(id) ? { id, params: {} } : { ...fallback[k] };
+    const prefix = `${pane.side}.`;
+    params.forEach((value, key) => {
+      if (key.startsWith(prefix)) spec.params = { ...spec.params, [key.slice(prefix.length)]: value };
+    });
+    loadPane(pane, spec.id, spec.params);
+  });
+}
+
+function writePageLink() {
+  const values = { sync: syncMode === 'progress' ? syncMode : null, source: source ? 'right' : null };
+  panes.forEach(pane => {
+    values[pane.side] = pane.id;
+    const serialize = pane.shell?.descriptor.serialize;
+    if (!serialize) return;
+    Object.entries(serialize()).forEach(([key, value]) => { values[`${pane.side}.${key}`] = value; });
+  });
+  writeLink(values);
+}
+
+/**
+ * Embed a visualizer on one side
+ * @param {Object} pane - Side to load
+ * @param {string} id - Registry id
+ * @param {Object} params - Link parameters for the visualizer
+ */
+function loadPane(pane, id, params = {}) {
+  const entry = getAlgorithm(id);
+  pane.id = id;
+  pane.shell = null;
+  pane.title = entry ? entry.title : id;
+  elements.selects[pane.index].value = id;
+  updateTitles();
+
+  const query = new URLSearchParams();
+  readLink().getAll('plugin').forEach(url => query.append('plugin', url));
+  query.set('embed', '1');
+  Object.entries(params).forEach(([key, value]) => query.set(key, value));
+  elements.frames[pane.index].src = `algorithm.html?${query}#${id}`;
+  rebuild();
+}
+
+function onPaneMessage({ source: frame, data }) {
+  const pane = panes.find(p => elements.frames[p.index].contentWindow === frame);
+  if (!pane || !data) return;
+
+  if (data.type === 'visualizer-error') {
+    setStatus(`${pane.title} could not be loaded: ${data.message}`);
+  } else if (data.type === 'visualizer-ready') {
+    const shell = frame.visualizerShell;
+    if (!shell) {
+      setStatus(`${pane.title} doesn't use the visualizer shell, so it can't be compared`);
+      return;
+    }
+    pane.shell = shell;
+    shell.onRunChange = () => {
+      if (pane.shell !== shell) return;
+      updateTitles();
+      updateCounters();
+      rebuild();
+      saveLink();
+    };
+    if (panes.every(p => p.shell)) shareInput();
+    updateTitles();
+    rebuild();
+  }
+}
+
+/**
+ * Title each side; two copies of one visualizer are told apart by the
+ * options they differ in, e.g. "A* Pathfinding (heuristic: none)"
+ */
+function updateTitles() {
+  const [a, b] = panes;
+  const sameVisualizer = a.id === b.id && a.shell && b.shell && a.shell.descriptor.serialize;
+  const options = panes.map(pane => sameVisualizer ? pane.shell.descriptor.serialize() : {});
+  const shared = a.shell?.descriptor.problem?.keys || [];
+  panes.forEach((pane, k) => {
+    const differences = Object.entries(options[k])
+      .filter(([key, value]) => !shared.includes(key) && value !== null && value !== options[1 - k][key])
+      .map(([key, value]) => `${key}: ${value}`);
+    elements.titles[pane.index].textContent = differences.length ? `${pane.title} (${differences.join(', ')})` : pane.title;
+  });
+}
+
+/**
+ * Copy the problem instance (array, grid, graph, ...) from the source side
+ * into the other one, which keeps its own options (pivot, heuristic, ...)
+ * @returns {boolean} Whether both sides now run on the same input
+ */
+function shareInput() {
+  const from = panes[source];
+  const to = panes[1 - source];
+  const a = from.shell.descriptor;
+  const b = to.shell.descriptor;
+  const titles = [from.title, to.title];
+
+  if (!a.problem || !b.problem || !a.serialize || !b.restore) {
+    setStatus(`${titles[a.problem && a.serialize ? 1 : 0]} doesn't describe its input, so each side keeps its own`);
+    return false;
+  }
+  if (a.problem.kind !== b.problem.kind) {
+    setStatus(`${titles[0]} runs on ${withArticle(a.problem.kind)} and ${titles[1]} on ${withArticle(b.problem.kind)}, so each side keeps its own input`);
+    return false;
+  }
+
+  const values = a.serialize();
+  const params = toParams(b.serialize());
+  a.problem.keys.forEach(key => {
+    const value = values[key];
+    if (value === null || value === undefined || value === '') params.delete(key);
+    else params.set(key, value);
+  });
+  to.shell.animator.pause();
+  b.restore(params);
+  setStatus(`Both sides run on the same ${a.problem.kind}`);
+  return true;
+}
+
+function runBoth() {
+  if (!panes.every(pane => pane.shell)) return;
+  master.pause();
+  shareInput();
+  playWhenReady = true;
+  panes.forEach(pane => {
+    pane.shell.animator.pause();
+    if (pane.shell.descriptor.run) pane.shell.descriptor.run();
+  });
+  rebuild();
+}
+
+/**
+ * Lay out the master's ticks once both sides have their runs. Each tick
+ * holds the step index of every side.
+ * @param {boolean} keepPosition - Stay on the current tick (e.g. when only
+ *   the sync mode changed)
+ */
+function rebuild(keepPosition = false) {
+  const loading = panes.some(pane => !pane.shell);
+  const generating = panes.some(pane => pane.shell?.job && !pane.shell.job.ready);
+  if (loading || generating) {
+    master.pause();
+    master.setSteps([]);
+    updateBar();
+    if (generating) setStatus('Generating steps…');
+    return;
+  }
+
+  const totals = panes.map(pane => pane.shell.animator.totalSteps);
+  const length = Math.max(...totals);
+  const position = master.currentStep;
+  master.stepDuration = Math.min(...panes.map(pane => pane.shell.descriptor.stepDuration || 500));
+  master.setSteps(Array.from({ length }, (_, tick) => totals.map(total => paneStep(tick, length, total))));
+  master.goToStep(keepPosition ? position : 0);
+
+  const streaming = panes.find(pane => !pane.shell.animator.isTotalKnown());
+  if (streaming) {
+    setStatus(`${streaming.title}'s run is too long to compare in full; comparing its first ${streaming.shell.animator.totalSteps.toLocaleString()} steps`);
+  } else if (length > 1 && !keepPosition) {
+    setStatus(describeResult());
+  }
+  if (playWhenReady && length > 1) master.play();
+  playWhenReady = false;
+}
+
+/**
+ * @param {number} tick - Master step index
+ * @param {number} length - Number of master ticks
+ * @param {number} total - Steps in the side's run
+ * @returns {number} The side's step at that tick
+ */
+function paneStep(tick, length, total) {
+  if (syncMode === 'progress') {
+    return length > 1 ? Math.round(tick / (length - 1) * (total - 1)) : 0;
+  }
+  return Math.min(tick, total - 1);
+}
+
+/**
+ * @returns {string} Each side's run length and final counters
+ */
+function describeResult() {
+  return panes.map(pane => {
+    const { animator } = pane.shell;
+    const last = animator.getStateAt(animator.totalSteps - 1);
+    const counts = COUNTERS
+      .map(counter => [counter.label.toLowerCase(), counter.value(last)])
+      .filter(([, value]) => value !== undefined)
+      .map(([label, value]) => `${value.toLocaleString()} ${label}`);
+    return `${elements.titles[pane.index].textContent}: ${[`${animator.totalSteps.toLocaleString()} steps`, ...counts].join(', ')}`;
+  }).join(' · ');
+}
+
+function updateCounters() {
+  const states = panes.map(pane => pane.shell?.animator.getCurrentState() ?? null);
+  const counters = COUNTERS.filter(counter => states.some(state => counter.value(state) !== undefined));
+
+  panes.forEach((pane, k) => {
+    const rows = counters.map(counter => {
+      const value = counter.value(states[k]);
+      const other = counter.value(states[1 - k]);
+      const leading = value !== undefined && other !== undefined && value < other;
+      return counterHTML(counter.label, value ?? '–', leading);
+    });
+    const animator = pane.shell?.animator;
+    rows.push(counterHTML('Step', animator ? `${animator.currentStep + 1}/${animator.totalSteps}` : '–'));
+    elements.counters[k].innerHTML = rows.join('');
+  });
+}
+
+function counterHTML(label, value, leading = false) {
+  return `
+    <div class="compare-counter">
+      <span>${label}:</span>
+      <span class="compare-counter-value${leading ? ' leading' : ''}">${value}</span>
+    </div>`;
+}
+
+function updateBar() {
+  const { isPlaying, currentStep, totalSteps } = master;
+  elements.play.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
+  elements.play.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
+  elements.scrubber.max = Math.max(0, totalSteps - 1);
+  elements.scrubber.value = currentStep;
+  elements.step.textContent = totalSteps ? `${currentStep + 1}/${totalSteps}` : '0/0';
+}
+
+function setStatus(text) {
+  elements.status.textContent = text;
+}
+
+// Size of a Set, Map or array from either window (instanceof fails across frames)
+function sizeOf(collection) {
+  if (!collection) return undefined;
+  return collection.size ?? collection.length;
+}
+
+function withArticle(noun) {
+  return `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+function toParams(values) {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') params.set(key, value);
+  });
+  return params;
+}
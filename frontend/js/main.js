@@ -2,115 +2,15 @@
  * DSA Algorithm Visualizer - Main Application
  */
 
-// Algorithm data
-const algorithms = [
-  {
-    id: 'tower-of-hanoi',
-    title: 'Tower of Hanoi',
-    description: 'Classic recursive puzzle - move all disks from one peg to another following simple rules.',
-    category: 'backtracking',
-    timeComplexity: 'O(2ⁿ)',
-    spaceComplexity: 'O(n)',
-    icon: '🗼'
-  },
-  {
-    id: 'n-queens',
-    title: 'N-Queens Problem',
-    description: 'Place N queens on an N×N chessboard so no two queens threaten each other.',
-    category: 'backtracking',
-    timeComplexity: 'O(N!)',
-    spaceComplexity: 'O(N)',
-    icon: '♛'
-  },
-  {
-    id: 'merge-sort',
-    title: 'Merge Sort',
-    description: 'Efficient divide-and-conquer sorting algorithm that splits and merges arrays.',
-    category: 'sorting',
-    timeComplexity: 'O(n log n)',
-    spaceComplexity: 'O(n)',
-    icon: '📊'
-  },
-  {
-    id: 'quick-sort',
-    title: 'Quick Sort',
-    description: 'Fast in-place sorting using pivot selection and partitioning.',
-    category: 'sorting',
-    timeComplexity: 'O(n log n)',
-    spaceComplexity: 'O(log n)',
-    icon: '⚡'
-  },
-  {
-    id: 'dijkstra',
-    title: "Dijkstra's Algorithm",
-    description: 'Find the shortest path between nodes in a weighted graph.',
-    category: 'pathfinding',
-    timeComplexity: 'O((V+E) log V)',
-    spaceComplexity: 'O(V)',
-    icon: '🗺️'
-  },
-  {
-    id: 'a-star',
-    title: 'A* Pathfinding',
-    description: 'Intelligent pathfinding using heuristics to find optimal paths faster.',
-    category: 'pathfinding',
-    timeComplexity: 'O(E)',
-    spaceComplexity: 'O(V)',
-    icon: '🎯'
-  },
-  {
-    id: 'bst',
-    title: 'Binary Search Tree',
-    description: 'Visualize insert, search, and traversal operations on a BST.',
-    category: 'trees',
-    timeComplexity: 'O(log n)',
-    spaceComplexity: 'O(n)',
-    icon: '🌳'
-  },
-  {
-    id: 'sudoku',
-    title: 'Sudoku Solver',
-    description: 'Watch backtracking solve Sudoku puzzles step by step.',
-    category: 'backtracking',
-    timeComplexity: 'O(9^m)',
-    spaceComplexity: 'O(m)',
-    icon: '🔢'
-  },
-  {
-    id: 'kmp',
-    title: 'KMP String Matching',
-    description: 'Efficient pattern matching using the Knuth-Morris-Pratt algorithm.',
-    category: 'strings',
-    timeComplexity: 'O(n + m)',
-    spaceComplexity: 'O(m)',
-    icon: '🔍'
-  },
-  {
-    id: 'graph-traversal',
-    title: 'Graph Traversal (BFS/DFS)',
-    description: 'Explore graphs using Breadth-First and Depth-First Search algorithms.',
-    category: 'pathfinding',
-    timeComplexity: 'O(V + E)',
-    spaceComplexity: 'O(V)',
-    icon: '🕸️'
-  },
-  {
-    id: 'lcs',
-    title: 'Longest Common Subsequence',
-    description: 'Find the longest subsequence common to two strings using dynamic programming.',
-    category: 'dynamic',
-    timeComplexity: 'O(m × n)',
-    spaceComplexity: 'O(m × n)',
-    icon: '📝'
-  }
-];
+import { getAlgorithms, getCategoryLabel, loadPlugins } from './registry.js';
 
 // DOM Elements
 let algorithmGrid, searchInput, filterBtns, heroCanvas;
 
 // Initialize application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   initElements();
+  await loadPlugins();
   renderAlgorithmCards();
   initHeroAnimation();
   initNavbar();
@@ -128,7 +28,7 @@ function initElements() {
 
 // Render algorithm cards
 function renderAlgorithmCards(filter = 'all', search = '') {
-  const filtered = algorithms.filter(algo => {
+  const filtered = getAlgorithms().filter(algo => {
     const matchesFilter = filter === 'all' || algo.category === filter;
     const matchesSearch = algo.title.toLowerCase().includes(search.toLowerCase()) ||
                          algo.description.toLowerCase().includes(search.toLowerCase());
@@ -136,7 +36,7 @@ function renderAlgorithmCards(filter = 'all', search = '') {
   });
 
   algorithmGrid.innerHTML = filtered.map((algo, index) => `
-    <a href="algorithm.html#${algo.id}" class="algo-card animate-fade-in-up" style="animation-delay: ${index * 50}ms">
+    <a href="algorithm.html${window.location.search}#${algo.id}" class="algo-card animate-fade-in-up" style="animation-delay: ${index * 50}ms">
       <div class="algo-card-preview">
         <span style="font-size: 4rem;">${algo.icon}</span>
       </div>
@@ -161,19 +61,6 @@ function renderAlgorithmCards(filter = 'all', search = '') {
   `).join('');
 }
 
-// Get category label
-function getCategoryLabel(category) {
-  const labels = {
-    sorting: '📊 Sorting',
-    pathfinding: '🗺️ Pathfinding',
-    backtracking: '🔄 Backtracking',
-    dynamic: '📈 Dynamic Programming',
-    trees: '🌳 Trees',
-    strings: '🔍 Strings'
-  };
-  return labels[category] || category;
-}
-
 // Initialize navbar scroll effect
 function initNavbar() {
   const navbar = document.getElementById('navbar');
@@ -0,0 +1,313 @@
+/**
+ * DSA Algorithm Visualizer - Race Page
+ * Every sorting run registered for the race (see the registry's `race`
+ * field) sorts the same array in its own small canvas. One
+ * AnimationController is the shared clock: each tick moves every racer one
+ * step, so runs with fewer steps finish first. The leaderboard ranks the
+ * finishers by comparisons, writes or steps.
+ */
+import { getAlgorithms, loadPlugins } from './registry.js';
+import { AnimationController } from './utils/animator.js';
+import { resolveSteps } from './utils/worker.js';
+import { readLink, writeLink, decodeList, encodeList } from './utils/link.js';
+import { randomSeed, deepClone, debounce } from './utils/helpers.js';
+import { DISTRIBUTIONS, generateArray } from './utils/distributions.js';
+
+const MIN_VALUE = 5;
+const MAX_VALUE = 100;
+
+const METRICS = {
+  comparisons: state => state.comparisons ?? 0,
+  writes: state => state.writes ?? 0,
+  steps: (state, racer) => racer.steps.length
+};
+
+const colors = {
+  bar: '#3b82f6',
+  comparing: '#f59e0b',
+  swapping: '#ef4444',
+  sorted: '#10b981'
+};
+
+const clock = new AnimationController();
+clock.stepDuration = 40;
+
+let racers = []; // { label, entry, method, args, enabled, steps, canvas, ctx, ... }
+let array = [];
+let preset = 'random';
+let size = 40;
+let seed = randomSeed();
+let rank = 'comparisons';
+let elements = {};
+
+const saveLink = debounce(writePageLink, 300);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  initElements();
+  await loadPlugins();
+  collectRacers();
+  restoreLink();
+  renderControls();
+  bindEvents();
+  setupClock();
+  startLine();
+  window.addEventListener('resize', () => racers.forEach(racer => racer.enabled && resizeTile(racer)));
+});
+
+function initElements() {
+  const byId = (id) => document.getElementById(id);
+  elements = {
+    preset: byId('race-preset'),
+    size: byId('race-size'),
+    sizeLabel: byId('race-size-label'),
+    shuffle: byId('race-shuffle'),
+    racers: byId('race-racers'),
+    reset: byId('race-reset'),
+    play: byId('race-play'),
+    step: byId('race-step'),
+    clock: byId('race-clock'),
+    speed: byId('race-speed'),
+    speedLabel: byId('race-speed-label'),
+    rank: byId('race-rank'),
+    grid: byId('race-grid'),
+    leaderboard: byId('race-leaderboard')
+  };
+}
+
+function collectRacers() {
+  racers = getAlgorithms().flatMap(entry => (entry.race || []).map(run => ({
+    label: run.label || entry.title,
+    entry,
+    method: run.method || 'generateStates',
+    args: run.args || [],
+    enabled: true,
+    steps: []
+  })));
+}
+
+/**
+ * Page URL: `preset`, `size`, `seed`, `rank` and, when not every racer
+ * runs, `racers` as the indices of those that do
+ */
+function restoreLink() {
+  const params = readLink();
+  if (DISTRIBUTIONS[params.get('preset')]) preset = params.get('preset');
+  const linkedSize = parseInt(params.get('size'));
+  if (linkedSize >= 10 && linkedSize <= 100) size = linkedSize;
+  const linkedSeed = parseInt(params.get('seed'));
+  if (linkedSeed > 0) seed = linkedSeed;
+  if (METRICS[params.get('rank')]) rank = params.get('rank');
+  const enabled = decodeList(params.get('racers'));
+  if (enabled?.length) racers.forEach((racer, i) => { racer.enabled = enabled.includes(i); });
+}
+
+function writePageLink() {
+  const enabled = racers.flatMap((racer, i) => racer.enabled ? [i] : []);
+  writeLink({
+    preset,
+    size,
+    seed,
+    rank,
+    racers: enabled.length < racers.length ? encodeList(enabled) : null
+  });
+}
+
+function renderControls() {
+  elements.preset.innerHTML = Object.entries(DISTRIBUTIONS)
+    .map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('');
+  elements.preset.value = preset;
+  elements.size.value = size;
+  elements.sizeLabel.textContent = size;
+  elements.rank.value = rank;
+  elements.racers.innerHTML = racers.map((racer, i) => `
+    <label><input type="checkbox" data-racer="${i}"${racer.enabled ? ' checked' : ''}> ${racer.label}</label>
+  `).join('');
+}
+
+function bindEvents() {
+  elements.preset.addEventListener('change', () => {
+    preset = elements.preset.value;
+    startLine();
+  });
+  elements.size.addEventListener('input', () => {
+    size = parseInt(elements.size.value);
+    elements.sizeLabel.textContent = size;
+    startLine();
+  });
+  elements.shuffle.addEventListener('click', () => {
+    seed = randomSeed();
+    startLine();
+  });
+  elements.racers.addEventListener('change', (e) => {
+    const racer = racers[e.target.dataset.racer];
+    if (!racer) return;
+    racer.enabled = e.target.checked;
+    startLine();
+  });
+  elements.play.addEventListener('click', () => clock.toggle());
+  elements.reset.addEventListener('click', () => {
+    clock.pause();
+    clock.reset();
+  });
+  elements.step.addEventListener('click', () => {
+    clock.pause();
+    clock.stepForward();
+  });
+  elements.speed.addEventListener('input', () => {
+    clock.setSpeed(parseFloat(elements.speed.value));
+    elements.speedLabel.textContent = `${clock.speed.toFixed(2)}x`;
+  });
+  elements.rank.addEventListener('change', () => {
+    rank = elements.rank.value;
+    updateLeaderboard();
+    saveLink();
+  });
+}
+
+function setupClock() {
+  clock.onStepChange = (tick) => {
+    if (tick === null) return;
+    racers.forEach(racer => {
+      if (racer.enabled) drawTile(racer, Math.min(tick.index, racer.steps.length - 1));
+    });
+    updateLeaderboard();
+  };
+  clock.onStateChange = ({ isPlaying, currentStep, totalSteps }) => {
+    elements.play.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
+    elements.play.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
+    elements.clock.textContent = `Tick ${totalSteps ? currentStep + 1 : 0}/${totalSteps}`;
+  };
+}
+
+/**
+ * Draw the array, run every racer on it and put the clock back at zero
+ */
+function startLine() {
+  clock.pause();
+  array = generateArray(preset, size, seed, {
+    min: MIN_VALUE,
+    max: MAX_VALUE,
+    swaps: Math.max(1, Math.round(size / 10))
+  });
+  const field = racers.filter(racer => racer.enabled);
+  field.forEach(racer => { racer.steps = runRacer(racer); });
+
+  renderTiles(field);
+  const length = Math.max(0, ...field.map(racer => racer.steps.length));
+  clock.setSteps(Array.from({ length }, (_, index) => ({ index })));
+  clock.goToStep(0);
+  saveLink();
+}
+
+/**
+ * @param {Object} racer - Race entry
+ * @returns {Array} Its steps on the current array
+ */
+function runRacer(racer) {
+  const algorithm = new racer.entry.algorithm();
+  algorithm.setArray(array);
+  if ('seed' in algorithm) algorithm.seed = seed;
+  const steps = resolveSteps(algorithm, algorithm[racer.method](...racer.args));
+  if (Array.isArray(steps)) return steps;
+  // Generators may mutate what they yield; stores only hand out copies
+  return typeof steps.next === 'function'
+    ? Array.from(steps, deepClone)
+    : Array.from({ length: steps.length }, (_, i) => steps.get(i));
+}
+
+function renderTiles(field) {
+  elements.grid.innerHTML = field.map(racer => `
+    <div class="race-tile" data-racer="${racers.indexOf(racer)}">
+      <div class="race-tile-header"><span>${racer.label}</span><span class="race-place"></span></div>
+      <canvas></canvas>
+      <div class="race-tile-stats"><span class="race-counts"></span><span class="race-steps"></span></div>
+    </div>
+  `).join('');
+
+  field.forEach(racer => {
+    const tile = elements.grid.querySelector(`[data-racer="${racers.indexOf(racer)}"]`);
+    racer.tile = tile;
+    racer.canvas = tile.querySelector('canvas');
+    racer.ctx = racer.canvas.getContext('2d');
+    racer.place = tile.querySelector('.race-place');
+    racer.counts = tile.querySelector('.race-counts');
+    racer.stepsLabel = tile.querySelector('.race-steps');
+    resizeTile(racer);
+  });
+}
+
+function resizeTile(racer) {
+  const dpr = window.devicePixelRatio || 1;
+  const rect = racer.canvas.getBoundingClientRect();
+  racer.canvas.width = rect.width * dpr;
+  racer.canvas.height = rect.height * dpr;
+  racer.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  racer.width = rect.width;
+  racer.height = rect.height;
+  drawTile(racer, Math.min(clock.currentStep, racer.steps.length - 1));
+}
+
+function drawTile(racer, index) {
+  const state = racer.steps[index];
+  if (!state) return;
+  const { ctx, width, height } = racer;
+  const values = state.array;
+
+  ctx.clearRect(0, 0, width, height);
+  const padding = 8;
+  const slot = (width - padding * 2) / values.length;
+  const barWidth = Math.max(1, slot - (slot > 4 ? 1 : 0));
+  values.forEach((value, i) => {
+    let color = colors.bar;
+    if (state.sorted?.includes(i)) color = colors.sorted;
+    if (state.comparing?.includes(i)) color = colors.comparing;
+    if (state.swapping?.includes(i)) color = colors.swapping;
+    const barHeight = (value / MAX_VALUE) * (height - padding * 2);
+    ctx.fillStyle = color;
+    ctx.fillRect(padding + i * slot, height - padding - barHeight, barWidth, barHeight);
+  });
+
+  const finished = index === racer.steps.length - 1;
+  racer.tile.classList.toggle('finished', finished);
+  racer.counts.textContent = `${METRICS.comparisons(state)} cmp · ${METRICS.writes(state)} writes`;
+  racer.stepsLabel.textContent = `${index + 1}/${racer.steps.length}`;
+}
+
+/**
+ * Finishers ranked by the chosen metric (ties go to whoever finished
+ * first), then the racers still running with their counts so far
+ */
+function updateLeaderboard() {
+  const tick = clock.currentStep;
+  const rows = racers.filter(racer => racer.enabled).map(racer => {
+    const index = Math.min(tick, racer.steps.length - 1);
+    const state = racer.steps[index];
+    return {
+      racer,
+      finished: index === racer.steps.length - 1,
+      comparisons: METRICS.comparisons(state),
+      writes: METRICS.writes(state),
+      steps: index + 1
+    };
+  });
+  const finishers = rows.filter(row => row.finished)
+    .sort((a, b) => a[rank] - b[rank] || a.steps - b.steps);
+  const running = rows.filter(row => !row.finished).sort((a, b) => a[rank] - b[rank]);
+
+  racers.forEach(racer => { if (racer.place) racer.place.textContent = ''; });
+  finishers.forEach((row, i) => { row.racer.place.textContent = ordinal(i + 1); });
+
+  elements.leaderboard.innerHTML = [...finishers, ...running].map(row => `
+    <tr class="${row.finished ? '' : 'running'}">
+      <td>${row.finished ? finishers.indexOf(row) + 1 : '…'}</td>
+      <td>${row.racer.label}</td>
+      ${['comparisons', 'writes', 'steps'].map(metric => `
+        <td class="${metric === rank ? 'ranked' : ''}">${row[metric].toLocaleString()}</td>`).join('')}
+    </tr>
+  `).join('');
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+}
@@ -0,0 +1,458 @@
+/**
+ * DSA Algorithm Visualizer - Algorithm Registry
+ * Single source of truth for the algorithms shown on the landing page
+ * and loaded by the algorithm page
+ */
+import { TowerOfHanoi } from './algorithms/towerOfHanoi.js';
+import { NQueens } from './algorithms/nQueens.js';
+import { MergeSort } from './algorithms/mergeSort.js';
+import { QuickSort } from './algorithms/quickSort.js';
+import { BubbleSort } from './algorithms/bubbleSort.js';
+import { InsertionSort } from './algorithms/insertionSort.js';
+import { SelectionSort } from './algorithms/selectionSort.js';
+import { HeapSort } from './algorithms/heapSort.js';
+import { ShellSort } from './algorithms/shellSort.js';
+import { CountingSort } from './algorithms/countingSort.js';
+import { RadixSort } from './algorithms/radixSort.js';
+import { BucketSort } from './algorithms/bucketSort.js';
+import { Dijkstra } from './algorithms/dijkstra.js';
+import { BellmanFord } from './algorithms/bellmanFord.js';
+import { FloydWarshall } from './algorithms/floydWarshall.js';
+import { Prim } from './algorithms/prim.js';
+import { Kruskal } from './algorithms/kruskal.js';
+import { AStar } from './algorithms/aStar.js';
+import { BinarySearchTree } from './algorithms/bst.js';
+import { SudokuSolver } from './algorithms/sudoku.js';
+import { KMPMatcher } from './algorithms/kmp.js';
+import { GraphTraversal } from './algorithms/graphTraversal.js';
+import { LCS } from './algorithms/lcs.js';
+
+const categories = new Map([
+  ['sorting', '📊 Sorting'],
+  ['pathfinding', '🗺️ Pathfinding'],
+  ['backtracking', '🔄 Backtracking'],
+  ['dynamic', '📈 Dynamic Programming'],
+  ['trees', '🌳 Trees'],
+  ['strings', '🔍 Strings']
+]);
+
+const algorithms = new Map();
+
+const REQUIRED_FIELDS = ['id', 'title', 'category', 'visualizer'];
+
+/**
+ * Register an algorithm
+ *
+ * Definition fields:
+ * - id: URL slug used in `algorithm.html#<id>`
+ * - title, description, icon: landing card and page header text
+ * - category: key of a registered category
+ * - timeComplexity, spaceComplexity: shown on the card and the overview tab
+ * - timeLabel, spaceLabel: optional overview labels (e.g. 'Time (Average)')
+ * - complexityNote: optional footnote under the overview complexity cards
+ * - algorithm: class that records the animation states
+ * - visualizer: () => Promise<module> exporting init(entry)
+ * - race: optional sorting runs for the race page, as [{ label, method,
+ *   args }]; each gets a fresh instance with setArray(array) (and `seed`
+ *   when the class has one), and its steps must carry `comparisons` and
+ *   `writes` (method defaults to 'generateStates')
+ *
+ * @param {Object} definition - Algorithm definition
+ * @returns {Object} The registered entry
+ */
+export function registerAlgorithm(definition) {
+  const missing = REQUIRED_FIELDS.filter(field => !definition[field]);
+  if (missing.length) {
+    throw new Error(`Algorithm definition is missing: ${missing.join(', ')}`);
+  }
+  if (algorithms.has(definition.id)) {
+    throw new Error(`Algorithm already registered: ${definition.id}`);
+  }
+
+  const entry = {
+    description: '',
+    icon: '🧩',
+    timeComplexity: '',
+    spaceComplexity: '',
+    ...definition
+  };
+  algorithms.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Register a category for the landing page filters
+ * @param {string} id - Category key
+ * @param {string} label - Display label
+ */
+export function registerCategory(id, label) {
+  categories.set(id, label);
+}
+
+/**
+ * @param {string} id - Algorithm id
+ * @returns {Object|undefined} Registered entry
+ */
+export function getAlgorithm(id) {
+  return algorithms.get(id);
+}
+
+/**
+ * @returns {Array} All entries in registration order
+ */
+export function getAlgorithms() {
+  return [...algorithms.values()];
+}
+
+/**
+ * @param {string} category - Category key
+ * @returns {string} Display label, or the key itself if unknown
+ */
+export function getCategoryLabel(category) {
+  return categories.get(category) || category;
+}
+
+/**
+ * Load a third-party plugin module. The module's default export may be
+ * a definition, an array of definitions, or a function called with the
+ * registry API.
+ * @param {string} url - Module URL, resolved against the page
+ * @returns {Promise<void>}
+ */
+export async function loadPlugin(url) {
+  const module = await import(new URL(url, document.baseURI).href);
+  const plugin = module.default;
+
+  if (typeof plugin === 'function') {
+    await plugin({ registerAlgorithm, registerCategory, getAlgorithm, getAlgorithms });
+  } else if (Array.isArray(plugin)) {
+    plugin.forEach(registerAlgorithm);
+  } else if (plugin) {
+    registerAlgorithm(plugin);
+  } else {
+    throw new Error(`Plugin has no default export: ${url}`);
+  }
+}
+
+/**
+ * Load every plugin listed as `?plugin=<url>` in the page URL.
+ * Failures are logged so one broken plugin does not hide the rest.
+ * @returns {Promise<void>}
+ */
+export async function loadPlugins() {
+  const urls = new URLSearchParams(window.location.search).getAll('plugin');
+  await Promise.all(urls.map(url => loadPlugin(url).catch(error => {
+    console.error(`Failed to load plugin ${url}:`, error);
+  })));
+}
+
+// Built-in algorithms
+registerAlgorithm({
+  id: 'tower-of-hanoi',
+  title: 'Tower of Hanoi',
+  description: 'Classic recursive puzzle - move all disks from one peg to another following simple rules.',
+  category: 'backtracking',
+  timeComplexity: 'O(2ⁿ)',
+  spaceComplexity: 'O(n)',
+  icon: '🗼',
+  algorithm: TowerOfHanoi,
+  visualizer: () => import('./visualizers/tower-of-hanoi.js')
+});
+
+registerAlgorithm({
+  id: 'n-queens',
+  title: 'N-Queens Problem',
+  description: 'Place N queens on an N×N chessboard so no two queens threaten each other.',
+  category: 'backtracking',
+  timeComplexity: 'O(N!)',
+  spaceComplexity: 'O(N)',
+  icon: '♛',
+  algorithm: NQueens,
+  visualizer: () => import('./visualizers/n-queens.js')
+});
+
+registerAlgorithm({
+  id: 'merge-sort',
+  title: 'Merge Sort',
+  description: 'Efficient divide-and-conquer sorting algorithm that splits and merges arrays.',
+  category: 'sorting',
+  timeComplexity: 'O(n log n)',
+  spaceComplexity: 'O(n)',
+  icon: '📊',
+  algorithm: MergeSort,
+  visualizer: () => import('./visualizers/merge-sort.js'),
+  race: [{ label: 'Merge Sort' }]
+});
+
+registerAlgorithm({
+  id: 'quick-sort',
+  title: 'Quick Sort',
+  description: 'Fast in-place sorting using pivot selection and partitioning.',
+  category: 'sorting',
+  timeComplexity: 'O(n log n)',
+  spaceComplexity: 'O(log n)',
+  timeLabel: 'Time (Average)',
+  spaceLabel: 'Space',
+  icon: '⚡',
+  algorithm: QuickSort,
+  visualizer: () => import('./visualizers/quick-sort.js'),
+  race: [
+    { label: 'Quick Sort (last pivot)', args: ['last'] },
+    { label: 'Quick Sort (first pivot)', args: ['first'] },
+    { label: 'Quick Sort (random pivot)', args: ['random'] },
+    { label: 'Quick Sort (median of three)', args: ['median'] }
+  ]
+});
+
+registerAlgorithm({
+  id: 'bubble-sort',
+  title: 'Bubble Sort',
+  description: 'Repeatedly swap neighbouring elements until the largest ones bubble to the end.',
+  category: 'sorting',
+  timeComplexity: 'O(n²)',
+  spaceComplexity: 'O(1)',
+  icon: '🫧',
+  algorithm: BubbleSort,
+  visualizer: () => import('./visualizers/bubble-sort.js'),
+  race: [{ label: 'Bubble Sort' }]
+});
+
+registerAlgorithm({
+  id: 'insertion-sort',
+  title: 'Insertion Sort',
+  description: 'Grow a sorted prefix by shifting each new element into its place, like sorting cards.',
+  category: 'sorting',
+  timeComplexity: 'O(n²)',
+  spaceComplexity: 'O(1)',
+  icon: '🃏',
+  algorithm: InsertionSort,
+  visualizer: () => import('./visualizers/insertion-sort.js'),
+  race: [{ label: 'Insertion Sort' }]
+});
+
+registerAlgorithm({
+  id: 'selection-sort',
+  title: 'Selection Sort',
+  description: 'Select the smallest remaining element and swap it to the front, one pass at a time.',
+  category: 'sorting',
+  timeComplexity: 'O(n²)',
+  spaceComplexity: 'O(1)',
+  icon: '👆',
+  algorithm: SelectionSort,
+  visualizer: () => import('./visualizers/selection-sort.js'),
+  race: [{ label: 'Selection Sort' }]
+});
+
+registerAlgorithm({
+  id: 'heap-sort',
+  title: 'Heap Sort',
+  description: 'Build a max-heap inside the array, then repeatedly move its root to the end.',
+  category: 'sorting',
+  timeComplexity: 'O(n log n)',
+  spaceComplexity: 'O(1)',
+  icon: '⛰️',
+  algorithm: HeapSort,
+  visualizer: () => import('./visualizers/heap-sort.js'),
+  race: [{ label: 'Heap Sort' }]
+});
+
+registerAlgorithm({
+  id: 'shell-sort',
+  title: 'Shell Sort',
+  description: 'Insertion sort over shrinking gaps, moving far-off elements into place early.',
+  category: 'sorting',
+  timeComplexity: 'O(n²)',
+  spaceComplexity: 'O(1)',
+  timeLabel: 'Time (Worst)',
+  spaceLabel: 'Space',
+  complexityNote: "Halving gaps; Knuth's gaps give O(n^1.5)",
+  icon: '🐚',
+  algorithm: ShellSort,
+  visualizer: () => import('./visualizers/shell-sort.js'),
+  race: [
+    { label: 'Shell Sort (halving gaps)', args: ['shell'] },
+    { label: "Shell Sort (Knuth's gaps)", args: ['knuth'] }
+  ]
+});
+
+registerAlgorithm({
+  id: 'counting-sort',
+  title: 'Counting Sort',
+  description: 'Count how often each value occurs, then write the values back in order.',
+  category: 'sorting',
+  timeComplexity: 'O(n + k)',
+  spaceComplexity: 'O(k)',
+  complexityNote: 'k = range of values',
+  icon: '🧮',
+  algorithm: CountingSort,
+  visualizer: () => import('./visualizers/counting-sort.js'),
+  race: [{ label: 'Counting Sort' }]
+});
+
+registerAlgorithm({
+  id: 'radix-sort',
+  title: 'Radix Sort',
+  description: 'Sort digit by digit through ten buckets, from the last digit (LSD) or the first (MSD).',
+  category: 'sorting',
+  timeComplexity: 'O(d × (n + b))',
+  spaceComplexity: 'O(n + b)',
+  complexityNote: 'd = digits in the largest value, b = base (10)',
+  icon: '🔟',
+  algorithm: RadixSort,
+  visualizer: () => import('./visualizers/radix-sort.js'),
+  race: [
+    { label: 'Radix Sort (LSD)', args: ['lsd'] },
+    { label: 'Radix Sort (MSD)', args: ['msd'] }
+  ]
+});
+
+registerAlgorithm({
+  id: 'bucket-sort',
+  title: 'Bucket Sort',
+  description: 'Scatter values into range buckets, sort each bucket, then gather them in order.',
+  category: 'sorting',
+  timeComplexity: 'O(n + k)',
+  spaceComplexity: 'O(n + k)',
+  timeLabel: 'Time (Average)',
+  spaceLabel: 'Space',
+  complexityNote: 'k = number of buckets; O(n²) when most values share a bucket',
+  icon: '🪣',
+  algorithm: BucketSort,
+  visualizer: () => import('./visualizers/bucket-sort.js'),
+  race: [{ label: 'Bucket Sort' }]
+});
+
+registerAlgorithm({
+  id: 'dijkstra',
+  title: "Dijkstra's Algorithm",
+  description: 'Find the shortest path between nodes in a weighted graph.',
+  category: 'pathfinding',
+  timeComplexity: 'O((V+E) log V)',
+  spaceComplexity: 'O(V)',
+  icon: '🗺️',
+  algorithm: Dijkstra,
+  visualizer: () => import('./visualizers/dijkstra.js')
+});
+
+registerAlgorithm({
+  id: 'bellman-ford',
+  title: 'Bellman-Ford Algorithm',
+  description: 'Shortest paths with negative edge weights, detecting negative cycles.',
+  category: 'pathfinding',
+  timeComplexity: 'O(V × E)',
+  spaceComplexity: 'O(V)',
+  icon: '🧭',
+  algorithm: BellmanFord,
+  visualizer: () => import('./visualizers/bellman-ford.js')
+});
+
+registerAlgorithm({
+  id: 'floyd-warshall',
+  title: 'Floyd-Warshall Algorithm',
+  description: 'Shortest paths between every pair of nodes, filled into a distance matrix.',
+  category: 'pathfinding',
+  timeComplexity: 'O(V³)',
+  spaceComplexity: 'O(V²)',
+  icon: '📐',
+  algorithm: FloydWarshall,
+  visualizer: () => import('./visualizers/floyd-warshall.js')
+});
+
+registerAlgorithm({
+  id: 'prim',
+  title: "Prim's Algorithm",
+  description: 'Grow a minimum spanning tree from one node, always adding the cheapest edge out of it.',
+  category: 'pathfinding',
+  timeComplexity: 'O((V + E) log V)',
+  spaceComplexity: 'O(V)',
+  icon: '🌲',
+  algorithm: Prim,
+  visualizer: () => import('./visualizers/prim.js')
+});
+
+registerAlgorithm({
+  id: 'kruskal',
+  title: "Kruskal's Algorithm",
+  description: 'Build a minimum spanning tree from the cheapest edges, merging sets in a union-find.',
+  category: 'pathfinding',
+  timeComplexity: 'O(E log E)',
+  spaceComplexity: 'O(V)',
+  icon: '🔗',
+  algorithm: Kruskal,
+  visualizer: () => import('./visualizers/kruskal.js')
+});
+
+registerAlgorithm({
+  id: 'a-star',
+  title: 'A* Pathfinding',
+  description: 'Intelligent pathfinding using heuristics to find optimal paths faster.',
+  category: 'pathfinding',
+  timeComplexity: 'O(E)',
+  spaceComplexity: 'O(V)',
+  icon: '🎯',
+  algorithm: AStar,
+  visualizer: () => import('./visualizers/a-star.js')
+});
+
+registerAlgorithm({
+  id: 'bst',
+  title: 'Binary Search Tree',
+  description: 'Visualize insert, search, and traversal operations on a BST.',
+  category: 'trees',
+  timeComplexity: 'O(log n)',
+  spaceComplexity: 'O(n)',
+  timeLabel: 'Time (Average)',
+  spaceLabel: 'Space',
+  icon: '🌳',
+  algorithm: BinarySearchTree,
+  visualizer: () => import('./visualizers/bst.js')
+});
+
+registerAlgorithm({
+  id: 'sudoku',
+  title: 'Sudoku Solver',
+  description: 'Watch backtracking solve Sudoku puzzles step by step.',
+  category: 'backtracking',
+  timeComplexity: 'O(9^m)',
+  spaceComplexity: 'O(m)',
+  complexityNote: 'm = number of empty cells',
+  icon: '🔢',
+  algorithm: SudokuSolver,
+  visualizer: () => import('./visualizers/sudoku.js')
+});
+
+registerAlgorithm({
+  id: 'kmp',
+  title: 'KMP String Matching',
+  description: 'Efficient pattern matching using the Knuth-Morris-Pratt algorithm.',
+  category: 'strings',
+  timeComplexity: 'O(n + m)',
+  spaceComplexity: 'O(m)',
+  icon: '🔍',
+  algorithm: KMPMatcher,
+  visualizer: () => import('./visualizers/kmp.js')
+});
+
+registerAlgorithm({
+  id: 'graph-traversal',
+  title: 'Graph Traversal (BFS/DFS)',
+  description: 'Explore graphs using Breadth-First and Depth-First Search algorithms.',
+  category: 'pathfinding',
+  timeComplexity: 'O(V + E)',
+  spaceComplexity: 'O(V)',
+  icon: '🕸️',
+  algorithm: GraphTraversal,
+  visualizer: () => import('./visualizers/graph-traversal.js')
+});
+
+registerAlgorithm({
+  id: 'lcs',
+  title: 'Longest Common Subsequence',
+  description: 'Find the longest subsequence common to two strings using dynamic programming.',
+  category: 'dynamic',
+  timeComplexity: 'O(m × n)',
+  spaceComplexity: 'O(m × n)',
+  icon: '📝',
+  algorithm: LCS,
+  visualizer: () => import('./visualizers/lcs.js')
+});
@@ -2,6 +2,10 @@
  * DSA Algorithm Visualizer - Animator Module
  * High-performance animation engine using requestAnimationFrame
  */
+import { StepStream } from './store.js';
+
+// How far ahead continueToBreakpoint() may pull a lazy run looking for a match
+const BREAKPOINT_LOOKAHEAD = 100000;
 
 /**
  * Animation Controller Class
@@ -18,28 +22,136 @@ export class AnimationController {
     this.animationFrameId = null;
     this.lastFrameTime = 0;
     this.stepDuration = 500; // Base duration in ms
+    this.historySize = 2000; // Steps kept behind the playhead for lazy runs
+    this.stepProgress = 0; // 0..1 progress from currentStep towards the next step
+    this.direction = 1; // 1 = forward, -1 = reverse
+    this.loopMode = 'none'; // 'none' | 'loop' | 'pingpong'
+    this.inPoint = null; // Optional playback range, as step indices
+    this.outPoint = null;
+    this.breakpoints = []; // { id, label, test, enabled }
+    this.breakpointSteps = []; // Step indices that match an enabled breakpoint
+    this.breakpointSet = new Set();
+    this.nextBreakpointId = 1;
     this.onStepChange = null;
+    this.onBreakpoint = null;
+    this.onProgress = null;
     this.onComplete = null;
     this.onStateChange = null;
   }
 
   /**
    * Set the animation steps
-   * @param {Array} steps - Array of step objects with state data
+   * @param {Array|StepStore|Iterator} steps - Step objects with state data,
+   *   as an array, a delta-encoded StepStore, or an iterator (e.g. a step
+   *   generator) that is pulled lazily as playback moves forward
    */
   setSteps(steps) {
+    if (this.steps instanceof StepStream) this.steps.close();
+    if (!Array.isArray(steps) && typeof steps.next === 'function') {
+      steps = new StepStream(steps, { historySize: this.historySize });
+    }
     this.steps = steps;
     this.totalSteps = steps.length;
     this.currentStep = 0;
+    this.stepProgress = 0;
+    this.inPoint = null;
+    this.outPoint = null;
+    this.updateBreakpointSteps();
+  }
+
+  /**
+   * @returns {boolean} False while a lazy run still has steps to pull
+   */
+  isTotalKnown() {
+    return !(this.steps instanceof StepStream) || this.steps.done;
+  }
+
+  /**
+   * @returns {number} Oldest step that can still be shown (lazy runs
+   *   drop steps that fall out of their history buffer)
+   */
+  getFirstStep() {
+    return this.steps instanceof StepStream ? this.steps.first : 0;
+  }
+
+  /**
+   * Pull a lazy run forward until `index` exists or the run finishes
+   * @param {number} index - Step index needed
+   */
+  ensureStep(index) {
+    if (this.isTotalKnown() || index < this.totalSteps) return;
+    // Pull at most one history buffer at a time so breakpoints see every step
+    while (index >= this.totalSteps && !this.isTotalKnown()) {
+      const from = this.totalSteps;
+      this.totalSteps = this.steps.pull(Math.min(index, from + this.steps.historySize - 1));
+      this.scanBreakpointSteps(from);
+      if (this.totalSteps === from) break; // Externally fed and not here yet
+    }
+    if (this.isTotalKnown()) {
+      // Let listeners replace "unknown" with the final count
+      this.notifyStepChange();
+      this.notifyStateChange();
+    }
+  }
+
+  /**
+   * Pick up steps appended to an externally fed run (see StepStream.append)
+   */
+  refreshSteps() {
+    if (!(this.steps instanceof StepStream)) return;
+    const from = this.totalSteps;
+    this.totalSteps = this.steps.length;
+    this.scanBreakpointSteps(from);
+    if (this.isTotalKnown()) this.notifyStepChange();
     this.notifyStateChange();
   }
 
+  /**
+   * @returns {boolean} Whether forward playback is at the last step so far
+   *   of a run that is still being produced
+   */
+  isWaitingForSteps() {
+    return this.direction > 0 && !this.isTotalKnown() && this.currentStep >= this.totalSteps - 1;
+  }
+
   /**
    * Get current step data
    * @returns {Object} Current step state
    */
   getCurrentState() {
-    return this.steps[this.currentStep] || null;
+    return this.getStateAt(this.currentStep);
+  }
+
+  /**
+   * Get any recorded step
+   * @param {number} index - Step index
+   * @returns {Object|null} Step state
+   */
+  getStateAt(index) {
+    if (index < 0 || index >= this.totalSteps) return null;
+    const state = Array.isArray(this.steps) ? this.steps[index] : this.steps.get(index);
+    return state || null;
+  }
+
+  /**
+   * Get the step being transitioned to during playback
+   * @returns {Object|null} Next step state
+   */
+  getNextState() {
+    const next = this.peekNextStep();
+    return next === null ? null : this.getStateAt(next);
+  }
+
+  /**
+   * Get the in-between position for tweened rendering
+   * @returns {{from: Object, to: Object|null, progress: number}}
+   */
+  getInterpolation() {
+    return {
+      from: this.getCurrentState(),
+      to: this.stepProgress > 0 ? this.getNextState() : null,
+      progress: this.stepProgress
+    };
   }
 
   /**
@@ -51,6 +163,240 @@ export class AnimationController {
     this.notifyStateChange();
   }
 
+  /**
+   * Set playback direction
+   * @param {number} direction - 1 for forward, -1 for reverse
+   */
+  setDirection(direction) {
+    this.direction = direction < 0 ? -1 : 1;
+    // Restart the in-flight transition towards the new neighbour
+    this.stepProgress = 0;
+    this.lastFrameTime = performance.now();
+    this.notifyStateChange();
+  }
+
+  /**
+   * Flip playback direction
+   */
+  reverse() {
+    this.setDirection(-this.direction);
+  }
+
+  /**
+   * Set what happens when playback reaches the end of its range
+   * @param {string} mode - 'none' (stop), 'loop' (wrap around) or 'pingpong' (bounce)
+   */
+  setLoopMode(mode) {
+    this.loopMode = ['loop', 'pingpong'].includes(mode) ? mode : 'none';
+    this.notifyStateChange();
+  }
+
+  /**
+   * Mark the start of the playback range
+   * @param {number} step - Step index (defaults to the current step)
+   */
+  setInPoint(step = this.currentStep) {
+    this.inPoint = Math.max(0, Math.min(step, this.totalSteps - 1));
+    if (this.outPoint !== null && this.outPoint < this.inPoint) this.outPoint = null;
+    this.notifyStateChange();
+  }
+
+  /**
+   * Mark the end of the playback range
+   * @param {number} step - Step index (defaults to the current step)
+   */
+  setOutPoint(step = this.currentStep) {
+    this.outPoint = Math.max(0, Math.min(step, this.totalSteps - 1));
+    if (this.inPoint !== null && this.inPoint > this.outPoint) this.inPoint = null;
+    this.notifyStateChange();
+  }
+
+  /**
+   * Remove the in/out points so playback covers every step
+   */
+  clearRange() {
+    this.inPoint = null;
+    this.outPoint = null;
+    this.notifyStateChange();
+  }
+
+  /**
+   * Get the marked playback range
+   * @returns {{start: number, end: number}} Inclusive step indices
+   */
+  getRange() {
+    return {
+      start: Math.max(this.inPoint ?? 0, this.getFirstStep()),
+      end: this.outPoint ?? Math.max(0, this.totalSteps - 1)
+    };
+  }
+
+  /**
+   * Range that bounds playback from the current step. Outside the marked
+   * range (e.g. after scrubbing past it) the whole run is used instead.
+   * @returns {{start: number, end: number}}
+   */
+  getBounds() {
+    const range = this.getRange();
+    if (this.currentStep >= range.start && this.currentStep <= range.end) return range;
+    return { start: this.getFirstStep(), end: Math.max(0, this.totalSteps - 1) };
+  }
+
+  /**
+   * Index the next frame of playback moves to, or null if it will stop or
+   * wrap around (a wrap jumps rather than tweening across the whole run)
+   * @returns {number|null}
+   */
+  peekNextStep() {
+    if (this.direction > 0) this.ensureStep(this.currentStep + 1);
+    const { start, end } = this.getBounds();
+    const next = this.currentStep + this.direction;
+    if (next >= start && next <= end) return next;
+    if (this.loopMode === 'pingpong') {
+      const back = this.currentStep - this.direction;
+      if (back >= start && back <= end) return back;
+    }
+    return null;
+  }
+
+  /**
+   * Advance one step in the current direction, applying the loop mode at
+   * the edge of the range
+   * @returns {boolean} False if playback has reached its end
+   */
+  advance() {
+    if (this.direction > 0) this.ensureStep(this.currentStep + 1);
+    const { start, end } = this.getBounds();
+    const next = this.currentStep + this.direction;
+
+    if (next >= start && next <= end) {
+      this.currentStep = next;
+    } else if (this.loopMode === 'loop') {
+      this.currentStep = this.direction > 0 ? start : end;
+    } else if (this.loopMode === 'pingpong' && start < end) {
+      this.direction = -this.direction;
+      this.currentStep += this.direction;
+    } else {
+      return false;
+    }
+
+    this.notifyStepChange();
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * Add a conditional breakpoint; playback pauses on every step it matches
+   * @param {Function|RegExp|Object|string} condition - See compileCondition()
+   * @param {string} label - Display name
+   * @returns {number} Breakpoint id
+   */
+  addBreakpoint(condition, label = String(condition)) {
+    const breakpoint = {
+      id: this.nextBreakpointId++,
+      label,
+      test: compileCondition(condition),
+      enabled: true
+    };
+    this.breakpoints.push(breakpoint);
+    this.updateBreakpointSteps();
+    return breakpoint.id;
+  }
+
+  /**
+   * @param {number} id - Breakpoint id
+   */
+  removeBreakpoint(id) {
+    this.breakpoints = this.breakpoints.filter(b => b.id !== id);
+    this.updateBreakpointSteps();
+  }
+
+  /**
+   * @param {number} id - Breakpoint id
+   * @param {boolean} enabled - Whether the breakpoint pauses playback
+   */
+  setBreakpointEnabled(id, enabled) {
+    const breakpoint = this.breakpoints.find(b => b.id === id);
+    if (!breakpoint) return;
+    breakpoint.enabled = enabled;
+    this.updateBreakpointSteps();
+  }
+
+  clearBreakpoints() {
+    this.breakpoints = [];
+    this.updateBreakpointSteps();
+  }
+
+  /**
+   * Re-evaluate every breakpoint against the recorded steps
+   */
+  updateBreakpointSteps() {
+    this.breakpointSteps = [];
+    this.breakpointSet = new Set();
+    this.scanBreakpointSteps(this.getFirstStep());
+    this.notifyStateChange();
+  }
+
+  /**
+   * Evaluate the enabled breakpoints against steps from `from` onwards
+   * (called as a lazy run pulls in new steps)
+   * @param {number} from - First step index to test
+   */
+  scanBreakpointSteps(from) {
+    const active = this.breakpoints.filter(b => b.enabled);
+    if (!active.length) return;
+    const found = [];
+    for (let index = from; index < this.totalSteps; index++) {
+      const state = this.getStateAt(index);
+      if (active.some(b => matches(b.test, state, index))) found.push(index);
+    }
+    if (!found.length) return;
+    // New array so listeners comparing references redraw their markers
+    this.breakpointSteps = [...this.breakpointSteps, ...found];
+    found.forEach(index => this.breakpointSet.add(index));
+  }
+
+  /**
+   * @param {number} step - Step index
+   * @returns {boolean} Whether playback would pause on this step
+   */
+  isBreakpoint(step) {
+    return this.breakpointSet.has(step);
+  }
+
+  /**
+   * Find the nearest breakpoint past the current step
+   * @param {number} direction - 1 to search forward, -1 backward
+   * @returns {number} Step index, or -1 if there is none
+   */
+  findNextBreakpoint(direction = this.direction) {
+    if (direction > 0) {
+      let step = this.breakpointSteps.find(s => s > this.currentStep) ?? -1;
+      // A lazy run may not have produced the next match yet
+      const limit = this.totalSteps + BREAKPOINT_LOOKAHEAD;
+      while (step < 0 && !this.isTotalKnown() && this.breakpoints.some(b => b.enabled) && this.totalSteps < limit) {
+        this.ensureStep(this.totalSteps + 999);
+        step = this.breakpointSteps.find(s => s > this.currentStep) ?? -1;
+      }
+      return step;
+    }
+    const first = this.getFirstStep();
+    return this.breakpointSteps.findLast(step => step < this.currentStep && step >= first) ?? -1;
+  }
+
+  /**
+   * Jump straight to the next breakpoint in the playback direction
+   * @returns {number} The step reached, or -1 if there are no more
+   */
+  continueToBreakpoint() {
+    const step = this.findNextBreakpoint();
+    if (step < 0) return -1;
+    if (this.isPlaying) this.pause();
+    this.goToStep(step);
+    if (this.onBreakpoint) this.onBreakpoint(this.getCurrentState(), step);
+    return step;
+  }
+
   /**
    * Get effective step duration based on speed
    * @returns {number} Duration in milliseconds
@@ -63,13 +409,16 @@ export class AnimationController {
    * Start or resume animation
    */
   play() {
-    if (this.currentStep >= this.totalSteps - 1) {
-      this.reset();
+    // At the end of the range, start over from the other end
+    if (this.peekNextStep() === null && this.loopMode === 'none') {
+      const { start, end } = this.getBounds();
+      this.goToStep(this.direction > 0 ? start : end);
     }
     
     this.isPlaying = true;
     this.isPaused = false;
-    this.lastFrameTime = performance.now();
+    // Resume a paused transition where it left off
+    this.lastFrameTime = performance.now() - this.stepProgress * this.getEffectiveDuration();
     this.animate();
     this.notifyStateChange();
   }
@@ -103,7 +452,7 @@ export class AnimationController {
    */
   stop() {
     this.pause();
-    this.currentStep = 0;
+    this.currentStep = this.getFirstStep();
     this.notifyStepChange();
     this.notifyStateChange();
   }
@@ -112,7 +461,7 @@ export class AnimationController {
    * Reset animation to beginning
    */
   reset() {
-    this.currentStep = 0;
+    this.currentStep = this.getFirstStep();
     this.notifyStepChange();
     this.notifyStateChange();
   }
@@ -122,7 +471,8 @@ export class AnimationController {
    * @param {number} step - Step index
    */
   goToStep(step) {
-    this.currentStep = Math.max(0, Math.min(step, this.totalSteps - 1));
+    this.ensureStep(step);
+    this.currentStep = Math.max(this.getFirstStep(), Math.min(step, this.totalSteps - 1));
     this.notifyStepChange();
     this.notifyStateChange();
   }
@@ -131,6 +481,7 @@ export class AnimationController {
    * Move to next step
    */
   stepForward() {
+    this.ensureStep(this.currentStep + 1);
     if (this.currentStep < this.totalSteps - 1) {
       this.currentStep++;
       this.notifyStepChange();
@@ -142,7 +493,7 @@ export class AnimationController {
    * Move to previous step
    */
   stepBackward() {
-    if (this.currentStep > 0) {
+    if (this.currentStep > this.getFirstStep()) {
       this.currentStep--;
       this.notifyStepChange();
       this.notifyStateChange();
@@ -159,18 +510,32 @@ export class AnimationController {
     const deltaTime = currentTime - this.lastFrameTime;
 
     if (deltaTime >= this.getEffectiveDuration()) {
+      if (this.peekNextStep() === null && this.isWaitingForSteps()) {
+        // The next step is still being generated; try again next frame
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        return;
+      }
       this.lastFrameTime = currentTime;
       
-      if (this.currentStep < this.totalSteps - 1) {
-        this.currentStep++;
-        this.notifyStepChange();
-      } else {
+      if (!this.advance()) {
+        this.stepProgress = 0;
         this.pause();
         if (this.onComplete) {
           this.onComplete();
         }
         return;
       }
+
+      if (this.isBreakpoint(this.currentStep)) {
+        this.pause();
+        if (this.onBreakpoint) {
+          this.onBreakpoint(this.getCurrentState(), this.currentStep);
+        }
+        return;
+      }
+    } else if (this.peekNextStep() !== null) {
+      this.stepProgress = deltaTime / this.getEffectiveDuration();
+      this.notifyProgress();
     }
 
     this.animationFrameId = requestAnimationFrame(() => this.animate());
@@ -180,11 +545,22 @@ export class AnimationController {
    * Notify step change callback
    */
   notifyStepChange() {
+    this.stepProgress = 0;
+    if (this.steps instanceof StepStream) this.steps.seek(this.currentStep);
     if (this.onStepChange) {
       this.onStepChange(this.getCurrentState(), this.currentStep, this.totalSteps);
     }
   }
 
+  /**
+   * Notify progress callback on every frame of a transition
+   */
+  notifyProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.stepProgress, this.currentStep);
+    }
+  }
+
   /**
    * Notify state change callback
    */
@@ -195,7 +571,13 @@ export class AnimationController {
         isPaused: this.isPaused,
         currentStep: this.currentStep,
         totalSteps: this.totalSteps,
+        totalKnown: this.isTotalKnown(),
         speed: this.speed,
+        direction: this.direction,
+        loopMode: this.loopMode,
+        inPoint: this.inPoint,
+        outPoint: this.outPoint,
+        breakpoints: this.breakpointSteps,
         progress: this.totalSteps > 0 ? (this.currentStep / (this.totalSteps - 1)) * 100 : 0
       });
     }
@@ -208,13 +590,75 @@ export class AnimationController {
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
     }
+    if (this.steps instanceof StepStream) this.steps.close();
     this.steps = [];
+    this.totalSteps = 0;
+    this.breakpoints = [];
     this.onStepChange = null;
+    this.onBreakpoint = null;
+    this.onProgress = null;
     this.onComplete = null;
     this.onStateChange = null;
   }
 }
 
+/**
+ * Turn a breakpoint condition into a predicate over (state, index)
+ * - Function: used as-is
+ * - RegExp: tested against state.description
+ * - Object: every key must equal the state's value, e.g. { phase: 'update' }
+ * - String: '/regex/flags', 'field = value', 'field != value', 'field' or '!field'
+ *   (fields may be dotted paths; values compare as strings)
+ * @param {Function|RegExp|Object|string} condition - Breakpoint condition
+ * @returns {Function} Predicate
+ */
+export function compileCondition(condition) {
+  if (typeof condition === 'function') return condition;
+
+  if (condition instanceof RegExp) {
+    return (state) => condition.test(state?.description || '');
+  }
+
+  if (condition && typeof condition === 'object') {
+    const entries = Object.entries(condition);
+    return (state) => entries.every(([key, value]) => readPath(state, key) === value);
+  }
+
+  const expr = String(condition).trim();
+
+  const regex = expr.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return compileCondition(new RegExp(regex[1], regex[2]));
+
+  const comparison = expr.match(/^([\w.]+)\s*(!==|===|!=|==|=)\s*(.+)$/);
+  if (comparison) {
+    const [, path, op, raw] = comparison;
+    const expected = raw.trim().replace(/^(['"])(.*)\1$/, '$2');
+    const negate = op.startsWith('!');
+    return (state) => (String(readPath(state, path)) === expected) !== negate;
+  }
+
+  const flag = expr.match(/^(!?)([\w.]+)$/);
+  if (flag) {
+    const negate = flag[1] === '!';
+    return (state) => Boolean(readPath(state, flag[2])) !== negate;
+  }
+
+  throw new Error(`Unrecognized breakpoint condition: ${expr}`);
+}
+
+function readPath(state, path) {
+  return path.split('.').reduce((value, key) => value?.[key], state);
+}
+
+// A throwing predicate counts as "no match" so one bad condition can't break playback
+function matches(test, state, index) {
+  try {
+    return Boolean(test(state, index));
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Tween Class for smooth value interpolation
  */
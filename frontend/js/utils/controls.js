@@ -1,6 +1,11 @@
 /**
  * DSA Algorithm Visualizer - Controls Module
  */
+import { Timeline } from './timeline.js';
+import { canExportWebM } from './export.js';
+
+// Export resolutions offered in the control panel
+const EXPORT_SIZES = [[640, 360], [960, 540], [1280, 720], [1920, 1080]];
 
 export class ControlPanel {
   constructor(containerSelector, animationController) {
@@ -9,6 +14,18 @@ export class ControlPanel {
     this.elements = {};
     this.inputConfigs = [];
     this.onInputChange = null;
+    this.onBeforePlay = null;
+    this.onReset = null;
+    this.onCancel = null;
+    this.onExport = null; // ({ format, range, width, height, fps })
+    this.onCancelExport = null;
+    this.onSnapshot = null; // (format, scale)
+    this.onSaveTrace = null;
+    this.onLoadTrace = null; // (file)
+    this.breakpointPresets = [];
+    this.presetBreakpointIds = new Map(); // preset index -> animator breakpoint id
+    this.renderedBreakpoints = null;
+    this.renderedTotalKnown = true;
     if (this.container) this.init();
   }
 
@@ -49,14 +66,48 @@ export class ControlPanel {
               </svg>
             </button>
           </div>
+          <div class="playback-controls">
+            <button class="playback-btn" id="btn-direction" title="Reverse Direction">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="7 4 3 8 7 12"/><line x1="3" y1="8" x2="21" y2="8"/><polyline points="17 12 21 16 17 20"/><line x1="21" y1="16" x2="3" y2="16"/>
+              </svg>
+            </button>
+            <button class="playback-btn" id="btn-loop" title="Loop: Off">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/>
+              </svg>
+            </button>
+            <button class="playback-btn" id="btn-mark-in" title="Set In-Point (I)" style="font-size:12px;font-weight:600;">In</button>
+            <button class="playback-btn" id="btn-mark-out" title="Set Out-Point (O)" style="font-size:12px;font-weight:600;">Out</button>
+            <button class="playback-btn" id="btn-clear-range" title="Clear In/Out Points">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+              </svg>
+            </button>
+          </div>
           <div class="progress-container">
-            <div class="progress-bar" id="progress-bar">
-              <div class="progress-bar-fill" id="progress-fill" style="width: 0%"></div>
+            <div id="timeline" style="flex:1;position:relative;padding:6px 0;cursor:pointer;touch-action:none;">
+              <div class="progress-bar" id="progress-bar" style="position:relative;">
+                <div class="progress-bar-fill" id="progress-fill" style="width: 0%"></div>
+                <div id="progress-markers"></div>
+                <div id="progress-range" class="hidden" style="position:absolute;top:0;bottom:0;min-width:2px;background:rgba(139,92,246,0.4);"></div>
+              </div>
+              <canvas id="timeline-ticks" style="display:block;width:100%;height:8px;margin-top:4px;"></canvas>
+              <div id="timeline-tooltip" class="hidden" style="position:absolute;bottom:calc(100% + 4px);width:192px;padding:8px;background:var(--color-bg-secondary);border:1px solid var(--color-border);border-radius:8px;box-shadow:var(--shadow-md);pointer-events:none;z-index:10;">
+                <canvas id="timeline-thumb" class="hidden" style="display:block;width:176px;height:99px;border-radius:4px;margin-bottom:6px;"></canvas>
+                <div id="timeline-tooltip-text" style="font-size:11px;line-height:1.4;color:var(--color-text-secondary);"></div>
+              </div>
             </div>
             <div class="progress-info">
               <span id="step-current">0</span>/<span id="step-total">0</span>
             </div>
           </div>
+          <div id="playback-mode" style="font-size:12px;color:var(--color-text-muted);margin-top:8px;"></div>
+          <div id="generation-status" class="hidden" style="display:flex;align-items:center;gap:8px;margin-top:8px;font-size:12px;color:var(--color-text-secondary);">
+            <div class="loading-spinner loading-spinner-sm" id="generation-spinner" style="width:14px;height:14px;flex-shrink:0;"></div>
+            <span id="generation-text" style="flex:1;"></span>
+            <button class="btn btn-secondary" id="btn-cancel-generation" style="padding:2px 10px;">Cancel</button>
+          </div>
         </div>
         <div class="control-section">
           <h4 class="control-section-title">Speed</h4>
@@ -65,13 +116,63 @@ export class ControlPanel {
             <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
           </div>
         </div>
-        <div class="control-section" id="input-section">
-          <h4 class="control-section-title">Parameters</h4>
-          <div id="input-controls"></div>
+        <div class="control-section" id="breakpoint-section">
+          <h4 class="control-section-title">Breakpoints</h4>
+          <div id="breakpoint-presets"></div>
+          <div class="input-group">
+            <input type="text" class="input-field" id="breakpoint-input" placeholder="e.g. phase = update or /Found/">
+          </div>
+          <div style="display:flex;gap:8px;">
+            <button class="btn btn-secondary" id="btn-add-breakpoint" style="flex:1;">Add</button>
+            <button class="btn btn-primary" id="btn-next-breakpoint" style="flex:1;" title="Next Breakpoint (N)">Next Breakpoint</button>
+          </div>
+          <div id="breakpoint-list" style="margin-top:8px;"></div>
+          <p id="breakpoint-status" style="font-size:12px;color:var(--color-text-muted);margin-top:8px;"></p>
         </div>
-        <div class="control-section">
-          <button class="btn btn-primary" id="btn-generate" style="width:100%;margin-bottom:8px;">Generate Random</button>
-          <button class="btn btn-secondary" id="btn-clear" style="width:100%;">Clear</button>
+        <div id="input-sections"></div>
+        <div class="control-section" id="action-section">
+          <div id="action-controls"></div>
+        </div>
+        <div class="control-section" id="export-section">
+          <h4 class="control-section-title">Export</h4>
+          <div style="display:flex;gap:8px;">
+            <select class="input-field" id="export-format" style="flex:1;" title="Format">
+              <option value="gif">GIF</option>
+              <option value="webm"${canExportWebM() ? '' : ' disabled'}>WebM${canExportWebM() ? '' : ' (unsupported)'}</option>
+            </select>
+            <select class="input-field" id="export-range" style="flex:1;" title="Steps">
+              <option value="all">Whole run</option>
+              <option value="range">In–Out range</option>
+            </select>
+          </div>
+          <div style="display:flex;gap:8px;margin-top:8px;">
+            <select class="input-field" id="export-size" style="flex:1;" title="Resolution">
+              ${EXPORT_SIZES.map(([w, h]) => `<option value="${w}x${h}"${w === 960 ? ' selected' : ''}>${w}×${h}</option>`).join('')}
+            </select>
+            <select class="input-field" id="export-fps" style="flex:1;" title="Frame rate">
+              ${[10, 15, 24, 30].map(fps => `<option value="${fps}"${fps === 15 ? ' selected' : ''}>${fps} fps</option>`).join('')}
+            </select>
+          </div>
+          <button class="btn btn-secondary" id="btn-export" style="width:100%;margin-top:8px;">Export Animation</button>
+          <div id="export-status" class="hidden" style="display:flex;align-items:center;gap:8px;margin-top:8px;font-size:12px;color:var(--color-text-secondary);">
+            <div class="loading-spinner loading-spinner-sm" id="export-spinner" style="width:14px;height:14px;flex-shrink:0;"></div>
+            <span id="export-text" style="flex:1;"></span>
+            <button class="btn btn-secondary" id="btn-cancel-export" style="padding:2px 10px;">Cancel</button>
+          </div>
+          <p style="font-size:12px;color:var(--color-text-muted);margin-top:8px;">Step timing follows the speed slider.</p>
+          <div style="display:flex;gap:8px;margin-top:12px;">
+            <select class="input-field" id="snapshot-scale" style="flex:1;" title="PNG pixel density">
+              ${[2, 3, 4].map(scale => `<option value="${scale}">${scale}×</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary" id="btn-snapshot-png" style="flex:1;" title="Save the current step as a high-DPI PNG">PNG</button>
+            <button class="btn btn-secondary" id="btn-snapshot-svg" style="flex:1;" title="Save the current step as a vector SVG">SVG</button>
+          </div>
+          <div style="display:flex;gap:8px;margin-top:8px;">
+            <button class="btn btn-secondary" id="btn-save-trace" style="flex:1;" title="Save the recorded steps as a JSON trace">Save Trace</button>
+            <button class="btn btn-secondary" id="btn-load-trace" style="flex:1;" title="Replay a JSON trace or a plain-text event log">Load Trace</button>
+            <input type="file" id="trace-file" class="hidden" accept=".json,.txt,.log,application/json,text/plain">
+          </div>
+          <div id="trace-issues" class="hidden" style="margin-top:8px;max-height:160px;overflow-y:auto;"></div>
         </div>
       </div>`;
   }
@@ -82,47 +183,130 @@ export class ControlPanel {
       btnReset: this.container.querySelector('#btn-reset'),
       btnStepForward: this.container.querySelector('#btn-step-forward'),
       btnStepBack: this.container.querySelector('#btn-step-back'),
-      btnGenerate: this.container.querySelector('#btn-generate'),
-      btnClear: this.container.querySelector('#btn-clear'),
+      btnDirection: this.container.querySelector('#btn-direction'),
+      btnLoop: this.container.querySelector('#btn-loop'),
+      btnMarkIn: this.container.querySelector('#btn-mark-in'),
+      btnMarkOut: this.container.querySelector('#btn-mark-out'),
+      btnClearRange: this.container.querySelector('#btn-clear-range'),
+      playbackMode: this.container.querySelector('#playback-mode'),
+      generationStatus: this.container.querySelector('#generation-status'),
+      generationSpinner: this.container.querySelector('#generation-spinner'),
+      generationText: this.container.querySelector('#generation-text'),
+      btnCancelGeneration: this.container.querySelector('#btn-cancel-generation'),
+      progressRange: this.container.querySelector('#progress-range'),
+      progressMarkers: this.container.querySelector('#progress-markers'),
+      breakpointPresets: this.container.querySelector('#breakpoint-presets'),
+      breakpointInput: this.container.querySelector('#breakpoint-input'),
+      btnAddBreakpoint: this.container.querySelector('#btn-add-breakpoint'),
+      btnNextBreakpoint: this.container.querySelector('#btn-next-breakpoint'),
+      breakpointList: this.container.querySelector('#breakpoint-list'),
+      breakpointStatus: this.container.querySelector('#breakpoint-status'),
       iconPlay: this.container.querySelector('.icon-play'),
       iconPause: this.container.querySelector('.icon-pause'),
       speedSlider: this.container.querySelector('#speed-slider'),
       speedLabel: this.container.querySelector('#speed-label'),
+      progressBar: this.container.querySelector('#progress-bar'),
       progressFill: this.container.querySelector('#progress-fill'),
       stepCurrent: this.container.querySelector('#step-current'),
       stepTotal: this.container.querySelector('#step-total'),
-      inputSection: this.container.querySelector('#input-section'),
-      inputControls: this.container.querySelector('#input-controls')
+      inputSections: this.container.querySelector('#input-sections'),
+      actionSection: this.container.querySelector('#action-section'),
+      actionControls: this.container.querySelector('#action-controls'),
+      btnExport: this.container.querySelector('#btn-export'),
+      exportStatus: this.container.querySelector('#export-status'),
+      exportSpinner: this.container.querySelector('#export-spinner'),
+      exportText: this.container.querySelector('#export-text'),
+      btnCancelExport: this.container.querySelector('#btn-cancel-export'),
+      traceIssues: this.container.querySelector('#trace-issues')
     };
   }
 
   bindEvents() {
-    this.elements.btnPlay.addEventListener('click', () => this.animator.toggle());
-    this.elements.btnReset.addEventListener('click', () => this.animator.reset());
-    this.elements.btnStepForward.addEventListener('click', () => this.animator.stepForward());
+    this.elements.btnPlay.addEventListener('click', () => this.toggle());
+    this.elements.btnReset.addEventListener('click', () => this.reset());
+    this.elements.btnStepForward.addEventListener('click', () => this.stepForward());
     this.elements.btnStepBack.addEventListener('click', () => this.animator.stepBackward());
+    this.elements.btnDirection.addEventListener('click', () => this.animator.reverse());
+    this.elements.btnLoop.addEventListener('click', () => this.cycleLoopMode());
+    this.elements.btnMarkIn.addEventListener('click', () => this.animator.setInPoint());
+    this.elements.btnMarkOut.addEventListener('click', () => this.animator.setOutPoint());
+    this.elements.btnClearRange.addEventListener('click', () => this.animator.clearRange());
+    this.elements.btnCancelGeneration.addEventListener('click', () => {
+      if (this.onCancel) this.onCancel();
+    });
+    this.elements.btnExport.addEventListener('click', () => {
+      if (this.onExport) this.onExport(this.getExportOptions());
+    });
+    this.elements.btnCancelExport.addEventListener('click', () => {
+      if (this.onCancelExport) this.onCancelExport();
+    });
+    ['png', 'svg'].forEach(format => {
+      this.container.querySelector(`#btn-snapshot-${format}`).addEventListener('click', () => {
+        const scale = parseInt(this.container.querySelector('#snapshot-scale').value);
+        if (this.onSnapshot) this.onSnapshot(format, scale);
+      });
+    });
+    this.container.querySelector('#btn-save-trace').addEventListener('click', () => {
+      if (this.onSaveTrace) this.onSaveTrace();
+    });
+    const traceFile = this.container.querySelector('#trace-file');
+    this.container.querySelector('#btn-load-trace').addEventListener('click', () => traceFile.click());
+    traceFile.addEventListener('change', () => {
+      const file = traceFile.files[0];
+      traceFile.value = ''; // Loading the same file again still fires change
+      if (file && this.onLoadTrace) this.onLoadTrace(file);
+    });
+    this.elements.btnAddBreakpoint.addEventListener('click', () => this.addBreakpoint());
+    this.elements.breakpointInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addBreakpoint();
+    });
+    this.elements.btnNextBreakpoint.addEventListener('click', () => this.continueToBreakpoint());
     this.elements.speedSlider.addEventListener('input', (e) => {
       const speed = parseFloat(e.target.value);
       this.animator.setSpeed(speed);
       this.elements.speedLabel.textContent = `${speed.toFixed(2)}x`;
     });
-    this.container.querySelector('#progress-bar').addEventListener('click', (e) => {
-      const rect = e.target.getBoundingClientRect();
-      const percent = (e.clientX - rect.left) / rect.width;
-      const step = Math.floor(percent * (this.animator.totalSteps - 1));
-      this.animator.goToStep(step);
-    });
+    this.timeline = new Timeline(this.container.querySelector('#timeline'), this.animator);
     document.addEventListener('keydown', (e) => this.handleKeyboard(e));
     this.animator.onStateChange = (state) => this.updateFromState(state);
+    this.animator.onBreakpoint = (state, step) => {
+      this.elements.breakpointStatus.textContent = `Paused at breakpoint (step ${step + 1})`;
+    };
+  }
+
+  // Playback entry points; visualizers hook in via onBeforePlay(action) / onReset
+  toggle() {
+    if (!this.animator.isPlaying && this.onBeforePlay) this.onBeforePlay('play');
+    this.animator.toggle();
+  }
+
+  stepForward() {
+    if (this.onBeforePlay) this.onBeforePlay('step');
+    this.animator.stepForward();
+  }
+
+  reset() {
+    if (this.onReset) this.onReset();
+    else this.animator.reset();
+  }
+
+  cycleLoopMode() {
+    const modes = ['none', 'loop', 'pingpong'];
+    const next = modes[(modes.indexOf(this.animator.loopMode) + 1) % modes.length];
+    this.animator.setLoopMode(next);
   }
 
   handleKeyboard(e) {
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
     switch (e.code) {
-      case 'Space': e.preventDefault(); this.animator.toggle(); break;
+      case 'Space': e.preventDefault(); this.toggle(); break;
       case 'ArrowLeft': e.preventDefault(); this.animator.stepBackward(); break;
-      case 'ArrowRight': e.preventDefault(); this.animator.stepForward(); break;
-      case 'KeyR': e.preventDefault(); this.animator.reset(); break;
+      case 'ArrowRight': e.preventDefault(); this.stepForward(); break;
+      case 'KeyR': e.preventDefault(); this.reset(); break;
+      case 'KeyL': e.preventDefault(); this.cycleLoopMode(); break;
+      case 'KeyN': e.preventDefault(); this.continueToBreakpoint(); break;
+      case 'KeyI': e.preventDefault(); this.animator.setInPoint(); break;
+      case 'KeyO': e.preventDefault(); this.animator.setOutPoint(); break;
     }
   }
 
@@ -136,42 +320,321 @@ export class ControlPanel {
       this.elements.iconPause.classList.add('hidden');
       this.elements.btnPlay.classList.remove('active');
     }
-    this.elements.progressFill.style.width = `${state.progress}%`;
+    // Lazy runs have no known end yet: show an indeterminate bar instead
+    const totalKnown = state.totalKnown !== false;
+    this.elements.progressBar.classList.toggle('progress-bar-indeterminate', !totalKnown);
+    this.elements.progressFill.style.width = totalKnown ? `${state.progress}%` : '';
     this.elements.stepCurrent.textContent = state.currentStep + 1;
-    this.elements.stepTotal.textContent = state.totalSteps;
+    this.elements.stepTotal.textContent = totalKnown ? state.totalSteps : 'unknown';
+    this.updatePlaybackMode(state);
+    if (state.breakpoints !== this.renderedBreakpoints || totalKnown !== this.renderedTotalKnown) {
+      this.renderBreakpointMarkers(state);
+    }
+    if (this.timeline) this.timeline.update();
+  }
+
+  /**
+   * Show background step generation under the progress bar
+   * @param {string|null} text - Status text, or null to hide the row
+   * @param {boolean} busy - Show the spinner and the cancel button
+   */
+  setGenerationStatus(text, busy = true) {
+    const { generationStatus, generationSpinner, generationText, btnCancelGeneration } = this.elements;
+    generationStatus.classList.toggle('hidden', text === null);
+    generationText.textContent = text || '';
+    generationSpinner.classList.toggle('hidden', !busy);
+    btnCancelGeneration.classList.toggle('hidden', !busy);
+  }
+
+  /**
+   * @returns {Object} { format, range, width, height, fps } chosen in the Export section
+   */
+  getExportOptions() {
+    const value = (id) => this.container.querySelector(`#export-${id}`).value;
+    const [width, height] = value('size').split('x').map(Number);
+    return { format: value('format'), range: value('range'), width, height, fps: parseInt(value('fps')) };
+  }
+
+  /**
+   * Show export progress under the Export button
+   * @param {string|null} text - Status text, or null to hide the row
+   * @param {boolean} busy - Show the spinner and the cancel button
+   */
+  setExportStatus(text, busy = true) {
+    const { exportStatus, exportSpinner, exportText, btnCancelExport, btnExport } = this.elements;
+    exportStatus.classList.toggle('hidden', text === null);
+    exportText.textContent = text || '';
+    exportSpinner.classList.toggle('hidden', !busy);
+    btnCancelExport.classList.toggle('hidden', !busy);
+    btnExport.disabled = busy && text !== null;
+  }
+
+  /**
+   * List the events an event log check flagged; clicking one jumps to its step
+   * @param {Array} issues - { step, line, message }
+   */
+  setTraceIssues(issues) {
+    const list = this.elements.traceIssues;
+    list.classList.toggle('hidden', !issues.length);
+    list.innerHTML = issues.map(issue => `
+      <div data-step="${issue.step}" style="cursor:pointer;font-size:12px;color:#fda4af;padding:4px 0;border-bottom:1px solid var(--color-border);">
+        <span style="font-family:var(--font-family-mono);color:var(--color-text-muted);">${issue.line === null ? 'end' : `line ${issue.line}`}</span>
+        <span></span>
+      </div>`).join('');
+    // Messages quote the uploaded file, so set them as text rather than HTML
+    list.querySelectorAll('[data-step]').forEach((row, i) => {
+      row.lastElementChild.textContent = issues[i].message;
+      row.addEventListener('click', () => {
+        this.animator.pause();
+        this.animator.goToStep(parseInt(row.dataset.step));
+      });
+    });
+  }
+
+  /**
+   * Configure timeline ticks and hover preview (see Timeline.configure)
+   * @param {Object} options - { phase, colors, preview }
+   */
+  setTimeline(options) {
+    this.timeline.configure(options);
+  }
+
+  /**
+   * Offer one-click breakpoints that make sense for the current visualizer
+   * @param {Array} presets - [{ label, when }] where `when` is any breakpoint condition
+   */
+  setBreakpointPresets(presets) {
+    this.presetBreakpointIds.forEach(id => this.animator.removeBreakpoint(id));
+    this.presetBreakpointIds.clear();
+    this.breakpointPresets = presets;
+    this.elements.breakpointPresets.innerHTML = presets.length ? `
+      <div style="display:flex;flex-wrap:wrap;gap:8px;margin-bottom:8px;">
+        ${presets.map((p, i) => `<button class="btn btn-secondary" data-preset="${i}" style="flex:1;white-space:nowrap;">${p.label}</button>`).join('')}
+      </div>` : '';
+    this.elements.breakpointPresets.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => this.togglePreset(parseInt(btn.dataset.preset), btn));
+    });
+  }
+
+  togglePreset(index, btn) {
+    const preset = this.breakpointPresets[index];
+    const active = this.presetBreakpointIds.has(index);
+    if (active) {
+      this.animator.removeBreakpoint(this.presetBreakpointIds.get(index));
+      this.presetBreakpointIds.delete(index);
+    } else {
+      this.presetBreakpointIds.set(index, this.animator.addBreakpoint(preset.when, preset.label));
+    }
+    btn.classList.toggle('btn-primary', !active);
+    btn.classList.toggle('btn-secondary', active);
+    btn.classList.toggle('active', !active);
+  }
+
+  addBreakpoint() {
+    const expr = this.elements.breakpointInput.value.trim();
+    if (!expr) return;
+    try {
+      this.animator.addBreakpoint(expr);
+      this.elements.breakpointInput.value = '';
+      this.renderBreakpointList();
+    } catch (error) {
+      this.elements.breakpointStatus.textContent = error.message;
+    }
+  }
+
+  continueToBreakpoint() {
+    if (this.onBeforePlay) this.onBeforePlay('breakpoint');
+    const step = this.animator.continueToBreakpoint();
+    this.elements.breakpointStatus.textContent = step < 0 ? 'No further breakpoints' : '';
+  }
+
+  renderBreakpointList() {
+    const presetIds = new Set(this.presetBreakpointIds.values());
+    const custom = this.animator.breakpoints.filter(b => !presetIds.has(b.id));
+    this.elements.breakpointList.innerHTML = custom.map(b => `
+      <div style="display:flex;align-items:center;gap:8px;font-size:12px;font-family:var(--font-family-mono);color:var(--color-text-secondary);padding:4px 0;">
+        <span style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;"></span>
+        <button class="btn btn-secondary" data-breakpoint="${b.id}" style="padding:2px 8px;" title="Remove">×</button>
+      </div>`).join('');
+    // Labels are user input, so set them as text rather than HTML
+    this.elements.breakpointList.querySelectorAll('span').forEach((span, i) => { span.textContent = custom[i].label; });
+    this.elements.breakpointList.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.animator.removeBreakpoint(parseInt(btn.dataset.breakpoint));
+        this.renderBreakpointList();
+      });
+    });
+  }
+
+  renderBreakpointMarkers({ breakpoints = [], totalSteps, totalKnown = true }) {
+    this.renderedBreakpoints = breakpoints;
+    this.renderedTotalKnown = totalKnown;
+    const last = Math.max(1, totalSteps - 1);
+    // Marker positions would drift while a lazy run is still growing
+    this.elements.progressMarkers.innerHTML = !totalKnown ? '' : breakpoints.map(step =>
+      `<div style="position:absolute;top:0;bottom:0;width:2px;background:#ef4444;left:${step / last * 100}%;"></div>`
+    ).join('');
+    const count = breakpoints.length;
+    this.elements.breakpointStatus.textContent = this.animator.breakpoints.length
+      ? `${count} matching step${count === 1 ? '' : 's'}${totalKnown ? '' : ' so far'}`
+      : '';
+  }
+
+  updatePlaybackMode({ direction = 1, loopMode = 'none', inPoint = null, outPoint = null, totalSteps, totalKnown = true }) {
+    const loopLabels = { none: 'Off', loop: 'Forever', pingpong: 'Ping-Pong' };
+    this.elements.btnDirection.classList.toggle('active', direction < 0);
+    this.elements.btnLoop.classList.toggle('active', loopMode !== 'none');
+    this.elements.btnLoop.title = `Loop: ${loopLabels[loopMode]} (L)`;
+
+    const hasRange = inPoint !== null || outPoint !== null;
+    const showRange = hasRange && totalKnown && totalSteps > 1;
+    this.elements.progressRange.classList.toggle('hidden', !showRange);
+    if (showRange) {
+      const { start, end } = this.animator.getRange();
+      this.elements.progressRange.style.left = `${start / (totalSteps - 1) * 100}%`;
+      this.elements.progressRange.style.width = `${(end - start) / (totalSteps - 1) * 100}%`;
+    }
+
+    const parts = [direction < 0 ? '◀ Reverse' : '▶ Forward', `Loop: ${loopLabels[loopMode]}`];
+    if (hasRange) {
+      const { start, end } = this.animator.getRange();
+      parts.push(`Range: ${start + 1}–${end + 1}`);
+    }
+    this.elements.playbackMode.textContent = parts.join(' · ');
   }
 
   updateUI() {
-    this.updateFromState({ isPlaying: this.animator.isPlaying, currentStep: this.animator.currentStep, totalSteps: this.animator.totalSteps, progress: 0 });
+    const a = this.animator;
+    this.updateFromState({
+      isPlaying: a.isPlaying, currentStep: a.currentStep, totalSteps: a.totalSteps, progress: 0,
+      direction: a.direction, loopMode: a.loopMode, inPoint: a.inPoint, outPoint: a.outPoint,
+      breakpoints: a.breakpointSteps, totalKnown: a.isTotalKnown()
+    });
   }
 
+  /**
+   * Set the parameter inputs
+   * @param {Array} configs - Input configs ({ id, type, label, section, value, onChange, ... })
+   * Supported types: number, range, text, select, toggle, note.
+   * Consecutive configs sharing a `section` title are grouped together.
+   */
   setInputConfigs(configs) {
     this.inputConfigs = configs;
     this.renderInputs();
   }
 
   renderInputs() {
-    if (!this.elements.inputControls) return;
-    this.elements.inputControls.innerHTML = this.inputConfigs.map(c => {
-      if (c.type === 'number') return `<div class="input-group"><label class="input-label" for="input-${c.id}">${c.label}</label><input type="number" class="input-field" id="input-${c.id}" min="${c.min||0}" max="${c.max||100}" value="${c.value}"></div>`;
-      if (c.type === 'select') return `<div class="input-group"><label class="input-label" for="input-${c.id}">${c.label}</label><select class="input-field" id="input-${c.id}">${c.options.map(o=>`<option value="${o.value}" ${o.value===c.value?'selected':''}>${o.label}</option>`).join('')}</select></div>`;
-      return '';
-    }).join('');
+    if (!this.elements.inputSections) return;
+    const sections = [];
     this.inputConfigs.forEach(c => {
-      const el = this.elements.inputControls.querySelector(`#input-${c.id}`);
-      if (el) el.addEventListener('change', e => { if (this.onInputChange) this.onInputChange(c.id, c.type==='number'?parseFloat(e.target.value):e.target.value); });
+      const title = c.section || 'Parameters';
+      const last = sections[sections.length - 1];
+      if (last && last.title === title) last.configs.push(c);
+      else sections.push({ title, configs: [c] });
     });
+    this.elements.inputSections.innerHTML = sections.map(s => `
+      <div class="control-section">
+        <h4 class="control-section-title">${s.title}</h4>
+        ${s.configs.map(c => this.renderInput(c)).join('')}
+      </div>`).join('');
+    this.inputConfigs.forEach(c => this.bindInput(c));
+  }
+
+  renderInput(c) {
+    const label = c.label ? `<label class="input-label" for="input-${c.id}">${c.label}</label>` : '';
+    switch (c.type) {
+      case 'number': return `<div class="input-group">${label}<input type="number" class="input-field" id="input-${c.id}" min="${c.min||0}" max="${c.max||100}" value="${c.value}"></div>`;
+      case 'text': return `<div class="input-group">${label}<input type="text" class="input-field" id="input-${c.id}" value="${c.value}"${c.maxlength ? ` maxlength="${c.maxlength}"` : ''}></div>`;
+      case 'range': return `<div class="input-group"><input type="range" class="range-slider" id="input-${c.id}" min="${c.min||0}" max="${c.max||100}" step="${c.step||1}" value="${c.value}"><span style="font-size:12px;color:var(--color-text-muted);">${c.label}: <span id="input-${c.id}-label">${c.value}</span></span></div>`;
+      case 'select': return `<div class="input-group">${label}<select class="input-field" id="input-${c.id}">${this.renderOptions(c.options, c.value)}</select></div>`;
+      case 'toggle': return `<div class="input-group">${label}<div style="display:flex;gap:8px;" id="input-${c.id}" data-value="${c.value}">${c.options.map(o => `<button class="btn ${o.value===c.value?'btn-primary active':'btn-secondary'}" data-value="${o.value}" style="flex:1;">${o.label}</button>`).join('')}</div></div>`;
+      case 'note': return `<p style="font-size:12px;color:var(--color-text-secondary);line-height:1.6;margin-top:8px;" id="input-${c.id}">${c.html}</p>`;
+      default: return '';
+    }
+  }
+
+  renderOptions(options = [], value) {
+    return options.map(o => `<option value="${o.value}" ${String(o.value)===String(value)?'selected':''}>${o.label}</option>`).join('');
+  }
+
+  bindInput(c) {
+    const el = this.elements.inputSections.querySelector(`#input-${c.id}`);
+    if (!el || c.type === 'note') return;
+    const emit = (value) => {
+      if (c.onChange) c.onChange(value);
+      if (this.onInputChange) this.onInputChange(c.id, value);
+    };
+    if (c.type === 'toggle') {
+      el.querySelectorAll('button').forEach(btn => btn.addEventListener('click', () => {
+        this.setValue(c.id, btn.dataset.value);
+        emit(btn.dataset.value);
+      }));
+    } else if (c.type === 'range') {
+      el.addEventListener('input', () => {
+        this.elements.inputSections.querySelector(`#input-${c.id}-label`).textContent = el.value;
+        emit(parseFloat(el.value));
+      });
+    } else {
+      el.addEventListener('change', () => emit(this.readInput(c, el)));
+    }
+  }
+
+  readInput(c, el) {
+    if (c.type === 'number' || c.type === 'range') return parseFloat(el.value);
+    if (c.type === 'toggle') return el.dataset.value;
+    return el.value;
   }
 
   getInputValues() {
     const v = {};
-    this.inputConfigs.forEach(c => { const el = this.elements.inputControls.querySelector(`#input-${c.id}`); if (el) v[c.id] = c.type==='number'?parseFloat(el.value):el.value; });
+    this.inputConfigs.forEach(c => { const el = this.elements.inputSections.querySelector(`#input-${c.id}`); if (el && c.type !== 'note') v[c.id] = this.readInput(c, el); });
     return v;
   }
 
-  onGenerate(h) { this.elements.btnGenerate.addEventListener('click', h); }
-  onClear(h) { this.elements.btnClear.addEventListener('click', h); }
-  setInputsVisible(v) { this.elements.inputSection.style.display = v ? 'block' : 'none'; }
+  getValue(id) {
+    return this.getInputValues()[id];
+  }
+
+  setValue(id, value) {
+    const c = this.inputConfigs.find(cfg => cfg.id === id);
+    const el = this.elements.inputSections.querySelector(`#input-${id}`);
+    if (!c || !el) return;
+    if (c.type === 'toggle') {
+      el.dataset.value = value;
+      el.querySelectorAll('button').forEach(btn => {
+        btn.className = `btn ${btn.dataset.value === String(value) ? 'btn-primary active' : 'btn-secondary'}`;
+      });
+    } else if (c.type === 'note') {
+      el.innerHTML = value;
+    } else {
+      el.value = value;
+      if (c.type === 'range') this.elements.inputSections.querySelector(`#input-${id}-label`).textContent = value;
+    }
+  }
+
+  setOptions(id, options, value) {
+    const el = this.elements.inputSections.querySelector(`#input-${id}`);
+    if (el) el.innerHTML = this.renderOptions(options, value);
+  }
+
+  /**
+   * Set the action buttons below the parameters
+   * @param {Array} actions - { id, label, primary, onClick }; a nested array renders as one row
+   */
+  setActions(actions) {
+    const button = (a, style) => `<button class="btn ${a.primary ? 'btn-primary' : 'btn-secondary'}" id="btn-${a.id}" style="${style}">${a.label}</button>`;
+    this.elements.actionControls.innerHTML = actions.map((a, i) => {
+      const spacing = i < actions.length - 1 ? 'margin-bottom:8px;' : '';
+      if (Array.isArray(a)) return `<div style="display:flex;gap:8px;${spacing}">${a.map(b => button(b, 'flex:1;')).join('')}</div>`;
+      return button(a, `width:100%;${spacing}`);
+    }).join('');
+    actions.flat().forEach(a => {
+      this.elements.actionControls.querySelector(`#btn-${a.id}`).addEventListener('click', a.onClick);
+    });
+    this.elements.actionSection.style.display = actions.length ? 'block' : 'none';
+  }
+
+  setInputsVisible(v) { this.elements.inputSections.style.display = v ? 'block' : 'none'; }
   destroy() { this.container.innerHTML = ''; }
 }
 
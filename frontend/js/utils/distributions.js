@@ -0,0 +1,105 @@
+/**
+ * DSA Algorithm Visualizer - Input Distributions Module
+ * Array shapes for the sorting visualizers and the race page. Every shape
+ * draws from a seeded generator, so the same distribution, size and seed
+ * always give the same array.
+ */
+import { seededRandom } from './helpers.js';
+
+// Most values an array typed in by hand may have, and their range
+export const MAX_CUSTOM_LENGTH = 100;
+export const MAX_CUSTOM_VALUE = 999;
+
+/**
+ * Each generate(size, value, random, options) returns the array; value()
+ * draws one uniform value in range and random() is the seeded generator.
+ * options.swaps is the number of swaps for 'nearly-sorted'.
+ */
+export const DISTRIBUTIONS = {
+  random: {
+    label: 'Random',
+    generate: (size, value) => Array.from({ length: size }, value)
+  },
+  sorted: {
+    label: 'Sorted',
+    generate: (size, value) => Array.from({ length: size }, value).sort((a, b) => a - b)
+  },
+  reversed: {
+    label: 'Reversed',
+    generate: (size, value) => Array.from({ length: size }, value).sort((a, b) => b - a)
+  },
+  'nearly-sorted': {
+    label: 'Nearly sorted',
+    generate: (size, value, random, { swaps = 3 } = {}) => {
+      const array = Array.from({ length: size }, value).sort((a, b) => a - b);
+      if (size < 2) return array;
+      for (let n = swaps; n > 0; n--) {
+        const i = Math.floor(random() * size);
+        const j = (i + 1 + Math.floor(random() * (size - 1))) % size; // Any position but i
+        [array[i], array[j]] = [array[j], array[i]];
+      }
+      return array;
+    }
+  },
+  sawtooth: {
+    label: 'Sawtooth',
+    // Four rising runs, each from low to high
+    generate: (size, value, random, { min, max }) => {
+      const tooth = Math.max(2, Math.ceil(size / 4));
+      return Array.from({ length: size }, (_, i) => min + Math.round((i % tooth) / (tooth - 1) * (max - min)));
+    }
+  },
+  'organ-pipe': {
+    label: 'Organ pipe',
+    // Rises to a peak in the middle, then falls again
+    generate: (size, value, random, { min, max }) => Array.from({ length: size }, (_, i) => {
+      const height = size > 1 ? 1 - Math.abs(2 * i / (size - 1) - 1) : 1;
+      return min + Math.round(height * (max - min));
+    })
+  },
+  'few-unique': {
+    label: 'Many duplicates',
+    generate: (size, value, random) => {
+      const values = Array.from({ length: 4 }, value);
+      return Array.from({ length: size }, () => values[Math.floor(random() * values.length)]);
+    }
+  },
+  'all-equal': {
+    label: 'All equal',
+    generate: (size, value) => Array(size).fill(value())
+  }
+};
+
+/**
+ * @param {string} distribution - Key of DISTRIBUTIONS (unknown keys fall back to 'random')
+ * @param {number} size - Array length
+ * @param {number} seed - Seed for the generator
+ * @param {Object} [options] - { min, max, swaps }
+ * @returns {number[]}
+ */
+export function generateArray(distribution, size, seed, { min = 10, max = 100, swaps } = {}) {
+  const random = seededRandom(seed);
+  const value = () => min + Math.floor(random() * (max - min + 1));
+  const shape = DISTRIBUTIONS[distribution] || DISTRIBUTIONS.random;
+  return shape.generate(size, value, random, { min, max, swaps });
+}
+
+/**
+ * Read an array typed or pasted by hand, e.g. "5, 3, 8" or "[5 3 8]"
+ * @param {string} text
+ * @returns {number[]} The values
+ * @throws {Error} When a value isn't a whole number in range or there are
+ *   too many
+ */
+export function parseArray(text) {
+  const tokens = text.replace(/[[\]]/g, ' ').split(/[\s,;]+/).filter(Boolean);
+  if (!tokens.length) throw new Error('Type some numbers, e.g. 5, 3, 8');
+  if (tokens.length > MAX_CUSTOM_LENGTH) throw new Error(`At most ${MAX_CUSTOM_LENGTH} values`);
+  return tokens.map(token => {
+    const value = Number(token);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CUSTOM_VALUE) {
+      throw new Error(`"${token}" isn't a whole number from 1 to ${MAX_CUSTOM_VALUE}`);
+    }
+    return value;
+  });
+}
@@ -0,0 +1,476 @@
+/**
+ * DSA Algorithm Visualizer - Graph Editor Module
+ * Mouse and keyboard editing of a node-link graph on the visualizer canvas
+ */
+
+// Node labels run A..Z, which is also what graph links can encode
+export const MAX_NODES = 26;
+
+const HISTORY_LIMIT = 100;
+
+// Pixels an edge and its reverse are each shifted apart in a directed graph
+const PAIR_OFFSET = 13;
+
+/**
+ * Graph Editor Class
+ *
+ * - Click empty space to add a node; click a node or edge to select it
+ * - Drag a node to move it; with the connect tool (or Shift held), drag
+ *   from one node to another to add an edge (from -> to when directed)
+ * - Double-click an edge to type its weight (weighted graphs)
+ * - Delete/Backspace removes the selection, Escape clears it
+ * - Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes
+ *
+ * The graph is the algorithm instance itself ({ nodes, edges,
+ * buildAdjacencyList() }), so edits feed straight into its next run.
+ * Node ids stay equal to their positions: deleting a node renumbers and
+ * relabels the ones after it.
+ */
+export class GraphEditor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.graph - () => the algorithm holding nodes and edges
+   * @param {Function} options.layout - (width, height) => { scale, offsetX, offsetY }
+   *   mapping graph coordinates to canvas pixels, as the visualizer draws them
+   * @param {Object} options.bounds - { width, height } of the graph coordinate box
+   * @param {number} options.nodeRadius - Node radius in canvas pixels
+   * @param {boolean} [options.weighted] - Edges carry a weight
+   * @param {number[]} [options.weights] - [min, max] allowed weight
+   * @param {Function} [options.directed] - () => whether edges are one-way,
+   *   so A -> B and B -> A are two different edges
+   * @param {Function} options.onChange - (edit) => called after each committed
+   *   edit; edit is { type, removed } where removed is a deleted node's id
+   * @param {Function} options.onRender - Redraw the canvas (while dragging)
+   */
+  constructor({ graph, layout, bounds, nodeRadius, weighted = false, weights = [1, 99], directed = () => false, onChange, onRender }) {
+    this.graph = graph;
+    this.layout = layout;
+    this.bounds = bounds;
+    this.nodeRadius = nodeRadius;
+    this.weighted = weighted;
+    this.weights = weights;
+    this.directed = directed;
+    this.onChange = onChange;
+    this.onRender = onRender;
+    this.canvas = null;
+    this.tool = 'move'; // 'move' | 'connect'
+    this.selection = null; // { type: 'node' | 'edge', index }
+    this.drag = null; // { node, connect, start, before, moved, x, y }
+    this.undoStack = [];
+    this.redoStack = [];
+    this.weightInput = null;
+  }
+
+  /**
+   * Start listening to the canvas (call from the descriptor's bindCanvas)
+   * @param {HTMLCanvasElement} canvas
+   */
+  attach(canvas) {
+    this.canvas = canvas;
+    canvas.tabIndex = 0; // Focusable, so keys reach this editor only
+    canvas.style.outline = 'none';
+    canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+    canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+    canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+    canvas.addEventListener('mouseleave', () => this.cancelDrag());
+    canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+    canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+  }
+
+  get canUndo() { return this.undoStack.length > 0; }
+  get canRedo() { return this.redoStack.length > 0; }
+
+  /**
+   * Remember the current graph so the next change can be undone. Call
+   * before replacing the graph from outside (e.g. New Graph).
+   * @param {Object} [graph] - Earlier snapshot to remember instead
+   */
+  checkpoint(graph = this.snapshot()) {
+    this.undoStack.push(graph);
+    if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /**
+   * Forget the undo history and selection (e.g. after loading a link)
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.selection = null;
+  }
+
+  undo() {
+    if (!this.canUndo) return;
+    this.redoStack.push(this.snapshot());
+    this.load(this.undoStack.pop());
+    this.commit({ type: 'undo' });
+  }
+
+  redo() {
+    if (!this.canRedo) return;
+    this.undoStack.push(this.snapshot());
+    this.load(this.redoStack.pop());
+    this.commit({ type: 'redo' });
+  }
+
+  snapshot() {
+    const { nodes, edges } = this.graph();
+    return { nodes: nodes.map(n => ({ ...n })), edges: edges.map(e => ({ ...e })) };
+  }
+
+  load({ nodes, edges }) {
+    const graph = this.graph();
+    graph.nodes = nodes;
+    graph.edges = edges;
+    this.selection = null;
+  }
+
+  commit(edit) {
+    this.closeWeightInput();
+    this.graph().buildAdjacencyList();
+    this.onChange(edit);
+  }
+
+  // Canvas pixels <-> graph coordinates
+
+  transform() {
+    const rect = this.canvas.getBoundingClientRect();
+    return this.layout(rect.width, rect.height);
+  }
+
+  toCanvas(node) {
+    const { scale, offsetX, offsetY } = this.transform();
+    return { x: offsetX + node.x * scale, y: offsetY + node.y * scale };
+  }
+
+  pointer(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  toGraph({ x, y }) {
+    const { scale, offsetX, offsetY } = this.transform();
+    const margin = 20;
+    const clamp = (v, max) => Math.round(Math.max(margin, Math.min(max - margin, v)));
+    return { x: clamp((x - offsetX) / scale, this.bounds.width), y: clamp((y - offsetY) / scale, this.bounds.height) };
+  }
+
+  /**
+   * Canvas endpoints of an edge's line, as edgeLine() places it
+   * @param {Object} edge
+   * @returns {{a: Object, b: Object}}
+   */
+  segment(edge) {
+    const { nodes, edges } = this.graph();
+    const paired = this.directed() && hasReverse(edges, edge);
+    return edgeLine(this.toCanvas(nodes[edge.from]), this.toCanvas(nodes[edge.to]), paired);
+  }
+
+  nodeAt(point) {
+    const { nodes } = this.graph();
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const pos = this.toCanvas(nodes[i]);
+      if (Math.hypot(pos.x - point.x, pos.y - point.y) <= this.nodeRadius) return i;
+    }
+    return null;
+  }
+
+  edgeAt(point) {
+    const { edges } = this.graph();
+    let best = null, bestDistance = 8;
+    edges.forEach((edge, i) => {
+      const { a, b } = this.segment(edge);
+      const distance = distanceToSegment(point, a, b);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  // Mouse
+
+  handleMouseDown(e) {
+    if (e.button !== 0) return;
+    const point = this.pointer(e);
+    const node = this.nodeAt(point);
+    if (node !== null) {
+      this.selection = { type: 'node', index: node };
+      this.drag = { node, connect: this.tool === 'connect' || e.shiftKey, start: point, before: this.snapshot(), moved: false, ...point };
+    } else {
+      const edge = this.edgeAt(point);
+      this.selection = edge !== null ? { type: 'edge', index: edge } : null;
+      this.drag = { node: null, start: point, moved: false };
+    }
+    this.onRender();
+  }
+
+  handleMouseMove(e) {
+    const drag = this.drag;
+    if (!drag) return;
+    const point = this.pointer(e);
+    if (!drag.moved && Math.hypot(point.x - drag.start.x, point.y - drag.start.y) < 4) return;
+    drag.moved = true;
+    if (drag.node === null) return;
+
+    if (drag.connect) {
+      drag.x = point.x;
+      drag.y = point.y;
+    } else {
+      Object.assign(this.graph().nodes[drag.node], this.toGraph(point));
+    }
+    this.onRender();
+  }
+
+  handleMouseUp(e) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+
+    if (drag.node === null) {
+      // A click on empty space adds a node there
+      if (!drag.moved && this.selection === null) this.addNode(this.toGraph(drag.start));
+      return;
+    }
+    if (!drag.moved) return;
+
+    if (drag.connect) {
+      const target = this.nodeAt(this.pointer(e));
+      if (target !== null) this.addEdge(drag.node, target);
+      else this.onRender();
+    } else {
+      // The node already moved; record the graph from before the drag
+      this.checkpoint(drag.before);
+      this.commit({ type: 'move' });
+    }
+  }
+
+  cancelDrag() {
+    if (!this.drag) return;
+    const { node, connect, moved, before } = this.drag;
+    this.drag = null;
+    if (node !== null && moved && !connect) {
+      this.checkpoint(before);
+      this.commit({ type: 'move' });
+    } else {
+      this.onRender();
+    }
+  }
+
+  handleDoubleClick(e) {
+    if (!this.weighted) return;
+    const point = this.pointer(e);
+    if (this.nodeAt(point) !== null) return;
+    const edge = this.edgeAt(point);
+    if (edge !== null) this.editWeight(edge);
+  }
+
+  // Keyboard
+
+  handleKeyDown(e) {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.code === 'KeyZ') {
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    } else if (mod && e.code === 'KeyY') {
+      e.preventDefault();
+      this.redo();
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+      e.preventDefault();
+      this.deleteSelection();
+    } else if (e.code === 'Escape') {
+      this.selection = null;
+      this.cancelDrag();
+      this.onRender();
+    }
+  }
+
+  // Edits
+
+  addNode({ x, y }) {
+    const { nodes } = this.graph();
+    if (nodes.length >= MAX_NODES) return;
+    this.checkpoint();
+    const id = nodes.length;
+    nodes.push({ id, x, y, label: String.fromCharCode(65 + id) });
+    this.selection = { type: 'node', index: id };
+    this.commit({ type: 'add' });
+  }
+
+  addEdge(from, to) {
+    const { edges } = this.graph();
+    const directed = this.directed();
+    const existing = edges.findIndex(e => (e.from === from && e.to === to) || (!directed && e.from === to && e.to === from));
+    if (from === to || existing >= 0) {
+      if (existing >= 0) this.selection = { type: 'edge', index: existing };
+      this.onRender();
+      return;
+    }
+    this.checkpoint();
+    edges.push(this.weighted ? { from, to, weight: Math.max(1, this.weights[0]) } : { from, to });
+    this.selection = { type: 'edge', index: edges.length - 1 };
+    this.commit({ type: 'connect' });
+    if (this.weighted) this.editWeight(edges.length - 1);
+  }
+
+  deleteSelection() {
+    const selection = this.selection;
+    const graph = this.graph();
+    if (!selection) return;
+    if (selection.type === 'edge') {
+      this.checkpoint();
+      graph.edges.splice(selection.index, 1);
+      this.selection = null;
+      this.commit({ type: 'delete' });
+      return;
+    }
+
+    // The algorithms need at least one node to start from
+    if (graph.nodes.length <= 1) return;
+    const removed = selection.index;
+    this.checkpoint();
+    const shift = (id) => id > removed ? id - 1 : id;
+    graph.nodes = graph.nodes
+      .filter(node => node.id !== removed)
+      .map((node, id) => ({ ...node, id, label: String.fromCharCode(65 + id) }));
+    graph.edges = graph.edges
+      .filter(edge => edge.from !== removed && edge.to !== removed)
+      .map(edge => ({ ...edge, from: shift(edge.from), to: shift(edge.to) }));
+    this.selection = null;
+    this.commit({ type: 'delete', removed });
+  }
+
+  /**
+   * Type a new weight for an edge in a field over its label
+   */
+  editWeight(index) {
+    this.closeWeightInput();
+    const edge = this.graph().edges[index];
+    const { a, b } = this.segment(edge);
+    const [min, max] = this.weights;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.value = edge.weight;
+    input.className = 'input-field';
+    input.style.cssText = `position:absolute;left:${(a.x + b.x) / 2 - 32}px;top:${(a.y + b.y) / 2 - 16}px;width:64px;padding:4px 6px;text-align:center;z-index:2;`;
+    this.canvas.parentElement.appendChild(input);
+    this.weightInput = input;
+    input.focus();
+    input.select();
+
+    // Removing the field blurs it, so each path closes it only once
+    let closed = false;
+    const close = () => {
+      closed = true;
+      this.closeWeightInput();
+    };
+    const apply = () => {
+      if (closed) return;
+      const weight = Math.round(Number(input.value));
+      close();
+      if (input.value === '' || !Number.isFinite(weight) || weight === edge.weight) return;
+      this.checkpoint();
+      edge.weight = Math.max(min, Math.min(max, weight));
+      this.commit({ type: 'weight' });
+    };
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') apply();
+      else if (e.key === 'Escape') close();
+    });
+    input.addEventListener('blur', apply);
+  }
+
+  closeWeightInput() {
+    const input = this.weightInput;
+    if (!input) return;
+    this.weightInput = null;
+    input.remove();
+    this.canvas.focus();
+  }
+
+  /**
+   * Draw the selection and the edge being dragged out, over the graph.
+   * Only drawn on the editor's own canvas, so exports stay clean.
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawOverlay(ctx) {
+    if (!this.canvas || ctx.canvas !== this.canvas) return;
+    const { nodes, edges } = this.graph();
+    ctx.save();
+    ctx.strokeStyle = '#f8fafc';
+    ctx.setLineDash([6, 4]);
+    ctx.lineWidth = 2;
+
+    const selection = this.selection;
+    if (selection?.type === 'node' && nodes[selection.index]) {
+      const pos = this.toCanvas(nodes[selection.index]);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, this.nodeRadius + 6, 0, Math.PI * 2);
+      ctx.stroke();
+    } else if (selection?.type === 'edge' && edges[selection.index]) {
+      const { a, b } = this.segment(edges[selection.index]);
+      ctx.lineWidth = 8;
+      ctx.strokeStyle = 'rgba(248, 250, 252, 0.35)';
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+
+    const drag = this.drag;
+    if (drag?.connect && drag.moved) {
+      const from = this.toCanvas(nodes[drag.node]);
+      ctx.strokeStyle = '#f59e0b';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(drag.x, drag.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+/**
+ * Line an edge is drawn along, between two node centres in canvas pixels.
+ * When its reverse edge is drawn too (a directed pair), each is shifted
+ * to its own side so both stay visible and clickable.
+ * @param {Object} a - From node centre { x, y }
+ * @param {Object} b - To node centre { x, y }
+ * @param {boolean} paired - The reverse edge exists as well
+ * @returns {{a: Object, b: Object}}
+ */
+export function edgeLine(a, b, paired) {
+  if (!paired) return { a, b };
+  const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  const dx = (a.y - b.y) / length * PAIR_OFFSET;
+  const dy = (b.x - a.x) / length * PAIR_OFFSET;
+  return { a: { x: a.x + dx, y: a.y + dy }, b: { x: b.x + dx, y: b.y + dy } };
+}
+
+/**
+ * @param {Array} edges
+ * @param {Object} edge
+ * @returns {boolean} Whether edges also hold edge.to -> edge.from
+ */
+export function hasReverse(edges, edge) {
+  return edges.some(e => e.from === edge.to && e.to === edge.from);
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+export default GraphEditor;
@@ -0,0 +1,231 @@
+/**
+ * DSA Algorithm Visualizer - Event Log Module
+ * Replays step events logged by code written outside the visualizer
+ * (students' Python, Java or C++ implementations) and checks them
+ * against the reference implementation
+ *
+ * A log is plain text with one event per line: an operation followed by
+ * its arguments, separated by spaces or commas, e.g. `compare 0 3`,
+ * `swap 0 3`, `visit B`, `set 4 7 9`. Blank lines and `#` comments are
+ * ignored. An optional `algorithm <id>` line names the visualizer the log
+ * is for. Each visualizer defines its own operations and setup lines
+ * (such as `array 5 3 8`) in its descriptor's replayEvents().
+ */
+
+/**
+ * @param {string} text - File contents
+ * @returns {boolean} Whether the text is an event log rather than a JSON trace
+ */
+export function isEventLog(text) {
+  return !text.trimStart().startsWith('{');
+}
+
+/**
+ * Split a log into entries
+ * @param {string} text - Log contents
+ * @returns {{algorithm: string|null, entries: Array}} Entries are
+ *   { op, args, line } with the operation lowercased and 1-based line numbers
+ */
+export function parseEventLog(text) {
+  const log = { algorithm: null, entries: [] };
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const [op, ...args] = line.split(/[\s,]+/);
+    if (op.toLowerCase() === 'algorithm') log.algorithm = args[0] || null;
+    else log.entries.push({ op: op.toLowerCase(), args, line: index + 1 });
+  });
+  return log;
+}
+
+/**
+ * Read an entry's arguments as integers
+ * @param {Object} entry - Log entry
+ * @param {number} count - Expected number of arguments (omit for any)
+ * @returns {number[]|null} The integers, or null if malformed
+ */
+export function integerArgs(entry, count) {
+  if (count !== undefined && entry.args.length !== count) return null;
+  const values = entry.args.map(Number);
+  return values.every(Number.isInteger) ? values : null;
+}
+
+/**
+ * @param {Array} entries - Log entries
+ * @param {string} op - Setup operation (e.g. 'array')
+ * @returns {Object|undefined} The first entry with that operation
+ */
+export function findSetup(entries, op) {
+  return entries.find(entry => entry.op === op);
+}
+
+/**
+ * @param {Object} entry - Log entry
+ * @returns {string} The entry as written, e.g. "swap 0 3"
+ */
+export function formatEntry(entry) {
+  return [entry.op, ...entry.args].join(' ');
+}
+
+/**
+ * Event Replay Class
+ * Collects the steps built from a log together with the events that
+ * failed a check. Flagged steps carry an `issue` message, which the
+ * timeline marks and the control panel lists.
+ */
+export class EventReplay {
+  constructor() {
+    this.steps = [];
+    this.issues = []; // { step, line, message }
+  }
+
+  /**
+   * Record a step
+   * @param {Object} state - Step in the visualizer's schema
+   * @param {Object} entry - Log entry the step came from, if any
+   * @param {string|null} issue - Why the event is invalid, if it is
+   */
+  push(state, entry = null, issue = null) {
+    const step = { ...state };
+    delete step.issue;
+    if (entry) step.line = entry.line;
+    if (issue) {
+      step.issue = issue;
+      step.description = `⚠ ${step.description || formatEntry(entry)}: ${issue}`;
+      this.issues.push({ step: this.steps.length, line: entry?.line ?? null, message: issue });
+    }
+    this.steps.push(step);
+  }
+
+  /**
+   * Flag an event that can't be applied: the previous step is shown again
+   * with the problem
+   * @param {Object} entry - Log entry
+   * @param {string} issue - What is wrong with it
+   */
+  reject(entry, issue) {
+    const previous = this.steps[this.steps.length - 1] || {};
+    this.push({ ...previous, description: `Line ${entry.line}: ${formatEntry(entry)}` }, entry, issue);
+  }
+
+  /**
+   * @returns {{steps: Array, issues: Array}}
+   */
+  result() {
+    return { steps: this.steps, issues: this.issues };
+  }
+}
+
+/**
+ * Replay array events (`compare i j`, `swap i j`, `set i value`) as steps
+ * in the sorting schema shared by the sorting visualizers: { array,
+ * comparing, swapping, sorted, comparisons, swaps, description }.
+ * Compares and swaps are followed against the reference run, and the
+ * first one that differs from it is flagged; `set` events are only
+ * judged by the final array, which is checked against the reference result.
+ * @param {Array} entries - Log entries (setup lines such as `array` are skipped)
+ * @param {Object} options
+ * @param {number[]} options.array - Input the student's run started from
+ * @param {Array} options.reference - Steps of the reference run on the
+ *   same input; the last one holds { array, comparisons, swaps? }
+ * @param {string[]} options.setup - Operations to skip as setup lines
+ * @returns {{steps: Array, issues: Array}}
+ */
+export function replaySortEvents(entries, { array, reference, setup = ['array'] }) {
+  const replay = new EventReplay();
+  const arr = [...array];
+  const expectedEvents = referenceEvents(reference);
+  let followed = 0; // Reference events matched so far, until one differs
+  let comparisons = 0, swaps = 0, writes = 0;
+  const step = (fields, entry, issue) => replay.push({
+    array: [...arr], comparing: [], sorted: [], comparisons, swaps, ...fields
+  }, entry, issue);
+  const inRange = (i) => i >= 0 && i < arr.length;
+
+  const events = entries.filter(entry => !setup.includes(entry.op));
+  step({ description: `Replaying ${events.length} events on [${arr.join(', ')}]` });
+
+  events.forEach(entry => {
+    if (!['compare', 'swap', 'set'].includes(entry.op)) {
+      replay.reject(entry, `unknown event "${entry.op}" (expected compare, swap or set)`);
+      return;
+    }
+    const args = integerArgs(entry, 2);
+    if (!args) {
+      replay.reject(entry, `expected "${entry.op} ${entry.op === 'set' ? 'index value' : 'i j'}"`);
+      return;
+    }
+
+    const [i, j] = args;
+    if (!inRange(i) || (entry.op !== 'set' && !inRange(j))) {
+      replay.reject(entry, `index out of range (the array has ${arr.length} elements)`);
+      return;
+    }
+
+    let issue = null;
+    if (entry.op !== 'set' && followed !== null) {
+      const wanted = expectedEvents[followed];
+      const matches = wanted?.op === entry.op && (!wanted.pair || samePair(wanted.pair, [i, j]));
+      if (matches) followed++;
+      else {
+        issue = !wanted ? 'the reference has no compares or swaps left'
+          : wanted.pair ? `the reference ${wanted.op}s ${wanted.pair[0]} and ${wanted.pair[1]} here`
+          : `the reference ${wanted.op}s here`;
+        followed = null;
+      }
+    }
+
+    if (entry.op === 'compare') {
+      comparisons++;
+      step({ comparing: [i, j], description: `Comparing ${arr[i]} with ${arr[j]}` }, entry, issue);
+    } else if (entry.op === 'swap') {
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+      swaps++;
+      step({ comparing: [i, j], swapping: [i, j], description: `Swapped ${arr[j]} and ${arr[i]}` }, entry, issue);
+    } else {
+      arr[i] = j;
+      writes++;
+      step({ swapping: [i], description: `Placed ${j} at position ${i}` }, entry);
+    }
+  });
+
+  const result = reference[reference.length - 1];
+  const expected = result.array;
+  const wrong = expected.findIndex((value, i) => arr[i] !== value);
+  const counts = (c, s, w) => [`${c} comparisons`, s !== undefined && `${s} swaps`, w && `${w} writes`].filter(Boolean).join(', ');
+  const summary = `${counts(comparisons, swaps, writes)} (reference: ${counts(result.comparisons, result.swaps)})`;
+  if (wrong >= 0 || arr.length !== expected.length) {
+    const at = wrong >= 0 ? wrong : expected.length;
+    replay.push({
+      array: [...arr], comparing: [at], sorted: [], comparisons, swaps,
+      description: `Finished with ${summary}`
+    }, null, `the result differs from the reference at position ${at} (expected ${expected[at]}, got ${arr[at]})`);
+  } else {
+    replay.push({
+      array: [...arr], comparing: [], sorted: arr.map((_, i) => i), comparisons, swaps,
+      description: `Sorted correctly with ${summary}`
+    });
+  }
+  return replay.result();
+}
+
+// Compares and swaps of a reference run in order, read off the steps where
+// its counters go up. A step that adds several at once, or doesn't mark
+// the pair, leaves them as wildcards that match any indices.
+function referenceEvents(steps) {
+  const events = [];
+  steps.forEach((state, k) => {
+    if (!k) return;
+    [['compare', 'comparisons', 'comparing'], ['swap', 'swaps', 'swapping']].forEach(([op, counter, field]) => {
+      const added = (state[counter] || 0) - (steps[k - 1][counter] || 0);
+      const pair = added === 1 && state[field]?.length === 2 ? state[field] : null;
+      for (let n = 0; n < added; n++) events.push({ op, pair });
+    });
+  });
+  return events;
+}
+
+// Whether two index pairs name the same elements, in either order
+function samePair([a, b], [c, d]) {
+  return (a === c && b === d) || (a === d && b === c);
+}
@@ -0,0 +1,241 @@
+/**
+ * DSA Algorithm Visualizer - Export Module
+ * Offscreen rendering of recorded steps into animated GIF or WebM files,
+ * and of single frames into PNG or SVG snapshots
+ */
+import { GifEncoder } from './gif.js';
+import { WebMWriter } from './webm.js';
+import { SvgContext } from './svg.js';
+import { wait } from './helpers.js';
+
+// Longest export accepted, to keep memory and encoding time in check
+export const MAX_FRAMES = 5000;
+
+// WebCodecs codec strings, best first, with their Matroska codec ids
+const WEBM_CODECS = [
+  { codec: 'vp09.00.10.08', id: 'V_VP9' },
+  { codec: 'vp8', id: 'V_VP8' }
+];
+
+const KEYFRAME_INTERVAL = 2000; // ms
+
+/**
+ * @returns {boolean} Whether WebM export is possible (needs WebCodecs)
+ */
+export function canExportWebM() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * Render one frame into a PNG at a multiple of its on-screen size
+ * @param {Function} draw - Visualizer draw(ctx, state, view)
+ * @param {Object} state - Step to draw
+ * @param {Object} view - { width, height, ... } in CSS pixels, as passed to draw()
+ * @param {number} scale - Device pixels per CSS pixel
+ * @returns {Promise<Blob>} image/png
+ */
+export function renderPNG(draw, state, view, scale = 2) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(view.width * scale);
+  canvas.height = Math.round(view.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  draw(ctx, state, view);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG')), 'image/png');
+  });
+}
+
+/**
+ * Render one frame as vector graphics by running draw() against an SvgContext
+ * @param {Function} draw - Visualizer draw(ctx, state, view)
+ * @param {Object} state - Step to draw
+ * @param {Object} view - { width, height, ... } in CSS pixels, as passed to draw()
+ * @returns {Blob} image/svg+xml
+ */
+export function renderSVG(draw, state, view) {
+  const ctx = new SvgContext(Math.round(view.width), Math.round(view.height));
+  draw(ctx, state, view);
+  return new Blob([ctx.toString()], { type: 'image/svg+xml' });
+}
+
+/**
+ * Animation Exporter Class
+ * Replays a range of steps the way playback shows them (same per-step
+ * duration, tweened in-between frames for tweening visualizers) into an
+ * offscreen canvas and encodes the frames. Nothing leaves the page.
+ */
+export class AnimationExporter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.draw - Visualizer draw(ctx, state, view)
+   * @param {Function} options.getState - Step index -> state
+   * @param {boolean} options.tween - Render in-between frames
+   * @param {{width: number, height: number}} options.viewport - On-screen
+   *   canvas size in CSS pixels; exports keep its layout, scaled to fit
+   */
+  constructor({ draw, getState, tween = false, viewport }) {
+    this.draw = draw;
+    this.getState = getState;
+    this.tween = tween;
+    this.viewport = viewport;
+    this.cancelled = false;
+    this.onProgress = null; // (done, total)
+  }
+
+  /**
+   * Frames needed for a range (non-tweened steps are held, not repeated)
+   * @param {Object} options - { from, to, fps, stepDuration }
+   * @returns {number} Frame count
+   */
+  countFrames({ from, to, fps, stepDuration }) {
+    const samples = Math.ceil((to - from + 1) * stepDuration / (1000 / fps));
+    return this.tween ? samples : Math.min(samples, to - from + 1);
+  }
+
+  /**
+   * Frame schedule: each step lasts `stepDuration` ms, sampled at `fps`
+   * @yields {{index: number, progress: number, time: number, duration: number}}
+   */
+  *frames({ from, to, fps, stepDuration }) {
+    const interval = 1000 / fps;
+    const total = (to - from + 1) * stepDuration;
+    let frame = null;
+    for (let time = 0; time < total; time += interval) {
+      const position = time / stepDuration;
+      const index = Math.min(to, from + Math.floor(position));
+      const progress = this.tween && index < to ? position - Math.floor(position) : 0;
+      // Without tweening a step looks the same until the next one starts
+      if (frame && !this.tween && frame.index === index) continue;
+      if (frame) {
+        frame.duration = time - frame.time;
+        yield frame;
+      }
+      frame = { index, progress, time, duration: 0 };
+    }
+    if (frame) {
+      frame.duration = total - frame.time;
+      yield frame;
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Render and encode a range of steps
+   * @param {Object} options
+   * @param {string} options.format - 'gif' or 'webm'
+   * @param {number} options.from - First step index
+   * @param {number} options.to - Last step index
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.stepDuration - Milliseconds per step
+   * @returns {Promise<Blob|null>} The file, or null if cancelled
+   */
+  async export(options) {
+    const { width, height } = options;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: options.format === 'gif' });
+    const total = this.countFrames(options);
+
+    const render = ({ index, progress }) => {
+      const scale = Math.min(width / this.viewport.width, height / this.viewport.height);
+      const view = { width: width / scale, height: height / scale };
+      if (this.tween) {
+        view.next = progress > 0 ? this.getState(index + 1) : null;
+        view.progress = progress;
+      }
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = '#0f172a';
+      ctx.fillRect(0, 0, width, height);
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      this.draw(ctx, this.getState(index), view);
+    };
+
+    return options.format === 'webm'
+      ? this.encodeWebM(canvas, render, options, total)
+      : this.encodeGif(ctx, render, options, total);
+  }
+
+  async encodeGif(ctx, render, options, total) {
+    const { width, height } = options;
+    const encoder = new GifEncoder(width, height);
+    let done = 0;
+    for (const frame of this.frames(options)) {
+      if (this.cancelled) return null;
+      render(frame);
+      encoder.addFrame(ctx.getImageData(0, 0, width, height).data, frame.duration);
+      this.reportProgress(++done, total);
+      await wait(0); // Keep the page responsive
+    }
+    return encoder.finish();
+  }
+
+  async encodeWebM(canvas, render, options, total) {
+    const { width, height, fps } = options;
+    if (!canExportWebM()) throw new Error('WebM export needs a browser with WebCodecs');
+
+    const config = { width, height, framerate: fps, bitrate: Math.max(500000, Math.round(width * height * fps * 0.1)) };
+    let format = null;
+    for (const candidate of WEBM_CODECS) {
+      const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec: candidate.codec });
+      if (supported) {
+        format = candidate;
+        break;
+      }
+    }
+    if (!format) throw new Error('No VP8/VP9 encoder available');
+
+    const writer = new WebMWriter({ width, height, codec: format.id });
+    let failure = null;
+    const encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+      },
+      error: (error) => { failure = error; }
+    });
+    encoder.configure({ ...config, codec: format.codec });
+
+    let done = 0;
+    let lastKeyframe = -Infinity;
+    let end = 0;
+    try {
+      for (const frame of this.frames(options)) {
+        if (this.cancelled) return null;
+        if (failure) throw failure;
+        render(frame);
+        const videoFrame = new VideoFrame(canvas, {
+          timestamp: Math.round(frame.time * 1000),
+          duration: Math.round(frame.duration * 1000)
+        });
+        const keyFrame = frame.time - lastKeyframe >= KEYFRAME_INTERVAL;
+        if (keyFrame) lastKeyframe = frame.time;
+        encoder.encode(videoFrame, { keyFrame });
+        videoFrame.close();
+        end = frame.time + frame.duration;
+        this.reportProgress(++done, total);
+        // Let the encoder catch up instead of queueing every frame
+        while (encoder.encodeQueueSize > 4) await wait(5);
+        await wait(0);
+      }
+      await encoder.flush();
+      if (failure) throw failure;
+    } finally {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+    return writer.finish(end);
+  }
+
+  reportProgress(done, total) {
+    if (this.onProgress) this.onProgress(done, total);
+  }
+}
+
+export default AnimationExporter;
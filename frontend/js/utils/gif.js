@@ -0,0 +1,294 @@
+/**
+ * DSA Algorithm Visualizer - GIF Encoder Module
+ * Dependency-free animated GIF (GIF89a) writer for exported runs
+ */
+
+/**
+ * GIF Encoder Class
+ * Each frame gets its own palette of its 256 most used colors (the
+ * visualizers draw with a handful of flat colors, so this is usually
+ * exact apart from anti-aliased edges), and only the rectangle that
+ * changed since the previous frame is stored.
+ */
+export class GifEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.bytes = new ByteWriter();
+    this.previous = null; // RGB555 keys of the last frame, for change detection
+    this.pending = null; // Last frame, written once its delay is known
+    this.writeHeader();
+  }
+
+  writeHeader() {
+    const out = this.bytes;
+    out.writeString('GIF89a');
+    out.writeShort(this.width);
+    out.writeShort(this.height);
+    out.writeByte(0x00); // No global color table
+    out.writeByte(0);
+    out.writeByte(0);
+    // NETSCAPE2.0 extension: loop forever
+    out.writeBytes([0x21, 0xff, 0x0b]);
+    out.writeString('NETSCAPE2.0');
+    out.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} rgba - width * height RGBA pixels (e.g. ImageData.data)
+   * @param {number} delay - How long the frame is shown, in milliseconds
+   */
+  addFrame(rgba, delay) {
+    const keys = toKeys(rgba);
+    const box = this.previous ? changedBox(this.previous, keys, this.width, this.height) : fullBox(this.width, this.height);
+    this.previous = keys;
+
+    // Nothing changed: show the previous frame for longer instead
+    if (!box && this.pending) {
+      this.pending.delay += delay;
+      return;
+    }
+    this.flush();
+    this.pending = { rgba, keys, box: box || fullBox(this.width, this.height), delay };
+  }
+
+  flush() {
+    if (!this.pending) return;
+    const { rgba, keys, box, delay } = this.pending;
+    this.pending = null;
+    const out = this.bytes;
+    const { palette, indices } = quantize(rgba, keys, box, this.width);
+
+    // Graphic control extension: delay in centiseconds, keep previous frame underneath
+    out.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+    out.writeShort(Math.max(2, Math.round(delay / 10)));
+    out.writeBytes([0x00, 0x00]);
+
+    // Image descriptor with a local 256-entry color table
+    out.writeByte(0x2c);
+    out.writeShort(box.x);
+    out.writeShort(box.y);
+    out.writeShort(box.width);
+    out.writeShort(box.height);
+    out.writeByte(0x87);
+    for (let i = 0; i < 256; i++) {
+      const color = palette[i] || 0;
+      out.writeBytes([(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff]);
+    }
+
+    lzwEncode(indices, 8, out);
+  }
+
+  /**
+   * Finish the file
+   * @returns {Blob} image/gif
+   */
+  finish() {
+    this.flush();
+    this.bytes.writeByte(0x3b);
+    return new Blob([this.bytes.toUint8Array()], { type: 'image/gif' });
+  }
+}
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value;
+  }
+
+  writeShort(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeString(text) {
+    this.writeBytes([...text].map(c => c.charCodeAt(0)));
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+// Reduce each pixel to a 15-bit RGB555 key (the palette's resolution)
+function toKeys(rgba) {
+  const keys = new Uint16Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < keys.length; i++, p += 4) {
+    keys[i] = ((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3);
+  }
+  return keys;
+}
+
+function fullBox(width, height) {
+  return { x: 0, y: 0, width, height };
+}
+
+// Bounding box of the pixels that differ, or null if none do
+function changedBox(previous, keys, width, height) {
+  let top = -1, bottom = -1, left = width, right = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (previous[row + x] !== keys[row + x]) {
+        if (top < 0) top = y;
+        bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+  if (top < 0) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Pick up to 256 colors for a frame region and map every pixel to one
+ * @returns {{palette: number[], indices: Uint8Array}} 0xRRGGBB colors and per-pixel indices
+ */
+function quantize(rgba, keys, box, width) {
+  const counts = new Uint32Array(1 << 15);
+  const sums = new Float64Array((1 << 15) * 3);
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      const i = y * width + x;
+      const key = keys[i];
+      counts[key]++;
+      sums[key * 3] += rgba[i * 4];
+      sums[key * 3 + 1] += rgba[i * 4 + 1];
+      sums[key * 3 + 2] += rgba[i * 4 + 2];
+    }
+  }
+
+  const used = [];
+  for (let key = 0; key < counts.length; key++) if (counts[key]) used.push(key);
+  used.sort((a, b) => counts[b] - counts[a]);
+  const chosen = used.slice(0, 256);
+  const palette = chosen.map(key => {
+    const n = counts[key];
+    return (Math.round(sums[key * 3] / n) << 16) | (Math.round(sums[key * 3 + 1] / n) << 8) | Math.round(sums[key * 3 + 2] / n);
+  });
+
+  // Colors that didn't make the cut map to their nearest palette entry
+  const lookup = new Int16Array(1 << 15).fill(-1);
+  chosen.forEach((key, index) => { lookup[key] = index; });
+  for (let u = 256; u < used.length; u++) {
+    const key = used[u];
+    const r = (key >> 10) << 3, g = ((key >> 5) & 31) << 3, b = (key & 31) << 3;
+    let best = 0, bestDistance = Infinity;
+    palette.forEach((color, index) => {
+      const dr = ((color >> 16) & 0xff) - r, dg = ((color >> 8) & 0xff) - g, db = (color & 0xff) - b;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = index;
+      }
+    });
+    lookup[key] = best;
+  }
+
+  const indices = new Uint8Array(box.width * box.height);
+  let n = 0;
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) indices[n++] = lookup[keys[y * width + x]];
+  }
+  return { palette, indices };
+}
+
+/**
+ * Write image data as GIF LZW sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - Bits per index (8 for a 256-color table)
+ * @param {ByteWriter} out
+ */
+function lzwEncode(indices, minCodeSize, out) {
+  out.writeByte(minCodeSize);
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const block = [];
+  let bitBuffer = 0, bitCount = 0;
+
+  const emitByte = (byte) => {
+    block.push(byte);
+    if (block.length === 255) {
+      out.writeByte(255);
+      out.writeBytes(block);
+      block.length = 0;
+    }
+  };
+  const emit = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      emitByte(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // Dictionary keyed by (prefix code << 8 | next index)
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+  emit(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix, codeSize);
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+    } else {
+      emit(clearCode, codeSize);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = index;
+  }
+  emit(prefix, codeSize);
+  emit(endCode, codeSize);
+  if (bitCount > 0) emitByte(bitBuffer & 0xff);
+  if (block.length) {
+    out.writeByte(block.length);
+    out.writeBytes(block);
+  }
+  out.writeByte(0); // Block terminator
+}
+
+export default GifEncoder;
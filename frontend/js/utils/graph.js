@@ -0,0 +1,512 @@
+/**
+ * DSA Algorithm Visualizer - Weighted Graph Module
+ * Shared shell for the shortest path and spanning tree visualizers: start
+ * and end nodes, directed or undirected edges, the canvas graph editor,
+ * shareable graph links and the node-link drawing with distances under
+ * each node, plus an optional side panel beside it (e.g. the priority
+ * queue as a heap).
+ */
+import { VisualizerShell } from './shell.js';
+import { encodeGraph, decodeGraph } from './link.js';
+import { GraphEditor, edgeLine, hasReverse } from './editor.js';
+import { lerp } from './helpers.js';
+
+// Graph coordinates span this box; draw() scales it to the canvas
+const GRAPH_WIDTH = 550, GRAPH_HEIGHT = 350;
+const NODE_RADIUS = 28;
+
+const colors = {
+  bg: '#0f172a',
+  node: '#3b82f6',
+  nodeVisited: '#10b981',
+  nodeCurrent: '#f59e0b',
+  nodePath: '#ec4899',
+  edge: '#475569',
+  edgeExploring: '#f59e0b',
+  edgePath: '#10b981',
+  cycle: '#ef4444',
+  negative: '#f87171',
+  text: '#f1f5f9'
+};
+
+/**
+ * Build the shell for a weighted graph visualizer
+ * @param {Object} options
+ * @param {Function} options.Algorithm - Class with the Dijkstra graph model
+ *   (nodes, edges, directed, buildAdjacencyList, createSampleGraph,
+ *   generateGraph) and a generating method(startId, endId) whose steps carry
+ *   distances, visited, current, exploring, updated, path, cycle, pair
+ *   (nodes ringed as the pair being compared), tree ({ from, to, weight }
+ *   edges drawn as chosen), description
+ * @param {Object} options.info - Info tab HTML
+ * @param {string} options.method - Generating method
+ * @param {string} [options.runLabel] - Label of the run button
+ * @param {string[]} [options.ends] - Which of 'start' and 'end' the method
+ *   takes; the Distance stat needs 'end'
+ * @param {boolean} [options.undirected] - Edges are always undirected: no
+ *   Edges toggle, and links asking for directed edges are ignored
+ * @param {boolean} [options.negative] - New graphs get some negative weights
+ *   by default
+ * @param {Object} [options.panel] - Side panel right of the graph:
+ *   { share, max } of the canvas width it takes and
+ *   draw(ctx, state, area, { label(node), next, progress }), where area is
+ *   { x, y, width, height }; see heapPanel
+ * @returns {VisualizerShell} Shell with the remaining descriptor fields
+ *   (stats after Distance, breakpoints, stepDuration) passed through
+ */
+export function createGraphVisualizer({
+  Algorithm, info, method, runLabel = 'Find Shortest Path', ends = ['start', 'end'], undirected = false,
+  negative = false, panel = null, stats = [], ...descriptor
+}) {
+  let algorithm;
+  let startNode = 0, endNode = 5;
+
+  // The graph fits the canvas left of the panel
+  const panelWidth = (width) => panel ? Math.min(panel.max, Math.round(width * panel.share)) : 0;
+  const graphLayout = (width, height) => layout(width - panelWidth(width), height);
+
+  const editor = new GraphEditor({
+    graph: () => algorithm,
+    layout: graphLayout,
+    bounds: { width: GRAPH_WIDTH, height: GRAPH_HEIGHT },
+    nodeRadius: NODE_RADIUS,
+    weighted: true,
+    weights: [-99, 99],
+    directed: () => algorithm.directed,
+    onChange: onGraphEdit,
+    onRender: () => shell.render()
+  });
+
+  const shell = new VisualizerShell({
+    info,
+    stepDuration: 600,
+    ...descriptor,
+    inputs: [
+      { id: 'start', type: 'select', section: 'Path', label: 'Start Node', options: [], onChange: v => { startNode = parseInt(v); } },
+      { id: 'end', type: 'select', section: 'Path', label: 'End Node', options: [], onChange: v => { endNode = parseInt(v); } },
+      {
+        id: 'directed', type: 'toggle', section: 'Edges', value: 'undirected',
+        options: [{ value: 'undirected', label: 'Undirected' }, { value: 'directed', label: 'Directed' }],
+        onChange: v => setDirected(v === 'directed')
+      },
+      {
+        id: 'weights', type: 'select', section: 'Edges', label: 'New Graph Weights', value: negative ? 'negative' : 'positive',
+        options: [{ value: 'positive', label: '1 to 9' }, { value: 'negative', label: 'Some negative (−1 to −4)' }]
+      },
+      {
+        id: 'tool', type: 'toggle', section: 'Edit Graph', label: 'Dragging a node', value: 'move',
+        options: [{ value: 'move', label: 'Moves It' }, { value: 'connect', label: 'Adds Edge' }],
+        onChange: v => { editor.tool = v; }
+      },
+      { id: 'edit-help', type: 'note', section: 'Edit Graph', html: 'Click empty space to add a node. Shift-drag from node to node to add an edge (pointing that way when directed). Double-click an edge to set its weight, negative ones included. Select a node or edge and press Delete to remove it; Ctrl+Z / Ctrl+Y undo and redo.' }
+    ].filter(input => (input.section !== 'Path' || ends.includes(input.id)) && !(undirected && input.id === 'directed')),
+    actions: [
+      { id: 'find', label: runLabel, primary: true, onClick: findPath },
+      { id: 'new-graph', label: 'New Graph', onClick: newGraph },
+      [
+        { id: 'undo', label: 'Undo', onClick: () => editor.undo() },
+        { id: 'redo', label: 'Redo', onClick: () => editor.redo() }
+      ]
+    ],
+    stats: [
+      ...(ends.includes('end') ? [{ id: 'distance', label: 'Distance', value: state => {
+        const dist = state?.distances?.[endNode];
+        return dist === Infinity ? '∞' : (dist || 0);
+      } }] : []),
+      ...stats
+    ],
+    setup,
+    run: findPath,
+    reset,
+    problem: { kind: 'weighted graph', keys: ['nodes', 'edges', ...(undirected ? [] : ['directed']), ...ends] },
+    serialize,
+    restore,
+    draw,
+    bindCanvas: canvas => editor.attach(canvas)
+  });
+
+  function updateNodeSelects() {
+    const options = algorithm.nodes.map(n => ({ value: n.id, label: n.label }));
+    shell.setOptions('start', options, startNode);
+    shell.setOptions('end', options, endNode);
+  }
+
+  function setDirected(directed) {
+    algorithm.directed = directed;
+    algorithm.buildAdjacencyList();
+    shell.setValue('directed', directed ? 'directed' : 'undirected');
+    reset();
+  }
+
+  function setup() {
+    algorithm = new Algorithm();
+    algorithm.createSampleGraph();
+    updateNodeSelects();
+    setDirected(algorithm.directed);
+  }
+
+  function findPath() {
+    shell.generate(algorithm, method, startNode, endNode);
+  }
+
+  function reset() {
+    shell.setSteps([{
+      distances: ends.includes('start') ? algorithm.nodes.map((_, i) => i === startNode ? 0 : Infinity) : undefined,
+      visited: new Set(),
+      current: null,
+      path: [],
+      description: `Click "${runLabel}" to start`,
+      phase: 'init'
+    }]);
+  }
+
+  function newGraph() {
+    editor.checkpoint();
+    editor.selection = null;
+    algorithm.generateGraph(6, { negative: shell.getValue('weights') === 'negative' });
+    startNode = 0;
+    endNode = algorithm.nodes.length - 1;
+    updateNodeSelects();
+    reset();
+  }
+
+  // Keep the start and end on the same nodes when an earlier node is deleted
+  function onGraphEdit({ removed }) {
+    const n = algorithm.nodes.length;
+    const follow = (id, fallback) => {
+      if (removed !== undefined && id > removed) return id - 1;
+      return id === removed || id >= n ? fallback : id;
+    };
+    startNode = follow(startNode, 0);
+    endNode = follow(endNode, n - 1);
+    updateNodeSelects();
+    reset();
+  }
+
+  function serialize() {
+    const values = {
+      ...encodeGraph(algorithm.nodes, algorithm.edges),
+      directed: algorithm.directed ? 'directed' : 'undirected',
+      start: startNode,
+      end: endNode
+    };
+    if (undirected) delete values.directed;
+    ['start', 'end'].forEach(key => { if (!ends.includes(key)) delete values[key]; });
+    return values;
+  }
+
+  function restore(params) {
+    const graph = decodeGraph(params, true);
+    if (graph) {
+      algorithm.nodes = graph.nodes;
+      algorithm.edges = graph.edges;
+      editor.clearHistory();
+    }
+    if (!undirected && ['directed', 'undirected'].includes(params.get('directed'))) algorithm.directed = params.get('directed') === 'directed';
+    const n = algorithm.nodes.length;
+    const start = parseInt(params.get('start'));
+    const end = parseInt(params.get('end'));
+    startNode = start >= 0 && start < n ? start : 0;
+    endNode = end >= 0 && end < n ? end : n - 1;
+    updateNodeSelects();
+    setDirected(algorithm.directed);
+  }
+
+  function draw(ctx, state, { width, height, next, progress }) {
+    if (!state) return;
+
+    ctx.fillStyle = colors.bg;
+    ctx.fillRect(0, 0, width, height);
+
+    const { scale, offsetX, offsetY } = graphLayout(width, height);
+    const getPos = (node) => ({
+      x: offsetX + node.x * scale,
+      y: offsetY + node.y * scale
+    });
+    const directed = algorithm.directed;
+    // Whether the step's from -> to pair runs along this edge
+    const follows = (edge, from, to) =>
+      (edge.from === from && edge.to === to) || (!directed && edge.from === to && edge.to === from);
+    const onRoute = (edge, route, closed) => route?.some((node, i) =>
+      (i < route.length - 1 || closed) && follows(edge, node, route[(i + 1) % route.length]));
+
+    // Draw edges
+    algorithm.edges.forEach(edge => {
+      const { a: from, b: to } = edgeLine(getPos(algorithm.nodes[edge.from]), getPos(algorithm.nodes[edge.to]),
+        directed && hasReverse(algorithm.edges, edge));
+
+      let color = colors.edge;
+      let lineWidth = 2;
+
+      if (state.tree?.some(chosen => chosen.weight === edge.weight && follows(edge, chosen.from, chosen.to))) {
+        color = colors.edgePath;
+        lineWidth = 4;
+      }
+      if (state.path?.length > 1 && onRoute(edge, state.path, false)) {
+        color = colors.edgePath;
+        lineWidth = 4;
+      }
+      if (state.cycle && onRoute(edge, state.cycle, true)) {
+        color = colors.cycle;
+        lineWidth = 4;
+      }
+      if (state.exploring && follows(edge, state.exploring.from, state.exploring.to)) {
+        color = colors.edgeExploring;
+        lineWidth = 3;
+      }
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      if (directed) drawArrowhead(ctx, from, to, color);
+
+      // Weight label
+      const midX = (from.x + to.x) / 2;
+      const midY = (from.y + to.y) / 2;
+      ctx.fillStyle = '#1e293b';
+      ctx.beginPath();
+      ctx.arc(midX, midY, 14, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = edge.weight < 0 ? colors.negative : '#94a3b8';
+      ctx.font = '12px Inter';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(edge.weight.toString(), midX, midY);
+    });
+
+    // Draw nodes
+    algorithm.nodes.forEach((node, i) => {
+      const pos = getPos(node);
+      const radius = NODE_RADIUS;
+
+      let color = colors.node;
+      if (state.cycle?.includes(i)) color = colors.cycle;
+      else if (state.path?.includes(i)) color = colors.nodePath;
+      else if (state.current === i) color = colors.nodeCurrent;
+      else if (state.visited?.has(i)) color = colors.nodeVisited;
+      else if (i === startNode && ends.includes('start')) color = '#10b981';
+      else if (i === endNode && ends.includes('end')) color = '#ec4899';
+
+      // Glow
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 15;
+
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+
+      if (state.pair?.includes(i)) {
+        ctx.strokeStyle = colors.text;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius + 4, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      // Label
+      ctx.fillStyle = colors.text;
+      ctx.font = 'bold 16px Inter';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(node.label, pos.x, pos.y);
+
+      // Distance, brighter right after it changed
+      const dist = state.distances?.[i];
+      if (dist !== undefined) {
+        const updated = state.updated === i;
+        ctx.fillStyle = updated ? colors.nodeCurrent : '#94a3b8';
+        ctx.font = updated ? 'bold 12px Inter' : '11px Inter';
+        ctx.fillText(dist === Infinity ? '∞' : dist.toString(), pos.x, pos.y + radius + 14);
+      }
+    });
+
+    if (panel) {
+      const side = panelWidth(width);
+      panel.draw(ctx, state, { x: width - side, y: 50, width: side - 12, height: height - 62 }, {
+        label: id => algorithm.nodes[id]?.label ?? '?',
+        next,
+        progress
+      });
+    }
+
+    editor.drawOverlay(ctx);
+
+    // Description
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '14px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(state.description || '', width / 2, 25);
+  }
+
+  return shell;
+}
+
+// Arrowhead where the line from -> to meets the target node's circle
+function drawArrowhead(ctx, from, to, color) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const tipX = to.x - Math.cos(angle) * (NODE_RADIUS + 2);
+  const tipY = to.y - Math.sin(angle) * (NODE_RADIUS + 2);
+  const size = 11;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(tipX - size * Math.cos(angle - Math.PI / 7), tipY - size * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(tipX - size * Math.cos(angle + Math.PI / 7), tipY - size * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Panel drawing the steps' `heap` ({ node, dist } entries in heap order) as
+ * a tree over its array. `heapSwap: [from, to]` marks an entry that just
+ * sifted from one index to the other; with `tween: true` the pair slides
+ * into place on the way to such a step.
+ * @param {string} [key] - What the heap is ordered by, for its title
+ */
+export function createHeapPanel(key = 'distance') {
+  return {
+    share: 0.34,
+    max: 280,
+    draw(ctx, state, area, { label, next, progress }) {
+      drawHeap(ctx, state.heap || [], area, {
+        title: `Min-heap by ${key}`,
+        label,
+        swap: state.heapSwap,
+        updated: state.updated,
+        tween: heapTween(state, next, progress)
+      });
+    }
+  };
+}
+
+export const heapPanel = createHeapPanel();
+
+// The pair sliding into each other's places on the way to the next step,
+// when that step is exactly one heap swap on from this one
+function heapTween(state, next, progress) {
+  const swap = next?.heapSwap;
+  if (!swap || !progress || !state.heap || !next.heap) return null;
+  const [from, to] = swap;
+  if (state.heap[from]?.node !== next.heap[to]?.node || state.heap[to]?.node !== next.heap[from]?.node) return null;
+  return { from, to, progress };
+}
+
+/**
+ * Draw a binary heap as a tree over its array
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} entries - { node, dist } in heap order
+ * @param {Object} area - { x, y, width, height } of the panel
+ * @param {Object} options - { title, label(node), swap: [from, to] just swapped,
+ *   updated: node whose entry was just pushed or lowered,
+ *   tween: { from, to, progress } }
+ */
+function drawHeap(ctx, entries, { x, y, width, height }, { title, label, swap, updated, tween }) {
+  ctx.fillStyle = '#1e293b';
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, 10);
+  ctx.fill();
+
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = 'bold 12px Inter';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${title} (${entries.length})`, x + width / 2, y + 16);
+  if (!entries.length) {
+    ctx.font = '12px Inter';
+    ctx.fillStyle = '#64748b';
+    ctx.fillText('Empty', x + width / 2, y + height / 2);
+    return;
+  }
+
+  // Tree: level l holds indices 2^l - 1 .. 2^(l+1) - 2, spread evenly
+  const levels = Math.floor(Math.log2(entries.length)) + 1;
+  const treeTop = y + 48;
+  const treeHeight = height - 140;
+  const levelGap = levels > 1 ? Math.min(56, treeHeight / (levels - 1)) : 0;
+  const radius = Math.max(7, Math.min(16, width / 2 ** (levels - 1) / 2 - 2, levelGap / 3 || 16));
+  const treePos = (i) => {
+    const level = Math.floor(Math.log2(i + 1));
+    const slots = 2 ** level;
+    return { x: x + (i + 1 - slots + 0.5) * width / slots, y: treeTop + level * levelGap };
+  };
+
+  // Array: one cell per entry along the bottom
+  const cell = Math.min(34, (width - 16) / entries.length);
+  const arrayLeft = x + (width - cell * entries.length) / 2;
+  const arrayTop = y + height - 64;
+  const arrayPos = (i) => ({ x: arrayLeft + i * cell + cell / 2, y: arrayTop + 18 });
+
+  // Where entry i is drawn, part way to its partner's place while tweening;
+  // the two bow out to opposite sides so they pass instead of overlapping
+  const place = (pos, i) => {
+    const a = pos(i);
+    const partner = !tween ? null : i === tween.from ? tween.to : i === tween.to ? tween.from : null;
+    if (partner === null) return a;
+    const b = pos(partner);
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const bow = Math.sin(tween.progress * Math.PI) * radius * 1.2; // The normal flips with the direction
+    return {
+      x: lerp(a.x, b.x, tween.progress) + (a.y - b.y) / length * bow,
+      y: lerp(a.y, b.y, tween.progress) + (b.x - a.x) / length * bow
+    };
+  };
+  const moving = (i) => (swap && swap.includes(i)) || (tween && (i === tween.from || i === tween.to)) ||
+    (!swap && entries[i].node === updated);
+
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth = 1.5;
+  for (let i = 1; i < entries.length; i++) {
+    const child = treePos(i);
+    const parent = treePos(Math.floor((i - 1) / 2));
+    ctx.beginPath();
+    ctx.moveTo(parent.x, parent.y);
+    ctx.lineTo(child.x, child.y);
+    ctx.stroke();
+  }
+
+  entries.forEach((entry, i) => {
+    const color = moving(i) ? colors.nodeCurrent : i === 0 ? colors.nodeVisited : colors.node;
+    const pos = place(treePos, i);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = colors.text;
+    ctx.font = `bold ${Math.round(radius * 0.8)}px Inter`;
+    ctx.fillText(label(entry.node), pos.x, pos.y);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '10px Inter';
+    ctx.fillText(String(entry.dist), pos.x, pos.y + radius + 8);
+
+    const slot = arrayPos(i);
+    const at = place(arrayPos, i);
+    ctx.strokeStyle = '#334155';
+    ctx.strokeRect(slot.x - cell / 2, arrayTop, cell, 36);
+    ctx.fillStyle = color;
+    ctx.fillRect(at.x - cell / 2 + 2, at.y - 16, cell - 4, 32);
+    ctx.fillStyle = colors.text;
+    ctx.font = `bold ${Math.min(12, Math.round(cell * 0.45))}px Inter`;
+    ctx.fillText(label(entry.node), at.x, at.y - 6);
+    ctx.font = `${Math.min(10, Math.round(cell * 0.4))}px Inter`;
+    ctx.fillText(String(entry.dist), at.x, at.y + 8);
+    ctx.fillStyle = '#64748b';
+    ctx.fillText(String(i), slot.x, arrayTop + 46);
+  });
+}
+
+// Scale the graph box to fit the canvas
+function layout(width, height) {
+  const scaleX = (width - 100) / GRAPH_WIDTH;
+  const scaleY = (height - 100) / GRAPH_HEIGHT;
+  const scale = Math.min(scaleX, scaleY);
+  return {
+    scale,
+    offsetX: (width - GRAPH_WIDTH * scale) / 2,
+    offsetY: (height - GRAPH_HEIGHT * scale) / 2 + 20
+  };
+}
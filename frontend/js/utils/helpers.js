@@ -12,6 +12,22 @@ export function randomArray(length, min = 1, max = 100) {
   return Array.from({ length }, () => randomInt(min, max));
 }
 
+// Seeded pseudo-random generator (mulberry32), returns () => [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short random seed for seededRandom (kept small so it fits in a link)
+export function randomSeed() {
+  return randomInt(1, 999999);
+}
+
 // Shuffle array using Fisher-Yates algorithm
 export function shuffleArray(arr) {
   const result = [...arr];
@@ -22,9 +38,9 @@ export function shuffleArray(arr) {
   return result;
 }
 
-// Deep clone an object
+// Deep clone an object (Sets, Maps and Infinity survive, unlike a JSON round trip)
 export function deepClone(obj) {
-  return JSON.parse(JSON.stringify(obj));
+  return structuredClone(obj);
 }
 
 // Debounce function
@@ -124,11 +140,30 @@ export function generateGradientColors(count, startHue = 200, endHue = 280) {
   });
 }
 
-// Priority Queue implementation
+/**
+ * Priority Queue Class
+ * Binary min-heap stored in an array (children of i at 2i + 1 and 2i + 2).
+ *
+ * Given a `key` function, the queue also tracks where each key sits, so
+ * has() and update() (decrease-key) work in O(log n). Without one, a
+ * caller that lowers a priority pushes a second entry and skips the
+ * stale one when it is popped (lazy deletion).
+ *
+ * `onSwap(from, to)` is called after each swap while an entry sifts from
+ * index `from` to index `to`, so an algorithm can record the heap moving.
+ */
 export class PriorityQueue {
-  constructor(comparator = (a, b) => a.priority - b.priority) {
+  /**
+   * @param {Function} comparator - (a, b) => negative when a comes first
+   * @param {Object} [options]
+   * @param {Function} [options.key] - (entry) => identity for has()/update()
+   */
+  constructor(comparator = (a, b) => a.priority - b.priority, { key } = {}) {
     this.heap = [];
     this.comparator = comparator;
+    this.key = key;
+    this.positions = key ? new Map() : null;
+    this.onSwap = null;
   }
 
   get size() { return this.heap.length; }
@@ -138,6 +173,7 @@ export class PriorityQueue {
 
   push(value) {
     this.heap.push(value);
+    this.positions?.set(this.key(value), this.size - 1);
     this.bubbleUp(this.size - 1);
   }
 
@@ -145,18 +181,59 @@ export class PriorityQueue {
     if (this.isEmpty) return undefined;
     const result = this.heap[0];
     const last = this.heap.pop();
+    this.positions?.delete(this.key(result));
     if (this.size > 0) {
       this.heap[0] = last;
+      this.positions?.set(this.key(last), 0);
       this.bubbleDown(0);
     }
     return result;
   }
 
+  /**
+   * @param {*} value - Entry or anything with the same key
+   * @returns {boolean} Whether an entry with this key is queued (needs `key`)
+   */
+  has(value) {
+    return this.positions.has(this.key(value));
+  }
+
+  /**
+   * @param {*} value - Anything with the key of a queued entry
+   * @returns {*} That entry, or undefined (needs `key`)
+   */
+  get(value) {
+    const index = this.positions.get(this.key(value));
+    return index === undefined ? undefined : this.heap[index];
+  }
+
+  /**
+   * Replace the queued entry with the same key and move it to its new
+   * place (decrease-key, or increase-key). Needs `key`.
+   * @param {*} value
+   */
+  update(value) {
+    const index = this.positions.get(this.key(value));
+    if (index === undefined) return this.push(value);
+    this.heap[index] = value;
+    this.bubbleUp(index);
+    this.bubbleDown(this.positions.get(this.key(value)));
+  }
+
+  swap(from, to) {
+    [this.heap[from], this.heap[to]] = [this.heap[to], this.heap[from]];
+    if (this.positions) {
+      this.positions.set(this.key(this.heap[from]), from);
+      this.positions.set(this.key(this.heap[to]), to);
+    }
+    if (this.onSwap) this.onSwap(from, to);
+  }
+
   bubbleUp(index) {
     while (index > 0) {
       const parent = Math.floor((index - 1) / 2);
       if (this.comparator(this.heap[index], this.heap[parent]) >= 0) break;
-      [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+      this.swap(index, parent);
       index = parent;
     }
   }
@@ -169,7 +246,7 @@ export class PriorityQueue {
       if (left < this.size && this.comparator(this.heap[left], this.heap[smallest]) < 0) smallest = left;
       if (right < this.size && this.comparator(this.heap[right], this.heap[smallest]) < 0) smallest = right;
       if (smallest === index) break;
-      [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+      this.swap(index, smallest);
       index = smallest;
     }
   }
@@ -212,6 +289,18 @@ export function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Save a Blob as a file download
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Create 2D array
 export function create2DArray(rows, cols, defaultValue = 0) {
   return Array.from({ length: rows }, () => Array(cols).fill(defaultValue));
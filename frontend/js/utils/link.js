@@ -0,0 +1,147 @@
+/**
+ * DSA Algorithm Visualizer - Deep Link Module
+ * Compact query-string encoding of a visualizer's inputs and current step
+ *
+ * Values only use characters URLSearchParams leaves unescaped, so links
+ * stay short and readable: lists are joined with `_`, the fields of a
+ * tuple with `.`, and bit grids are packed into base64url.
+ */
+
+// Query parameters owned by the page rather than by a visualizer
+const RESERVED = ['algo', 'plugin', 'embed'];
+
+/**
+ * @param {number[]} values - Integers (may be negative)
+ * @returns {string} e.g. "5_-3_8"
+ */
+export function encodeList(values) {
+  return values.map(v => Math.round(v)).join('_');
+}
+
+/**
+ * @param {string|null} text - Output of encodeList
+ * @returns {number[]|null} The numbers, or null if any is malformed
+ */
+export function decodeList(text) {
+  if (!text) return [];
+  const values = text.split('_').map(Number);
+  return values.every(Number.isInteger) ? values : null;
+}
+
+/**
+ * @param {number[][]} rows - Tuples of integers (e.g. [x, y] or [from, to, weight])
+ * @returns {string} e.g. "0.1.4_1.2.-2"
+ */
+export function encodeRows(rows) {
+  return rows.map(row => row.map(v => Math.round(v)).join('.')).join('_');
+}
+
+/**
+ * @param {string|null} text - Output of encodeRows
+ * @param {number} width - Expected tuple length
+ * @returns {number[][]|null} The tuples, or null if any is malformed
+ */
+export function decodeRows(text, width) {
+  if (!text) return [];
+  const rows = text.split('_').map(row => row.split('.').map(Number));
+  return rows.every(row => row.length === width && row.every(Number.isInteger)) ? rows : null;
+}
+
+/**
+ * Pack a flat list of flags into base64url
+ * @param {Array<boolean|number>} bits - Truthy entries are set
+ * @returns {string}
+ */
+export function encodeBits(bits) {
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => {
+    if (bit) bytes[i >> 3] |= 1 << (i & 7);
+  });
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string|null} text - Output of encodeBits
+ * @param {number} length - Number of flags to unpack
+ * @returns {boolean[]|null} The flags, or null if the text is malformed
+ */
+export function decodeBits(text, length) {
+  if (!text) return null;
+  let bytes;
+  try {
+    bytes = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (error) {
+    return null;
+  }
+  if (bytes.length * 8 < length) return null;
+  return Array.from({ length }, (_, i) => (bytes.charCodeAt(i >> 3) & (1 << (i & 7))) !== 0);
+}
+
+/**
+ * Encode a graph as `nodes` (x.y per node) and `edges` (from.to, plus
+ * .weight for weighted graphs); node ids are their positions in the list
+ * @param {Array} nodes - { x, y }
+ * @param {Array} edges - { from, to, weight? }
+ * @returns {{nodes: string, edges: string}}
+ */
+export function encodeGraph(nodes, edges) {
+  return {
+    nodes: encodeRows(nodes.map(n => [n.x, n.y])),
+    edges: encodeRows(edges.map(e => e.weight === undefined ? [e.from, e.to] : [e.from, e.to, e.weight]))
+  };
+}
+
+/**
+ * @param {URLSearchParams} params - Query parameters holding `nodes` and `edges`
+ * @param {boolean} weighted - Whether edges carry a weight
+ * @returns {{nodes: Array, edges: Array}|null} Nodes labelled A, B, ...
+ *   and their edges, or null if missing or malformed
+ */
+export function decodeGraph(params, weighted) {
+  const points = decodeRows(params.get('nodes'), 2);
+  const rows = decodeRows(params.get('edges'), weighted ? 3 : 2);
+  if (!points?.length || points.length > 26 || !rows) return null;
+  if (rows.some(([from, to]) => from === to || from < 0 || to < 0 || from >= points.length || to >= points.length)) return null;
+
+  return {
+    nodes: points.map(([x, y], id) => ({ id, x, y, label: String.fromCharCode(65 + id) })),
+    edges: rows.map(([from, to, weight]) => weighted ? { from, to, weight } : { from, to })
+  };
+}
+
+/**
+ * @returns {URLSearchParams} The page's query parameters
+ */
+export function readLink() {
+  return new URLSearchParams(window.location.search);
+}
+
+/**
+ * Replace the visualizer's part of the query string (without adding a
+ * history entry). The algorithm id, plugins and hash are kept.
+ * @param {Object} values - Parameter name to value; null, undefined and ''
+ *   are left out
+ */
+export function writeLink(values) {
+  const current = readLink();
+  const params = new URLSearchParams();
+  RESERVED.forEach(key => current.getAll(key).forEach(value => params.append(key, value)));
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') params.set(key, value);
+  });
+
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    history.replaceState(history.state, '', url);
+  }
+}
+
+/**
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {boolean} Whether any belong to a visualizer
+ */
+export function hasLinkState(params) {
+  return [...params.keys()].some(key => !RESERVED.includes(key));
+}
@@ -0,0 +1,554 @@
+/**
+ * DSA Algorithm Visualizer - Visualizer Shell
+ * Shared page scaffolding (info tabs, control panel, stats bar, canvas)
+ * that every visualizer registers with through a declarative descriptor
+ */
+import { AnimationController } from './animator.js';
+import { ControlPanel, StatsDisplay } from './controls.js';
+import { StepWorker } from './worker.js';
+import { readLink, writeLink, hasLinkState } from './link.js';
+import { AnimationExporter, MAX_FRAMES, renderPNG, renderSVG } from './export.js';
+import { createTrace, stringifyTrace, parseTrace } from './trace.js';
+import { isEventLog, parseEventLog } from './events.js';
+import { debounce, downloadBlob } from './helpers.js';
+
+/**
+ * Visualizer Shell Class
+ *
+ * Descriptor fields:
+ * - info: { overview, steps, applications, code } tab HTML
+ * - stepDuration: base milliseconds per step
+ * - inputs: ControlPanel input configs
+ * - actions: ControlPanel action buttons
+ * - stats: [{ id, label, value: (state) => displayValue }]
+ * - breakpoints: [{ label, when }] one-click breakpoint presets (see compileCondition)
+ * - phase(state): timeline tick category for a step (defaults to state.phase / state.type)
+ * - setup(shell): create the algorithm and load the initial state
+ * - run(): generate steps when play is pressed on an idle visualizer
+ *   (typically via shell.generate() so the work happens in a Web Worker)
+ * - reset(): restore the initial state (defaults to rewinding the animator)
+ * - tween: redraw every frame of playback with the upcoming step
+ * - draw(ctx, state, { width, height, next, progress }): render one step;
+ *   when tweening, `next` is the upcoming state and `progress` runs 0..1
+ * - bindCanvas(canvas): attach canvas mouse handlers
+ * - serialize(): the inputs the current run was generated from, as
+ *   { param: value } for the page URL (see utils/link.js)
+ * - restore(params): apply inputs read back from URLSearchParams and load
+ *   the initial state; the shell then regenerates the run and seeks to
+ *   the linked step. Trace files (utils/trace.js) store the same
+ *   parameters as their `input` and go through restore() on import.
+ * - replayEvents(log): turn a parsed event log (utils/events.js) written
+ *   by outside code into { steps, issues }, checking each event against
+ *   the reference implementation; flagged steps carry an `issue`
+ * - problem: { kind, keys } the serialize() parameters that make up the
+ *   problem instance (e.g. ['array']) and what kind of input it is (e.g.
+ *   'array'); the comparison page copies them between visualizers of the
+ *   same kind so both run on identical input
+ */
+export class VisualizerShell {
+  static active = null; // Shell of the visualizer on this page
+
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.entry = null;
+    this.animator = null;
+    this.panel = null;
+    this.statsDisplay = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.states = [];
+    this.currentState = null;
+    this.job = null; // StepWorker generating the next run
+    this.playWhenReady = false;
+    this.pendingStep = null; // Linked step to seek to once the run has it
+    this.linked = false; // URL is only written once the link was restored
+    this.saveLink = debounce(() => this.writeLink(), 300);
+    this.exporter = null; // AnimationExporter writing a file
+    this.onRunChange = null; // Called when a run is loaded or finishes generating
+  }
+
+  /**
+   * @param {Object} entry - Registry entry (title, description, complexities)
+   */
+  init(entry) {
+    VisualizerShell.active = this;
+    this.entry = entry;
+    this.setupDOM();
+    this.setupAnimator();
+    this.setupControls();
+    this.setupStats();
+    if (this.descriptor.setup) this.descriptor.setup(this);
+    this.setupCanvas();
+    this.restoreLink();
+  }
+
+  setupDOM() {
+    const { info } = this.descriptor;
+    const entry = this.entry;
+    document.getElementById('algo-title').textContent = entry.title;
+    document.getElementById('algo-description').textContent = entry.description;
+    document.getElementById('tab-overview').innerHTML = info.overview + this.renderComplexity();
+    document.getElementById('tab-steps').innerHTML = info.steps;
+    document.getElementById('tab-applications').innerHTML = info.applications;
+    document.getElementById('tab-code').innerHTML = info.code;
+  }
+
+  renderComplexity() {
+    const entry = this.entry;
+    if (!entry.timeComplexity && !entry.spaceComplexity) return '';
+    return `
+      <div class="complexity-grid" style="margin-top:24px;">
+        <div class="complexity-card">
+          <div class="complexity-label">${entry.timeLabel || 'Time Complexity'}</div>
+          <div class="complexity-value">${entry.timeComplexity}</div>
+        </div>
+        <div class="complexity-card">
+          <div class="complexity-label">${entry.spaceLabel || 'Space Complexity'}</div>
+          <div class="complexity-value">${entry.spaceComplexity}</div>
+        </div>
+      </div>
+      ${entry.complexityNote ? `<p style="font-size:12px;color:var(--color-text-muted);margin-top:8px;">${entry.complexityNote}</p>` : ''}
+    `;
+  }
+
+  setupAnimator() {
+    this.animator = new AnimationController();
+    this.animator.stepDuration = this.descriptor.stepDuration || 500;
+    this.animator.onStepChange = (state) => {
+      this.currentState = state;
+      this.updateStats();
+      this.render();
+      this.saveLink();
+    };
+    if (this.descriptor.tween) {
+      this.animator.onProgress = () => this.render();
+    }
+  }
+
+  setupControls() {
+    this.panel = new ControlPanel('#control-panel', this.animator);
+    this.panel.setInputConfigs(this.descriptor.inputs || []);
+    this.panel.setActions(this.descriptor.actions || []);
+    this.panel.setBreakpointPresets(this.descriptor.breakpoints || []);
+    const phase = this.descriptor.phase;
+    this.panel.setTimeline({
+      // Steps flagged by an event log check stand out whatever the visualizer's phases
+      phase: (state) => state?.issue ? 'invalid' : phase ? phase(state) : (state?.phase ?? state?.type ?? null),
+      preview: (ctx, state, width, height) => this.renderPreview(ctx, state, width, height)
+    });
+    this.panel.onBeforePlay = (action) => {
+      if (this.isIdle() && this.descriptor.run) this.descriptor.run();
+      // Play pressed while a worker is still computing: start once it is ready
+      if (action === 'play' && this.job && !this.job.ready) this.playWhenReady = true;
+    };
+    this.panel.onCancel = () => this.cancelGeneration();
+    this.panel.onExport = (options) => this.exportAnimation(options);
+    this.panel.onCancelExport = () => this.exporter?.cancel();
+    this.panel.onSnapshot = (format, scale) => this.exportSnapshot(format, scale);
+    this.panel.onSaveTrace = () => this.saveTrace();
+    this.panel.onLoadTrace = (file) => this.loadTrace(file);
+    if (this.descriptor.reset) this.panel.onReset = this.descriptor.reset;
+  }
+
+  setupStats() {
+    this.statsDisplay = new StatsDisplay('.vis-stats');
+    this.statsDisplay.setStats([
+      ...(this.descriptor.stats || []).map(s => ({ id: s.id, label: s.label, value: 0 })),
+      { id: 'step', label: 'Step', value: '0/0' }
+    ]);
+  }
+
+  setupCanvas() {
+    this.canvas = document.getElementById('visualization-canvas');
+    this.ctx = this.canvas.getContext('2d');
+
+    const resize = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const rect = this.canvas.parentElement.getBoundingClientRect();
+      this.canvas.width = rect.width * dpr;
+      this.canvas.height = rect.height * dpr;
+      this.ctx.scale(dpr, dpr);
+      this.canvas.style.width = rect.width + 'px';
+      this.canvas.style.height = rect.height + 'px';
+      this.render();
+    };
+    resize();
+    window.addEventListener('resize', resize);
+
+    if (this.descriptor.bindCanvas) this.descriptor.bindCanvas(this.canvas);
+  }
+
+  /**
+   * Generate a run off the main thread and load it as its steps arrive.
+   * Steps come from the method's return value if it is a generator,
+   * otherwise from `algorithm.states` (or a returned array).
+   * @param {Object} algorithm - Algorithm instance holding the inputs
+   * @param {string} method - Method that generates the run
+   * @param {...*} args - Method arguments
+   */
+  generate(algorithm, method, ...args) {
+    this.cancelGeneration(true);
+    this.pendingStep = null;
+    this.panel.setTraceIssues([]);
+    const job = new StepWorker({
+      id: this.entry.id,
+      algorithm,
+      method,
+      args,
+      historySize: this.animator.historySize
+    });
+    this.job = job;
+
+    job.onReady = (steps) => {
+      this.loadSteps(steps);
+      if (this.playWhenReady) this.animator.play();
+      this.playWhenReady = false;
+    };
+    job.onProgress = ({ received, total, lazy }) => {
+      if (lazy && job.ready) {
+        this.animator.refreshSteps();
+        this.seekPendingStep();
+      }
+      const count = received.toLocaleString();
+      if (total !== null) {
+        this.panel.setGenerationStatus(`Receiving steps… ${count} / ${total.toLocaleString()}`);
+      } else {
+        this.panel.setGenerationStatus(received ? `Generating steps… ${count} so far` : 'Generating steps…');
+      }
+    };
+    job.onDone = ({ cancelled, error }) => {
+      if (this.job === job) this.job = null;
+      this.playWhenReady = false;
+      if (job.lazy && job.ready) this.animator.refreshSteps();
+      this.seekPendingStep();
+      this.notifyRunChange();
+      if (error) {
+        console.error('Step generation failed:', error);
+        this.panel.setGenerationStatus(`Generation failed: ${error.message}`, false);
+      } else if (cancelled) {
+        this.panel.setGenerationStatus(job.lazy && job.ready
+          ? `Stopped after ${job.received.toLocaleString()} steps`
+          : 'Generation cancelled', false);
+      } else {
+        this.panel.setGenerationStatus(null);
+      }
+    };
+
+    this.panel.setGenerationStatus('Generating steps…');
+    job.start();
+  }
+
+  /**
+   * Stop the run being generated, if any
+   * @param {boolean} silent - Discard it and clear the status line
+   */
+  cancelGeneration(silent = false) {
+    const job = this.job;
+    this.job = null;
+    if (silent) {
+      this.panel.setGenerationStatus(null);
+      if (job) job.onDone = null;
+    }
+    if (job) job.cancel();
+  }
+
+  /**
+   * Load a new run into the animator and show its first step
+   * @param {Array|StepStore|Iterator} states - Recorded algorithm states, or
+   *   a step generator the animator pulls from lazily
+   */
+  setSteps(states) {
+    this.cancelGeneration(true);
+    this.pendingStep = null;
+    this.panel.setTraceIssues([]);
+    this.loadSteps(states);
+  }
+
+  loadSteps(states) {
+    this.animator.setSteps(states);
+    this.states = this.animator.steps;
+    this.currentState = this.animator.getCurrentState();
+    this.updateStats();
+    this.render();
+    this.seekPendingStep();
+    this.saveLink();
+    this.notifyRunChange();
+  }
+
+  notifyRunChange() {
+    if (this.onRunChange) this.onRunChange();
+  }
+
+  /**
+   * Restore the inputs and step encoded in the page URL, if any
+   */
+  restoreLink() {
+    const params = readLink();
+    if (this.descriptor.restore && hasLinkState(params)) {
+      try {
+        this.descriptor.restore(params);
+      } catch (error) {
+        console.error('Could not restore the linked state:', error);
+      }
+    }
+
+    const step = parseInt(params.get('step'));
+    if (step > 0) {
+      if (this.isIdle() && this.descriptor.run) this.descriptor.run();
+      this.seek(step);
+    }
+    this.linked = true;
+    this.saveLink();
+  }
+
+  /**
+   * Go to a step, waiting for it if the run is still being generated
+   * @param {number} step - Step index
+   */
+  seek(step) {
+    this.pendingStep = step;
+    this.seekPendingStep();
+  }
+
+  /**
+   * Go to the linked step once the run has produced it (runs generated in
+   * a worker arrive asynchronously; streamed ones are asked to reach it)
+   */
+  seekPendingStep() {
+    const step = this.pendingStep;
+    if (step === null || (this.job && !this.job.ready)) return;
+    this.animator.ensureStep(step);
+    if (step < this.animator.totalSteps || this.animator.isTotalKnown()) {
+      this.pendingStep = null;
+      this.animator.goToStep(step);
+    }
+  }
+
+  /**
+   * Write the descriptor's inputs and the current step into the page URL.
+   * Called through the debounced saveLink(), which visualizers also call
+   * after edits that don't load a new run (e.g. drawing walls).
+   */
+  writeLink() {
+    if (!this.linked) return;
+    const values = this.descriptor.serialize ? this.descriptor.serialize() : {};
+    const step = this.pendingStep ?? this.animator.currentStep;
+    writeLink({ ...values, step: step > 0 ? step : null });
+  }
+
+  /**
+   * Render the loaded run (or its in/out range) offscreen and download it
+   * as an animated GIF or WebM video
+   * @param {Object} options - { format, range: 'all' | 'range', width, height, fps }
+   */
+  async exportAnimation({ format, range, width, height, fps }) {
+    if (this.exporter) return;
+    const animator = this.animator;
+    // Not getBounds(): that narrows to the In–Out range whenever the playhead is inside it
+    const { start, end } = range === 'range'
+      ? animator.getRange()
+      : { start: animator.getFirstStep(), end: animator.totalSteps - 1 };
+    if (end <= start) {
+      this.panel.setExportStatus('Nothing to export yet: play or step through a run first', false);
+      return;
+    }
+
+    animator.pause();
+    const exporter = new AnimationExporter({
+      draw: this.descriptor.draw,
+      getState: (index) => animator.getStateAt(index),
+      tween: !!this.descriptor.tween,
+      viewport: this.getViewport()
+    });
+    const options = { format, from: start, to: end, width, height, fps, stepDuration: animator.getEffectiveDuration() };
+    const frames = exporter.countFrames(options);
+    if (frames > MAX_FRAMES) {
+      this.panel.setExportStatus(`Too long (${frames.toLocaleString()} frames): mark an In–Out range, raise the speed or lower the frame rate`, false);
+      return;
+    }
+
+    this.exporter = exporter;
+    exporter.onProgress = (done, total) => this.panel.setExportStatus(`Rendering frame ${done.toLocaleString()} / ${total.toLocaleString()}`);
+    this.panel.setExportStatus('Preparing export…');
+    try {
+      const blob = await exporter.export(options);
+      if (blob) {
+        downloadBlob(blob, `${this.entry.id}-steps-${start + 1}-${end + 1}.${format}`);
+        this.panel.setExportStatus(`Saved ${format.toUpperCase()} (${(blob.size / 1048576).toFixed(1)} MB)`, false);
+      } else {
+        this.panel.setExportStatus('Export cancelled', false);
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.panel.setExportStatus(`Export failed: ${error.message}`, false);
+    } finally {
+      this.exporter = null;
+    }
+  }
+
+  /**
+   * Download the frame on screen as a high-DPI PNG or a vector SVG
+   * @param {string} format - 'png' or 'svg'
+   * @param {number} scale - PNG pixels per CSS pixel
+   */
+  async exportSnapshot(format, scale = 2) {
+    const view = this.getFrameView();
+    const name = `${this.entry.id}-step-${this.animator.currentStep + 1}.${format}`;
+    try {
+      const blob = format === 'svg'
+        ? renderSVG(this.descriptor.draw, this.currentState, view)
+        : await renderPNG(this.descriptor.draw, this.currentState, view, scale);
+      downloadBlob(blob, name);
+    } catch (error) {
+      console.error('Snapshot failed:', error);
+      this.panel.setExportStatus(`Snapshot failed: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * Download the recorded steps as a JSON trace (see utils/trace.js)
+   */
+  saveTrace() {
+    const animator = this.animator;
+    const first = animator.getFirstStep();
+    if (this.isIdle() || animator.totalSteps <= first) {
+      this.panel.setExportStatus('Nothing to save yet: play or step through a run first', false);
+      return;
+    }
+
+    const steps = [];
+    for (let i = first; i < animator.totalSteps; i++) steps.push(animator.getStateAt(i));
+    const trace = createTrace({
+      algorithm: this.entry.id,
+      steps,
+      input: this.descriptor.serialize ? this.descriptor.serialize() : null,
+      metadata: {
+        title: this.entry.title,
+        firstStep: first,
+        complete: !this.job && animator.isTotalKnown()
+      }
+    });
+    const blob = new Blob([stringifyTrace(trace)], { type: 'application/json' });
+    downloadBlob(blob, `${this.entry.id}-trace.json`);
+    this.panel.setExportStatus(`Saved trace (${steps.length.toLocaleString()} steps)`, false);
+  }
+
+  /**
+   * Read a trace file or an event log and replay it
+   * @param {File|Blob} file - JSON trace, or plain-text event log
+   */
+  async loadTrace(file) {
+    try {
+      const text = await file.text();
+      if (isEventLog(text)) {
+        const issues = this.replayEventLog(parseEventLog(text));
+        this.panel.setExportStatus(issues.length
+          ? `Replayed the log: ${issues.length} event${issues.length === 1 ? '' : 's'} flagged`
+          : 'Replayed the log: every event checks out', false);
+      } else {
+        this.replayTrace(parseTrace(text));
+        this.panel.setExportStatus(`Loaded trace (${this.animator.totalSteps.toLocaleString()} steps)`, false);
+      }
+    } catch (error) {
+      console.error('Could not load trace:', error);
+      this.panel.setExportStatus(`Could not load trace: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * Show a recorded run instead of generating one: the trace's inputs go
+   * through the descriptor's restore() and its steps are loaded as is
+   * @param {Object} trace - Output of parseTrace
+   */
+  replayTrace(trace) {
+    if (trace.algorithm !== this.entry.id) {
+      throw new Error(`This trace is for ${trace.algorithm}, not ${this.entry.id}`);
+    }
+    this.animator.pause();
+    if (trace.input && this.descriptor.restore) this.descriptor.restore(new URLSearchParams(trace.input));
+    this.setSteps(trace.steps);
+  }
+
+  /**
+   * Animate an event log through the descriptor's replayEvents()
+   * @param {Object} log - Output of parseEventLog
+   * @returns {Array} Flagged events: { step, line, message }
+   */
+  replayEventLog(log) {
+    if (log.algorithm && log.algorithm !== this.entry.id) {
+      throw new Error(`This log is for ${log.algorithm}, not ${this.entry.id}`);
+    }
+    if (!this.descriptor.replayEvents) throw new Error(`${this.entry.title} can't replay event logs yet`);
+    if (!log.entries.length) throw new Error('The log has no events');
+
+    this.animator.pause();
+    const { steps, issues } = this.descriptor.replayEvents(log);
+    this.setSteps(steps);
+    this.panel.setTraceIssues(issues);
+    return issues;
+  }
+
+  /**
+   * @returns {boolean} Whether only the initial state is loaded (no run yet)
+   */
+  isIdle() {
+    if (this.job) return false;
+    return this.animator.totalSteps <= 1 && this.animator.isTotalKnown();
+  }
+
+  /**
+   * Canvas size in CSS pixels
+   * @returns {{width: number, height: number}}
+   */
+  getViewport() {
+    const dpr = window.devicePixelRatio || 1;
+    return { width: this.canvas.width / dpr, height: this.canvas.height / dpr };
+  }
+
+  /**
+   * Draw a step scaled down into another context (timeline thumbnails)
+   */
+  renderPreview(ctx, state, width, height) {
+    if (!this.ctx) return;
+    const view = this.getViewport();
+    const scale = Math.min(width / view.width, height / view.height);
+    ctx.save();
+    ctx.translate((width - view.width * scale) / 2, (height - view.height * scale) / 2);
+    ctx.scale(scale, scale);
+    this.descriptor.draw(ctx, state, view);
+    ctx.restore();
+  }
+
+  /**
+   * The view passed to draw() for the frame on screen
+   * @returns {Object} { width, height } plus { next, progress } when tweening
+   */
+  getFrameView() {
+    const view = this.getViewport();
+    if (this.descriptor.tween) {
+      const { to, progress } = this.animator.getInterpolation();
+      view.next = to;
+      view.progress = progress;
+    }
+    return view;
+  }
+
+  render() {
+    if (!this.ctx) return;
+    this.descriptor.draw(this.ctx, this.currentState, this.getFrameView());
+  }
+
+  updateStats() {
+    const { currentStep, totalSteps } = this.animator;
+    const total = this.animator.isTotalKnown() ? totalSteps : 'unknown';
+    const updates = { step: `${currentStep + 1}/${total}` };
+    (this.descriptor.stats || []).forEach(s => { updates[s.id] = s.value(this.currentState); });
+    this.statsDisplay.updateStats(updates);
+  }
+
+  getValue(id) { return this.panel.getValue(id); }
+  setValue(id, value) { this.panel.setValue(id, value); }
+  setOptions(id, options, value) { this.panel.setOptions(id, options, value); }
+}
+
+export default VisualizerShell;
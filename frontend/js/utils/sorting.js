@@ -0,0 +1,614 @@
+/**
+ * DSA Algorithm Visualizer - Sorting Visualizer Module
+ * Shell descriptor shared by the array sorting visualizers: array
+ * inputs (size, distribution, seed or typed values), Sort/Randomize
+ * actions, shareable array links, event log replay and an animated bar
+ * chart. Each visualizer supplies its algorithm class, info tabs and how
+ * its own step fields are colored.
+ */
+import { VisualizerShell } from './shell.js';
+import { Tween } from './animator.js';
+import { encodeList, decodeList } from './link.js';
+import { findSetup, replaySortEvents } from './events.js';
+import { DISTRIBUTIONS, MAX_CUSTOM_LENGTH, generateArray, parseArray } from './distributions.js';
+import { randomSeed } from './helpers.js';
+
+const defaultColors = {
+  bg: '#0f172a',
+  bar: '#3b82f6',
+  comparing: '#f59e0b',
+  sorted: '#10b981',
+  swapping: '#ef4444'
+};
+
+// Chip colors for the first, second, third, ... copy of a repeated value
+const tagColors = ['#38bdf8', '#f472b6', '#a3e635', '#fbbf24', '#c084fc', '#fb923c'];
+
+/**
+ * Build the shell for a sorting visualizer
+ * @param {Object} options
+ * @param {Function} options.Algorithm - Class with setArray()
+ *   and a generating method whose steps use the sorting schema (array,
+ *   comparing, swapping, sorted, comparisons, swaps, writes, description)
+ * @param {Object} options.info - Info tab HTML
+ * @param {string} [options.method] - Generating method (default 'generateStates')
+ * @param {Array} [options.inputs] - Extra select inputs after the array inputs;
+ *   their values go into the page link and, in order, to the method
+ * @param {boolean} [options.stability] - Steps carry `tags`: add a Tag
+ *   equal keys toggle that turns on drawStability()
+ * @param {Function} [options.seeded] - The method makes random choices from
+ *   `algorithm.seed`, drawn afresh on every reset and reused by event log
+ *   replays; (values of the extra inputs) => whether the link keeps it
+ * @param {Object} [options.colors] - Extra or replaced colors by name
+ * @param {Function} [options.highlight] - (state, index) => color name for
+ *   the algorithm's own step fields, or null for the shared colors
+ * @param {string[]} [options.glow] - Highlight color names that glow like
+ *   the bars being compared
+ * @param {Function} [options.decorate] - (ctx, state, layout) draws extras
+ *   over the bars; layout is { width, height, barX(i), barWidth, baseline }
+ * @returns {VisualizerShell} Shell with the remaining descriptor fields
+ *   (stats, breakpoints, phase, stepDuration) passed through
+ */
+export function createSortingVisualizer({
+  Algorithm, info, method = 'generateStates', inputs = [], stability = false, seeded = null,
+  colors = {}, highlight, glow = [], decorate, ...descriptor
+}) {
+  let algorithm;
+  let showTags = false;
+  const palette = { ...defaultColors, ...colors };
+  const toggles = stability ? [{
+    id: 'stability', type: 'toggle', section: 'Stability', label: 'Tag equal keys', value: 'off',
+    options: [{ value: 'off', label: 'Off' }, { value: 'on', label: 'On' }],
+    onChange: v => { showTags = v === 'on'; shell.render(); }
+  }] : [];
+  const source = createArrayInputs(() => shell, array => {
+    algorithm.setArray(array);
+    reset();
+  });
+
+  const shell = new VisualizerShell({
+    info,
+    stepDuration: 150,
+    tween: true,
+    stats: [{ id: 'comparisons', label: 'Comparisons', value: state => state?.comparisons || 0 }],
+    ...descriptor,
+    inputs: [...source.inputs, ...inputs, ...toggles],
+    actions: [
+      { id: 'sort', label: 'Sort Array', primary: true, onClick: sort },
+      { id: 'random', label: 'Randomize', onClick: source.randomize }
+    ],
+    setup,
+    run: sort,
+    reset,
+    problem: { kind: 'array', keys: source.keys },
+    serialize,
+    restore,
+    replayEvents,
+    draw
+  });
+
+  function setup() {
+    algorithm = new Algorithm();
+    source.regenerate();
+  }
+
+  function args() {
+    return inputs.map(input => shell.getValue(input.id));
+  }
+
+  function sort() {
+    shell.generate(algorithm, method, ...args());
+  }
+
+  function reset() {
+    const arr = [...algorithm.array];
+    algorithm.setArray(arr);
+    if (seeded) algorithm.seed = randomSeed();
+    shell.setSteps([{
+      array: arr,
+      tags: stability ? arr.map((_, i) => i) : undefined,
+      description: 'Click "Sort" to begin',
+      comparisons: 0,
+      swaps: 0,
+      writes: 0
+    }]);
+  }
+
+  function serialize() {
+    const params = source.serialize(algorithm.array);
+    inputs.forEach(input => { params[input.id] = shell.getValue(input.id); });
+    if (seeded) params.seed = seeded(args()) ? algorithm.seed : null;
+    if (stability) params.stability = showTags ? 'on' : null;
+    return params;
+  }
+
+  function restore(params) {
+    const array = source.restore(params);
+    if (array) algorithm.setArray(array);
+    inputs.forEach(input => {
+      const value = params.get(input.id);
+      if (input.options?.some(option => option.value === value)) shell.setValue(input.id, value);
+    });
+    if (stability) {
+      showTags = params.get('stability') === 'on';
+      shell.setValue('stability', showTags ? 'on' : 'off');
+    }
+    reset();
+    const seed = parseInt(params.get('seed'));
+    if (seeded && seed > 0) algorithm.seed = seed;
+  }
+
+  // Event logs may start with `array v1 v2 ...`; the rest is compare/swap/set events
+  function replayEvents({ entries }) {
+    const setup = findSetup(entries, 'array');
+    if (setup) {
+      // Same limits as a typed array, checked before the algorithm sees it
+      let array;
+      try {
+        array = parseArray(setup.args.join(' '));
+      } catch (error) {
+        throw new Error(`Line ${setup.line}: ${setup.args.length ? error.message : `"array" needs 1 to ${MAX_CUSTOM_LENGTH} values`}`);
+      }
+      shell.setValue('size', array.length);
+      algorithm.setArray(array);
+    }
+    const reference = new Algorithm();
+    reference.setArray(algorithm.array);
+    if (seeded) reference.seed = algorithm.seed;
+    const states = reference[method](...args());
+    return replaySortEvents(entries, { array: algorithm.array, reference: states });
+  }
+
+  function draw(ctx, state, frame) {
+    if (!state) return;
+    drawBars(ctx, state, frame, {
+      colors: palette,
+      highlight,
+      glow,
+      decorate: (ctx, state, layout) => {
+        if (decorate) decorate(ctx, state, layout);
+        if (showTags) drawStability(ctx, state, layout, algorithm.array);
+      },
+      fallback: algorithm.array
+    });
+  }
+
+  return shell;
+}
+
+/**
+ * Array inputs shared by the sorting visualizers: a size slider, a
+ * distribution with its seed (and swap count for nearly sorted input), and
+ * a field to type or paste an array by hand. Changing any of them builds a
+ * new array and hands it to `apply`.
+ * @param {Function} getShell - () => the shell the inputs belong to (looked
+ *   up lazily, so the inputs can be built before the shell)
+ * @param {Function} apply - (array) => use a new array
+ * @returns {Object} { inputs, keys, regenerate, randomize, serialize, restore }:
+ *   the input configs for the shell; the link params they write (for the
+ *   descriptor's `problem`); rebuild the array from the inputs; the same
+ *   with a new seed; link params for an array; and the inputs and array
+ *   read back from link params (null when the link has no array)
+ */
+export function createArrayInputs(getShell, apply) {
+  const hint = 'Type or paste whole numbers, e.g. <code>42, 7, 19</code>, then press Enter';
+  const typedNote = (count) => `Sorting your ${count} value${count === 1 ? '' : 's'}. Clear the field to go back to the distribution.`;
+  const inputs = [
+    // Up to the longest typed array, so the slider can show (and keep) its length
+    { id: 'size', type: 'range', section: 'Array Size', label: 'Size', min: 5, max: MAX_CUSTOM_LENGTH, value: 20, onChange: regenerate },
+    {
+      id: 'distribution', type: 'select', section: 'Input', label: 'Distribution', value: 'random',
+      options: Object.entries(DISTRIBUTIONS).map(([value, d]) => ({ value, label: d.label })),
+      onChange: regenerate
+    },
+    { id: 'swaps', type: 'number', section: 'Input', label: 'Swaps (nearly sorted)', min: 1, max: 50, value: 3, onChange: regenerate },
+    { id: 'arraySeed', type: 'number', section: 'Input', label: 'Seed', min: 1, max: 999999, value: randomSeed(), onChange: regenerate },
+    { id: 'custom', type: 'text', section: 'Custom Array', label: 'Values', value: '', onChange: useCustom },
+    { id: 'custom-note', type: 'note', section: 'Custom Array', html: hint }
+  ];
+
+  function options(shell) {
+    const swaps = Math.round(shell.getValue('swaps'));
+    const seed = Math.round(shell.getValue('arraySeed'));
+    return {
+      distribution: shell.getValue('distribution'),
+      swaps: swaps > 0 ? swaps : 1,
+      seed: seed > 0 ? seed : 1
+    };
+  }
+
+  function build(shell) {
+    const { distribution, swaps, seed } = options(shell);
+    return generateArray(distribution, shell.getValue('size'), seed, { swaps });
+  }
+
+  function regenerate() {
+    const shell = getShell();
+    shell.setValue('custom', '');
+    shell.setValue('custom-note', hint);
+    apply(build(shell));
+  }
+
+  function randomize() {
+    getShell().setValue('arraySeed', randomSeed());
+    regenerate();
+  }
+
+  function useCustom(text) {
+    const shell = getShell();
+    if (!text.trim()) {
+      regenerate();
+      return;
+    }
+    let array;
+    try {
+      array = parseArray(text);
+    } catch (error) {
+      shell.setValue('custom-note', `<span style="color:#ef4444;">${error.message}</span>`);
+      return;
+    }
+    shell.setValue('size', array.length);
+    shell.setValue('custom-note', typedNote(array.length));
+    apply(array);
+  }
+
+  function serialize(array) {
+    const { distribution, swaps, seed } = options(getShell());
+    return {
+      array: encodeList(array),
+      distribution,
+      swaps: distribution === 'nearly-sorted' ? swaps : null,
+      arraySeed: seed
+    };
+  }
+
+  function restore(params) {
+    const shell = getShell();
+    // A link is checked like a typed array, before any input changes
+    let array;
+    try {
+      array = parseArray(decodeList(params.get('array'))?.join(' ') || '');
+    } catch (error) {
+      array = null;
+    }
+
+    if (DISTRIBUTIONS[params.get('distribution')]) shell.setValue('distribution', params.get('distribution'));
+    ['swaps', 'arraySeed'].forEach(id => {
+      const value = parseInt(params.get(id));
+      if (value > 0) shell.setValue(id, value);
+    });
+
+    if (!array) return null;
+    shell.setValue('size', array.length);
+    // An array the inputs don't reproduce was typed in by hand
+    const typed = encodeList(array) !== encodeList(build(shell));
+    shell.setValue('custom', typed ? array.join(', ') : '');
+    shell.setValue('custom-note', typed ? typedNote(array.length) : hint);
+    return array;
+  }
+
+  const keys = ['array', 'distribution', 'swaps', 'arraySeed'];
+
+  return { inputs, keys, regenerate, randomize, serialize, restore };
+}
+
+/**
+ * Draw a sorting step as bars, sliding heights toward the next step while
+ * tweening. Steps may add auxiliary storage as lanes under the bars:
+ *
+ *   aux: [{ id, label, values, labels, buckets, active, focus }]
+ *
+ * - values: one entry per slot; numbers or null (empty) for cell lanes
+ *   such as a count or output array, arrays of numbers for bucket lanes
+ * - labels: caption under each slot (defaults to its index)
+ * - buckets: draw each slot as a bucket of stacked chips
+ * - active: highlighted slot indices; focus: highlighted chips as
+ *   [slot, depth] pairs
+ *
+ * and `move: { value, from: { lane, index, depth }, to: {...} }` for the
+ * element that travels between the main array (lane 'array') and a lane
+ * on the way to that step. The move is drawn as a chip flying from its
+ * source to its destination while tweening into the step.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} state - Step in the sorting schema
+ * @param {Object} frame - { width, height, next, progress } from the shell
+ * @param {Object} options - { colors, highlight, glow, decorate, fallback }
+ *   (see createSortingVisualizer; fallback is the array shown when the
+ *   step has none)
+ */
+export function drawBars(ctx, state, { width, height, next, progress }, { colors = defaultColors, highlight, glow = [], decorate, fallback = [] } = {}) {
+  const arr = state.array || fallback;
+  const n = arr.length;
+  const target = next?.array;
+  const t = next ? Tween.easeInOutQuad(0, 1, progress) : 0;
+  const lanes = state.aux || [];
+
+  ctx.fillStyle = colors.bg;
+  ctx.fillRect(0, 0, width, height);
+
+  // Grid
+  ctx.strokeStyle = 'rgba(59, 130, 246, 0.05)';
+  for (let x = 0; x < width; x += 40) {
+    ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke();
+  }
+  for (let y = 0; y < height; y += 40) {
+    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke();
+  }
+
+  const padding = 60;
+  const barAreaWidth = width - padding * 2;
+  const barWidth = Math.max(4, barAreaWidth / n - 2);
+  const gap = (barAreaWidth - barWidth * n) / (n - 1 || 1);
+  const maxVal = Math.max(...arr);
+  // Lanes take the lower half of the canvas
+  const baseline = lanes.length ? 60 + (height - 80) * 0.45 : height - 60;
+  const barAreaHeight = baseline - 60;
+  const barX = (i) => padding + i * (barWidth + gap);
+
+  arr.forEach((val, i) => {
+    const x = barX(i);
+    const shown = target ? Tween.linear(val, target[i], t) : val;
+    const barHeight = (shown / maxVal) * barAreaHeight;
+    const y = baseline - barHeight;
+
+    // Bars in motion take the colors of the step they are moving into
+    const hl = target && target[i] !== val ? next : state;
+    const named = highlight?.(hl, i);
+    let color = colors[named] || colors.bar;
+    if (color === colors.bar) {
+      if (hl.sorted?.includes(i)) color = colors.sorted;
+      else if (hl.swapping?.includes(i)) color = colors.swapping;
+      else if (hl.comparing?.includes(i)) color = colors.comparing;
+    }
+
+    const gradient = ctx.createLinearGradient(x, y, x, y + barHeight);
+    gradient.addColorStop(0, lighten(color, 20));
+    gradient.addColorStop(1, color);
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.roundRect(x, y, barWidth, barHeight, [4, 4, 0, 0]);
+    ctx.fill();
+
+    // Glow for the bars being compared
+    if (hl.comparing?.includes(i) || glow.includes(named)) {
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 15;
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    }
+
+    // Value label for smaller arrays
+    if (n <= 25) {
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '11px Inter';
+      ctx.textAlign = 'center';
+      ctx.fillText(val.toString(), x + barWidth / 2, y - 8);
+    }
+  });
+
+  // Centre of a bar top or a lane slot, for flying chips
+  const slots = { array: (i, value) => ({ x: barX(i) + barWidth / 2, y: baseline - (value / maxVal) * barAreaHeight - 12 }) };
+  if (lanes.length) {
+    const laneTop = baseline + 36;
+    const laneHeight = (height - 16 - laneTop) / lanes.length;
+    lanes.forEach((lane, k) => {
+      slots[lane.id] = drawLane(ctx, lane, { x: padding, y: laneTop + k * laneHeight, width: barAreaWidth, height: laneHeight }, colors);
+    });
+  }
+
+  if (decorate) decorate(ctx, state, { width, height, barX, barWidth, baseline });
+
+  const move = next?.move;
+  if (move && t > 0 && t < 1 && slots[move.from.lane] && slots[move.to.lane]) {
+    const from = slots[move.from.lane](move.from.index, move.value, move.from.depth);
+    const to = slots[move.to.lane](move.to.index, move.value, move.to.depth);
+    drawChip(ctx, move.value, Tween.linear(from.x, to.x, t), Tween.linear(from.y, to.y, t), colors.swapping, true);
+  }
+
+  // Description
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '14px Inter';
+  ctx.textAlign = 'center';
+  ctx.fillText(state.description || '', width / 2, 30);
+}
+
+/**
+ * Number the copies of each repeated value in input order:
+ * [30, 50, 30] gives [0, null, 1]
+ * @param {number[]} original - Array before sorting
+ * @returns {Array<number|null>} Rank per original index; null for values
+ *   that occur once
+ */
+export function tagRanks(original) {
+  const counts = new Map();
+  original.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const seen = new Map();
+  return original.map(value => {
+    if (counts.get(value) < 2) return null;
+    const rank = seen.get(value) || 0;
+    seen.set(value, rank + 1);
+    return rank;
+  });
+}
+
+/**
+ * Equal keys whose relative order a run changed
+ * @param {number[]} original - Array before sorting
+ * @param {number[]} tags - Original index of the element at each position
+ *   (a step's `tags`)
+ * @returns {Array} [first, second] pairs of original indices with equal
+ *   values: first came before second in the input but is now behind it
+ */
+export function unstablePairs(original, tags) {
+  const position = [];
+  tags.forEach((tag, i) => { position[tag] = i; });
+  const pairs = [];
+  for (let a = 0; a < original.length; a++) {
+    for (let b = a + 1; b < original.length; b++) {
+      if (original[a] === original[b] && position[a] > position[b]) pairs.push([a, b]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Stability view for steps that carry `tags`: a lettered chip under each
+ * bar whose value repeats (30a, 30b, ... in input order), and once the whole
+ * array is sorted, a verdict listing the equal keys that changed order.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} state - Step in the sorting schema with `tags`
+ * @param {Object} layout - { width, height, barX(i), barWidth, baseline }
+ * @param {number[]} original - Array before sorting
+ */
+export function drawStability(ctx, state, { width, height, barX, barWidth, baseline }, original) {
+  if (!state.tags) return;
+  const ranks = tagRanks(original);
+  const name = (tag) => `${original[tag]}${tagLetter(ranks[tag])}`;
+  const size = Math.min(18, Math.max(10, barWidth));
+
+  ctx.font = `${size > 14 ? 11 : 9}px "Fira Code", monospace`;
+  ctx.textAlign = 'center';
+  state.tags.forEach((tag, i) => {
+    if (ranks[tag] === null || ranks[tag] === undefined) return;
+    const x = barX(i) + barWidth / 2;
+    ctx.fillStyle = tagColors[ranks[tag] % tagColors.length];
+    ctx.beginPath();
+    ctx.roundRect(x - size / 2, baseline + 6, size, size, 3);
+    ctx.fill();
+    ctx.fillStyle = '#0f172a';
+    ctx.fillText(tagLetter(ranks[tag]), x, baseline + 6 + size / 2 + 3);
+  });
+
+  if (state.sorted?.length !== state.array.length) return;
+  let verdict, color;
+  if (!ranks.some(rank => rank !== null)) {
+    verdict = 'No value repeats, so there is no order of equal keys to keep';
+    color = '#94a3b8';
+  } else {
+    const pairs = unstablePairs(original, state.tags);
+    if (!pairs.length) {
+      verdict = '✓ Stable: every run of equal keys kept its input order';
+      color = '#10b981';
+    } else {
+      const listed = pairs.slice(0, 4).map(([first, second]) => `${name(second)} now before ${name(first)}`);
+      if (pairs.length > 4) listed.push(`${pairs.length - 4} more`);
+      verdict = `✗ Not stable: ${listed.join(', ')}`;
+      color = '#ef4444';
+    }
+  }
+  ctx.fillStyle = color;
+  ctx.font = '13px Inter';
+  ctx.fillText(verdict, width / 2, height - 16);
+}
+
+// a, b, ..., z, then a2, b2, ...
+function tagLetter(rank) {
+  const round = Math.floor(rank / 26);
+  return String.fromCharCode(97 + rank % 26) + (round ? round + 1 : '');
+}
+
+/**
+ * Draw one auxiliary lane (see drawBars)
+ * @returns {Function} (index, value, depth) => { x, y } centre of a slot,
+ *   or of the chip at `depth` in a bucket
+ */
+function drawLane(ctx, lane, box, colors) {
+  const count = lane.values.length;
+  const slotWidth = box.width / Math.max(1, count);
+  const cellWidth = Math.max(2, slotWidth - 2);
+  const cellHeight = Math.min(lane.buckets ? 200 : 32, box.height - 28);
+  const top = box.y + 4;
+  const captions = slotWidth >= 14 || count <= 12;
+  const active = new Set(lane.active || []);
+  const focus = new Set((lane.focus || []).map(([slot, depth]) => `${slot}:${depth}`));
+  const capacity = lane.buckets ? Math.max(4, ...lane.values.map(bucket => bucket.length)) : 1;
+  const chipHeight = Math.min(20, (cellHeight - 4) / capacity);
+  const laneMax = lane.buckets ? 1 : Math.max(1, ...lane.values.filter(Number.isFinite));
+
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '11px Inter';
+  ctx.textAlign = 'right';
+  ctx.fillText(lane.label, box.x - 8, top + 12);
+
+  lane.values.forEach((value, i) => {
+    const x = box.x + i * slotWidth;
+    ctx.fillStyle = active.has(i) ? 'rgba(245, 158, 11, 0.25)' : 'rgba(30, 41, 59, 0.8)';
+    ctx.strokeStyle = active.has(i) ? colors.comparing : '#334155';
+    ctx.beginPath();
+    ctx.roundRect(x, top, cellWidth, cellHeight, 4);
+    ctx.fill();
+    ctx.stroke();
+
+    if (lane.buckets) {
+      value.forEach((chip, depth) => {
+        const y = top + cellHeight - 2 - (depth + 1) * chipHeight;
+        ctx.fillStyle = focus.has(`${i}:${depth}`) ? colors.comparing : colors.bar;
+        ctx.beginPath();
+        ctx.roundRect(x + 2, y + 1, cellWidth - 4, chipHeight - 2, 3);
+        ctx.fill();
+        if (chipHeight >= 12 && cellWidth >= 18) {
+          ctx.fillStyle = '#f8fafc';
+          ctx.font = '10px "Fira Code", monospace';
+          ctx.textAlign = 'center';
+          ctx.fillText(String(chip), x + cellWidth / 2, y + chipHeight / 2 + 3);
+        }
+      });
+    } else if (value !== null && value !== undefined && cellWidth >= 10) {
+      ctx.fillStyle = '#e2e8f0';
+      ctx.font = `${cellWidth >= 18 ? 11 : 8}px "Fira Code", monospace`;
+      ctx.textAlign = 'center';
+      ctx.fillText(String(value), x + cellWidth / 2, top + cellHeight / 2 + 4);
+    } else if (value) {
+      // Too narrow for text: a small bar scaled to the lane's largest value
+      const fill = (value / laneMax) * (cellHeight - 4);
+      ctx.fillStyle = active.has(i) ? colors.comparing : colors.bar;
+      ctx.fillRect(x + 1, top + cellHeight - 2 - fill, cellWidth - 2, fill);
+    }
+
+    // Narrow lanes only caption the (last) cell in use
+    if (!captions && i === lane.active?.[lane.active.length - 1]) {
+      ctx.fillStyle = '#e2e8f0';
+      ctx.font = '10px "Fira Code", monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${lane.labels?.[i] ?? i}: ${value ?? '-'}`, x + cellWidth / 2, top + cellHeight + 12);
+    }
+
+    if (captions) {
+      ctx.fillStyle = '#64748b';
+      ctx.font = '9px Inter';
+      ctx.textAlign = 'center';
+      ctx.fillText(String(lane.labels?.[i] ?? i), x + cellWidth / 2, top + cellHeight + 12);
+    }
+  });
+
+  return (index, value, depth = 0) => ({
+    x: box.x + index * slotWidth + cellWidth / 2,
+    y: lane.buckets ? top + cellHeight - 2 - (depth + 0.5) * chipHeight : top + cellHeight / 2
+  });
+}
+
+function drawChip(ctx, value, x, y, color, glow) {
+  const width = Math.max(24, String(value).length * 8 + 10);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(x - width / 2, y - 10, width, 20, 4);
+  if (glow) {
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 12;
+  }
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.fillStyle = '#f8fafc';
+  ctx.font = '11px "Fira Code", monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(String(value), x, y + 4);
+}
+
+function lighten(hex, percent) {
+  const num = parseInt(hex.replace('#', ''), 16);
+  const R = Math.min(255, (num >> 16) + Math.round(2.55 * percent));
+  const G = Math.min(255, ((num >> 8) & 0xFF) + Math.round(2.55 * percent));
+  const B = Math.min(255, (num & 0xFF) + Math.round(2.55 * percent));
+  return `rgb(${R},${G},${B})`;
+}
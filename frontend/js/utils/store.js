@@ -0,0 +1,335 @@
+/**
+ * DSA Algorithm Visualizer - Step Store Module
+ * Delta-encoded storage for recorded algorithm states
+ */
+
+/**
+ * Step Store Class
+ * Array-like list of states that keeps a full keyframe every
+ * `keyframeInterval` steps and only the changes in between.
+ *
+ * Algorithms can push their live, mutable working data (grids, Sets,
+ * Maps, trees) instead of snapshotting it: push() diffs against the
+ * previous step and copies only what changed. States returned by get()
+ * share unchanged parts with each other, so treat them as read-only.
+ */
+export class StepStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.keyframeInterval - Steps between full snapshots
+   */
+  constructor({ keyframeInterval = 50 } = {}) {
+    this.keyframeInterval = keyframeInterval;
+    this.keyframes = [];
+    this.deltas = [];
+    this.count = 0;
+    this.last = undefined; // Snapshot of the most recent step
+    this.cacheIndex = -1;
+    this.cacheState = null;
+  }
+
+  /**
+   * Build a store from an array of states
+   * @param {Array} states - Recorded states
+   * @param {Object} options - Constructor options
+   * @returns {StepStore}
+   */
+  static from(states, options) {
+    const store = new StepStore(options);
+    states.forEach(state => store.push(state));
+    return store;
+  }
+
+  get length() {
+    return this.count;
+  }
+
+  /**
+   * Record a step
+   * @param {Object} state - Step state (may reference live data)
+   * @returns {number} New length
+   */
+  push(state) {
+    const index = this.count;
+    if (index === 0) {
+      this.last = clone(state);
+    } else {
+      const delta = diff(this.last, state);
+      this.deltas[index] = delta;
+      this.last = apply(this.last, delta);
+    }
+    if (index % this.keyframeInterval === 0) {
+      this.keyframes[index / this.keyframeInterval] = this.last;
+    }
+    this.count++;
+    return this.count;
+  }
+
+  /**
+   * Rebuild a step from its nearest keyframe (or the last rebuilt step
+   * when moving forward, which keeps sequential playback cheap)
+   * @param {number} index - Step index
+   * @returns {Object|undefined} Step state
+   */
+  get(index) {
+    if (index < 0 || index >= this.count) return undefined;
+    if (index === this.cacheIndex) return this.cacheState;
+
+    const keyframeIndex = Math.floor(index / this.keyframeInterval) * this.keyframeInterval;
+    let from = keyframeIndex;
+    let state = this.keyframes[keyframeIndex / this.keyframeInterval];
+    if (this.cacheIndex > keyframeIndex && this.cacheIndex < index) {
+      from = this.cacheIndex;
+      state = this.cacheState;
+    }
+
+    for (let i = from + 1; i <= index; i++) {
+      state = apply(state, this.deltas[i]);
+    }
+
+    this.cacheIndex = index;
+    this.cacheState = state;
+    return state;
+  }
+
+  /**
+   * Like Array.prototype.at (negative indices count from the end)
+   */
+  at(index) {
+    return this.get(index < 0 ? this.count + index : index);
+  }
+
+  forEach(callback) {
+    for (let i = 0; i < this.count; i++) callback(this.get(i), i, this);
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.count; i++) yield this.get(i);
+  }
+}
+
+/**
+ * Step Stream Class
+ * Lazily pulls states from an iterator (typically an algorithm's step
+ * generator) and keeps only the most recent `historySize` of them, so
+ * runs of any length can be played without recording them up front.
+ *
+ * Without an iterator the stream is fed from outside (e.g. by a Web
+ * Worker) through append() and finish(); `onDemand(index)` is called
+ * whenever playback needs or reaches a step, so the feeder can keep ahead.
+ *
+ * Indices stay absolute: once a step falls out of the history, get()
+ * returns undefined for it and `first` moves past it.
+ */
+export class StepStream {
+  /**
+   * @param {Iterator|null} iterator - Source of step states (may yield live data)
+   * @param {Object} options
+   * @param {number} options.historySize - Steps kept for stepping backward
+   */
+  constructor(iterator, { historySize = 2000 } = {}) {
+    this.iterator = iterator;
+    this.historySize = Math.max(1, historySize);
+    this.buffer = [];
+    this.first = 0; // Index of the oldest step still in the buffer
+    this.count = 0; // Steps pulled so far
+    this.done = false;
+    this.onDemand = null;
+    if (iterator) this.pull(0);
+  }
+
+  get length() {
+    return this.count;
+  }
+
+  /**
+   * Pull steps from the iterator until `index` exists or it runs out
+   * @param {number} index - Step index to reach
+   * @returns {number} New length
+   */
+  pull(index) {
+    if (!this.iterator) {
+      this.seek(index);
+      return this.count;
+    }
+    while (!this.done && this.count <= index) {
+      const { value, done } = this.iterator.next();
+      if (done) {
+        this.done = true;
+        break;
+      }
+      // Snapshot now: the generator may mutate the yielded data on resume
+      this.add(clone(value));
+    }
+    return this.count;
+  }
+
+  /**
+   * Tell an externally fed stream that playback is at `index`
+   * @param {number} index - Step index
+   */
+  seek(index) {
+    if (this.onDemand && !this.done) this.onDemand(index);
+  }
+
+  /**
+   * Add steps produced elsewhere (already copies, e.g. from postMessage)
+   * @param {Array} states - Step states
+   */
+  append(states) {
+    states.forEach(state => this.add(state));
+  }
+
+  /**
+   * Mark an externally fed stream as complete
+   */
+  finish() {
+    this.done = true;
+  }
+
+  add(state) {
+    this.buffer.push(state);
+    this.count++;
+    if (this.buffer.length > this.historySize) {
+      this.buffer.shift();
+      this.first++;
+    }
+  }
+
+  /**
+   * @param {number} index - Step index
+   * @returns {Object|undefined} Step state, if pulled and still buffered
+   */
+  get(index) {
+    if (index < this.first || index >= this.count) return undefined;
+    return this.buffer[index - this.first];
+  }
+
+  /**
+   * Stop pulling; the buffered history stays available
+   */
+  close() {
+    if (!this.done && this.iterator?.return) this.iterator.return();
+    this.done = true;
+  }
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep copy plain objects, arrays, Sets and Maps; anything else is kept by reference
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Set) return new Set(value);
+  if (value instanceof Map) return new Map([...value].map(([k, v]) => [k, clone(v)]));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = clone(value[key]);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Describe how to turn `prev` into `next`
+ * @returns {Object|undefined} Delta, or undefined if nothing changed
+ */
+function diff(prev, next) {
+  if (Object.is(prev, next) && (next === null || typeof next !== 'object')) return undefined;
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    const keys = {};
+    let changed = false;
+    let added = false;
+    for (const key of Object.keys(next)) {
+      if (!(key in prev)) added = true;
+      const delta = key in prev ? diff(prev[key], next[key]) : { type: 'value', value: clone(next[key]) };
+      if (delta) {
+        keys[key] = delta;
+        changed = true;
+      }
+    }
+    const removed = Object.keys(prev).filter(key => !(key in next));
+    if (!changed && !removed.length) return undefined;
+    // New keys would otherwise land at the end; keep the recorded key order
+    return { type: 'object', keys, removed, order: added ? Object.keys(next) : null };
+  }
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    const items = [];
+    for (let i = 0; i < next.length; i++) {
+      const delta = i < prev.length ? diff(prev[i], next[i]) : { type: 'value', value: clone(next[i]) };
+      if (delta) items.push([i, delta]);
+    }
+    if (!items.length && prev.length === next.length) return undefined;
+    return { type: 'array', items, length: next.length };
+  }
+
+  if (prev instanceof Set && next instanceof Set) {
+    const added = [...next].filter(item => !prev.has(item));
+    const removed = [...prev].filter(item => !next.has(item));
+    if (!added.length && !removed.length) return undefined;
+    return { type: 'set', added, removed };
+  }
+
+  if (prev instanceof Map && next instanceof Map) {
+    const entries = [];
+    for (const [key, value] of next) {
+      const delta = prev.has(key) ? diff(prev.get(key), value) : { type: 'value', value: clone(value) };
+      if (delta) entries.push([key, delta]);
+    }
+    const removed = [...prev.keys()].filter(key => !next.has(key));
+    if (!entries.length && !removed.length) return undefined;
+    return { type: 'map', entries, removed };
+  }
+
+  return { type: 'value', value: clone(next) };
+}
+
+/**
+ * Apply a delta, copying only the containers along changed paths
+ */
+function apply(base, delta) {
+  if (!delta) return base;
+
+  switch (delta.type) {
+    case 'object': {
+      const out = {};
+      for (const key of delta.order || Object.keys(base)) {
+        if (!delta.removed.includes(key)) out[key] = key in delta.keys ? apply(base[key], delta.keys[key]) : base[key];
+      }
+      return out;
+    }
+    case 'array': {
+      const out = base.slice(0, delta.length);
+      out.length = delta.length;
+      delta.items.forEach(([i, d]) => { out[i] = apply(base[i], d); });
+      return out;
+    }
+    case 'set': {
+      const out = new Set(base);
+      delta.removed.forEach(item => out.delete(item));
+      delta.added.forEach(item => out.add(item));
+      return out;
+    }
+    case 'map': {
+      const out = new Map(base);
+      delta.removed.forEach(key => out.delete(key));
+      delta.entries.forEach(([key, d]) => out.set(key, apply(base.get(key), d)));
+      return out;
+    }
+    default:
+      return delta.value;
+  }
+}
+
+export default StepStore;
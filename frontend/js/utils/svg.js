@@ -0,0 +1,413 @@
+/**
+ * DSA Algorithm Visualizer - SVG Context Module
+ * A CanvasRenderingContext2D stand-in that records drawing as SVG, so a
+ * visualizer's draw() can produce vector snapshots unchanged
+ */
+
+// Canvas textAlign / textBaseline to SVG text-anchor / dominant-baseline
+const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINE = {
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  alphabetic: 'alphabetic',
+  ideographic: 'ideographic',
+  bottom: 'text-after-edge'
+};
+
+/**
+ * Gradient recorded by SvgContext.createLinearGradient/createRadialGradient
+ */
+class SvgGradient {
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+}
+
+/**
+ * SVG Context Class
+ * Supports the subset of the 2D canvas API the visualizers use: paths
+ * (lines, arcs, rects, rounded rects, curves), fill/stroke with colors and
+ * linear/radial gradients, text, transforms, save/restore, global alpha,
+ * dashes and shadows (as drop-shadow filters).
+ *
+ * Path points are transformed when they are added, as on a canvas, and
+ * written in output coordinates; arcs become Bézier curves so any
+ * transform is exact. clearRect() only understands clearing everything.
+ */
+export class SvgContext {
+  /**
+   * @param {number} width - Drawing width in user units
+   * @param {number} height - Drawing height in user units
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.defs = [];
+    this.filters = new Map(); // shadow key -> filter id
+    this.nextId = 0;
+    this.path = [];
+    this.stack = [];
+    this.state = {
+      matrix: [1, 0, 0, 1, 0, 0],
+      fillStyle: '#000000',
+      strokeStyle: '#000000',
+      lineWidth: 1,
+      lineCap: 'butt',
+      lineJoin: 'miter',
+      lineDash: [],
+      font: '10px sans-serif',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      globalAlpha: 1,
+      shadowBlur: 0,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      shadowOffsetX: 0,
+      shadowOffsetY: 0
+    };
+    this.measure = null; // Real 2D context used by measureText()
+  }
+
+  // Drawing state is exposed as plain properties, like a canvas context
+  get fillStyle() { return this.state.fillStyle; }
+  set fillStyle(value) { this.state.fillStyle = value; }
+  get strokeStyle() { return this.state.strokeStyle; }
+  set strokeStyle(value) { this.state.strokeStyle = value; }
+  get lineWidth() { return this.state.lineWidth; }
+  set lineWidth(value) { this.state.lineWidth = value; }
+  get lineCap() { return this.state.lineCap; }
+  set lineCap(value) { this.state.lineCap = value; }
+  get lineJoin() { return this.state.lineJoin; }
+  set lineJoin(value) { this.state.lineJoin = value; }
+  get font() { return this.state.font; }
+  set font(value) { this.state.font = value; }
+  get textAlign() { return this.state.textAlign; }
+  set textAlign(value) { this.state.textAlign = value; }
+  get textBaseline() { return this.state.textBaseline; }
+  set textBaseline(value) { this.state.textBaseline = value; }
+  get globalAlpha() { return this.state.globalAlpha; }
+  set globalAlpha(value) { this.state.globalAlpha = value; }
+  get shadowBlur() { return this.state.shadowBlur; }
+  set shadowBlur(value) { this.state.shadowBlur = value; }
+  get shadowColor() { return this.state.shadowColor; }
+  set shadowColor(value) { this.state.shadowColor = value; }
+  get shadowOffsetX() { return this.state.shadowOffsetX; }
+  set shadowOffsetX(value) { this.state.shadowOffsetX = value; }
+  get shadowOffsetY() { return this.state.shadowOffsetY; }
+  set shadowOffsetY(value) { this.state.shadowOffsetY = value; }
+
+  save() {
+    this.stack.push({ ...this.state, matrix: [...this.state.matrix], lineDash: [...this.state.lineDash] });
+  }
+
+  restore() {
+    if (this.stack.length) this.state = this.stack.pop();
+  }
+
+  // Transforms
+
+  setTransform(a, b, c, d, e, f) {
+    this.state.matrix = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [m0, m1, m2, m3, m4, m5] = this.state.matrix;
+    this.state.matrix = [
+      m0 * a + m2 * b, m1 * a + m3 * b,
+      m0 * c + m2 * d, m1 * c + m3 * d,
+      m0 * e + m2 * f + m4, m1 * e + m3 * f + m5
+    ];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  setLineDash(segments) {
+    this.state.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this.state.lineDash];
+  }
+
+  // Paths
+
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.state.matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push(['M', this.point(x, y)]);
+  }
+
+  lineTo(x, y) {
+    if (!this.path.length) this.moveTo(x, y);
+    else this.path.push(['L', this.point(x, y)]);
+  }
+
+  closePath() {
+    if (this.path.length) this.path.push(['Z']);
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.path.length) this.moveTo(cp1x, cp1y);
+    this.path.push(['C', this.point(cp1x, cp1y), this.point(cp2x, cp2y), this.point(x, y)]);
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.path.length) this.moveTo(cpx, cpy);
+    this.path.push(['Q', this.point(cpx, cpy), this.point(x, y)]);
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  roundRect(x, y, width, height, radii = 0) {
+    const list = Array.isArray(radii) ? radii : [radii];
+    // Same shorthand as CSS border-radius: [all], [tl/br, tr/bl], [tl, tr/bl, br], [tl, tr, br, bl]
+    const [tl, tr, br, bl] = {
+      1: [list[0], list[0], list[0], list[0]],
+      2: [list[0], list[1], list[0], list[1]],
+      3: [list[0], list[1], list[2], list[1]],
+      4: list
+    }[list.length] || [0, 0, 0, 0];
+    const limit = Math.min(Math.abs(width), Math.abs(height)) / 2;
+    const r = (v) => Math.min(Math.max(0, typeof v === 'object' ? v.x : v || 0), limit);
+    const [a, b, c, d] = [r(tl), r(tr), r(br), r(bl)];
+
+    this.moveTo(x + a, y);
+    this.lineTo(x + width - b, y);
+    if (b) this.arc(x + width - b, y + b, b, -Math.PI / 2, 0);
+    this.lineTo(x + width, y + height - c);
+    if (c) this.arc(x + width - c, y + height - c, c, 0, Math.PI / 2);
+    this.lineTo(x + d, y + height);
+    if (d) this.arc(x + d, y + height - d, d, Math.PI / 2, Math.PI);
+    this.lineTo(x, y + a);
+    if (a) this.arc(x + a, y + a, a, Math.PI, Math.PI * 1.5);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+  }
+
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+    if (counterclockwise && sweep > 0) sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+    if (Math.abs(endAngle - startAngle) >= 2 * Math.PI) sweep = counterclockwise ? -2 * Math.PI : 2 * Math.PI;
+
+    const cos = Math.cos(rotation), sin = Math.sin(rotation);
+    const at = (angle) => {
+      const px = radiusX * Math.cos(angle), py = radiusY * Math.sin(angle);
+      return [x + px * cos - py * sin, y + px * sin + py * cos];
+    };
+    const tangent = (angle) => {
+      const px = -radiusX * Math.sin(angle), py = radiusY * Math.cos(angle);
+      return [px * cos - py * sin, px * sin + py * cos];
+    };
+
+    const [sx, sy] = at(startAngle);
+    this.lineTo(sx, sy);
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / segments;
+    const k = (4 / 3) * Math.tan(step / 4);
+    for (let i = 0; i < segments; i++) {
+      const a0 = startAngle + step * i, a1 = a0 + step;
+      const [x0, y0] = at(a0), [x1, y1] = at(a1);
+      const [t0x, t0y] = tangent(a0), [t1x, t1y] = tangent(a1);
+      this.bezierCurveTo(x0 + k * t0x, y0 + k * t0y, x1 - k * t1x, y1 - k * t1y, x1, y1);
+    }
+  }
+
+  pathData() {
+    const fmt = (p) => `${round(p[0])} ${round(p[1])}`;
+    return this.path.map(([cmd, ...points]) => cmd + points.map(fmt).join(' ')).join('');
+  }
+
+  // Painting
+
+  fill() {
+    if (!this.path.length) return;
+    this.emit(`<path d="${this.pathData()}"${this.paint('fill', this.state.fillStyle)}${this.common()}/>`);
+  }
+
+  stroke() {
+    if (!this.path.length) return;
+    this.emit(`<path d="${this.pathData()}" fill="none"${this.paint('stroke', this.state.strokeStyle)}${this.strokeAttributes()}${this.common()}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+    this.path = path;
+  }
+
+  strokeRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+  }
+
+  /**
+   * Clearing the whole drawing discards what was drawn so far; partial
+   * clears can't be expressed in SVG and are ignored
+   */
+  clearRect(x, y, width, height) {
+    const [x0, y0] = this.point(x, y);
+    const [x1, y1] = this.point(x + width, y + height);
+    if (Math.min(x0, x1) <= 0 && Math.min(y0, y1) <= 0 && Math.max(x0, x1) >= this.width && Math.max(y0, y1) >= this.height) {
+      this.elements = [];
+    }
+  }
+
+  fillText(text, x, y) {
+    this.text(text, x, y, this.paint('fill', this.state.fillStyle));
+  }
+
+  strokeText(text, x, y) {
+    this.text(text, x, y, ` fill="none"${this.paint('stroke', this.state.strokeStyle)}${this.strokeAttributes()}`);
+  }
+
+  text(text, x, y, paint) {
+    const { textAlign, textBaseline, font } = this.state;
+    const anchor = TEXT_ANCHOR[textAlign] || 'start';
+    const baseline = BASELINE[textBaseline] || 'alphabetic';
+    const [a, b, c, d, e, f] = this.state.matrix;
+    const identity = a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+    const transform = identity ? '' : ` transform="${this.matrixAttribute()}"`;
+    this.emit(`<text x="${round(x)}" y="${round(y)}"${transform} text-anchor="${anchor}" dominant-baseline="${baseline}" style="font:${escape(font)};white-space:pre"${paint}${this.common()}>${escape(String(text))}</text>`);
+  }
+
+  /**
+   * Width from a real canvas when there is one, else an estimate
+   */
+  measureText(text) {
+    if (!this.measure && typeof document !== 'undefined') {
+      this.measure = document.createElement('canvas').getContext('2d');
+    }
+    if (this.measure) {
+      this.measure.font = this.state.font;
+      return this.measure.measureText(text);
+    }
+    const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.state.font)?.[1] || 10);
+    return { width: String(text).length * size * 0.6 };
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient('linear', { x1: x0, y1: y0, x2: x1, y2: y1 });
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgGradient('radial', { fx: x0, fy: y0, fr: r0, cx: x1, cy: y1, r: r1 });
+  }
+
+  // No-ops kept for API compatibility
+  clip() {}
+  drawImage() {}
+
+  // Output helpers
+
+  emit(markup) {
+    this.elements.push(markup);
+  }
+
+  matrixAttribute() {
+    return `matrix(${this.state.matrix.map(round).join(' ')})`;
+  }
+
+  /**
+   * fill/stroke attribute, defining a gradient in output space if needed
+   */
+  paint(attribute, style) {
+    if (style instanceof SvgGradient) {
+      const id = `g${this.nextId++}`;
+      const coords = Object.entries(style.coords).map(([k, v]) => `${k}="${round(v)}"`).join(' ');
+      const stops = style.stops.map(s => `<stop offset="${s.offset}" stop-color="${escape(s.color)}"/>`).join('');
+      const tag = style.type === 'linear' ? 'linearGradient' : 'radialGradient';
+      this.defs.push(`<${tag} id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="${this.matrixAttribute()}" ${coords}>${stops}</${tag}>`);
+      return ` ${attribute}="url(#${id})"`;
+    }
+    return ` ${attribute}="${escape(String(style))}"`;
+  }
+
+  strokeAttributes() {
+    const { matrix, lineWidth, lineCap, lineJoin, lineDash } = this.state;
+    // Path points are already transformed, so scale the pen to match
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    let attributes = ` stroke-width="${round(lineWidth * scale)}"`;
+    if (lineCap !== 'butt') attributes += ` stroke-linecap="${lineCap}"`;
+    if (lineJoin !== 'miter') attributes += ` stroke-linejoin="${lineJoin}"`;
+    if (lineDash.length) attributes += ` stroke-dasharray="${lineDash.map(d => round(d * scale)).join(' ')}"`;
+    return attributes;
+  }
+
+  // Opacity and shadow, shared by every painted element
+  common() {
+    const { globalAlpha, shadowBlur, shadowColor, shadowOffsetX, shadowOffsetY } = this.state;
+    let attributes = globalAlpha < 1 ? ` opacity="${round(globalAlpha)}"` : '';
+    if ((shadowBlur > 0 || shadowOffsetX || shadowOffsetY) && !/^(transparent|rgba\(.*,\s*0\))$/.test(shadowColor)) {
+      const key = `${shadowBlur}|${shadowColor}|${shadowOffsetX}|${shadowOffsetY}`;
+      if (!this.filters.has(key)) {
+        const id = `s${this.nextId++}`;
+        this.filters.set(key, id);
+        this.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${shadowOffsetX}" dy="${shadowOffsetY}" stdDeviation="${shadowBlur / 2}" flood-color="${escape(shadowColor)}"/></filter>`);
+      }
+      attributes += ` filter="url(#${this.filters.get(key)})"`;
+    }
+    return attributes;
+  }
+
+  /**
+   * @returns {string} The SVG document
+   */
+  toString() {
+    const defs = this.defs.length ? `<defs>${this.defs.join('')}</defs>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">${defs}${this.elements.join('')}</svg>`;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export default SvgContext;
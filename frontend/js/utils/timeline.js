@@ -0,0 +1,179 @@
+/**
+ * DSA Algorithm Visualizer - Timeline Module
+ * Scrubbable progress bar with per-step phase ticks and a hover preview
+ */
+
+// Tick colors for the phase names used across the recorded states
+export const PHASE_COLORS = {
+  compare: '#f59e0b',
+  count: '#f59e0b',
+  try: '#64748b',
+  swap: '#ef4444',
+  remove: '#ef4444',
+  backtrack: '#ef4444',
+  mismatch: '#ef4444',
+  place: '#10b981',
+  match: '#10b981',
+  solution: '#22d3ee',
+  done: '#22d3ee',
+  visit: '#3b82f6',
+  explore: '#8b5cf6',
+  update: '#f59e0b',
+  relax: '#f59e0b',
+  init: '#475569',
+  invalid: '#f43f5e'
+};
+
+const THUMB_WIDTH = 176;
+const THUMB_HEIGHT = 99;
+
+/**
+ * Timeline Class
+ * Wraps the control panel's progress bar: drag to scrub, phase ticks
+ * underneath, and a tooltip with the step description and a thumbnail
+ */
+export class Timeline {
+  /**
+   * @param {HTMLElement} container - Element holding the progress bar
+   * @param {AnimationController} animator - Controller to seek
+   */
+  constructor(container, animator) {
+    this.container = container;
+    this.animator = animator;
+    this.bar = container.querySelector('#progress-bar');
+    this.ticks = container.querySelector('#timeline-ticks');
+    this.tooltip = container.querySelector('#timeline-tooltip');
+    this.tooltipText = container.querySelector('#timeline-tooltip-text');
+    this.thumb = container.querySelector('#timeline-thumb');
+    this.phase = (state) => state?.phase ?? state?.type ?? null;
+    this.colors = PHASE_COLORS;
+    this.preview = null;
+    this.dragging = false;
+    this.hoverStep = -1;
+    this.renderedSteps = null;
+    this.renderedWidth = 0;
+    this.renderedKnown = true;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Customize how steps are classified and previewed
+   * @param {Object} options
+   * @param {Function} options.phase - (state) => phase name or null for no tick
+   * @param {Object} options.colors - Extra phase -> color entries
+   * @param {Function} options.preview - (ctx, state, width, height) thumbnail renderer
+   */
+  configure({ phase, colors, preview } = {}) {
+    if (phase) this.phase = phase;
+    if (colors) this.colors = { ...PHASE_COLORS, ...colors };
+    if (preview !== undefined) this.preview = preview;
+    this.thumb.classList.toggle('hidden', !this.preview);
+    this.renderedSteps = null;
+    this.update();
+  }
+
+  bindEvents() {
+    this.container.addEventListener('pointerdown', (e) => {
+      if (this.animator.totalSteps < 2) return;
+      this.dragging = true;
+      if (this.container.setPointerCapture) this.container.setPointerCapture(e.pointerId);
+      if (this.animator.isPlaying) this.animator.pause();
+      this.seek(e);
+    });
+    this.container.addEventListener('pointermove', (e) => {
+      if (this.dragging) this.seek(e);
+      this.showTooltip(e);
+    });
+    const stop = () => { this.dragging = false; };
+    this.container.addEventListener('pointerup', stop);
+    this.container.addEventListener('pointercancel', stop);
+    this.container.addEventListener('pointerleave', () => this.hideTooltip());
+  }
+
+  /**
+   * Step index under the pointer
+   * @param {PointerEvent} e
+   * @returns {number}
+   */
+  stepAt(e) {
+    const rect = this.bar.getBoundingClientRect();
+    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return Math.round(percent * (this.animator.totalSteps - 1));
+  }
+
+  seek(e) {
+    const step = this.stepAt(e);
+    if (step !== this.animator.currentStep) this.animator.goToStep(step);
+  }
+
+  showTooltip(e) {
+    const total = this.animator.totalSteps;
+    if (total < 2) return;
+    const step = this.stepAt(e);
+    const rect = this.bar.getBoundingClientRect();
+    const x = rect.width * step / (total - 1);
+    this.tooltip.classList.remove('hidden');
+    const width = this.tooltip.offsetWidth || THUMB_WIDTH;
+    this.tooltip.style.left = `${Math.max(0, Math.min(rect.width - width, x - width / 2))}px`;
+    if (step === this.hoverStep) return;
+
+    this.hoverStep = step;
+    const state = this.animator.getStateAt(step);
+    const phase = this.phase(state);
+    this.tooltipText.textContent = state
+      ? `Step ${step + 1}${phase ? ` · ${phase}` : ''}: ${state.description || ''}`
+      : `Step ${step + 1}: no longer in history`;
+    if (this.preview && state) this.renderThumbnail(state);
+  }
+
+  hideTooltip() {
+    this.tooltip.classList.add('hidden');
+    this.hoverStep = -1;
+  }
+
+  renderThumbnail(state) {
+    const dpr = window.devicePixelRatio || 1;
+    this.thumb.width = THUMB_WIDTH * dpr;
+    this.thumb.height = THUMB_HEIGHT * dpr;
+    const ctx = this.thumb.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+    this.preview(ctx, state, THUMB_WIDTH, THUMB_HEIGHT);
+  }
+
+  /**
+   * Redraw the phase ticks when the run, its length or the bar width changes.
+   * Lazy runs get no ticks until they finish, since every position would
+   * shift with each new step.
+   */
+  update() {
+    const steps = this.animator.steps;
+    const width = this.ticks.getBoundingClientRect().width;
+    const known = this.animator.isTotalKnown();
+    if (steps === this.renderedSteps && width === this.renderedWidth && known === this.renderedKnown) return;
+    this.renderedSteps = steps;
+    this.renderedWidth = width;
+    this.renderedKnown = known;
+
+    const dpr = window.devicePixelRatio || 1;
+    const height = 8;
+    this.ticks.width = width * dpr;
+    this.ticks.height = height * dpr;
+    const ctx = this.ticks.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const total = this.animator.totalSteps;
+    if (total < 2 || !known) return;
+    const tickWidth = Math.max(1, width / total);
+    for (let i = 0; i < total; i++) {
+      const phase = this.phase(this.animator.getStateAt(i));
+      if (!phase) continue;
+      ctx.fillStyle = this.colors[phase] || '#475569';
+      ctx.fillRect((width - tickWidth) * i / (total - 1), 0, tickWidth, height);
+    }
+  }
+}
+
+export default Timeline;
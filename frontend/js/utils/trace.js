@@ -0,0 +1,140 @@
+/**
+ * DSA Algorithm Visualizer - Trace Module
+ * Versioned JSON format for recorded runs, so they can be saved, shared
+ * and replayed without re-running the algorithm
+ *
+ * A trace file looks like:
+ *
+ *   {
+ *     "format": "dsa-viz-trace",
+ *     "version": 1,
+ *     "algorithm": "quick-sort",
+ *     "input": { "array": "5_3_8", "pivot": "last" },
+ *     "metadata": { "createdAt": "2026-01-01T00:00:00.000Z", "stepCount": 3, ... },
+ *     "steps": [ { "array": [5, 3, 8], "comparing": [], ... }, ... ]
+ *   }
+ *
+ * `input` holds the visualizer's link parameters (see utils/link.js) and
+ * may be omitted. Steps use the algorithm's own state schema. Values JSON
+ * can't express are written as tagged objects: {"$type": "Set", "values":
+ * [...]}, {"$type": "Map", "entries": [[key, value], ...]} and {"$type":
+ * "Number", "value": "Infinity" | "-Infinity" | "NaN"}. A plain object
+ * that has its own "$type" key is wrapped as {"$type": "Object", "value": {...}}.
+ */
+
+export const TRACE_FORMAT = 'dsa-viz-trace';
+export const TRACE_VERSION = 1;
+
+/**
+ * Convert a value into plain JSON data, tagging Sets, Maps and
+ * non-finite numbers
+ * @param {*} value
+ * @returns {*} JSON-safe copy
+ */
+export function encodeValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : { $type: 'Number', value: String(value) };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value === undefined ? null : value;
+  }
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value instanceof Set) return { $type: 'Set', values: [...value].map(encodeValue) };
+  if (value instanceof Map) {
+    return { $type: 'Map', entries: [...value].map(([k, v]) => [encodeValue(k), encodeValue(v)]) };
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, v]) => {
+    if (v !== undefined && typeof v !== 'function') result[key] = encodeValue(v);
+  });
+  return '$type' in result ? { $type: 'Object', value: result } : result;
+}
+
+/**
+ * Inverse of encodeValue
+ * @param {*} data - Parsed JSON
+ * @returns {*} Value with Sets, Maps and non-finite numbers restored
+ */
+export function decodeValue(data) {
+  if (data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(decodeValue);
+
+  switch (data.$type) {
+    case 'Set': return new Set(data.values.map(decodeValue));
+    case 'Map': return new Map(data.entries.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+    case 'Number': return Number(data.value);
+    case 'Object': return decodeObject(data.value);
+    default: return decodeObject(data);
+  }
+}
+
+function decodeObject(data) {
+  const result = {};
+  Object.entries(data).forEach(([key, v]) => { result[key] = decodeValue(v); });
+  return result;
+}
+
+/**
+ * Build a trace
+ * @param {Object} options
+ * @param {string} options.algorithm - Registry id of the visualizer
+ * @param {Array} options.steps - Step states
+ * @param {Object} options.input - Link parameters the run was generated from
+ * @param {Object} options.metadata - Extra fields (title, firstStep, complete, ...)
+ * @returns {Object} Trace
+ */
+export function createTrace({ algorithm, steps, input = null, metadata = {} }) {
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    algorithm,
+    input,
+    metadata: { createdAt: new Date().toISOString(), stepCount: steps.length, ...metadata },
+    steps
+  };
+}
+
+/**
+ * @param {Object} trace - Output of createTrace
+ * @returns {string} JSON text
+ */
+export function stringifyTrace(trace) {
+  return JSON.stringify({ ...trace, steps: trace.steps.map(encodeValue) });
+}
+
+/**
+ * Parse and check a trace file
+ * @param {string} text - JSON text
+ * @returns {Object} Trace with decoded steps
+ * @throws {Error} If the text is not a trace this version can read
+ */
+export function parseTrace(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (!data || data.format !== TRACE_FORMAT) throw new Error('Not a DSA Viz trace');
+  if (!Number.isInteger(data.version) || data.version > TRACE_VERSION) {
+    throw new Error(`Unsupported trace version: ${data.version}`);
+  }
+  if (typeof data.algorithm !== 'string' || !data.algorithm) throw new Error('Trace has no algorithm id');
+  if (!Array.isArray(data.steps) || !data.steps.length) throw new Error('Trace has no steps');
+  if (data.steps.some(step => !step || typeof step !== 'object' || Array.isArray(step))) {
+    throw new Error('Trace steps must be objects');
+  }
+  if (data.input !== undefined && data.input !== null && typeof data.input !== 'object') {
+    throw new Error('Trace input must be an object');
+  }
+
+  return {
+    format: data.format,
+    version: data.version,
+    algorithm: data.algorithm,
+    input: data.input || null,
+    metadata: data.metadata && typeof data.metadata === 'object' ? data.metadata : {},
+    steps: data.steps.map(decodeValue)
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * DSA Algorithm Visualizer - WebM Writer Module
+ * Minimal Matroska/WebM muxer for one video track of encoded frames
+ * (e.g. VP8/VP9 chunks from the WebCodecs VideoEncoder)
+ */
+
+// Element IDs used below (see the Matroska specification)
+const ID = {
+  EBML: 0x1a45dfa3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42f7, EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3, DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067, SeekHead: 0x114d9b74, Seek: 0x4dbb, SeekID: 0x53ab, SeekPosition: 0x53ac,
+  Info: 0x1549a966, TimecodeScale: 0x2ad7b1, Duration: 0x4489, MuxingApp: 0x4d80, WritingApp: 0x5741,
+  Tracks: 0x1654ae6b, TrackEntry: 0xae, TrackNumber: 0xd7, TrackUID: 0x73c5, FlagLacing: 0x9c,
+  CodecID: 0x86, TrackType: 0x83, Video: 0xe0, PixelWidth: 0xb0, PixelHeight: 0xba,
+  Cluster: 0x1f43b675, Timecode: 0xe7, SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b, CuePoint: 0xbb, CueTime: 0xb3, CueTrackPositions: 0xb7, CueTrack: 0xf7,
+  CueClusterPosition: 0xf1
+};
+
+// Block timecodes are 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_SPAN = 30000;
+
+/**
+ * WebM Writer Class
+ * Collects encoded frames (milliseconds timestamps) and lays out the file
+ * on finish(), with a cue per cluster so players can seek.
+ */
+export class WebMWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {string} options.codec - Matroska codec id ('V_VP8' or 'V_VP9')
+   */
+  constructor({ width, height, codec = 'V_VP8' }) {
+    this.width = width;
+    this.height = height;
+    this.codec = codec;
+    this.clusters = []; // { timecode, blocks: [Uint8Array] }
+  }
+
+  /**
+   * @param {Uint8Array} data - Encoded frame
+   * @param {number} timestamp - Presentation time in milliseconds
+   * @param {boolean} keyframe - Whether the frame decodes on its own
+   */
+  addFrame(data, timestamp, keyframe) {
+    const time = Math.round(timestamp);
+    let cluster = this.clusters[this.clusters.length - 1];
+    // Start clusters on keyframes so each cue is a valid seek point
+    if (!cluster || (keyframe && time > cluster.timecode) || time - cluster.timecode > MAX_CLUSTER_SPAN) {
+      cluster = { timecode: time, blocks: [] };
+      this.clusters.push(cluster);
+    }
+    const header = [0x81, ((time - cluster.timecode) >> 8) & 0xff, (time - cluster.timecode) & 0xff, keyframe ? 0x80 : 0x00];
+    const block = new Uint8Array(header.length + data.length);
+    block.set(header);
+    block.set(data, header.length);
+    cluster.blocks.push(block);
+  }
+
+  /**
+   * Lay out the file
+   * @param {number} duration - Total duration in milliseconds
+   * @returns {Blob} video/webm
+   */
+  finish(duration) {
+    const info = element(ID.Info, [
+      uintElement(ID.TimecodeScale, 1000000),
+      stringElement(ID.MuxingApp, 'DSA Viz'),
+      stringElement(ID.WritingApp, 'DSA Viz'),
+      floatElement(ID.Duration, duration)
+    ]);
+    const tracks = element(ID.Tracks, [
+      element(ID.TrackEntry, [
+        uintElement(ID.TrackNumber, 1),
+        uintElement(ID.TrackUID, 1),
+        uintElement(ID.FlagLacing, 0),
+        stringElement(ID.CodecID, this.codec),
+        uintElement(ID.TrackType, 1),
+        element(ID.Video, [uintElement(ID.PixelWidth, this.width), uintElement(ID.PixelHeight, this.height)])
+      ])
+    ]);
+    const clusters = this.clusters.map(c =>
+      element(ID.Cluster, [uintElement(ID.Timecode, c.timecode), ...c.blocks.map(b => element(ID.SimpleBlock, b))]));
+
+    // Positions are relative to the start of the Segment's data. The seek
+    // head uses fixed-width positions, so its size is known up front.
+    const seekHeadSize = seekHead(0, 0, 0).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.length;
+    let position = tracksPosition + tracks.length;
+    const cuePoints = clusters.map((cluster, i) => {
+      const cue = element(ID.CuePoint, [
+        uintElement(ID.CueTime, this.clusters[i].timecode),
+        element(ID.CueTrackPositions, [uintElement(ID.CueTrack, 1), uintElement(ID.CueClusterPosition, position)])
+      ]);
+      position += cluster.length;
+      return cue;
+    });
+    const cues = element(ID.Cues, cuePoints);
+    const segment = element(ID.Segment, [seekHead(infoPosition, tracksPosition, position), info, tracks, ...clusters, cues]);
+
+    const header = element(ID.EBML, [
+      uintElement(ID.EBMLVersion, 1),
+      uintElement(ID.EBMLReadVersion, 1),
+      uintElement(ID.EBMLMaxIDLength, 4),
+      uintElement(ID.EBMLMaxSizeLength, 8),
+      stringElement(ID.DocType, 'webm'),
+      uintElement(ID.DocTypeVersion, 2),
+      uintElement(ID.DocTypeReadVersion, 2)
+    ]);
+    return new Blob([header, segment], { type: 'video/webm' });
+  }
+}
+
+function seekHead(infoPosition, tracksPosition, cuesPosition) {
+  const seek = (id, position) => element(ID.Seek, [
+    element(ID.SeekID, idBytes(id)),
+    element(ID.SeekPosition, uintBytes(position, 8))
+  ]);
+  return element(ID.SeekHead, [seek(ID.Info, infoPosition), seek(ID.Tracks, tracksPosition), seek(ID.Cues, cuesPosition)]);
+}
+
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return new Uint8Array(bytes);
+}
+
+function uintBytes(value, width) {
+  const bytes = new Uint8Array(width);
+  for (let i = width - 1, v = value; i >= 0; i--, v = Math.floor(v / 256)) bytes[i] = v & 0xff;
+  return bytes;
+}
+
+// Element data size as an EBML variable-length integer
+function sizeBytes(size) {
+  let width = 1;
+  while (size >= 2 ** (7 * width) - 1) width++;
+  const bytes = uintBytes(size, width);
+  bytes[0] |= 0x80 >> (width - 1);
+  return bytes;
+}
+
+/**
+ * @param {number} id - Element ID
+ * @param {Uint8Array|Uint8Array[]} data - Payload, or child elements
+ * @returns {Uint8Array}
+ */
+function element(id, data) {
+  const body = Array.isArray(data) ? concat(data) : data;
+  return concat([idBytes(id), sizeBytes(body.length), body]);
+}
+
+function uintElement(id, value) {
+  let width = 1;
+  while (value >= 2 ** (8 * width)) width++;
+  return element(id, uintBytes(value, width));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+export default WebMWriter;
@@ -0,0 +1,187 @@
+/**
+ * DSA Algorithm Visualizer - Step Worker Module
+ * Page-side handle for generating a run in a Web Worker (see ../worker.js)
+ */
+import { StepStore, StepStream } from './store.js';
+
+// Steps a streamed run is kept ahead of the playhead
+const LOOKAHEAD = 500;
+
+/**
+ * Pick the steps a generating method produced: its return value when that
+ * is an iterator (streamed lazily), otherwise the instance's recorded
+ * `states`, falling back to a returned array (e.g. TowerOfHanoi).
+ * @param {Object} algorithm - Algorithm instance the method ran on
+ * @param {*} result - The method's return value
+ * @returns {Iterator|Array|StepStore}
+ */
+export function resolveSteps(algorithm, result) {
+  if (result && typeof result.next === 'function') return result;
+  if (algorithm.states?.length) return algorithm.states;
+  return Array.isArray(result) ? result : [];
+}
+
+/**
+ * Step Worker Class
+ * Runs one generating method in a module worker and hands its steps to
+ * the page as they arrive:
+ * - generator methods stream into a StepStream, with the worker kept
+ *   LOOKAHEAD steps ahead of playback
+ * - other methods run to completion in the worker, then stream into a
+ *   StepStore so the page gets the full run (and its total) at once
+ * If the worker can't be used (no Worker support, a file:// page, state
+ * that can't be cloned) the method runs on the main thread instead.
+ */
+export class StepWorker {
+  /**
+   * @param {Object} job
+   * @param {string} job.id - Registry id, used by the worker to find the class
+   * @param {Object} job.algorithm - Page-side instance holding the inputs;
+   *   its fields (except recorded states) are copied into the worker
+   * @param {string} job.method - Method that generates the run
+   * @param {Array} job.args - Method arguments
+   * @param {number} job.historySize - History kept by a streamed run
+   */
+  constructor({ id, algorithm, method, args = [], historySize = 2000 }) {
+    this.job = { id, algorithm, method, args, historySize };
+    this.worker = null;
+    this.steps = null; // StepStream or StepStore being filled
+    this.lazy = false;
+    this.received = 0;
+    this.total = null; // Known up front for runs computed in full
+    this.requested = LOOKAHEAD;
+    this.running = false;
+    this.ready = false;
+    this.onReady = null; // (steps) once there is something to show
+    this.onProgress = null; // ({ received, total, lazy })
+    this.onDone = null; // ({ cancelled, error })
+  }
+
+  start() {
+    this.running = true;
+    if (typeof Worker === 'undefined') {
+      this.runOnMainThread();
+      return;
+    }
+
+    const { id, algorithm, method, args } = this.job;
+    const { states, ...fields } = algorithm;
+    try {
+      this.worker = new Worker(new URL('../worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => this.handleMessage(data);
+      this.worker.onerror = (e) => {
+        e.preventDefault();
+        this.fail(new Error(e.message || 'Worker failed to start'));
+      };
+      this.worker.postMessage({ type: 'run', id, fields, method, args, lookahead: LOOKAHEAD });
+    } catch (error) {
+      this.terminate();
+      this.runOnMainThread();
+    }
+  }
+
+  handleMessage(data) {
+    if (!this.running) return;
+    switch (data.type) {
+      case 'start':
+        this.lazy = data.lazy;
+        this.total = data.total;
+        if (this.lazy) {
+          this.steps = new StepStream(null, { historySize: this.job.historySize });
+          this.steps.onDemand = (index) => this.request(index);
+        } else {
+          this.steps = new StepStore();
+        }
+        this.reportProgress();
+        break;
+      case 'steps':
+        this.received += data.steps.length;
+        if (this.lazy) {
+          this.steps.append(data.steps);
+          if (!this.ready) this.markReady();
+        } else {
+          data.steps.forEach(state => this.steps.push(state));
+        }
+        this.reportProgress();
+        break;
+      case 'done':
+        if (this.lazy) this.steps.finish();
+        if (!this.ready) this.markReady();
+        this.finish({});
+        break;
+      case 'error':
+        this.fail(new Error(data.message));
+        break;
+    }
+  }
+
+  /**
+   * Ask the worker to keep a streamed run ahead of the playhead
+   * @param {number} index - Step playback is at (or needs)
+   */
+  request(index) {
+    const upTo = index + LOOKAHEAD;
+    if (!this.running || upTo <= this.requested) return;
+    this.requested = upTo;
+    this.worker.postMessage({ type: 'request', upTo });
+  }
+
+  /**
+   * Stop generating. A streamed run keeps the steps it already has.
+   */
+  cancel() {
+    if (!this.running) return;
+    this.terminate();
+    if (this.lazy && this.ready) this.steps.finish();
+    this.finish({ cancelled: true });
+  }
+
+  runOnMainThread() {
+    const { algorithm, method, args } = this.job;
+    try {
+      const steps = resolveSteps(algorithm, algorithm[method](...args));
+      this.ready = true;
+      if (this.onReady) this.onReady(steps);
+      this.finish({});
+    } catch (error) {
+      this.finish({ error });
+    }
+  }
+
+  // Before any steps arrive, a failing worker is retried on the main thread
+  fail(error) {
+    this.terminate();
+    if (this.received === 0) {
+      this.runOnMainThread();
+    } else {
+      if (this.lazy) this.steps.finish();
+      this.finish({ error });
+    }
+  }
+
+  markReady() {
+    this.ready = true;
+    if (this.onReady) this.onReady(this.steps);
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress({ received: this.received, total: this.total, lazy: this.lazy });
+    }
+  }
+
+  finish(result) {
+    this.running = false;
+    this.terminate();
+    if (this.onDone) this.onDone(result);
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+export default StepWorker;
@@ -0,0 +1,77 @@
+/**
+ * Bellman-Ford Algorithm - Visualizer
+ */
+import { BellmanFord } from '../algorithms/bellmanFord.js';
+import { createGraphVisualizer } from '../utils/graph.js';
+
+const info = {
+  overview: `
+    <h3>What is the Bellman-Ford Algorithm?</h3>
+    <p>Bellman-Ford, published by Richard Bellman and Lester Ford in the 1950s, finds shortest paths from one node even when some edges have negative weights.</p>
+    <p>Instead of choosing nodes greedily like Dijkstra, it relaxes every edge over and over. A shortest path uses at most V - 1 edges, so after V - 1 passes every distance is correct, and a pass that changes nothing ends it early.</p>
+    <p>If a V-th pass can still shorten a distance, some cycle has a negative total: going around it again always makes the path cheaper, so no shortest path exists. The visualizer traces that cycle and shows it in red.</p>
+    <ul>
+      <li>Handles negative edge weights</li>
+      <li>Detects negative cycles</li>
+      <li>O(V × E) time, slower than Dijkstra</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Set distance to start node as 0, all others as infinity</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">For every edge u → v, if dist[u] + weight is smaller than dist[v], update dist[v]</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Repeat the pass V - 1 times, or until a pass changes nothing</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Run one more pass: any update means a negative cycle</li>
+    </ol>
+    <p style="margin-top:16px;">An undirected edge can be followed both ways, so a single negative undirected edge is already a negative cycle. Switch to directed edges to give negative weights a direction.</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Network Routing:</strong> Distance-vector protocols such as RIP</li>
+      <li><strong>Currency Arbitrage:</strong> A negative cycle in -log(exchange rate) is a profitable loop</li>
+      <li><strong>Constraint Solving:</strong> Systems of difference constraints x - y ≤ c</li>
+      <li><strong>Johnson's Algorithm:</strong> Reweights edges so Dijkstra can run on graphs with negative edges</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">bellmanFord</span>(graph, start):
+    dist[start] = <span class="number">0</span>
+    <span class="keyword">for</span> all other v: dist[v] = ∞
+
+    <span class="keyword">repeat</span> V - <span class="number">1</span> times:
+        <span class="keyword">for</span> each edge (u, v, w):
+            <span class="keyword">if</span> dist[u] + w < dist[v]:
+                dist[v] = dist[u] + w
+                prev[v] = u
+
+    <span class="keyword">for</span> each edge (u, v, w):
+        <span class="keyword">if</span> dist[u] + w < dist[v]:
+            <span class="keyword">return</span> <span class="string">"negative cycle"</span>
+    <span class="keyword">return</span> dist, prev
+    </div>
+  `
+};
+
+const shell = createGraphVisualizer({
+  Algorithm: BellmanFord,
+  info,
+  method: 'bellmanFord',
+  negative: true,
+  stepDuration: 400,
+  stats: [{ id: 'pass', label: 'Pass', value: state => state?.pass || 0 }],
+  breakpoints: [
+    { label: 'Pass started', when: { phase: 'visit' } },
+    { label: 'Distance updated', when: { phase: 'update' } },
+    { label: 'Negative cycle', when: { phase: 'invalid' } }
+  ]
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
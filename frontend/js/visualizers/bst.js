@@ -2,11 +2,12 @@
  * Binary Search Tree - Visualizer
  */
 import { BinarySearchTree } from '../algorithms/bst.js';
-import { AnimationController } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
+import { encodeList, decodeList } from '../utils/link.js';
+import { EventReplay, findSetup, integerArgs } from '../utils/events.js';
+import { Tween } from '../utils/animator.js';
 
 const info = {
-  title: 'Binary Search Tree',
-  description: 'Visualize insert, search, and traversal operations on a BST.',
   overview: `
     <h3>What is a Binary Search Tree?</h3>
     <p>A Binary Search Tree (BST) is a binary tree data structure where each node has at most two children, and for each node:</p>
@@ -15,16 +16,6 @@ const info = {
       <li>All values in the right subtree are larger</li>
     </ul>
     <p>This property enables efficient searching, insertion, and deletion operations.</p>
-    <div class="complexity-grid" style="margin-top:24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time (Average)</div>
-        <div class="complexity-value">O(log n)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space</div>
-        <div class="complexity-value">O(n)</div>
-      </div>
-    </div>
   `,
   steps: `
     <h3>BST Operations</h3>
@@ -63,8 +54,8 @@ const info = {
   `
 };
 
-let algorithm, animator, canvas, ctx;
-let states = [], currentState = null;
+let algorithm;
+let lastOperation = null; // { type, value, tree } behind the loaded run; tree = preorder values before it
 
 const colors = {
   bg: '#0f172a',
@@ -76,178 +67,76 @@ const colors = {
   text: '#f1f5f9'
 };
 
-export function init() {
-  setupDOM();
-  setupControls();
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
-
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  resize();
-  window.addEventListener('resize', resize);
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 600,
+  tween: true,
+  inputs: [
+    { id: 'value', type: 'number', section: 'Operations', label: 'Value', min: 1, max: 99, value: 50 }
+  ],
+  actions: [
+    [
+      { id: 'insert', label: 'Insert', primary: true, onClick: insertValue },
+      { id: 'search', label: 'Search', onClick: searchValue }
+    ],
+    { id: 'traverse', label: 'Inorder Traversal', onClick: traverse },
+    { id: 'random', label: 'Random Tree', onClick: randomTree }
+  ],
+  stats: [{ id: 'nodes', label: 'Nodes', value: () => algorithm.getNodes().length }],
+  breakpoints: [
+    { label: 'Value found', when: /^Found/ }
+  ],
+  phase: state => /^Visiting/.test(state.description) ? 'visit'
+    : state.current !== undefined ? 'compare'
+    : state.highlight?.length ? 'place' : null,
+  setup,
+  reset,
+  problem: { kind: 'tree', keys: ['tree'] },
+  serialize,
+  restore,
+  replayEvents,
+  draw
+});
 
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play">
-            <svg class="icon-play" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 3 19 12 5 21"/>
-            </svg>
-            <svg class="icon-pause hidden" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor:pointer">
-            <div class="progress-bar-fill" id="progress-fill"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Operations</h4>
-        <div class="input-group">
-          <label class="input-label">Value</label>
-          <input type="number" class="input-field" id="input-value" min="1" max="99" value="50">
-        </div>
-        <div style="display:flex;gap:8px;margin-top:8px;">
-          <button class="btn btn-primary" id="btn-insert" style="flex:1;">Insert</button>
-          <button class="btn btn-secondary" id="btn-search" style="flex:1;">Search</button>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-secondary" id="btn-traverse" style="width:100%;margin-bottom:8px;">Inorder Traversal</button>
-        <button class="btn btn-secondary" id="btn-random" style="width:100%;">Random Tree</button>
-      </div>
-    </div>
-  `;
-  
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', () => animator.stepForward());
-  document.getElementById('btn-step-back').addEventListener('click', () => animator.stepBackward());
-  document.getElementById('btn-insert').addEventListener('click', insertValue);
-  document.getElementById('btn-search').addEventListener('click', searchValue);
-  document.getElementById('btn-traverse').addEventListener('click', traverse);
-  document.getElementById('btn-random').addEventListener('click', randomTree);
-  
-  document.getElementById('speed-slider').addEventListener('input', e => {
-    animator.setSpeed(parseFloat(e.target.value));
-    document.getElementById('speed-label').textContent = e.target.value + 'x';
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', e => {
-    const rect = e.target.getBoundingClientRect();
-    const step = Math.floor((e.clientX - rect.left) / rect.width * (states.length - 1));
-    animator.goToStep(Math.max(0, step));
-  });
+export function init(entry) {
+  shell.init(entry);
 }
 
-function setupAlgorithm() {
+function setup() {
   algorithm = new BinarySearchTree();
-  animator = new AnimationController();
-  animator.stepDuration = 600;
-  
-  animator.onStepChange = (state) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
   randomTree();
 }
 
 function insertValue() {
-  const value = parseInt(document.getElementById('input-value').value);
+  const value = parseInt(shell.getValue('value'));
   if (isNaN(value) || value < 1 || value > 99) return;
   
-  algorithm.insert(value);
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  runOperation('insert', value);
 }
 
 function searchValue() {
-  const value = parseInt(document.getElementById('input-value').value);
+  const value = parseInt(shell.getValue('value'));
   if (isNaN(value)) return;
   
-  algorithm.search(value);
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  runOperation('search', value);
 }
 
 function traverse() {
-  algorithm.inorder();
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  runOperation('inorder');
+}
+
+function runOperation(type, value) {
+  const tree = treeValues();
+  if (type === 'insert') algorithm.insert(value);
+  else if (type === 'search') algorithm.search(value);
+  else algorithm.inorder();
+  shell.setSteps(algorithm.states);
+  lastOperation = { type, value, tree };
+}
+
+// Preorder values, which rebuild the same tree when inserted in order
+function treeValues() {
+  return algorithm.getNodes().map(node => node.value);
 }
 
 function randomTree() {
@@ -256,44 +145,144 @@ function randomTree() {
 }
 
 function reset() {
+  lastOperation = null;
   algorithm.calculatePositions(algorithm.root, 300, 40, 120);
-  states = [{
+  shell.setSteps([{
     tree: algorithm.cloneTree(algorithm.root),
     description: 'Binary Search Tree ready'
-  }];
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  }]);
+}
+
+// Links hold the tree as it was before the loaded run, plus the operation
+function serialize() {
+  if (!lastOperation) return { tree: encodeList(treeValues()) };
+  const { type, value, tree } = lastOperation;
+  return { tree: encodeList(tree), op: value === undefined ? type : `${type}.${value}` };
 }
 
-function togglePlay() {
-  animator.toggle();
+function restore(params) {
+  const values = decodeList(params.get('tree'));
+  if (values && values.every(v => v >= 1 && v <= 99)) {
+    algorithm.buildFromArray(values);
+  }
+  reset();
+
+  const [type, arg] = (params.get('op') || '').split('.');
+  const value = parseInt(arg);
+  if (type === 'insert' && value >= 1 && value <= 99) runOperation('insert', value);
+  else if (type === 'search' && !isNaN(value)) runOperation('search', value);
+  else if (type === 'inorder') runOperation('inorder');
 }
 
-function updatePlayButton(isPlaying) {
-  document.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
-  document.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
-  document.getElementById('btn-play').classList.toggle('active', isPlaying);
+// Event logs may start with `tree v1 v2 ...` (insertion order); then
+// `insert v`, `search v` or `inorder` each followed by the `visit v`
+// events of the student's code, which must follow the reference path
+function replayEvents({ entries }) {
+  const setup = findSetup(entries, 'tree');
+  if (setup) {
+    const values = integerArgs(setup);
+    if (!values) throw new Error(`Line ${setup.line}: "tree" needs whole numbers`);
+    algorithm.buildFromArray(values);
+  }
+  lastOperation = null;
+
+  const replay = new EventReplay();
+  const snapshot = (fields) => ({ tree: algorithm.cloneTree(algorithm.root), highlight: [], ...fields });
+  const events = entries.filter(entry => entry.op !== 'tree');
+  replay.push(snapshot({ description: `Replaying ${events.length} events` }));
+
+  let operation = null; // { type, value, expected: [values], visited: [] }
+  const finish = () => {
+    if (!operation) return;
+    const { type, value, expected, visited } = operation;
+    const missed = visited.length < expected.length
+      ? `stopped after ${visited.length} of the ${expected.length} nodes the reference visits` : null;
+    if (type === 'insert') {
+      const node = algorithm.createNode(value);
+      if (algorithm.root) algorithm.insertNode(algorithm.root, node);
+      else algorithm.root = node;
+      algorithm.calculatePositions(algorithm.root, 300, 40, 120);
+      replay.push(snapshot({ highlight: [value], description: `Inserted ${value}` }), operation.entry, missed);
+    } else if (type === 'search') {
+      const found = expected[expected.length - 1] === value;
+      replay.push(snapshot({ highlight: found ? [value] : [], description: found ? `Found ${value}!` : `${value} not found` }), operation.entry, missed);
+    } else {
+      replay.push(snapshot({ visited, description: 'Inorder traversal done' }), operation.entry, missed);
+    }
+    operation = null;
+  };
+
+  events.forEach(entry => {
+    if (['insert', 'search', 'inorder'].includes(entry.op)) {
+      finish();
+      const args = integerArgs(entry, entry.op === 'inorder' ? 0 : 1);
+      if (!args) {
+        replay.reject(entry, `expected "${entry.op}${entry.op === 'inorder' ? '' : ' value'}"`);
+        return;
+      }
+      const [value] = args;
+      operation = { type: entry.op, value, entry, visited: [], expected: referenceVisits(entry.op, value) };
+      const description = entry.op === 'inorder' ? 'Inorder traversal' : `${entry.op === 'insert' ? 'Inserting' : 'Searching for'} ${value}`;
+      replay.push(snapshot({ description }), entry);
+    } else if (entry.op === 'visit') {
+      const args = integerArgs(entry, 1);
+      if (!args) {
+        replay.reject(entry, 'expected "visit value"');
+        return;
+      }
+      if (!operation) {
+        replay.reject(entry, 'visit before any insert, search or inorder');
+        return;
+      }
+      const [value] = args;
+      const { expected, visited } = operation;
+      const wanted = expected[visited.length];
+      const issue = !algorithm.getNodes().some(node => node.value === value) ? `there is no node ${value}`
+        : wanted === undefined ? 'the reference has already finished'
+        : wanted !== value ? `the reference visits ${wanted} here` : null;
+      visited.push(value);
+      replay.push(operation.type === 'inorder'
+        ? snapshot({ current: value, visited: [...visited], description: `Visiting ${value}` })
+        : snapshot({ current: value, description: `Comparing ${operation.value} with ${value}` }), entry, issue);
+    } else {
+      replay.reject(entry, `unknown event "${entry.op}" (expected insert, search, inorder or visit)`);
+    }
+  });
+  finish();
+  return replay.result();
 }
 
-function updateStats() {
-  const nodes = algorithm.getNodes().length;
-  document.getElementById('stat-moves').textContent = nodes;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-  document.querySelector('.vis-stat:first-child span:first-child').textContent = 'Nodes:';
+// Nodes the reference implementation visits for an operation, in order
+function referenceVisits(type, value) {
+  if (type === 'inorder') {
+    const values = [];
+    const walk = (node) => {
+      if (!node) return;
+      walk(node.left);
+      values.push(node.value);
+      walk(node.right);
+    };
+    walk(algorithm.root);
+    return values;
+  }
+  const path = [];
+  let node = algorithm.root;
+  while (node) {
+    path.push(node.value);
+    if (type === 'search' && value === node.value) break;
+    node = value < node.value ? node.left : node.right;
+  }
+  return path;
 }
 
-function draw() {
-  if (!ctx) return;
-  
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
-  
+function draw(ctx, state, { width, height, next, progress }) {
   ctx.fillStyle = colors.bg;
   ctx.fillRect(0, 0, width, height);
   
-  const tree = currentState?.tree || algorithm.cloneTree(algorithm.root);
+  // While tweening, draw the upcoming tree with nodes gliding in from
+  // where they were (new nodes grow out of their parent)
+  const moving = next?.tree && state?.tree;
+  const tree = moving ? next.tree : (state?.tree || algorithm.cloneTree(algorithm.root));
   if (!tree) {
     ctx.fillStyle = '#94a3b8';
     ctx.font = '16px Inter';
@@ -307,25 +296,50 @@ function draw() {
   const offsetX = (width - 600 * scale) / 2;
   const offsetY = 40;
   
-  const getPos = (node) => ({
-    x: offsetX + node.x * scale,
-    y: offsetY + node.y * scale
-  });
+  const previous = new Map();
+  if (moving) {
+    collectPositions(state.tree, previous);
+    startNewNodesAtParent(tree, null, previous);
+  }
+  const t = moving ? Tween.easeInOutQuad(0, 1, progress) : 1;
+  
+  const getPos = (node) => {
+    const from = previous.get(node.value) || node;
+    return {
+      x: offsetX + Tween.linear(from.x, node.x, t) * scale,
+      y: offsetY + Tween.linear(from.y, node.y, t) * scale
+    };
+  };
   
   // Draw edges first
-  drawEdges(tree, getPos);
+  drawEdges(ctx, tree, getPos);
   
   // Draw nodes
-  drawNodes(tree, getPos);
+  drawNodes(ctx, state, tree, getPos);
   
   // Description
   ctx.fillStyle = '#94a3b8';
   ctx.font = '14px Inter';
   ctx.textAlign = 'center';
-  ctx.fillText(currentState?.description || '', width / 2, 25);
+  ctx.fillText(state?.description || '', width / 2, 25);
+}
+
+function collectPositions(node, positions) {
+  if (!node) return;
+  positions.set(node.value, { x: node.x, y: node.y });
+  collectPositions(node.left, positions);
+  collectPositions(node.right, positions);
+}
+
+function startNewNodesAtParent(node, parentPos, positions) {
+  if (!node) return;
+  if (!positions.has(node.value) && parentPos) positions.set(node.value, parentPos);
+  const pos = positions.get(node.value) || { x: node.x, y: node.y };
+  startNewNodesAtParent(node.left, pos, positions);
+  startNewNodesAtParent(node.right, pos, positions);
 }
 
-function drawEdges(node, getPos) {
+function drawEdges(ctx, node, getPos) {
   if (!node) return;
   
   const pos = getPos(node);
@@ -338,7 +352,7 @@ function drawEdges(node, getPos) {
     ctx.moveTo(pos.x, pos.y + 20);
     ctx.lineTo(leftPos.x, leftPos.y - 20);
     ctx.stroke();
-    drawEdges(node.left, getPos);
+    drawEdges(ctx, node.left, getPos);
   }
   
   if (node.right) {
@@ -349,11 +363,11 @@ function drawEdges(node, getPos) {
     ctx.moveTo(pos.x, pos.y + 20);
     ctx.lineTo(rightPos.x, rightPos.y - 20);
     ctx.stroke();
-    drawEdges(node.right, getPos);
+    drawEdges(ctx, node.right, getPos);
   }
 }
 
-function drawNodes(node, getPos) {
+function drawNodes(ctx, state, node, getPos) {
   if (!node) return;
   
   const pos = getPos(node);
@@ -361,9 +375,9 @@ function drawNodes(node, getPos) {
   
   // Determine color
   let color = colors.node;
-  if (currentState?.highlight?.includes(node.value)) color = colors.nodeHighlight;
-  else if (currentState?.current === node.value) color = colors.nodeCurrent;
-  else if (currentState?.visited?.includes(node.value)) color = colors.nodeVisited;
+  if (state?.highlight?.includes(node.value)) color = colors.nodeHighlight;
+  else if (state?.current === node.value) color = colors.nodeCurrent;
+  else if (state?.visited?.includes(node.value)) color = colors.nodeVisited;
   
   // Glow
   ctx.shadowColor = color;
@@ -384,8 +398,8 @@ function drawNodes(node, getPos) {
   ctx.fillText(node.value.toString(), pos.x, pos.y);
   
   // Recurse
-  drawNodes(node.left, getPos);
-  drawNodes(node.right, getPos);
+  drawNodes(ctx, state, node.left, getPos);
+  drawNodes(ctx, state, node.right, getPos);
 }
 
 export default { init };
@@ -0,0 +1,70 @@
+/**
+ * Bubble Sort - Visualizer
+ */
+import { BubbleSort } from '../algorithms/bubbleSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Bubble Sort?</h3>
+    <p>Bubble Sort repeatedly walks through the array, comparing neighbours and swapping them when they are out of order. After each pass the largest remaining element has "bubbled up" to its final position.</p>
+    <p>It is rarely used in practice, but it is the simplest sorting algorithm to reason about.</p>
+    <ul>
+      <li>In-place sorting (O(1) extra memory)</li>
+      <li>Stable sort (equal elements keep their order)</li>
+      <li>Stops early when a pass makes no swaps, so sorted input takes O(n)</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Compare each pair of neighbours from left to right</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Swap them if the left one is larger</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">The largest unsorted element ends the pass in its final place</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Repeat on the unsorted part until a pass makes no swaps</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#f59e0b">Orange</strong> = comparing, <strong style="color:#ef4444">Red</strong> = swapping, <strong style="color:#10b981">Green</strong> = sorted</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Teaching:</strong> The usual first example of sorting and of O(n²) behaviour</li>
+      <li><strong>Nearly Sorted Data:</strong> One cheap pass confirms the order or fixes a stray swap</li>
+      <li><strong>Graphics:</strong> Keeping depth-sorted polygons in order between similar frames</li>
+      <li><strong>Tiny Arrays:</strong> Where code size matters more than speed</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">bubbleSort</span>(arr):
+    n = length(arr)
+    <span class="keyword">for</span> pass = <span class="number">0</span> to n - <span class="number">2</span>:
+        swapped = <span class="keyword">false</span>
+        <span class="keyword">for</span> j = <span class="number">0</span> to n - pass - <span class="number">2</span>:
+            <span class="keyword">if</span> arr[j] > arr[j + <span class="number">1</span>]:
+                <span class="function">swap</span>(arr[j], arr[j + <span class="number">1</span>])
+                swapped = <span class="keyword">true</span>
+        <span class="keyword">if not</span> swapped:
+            <span class="keyword">break</span>
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: BubbleSort,
+  info,
+  stepDuration: 100,
+  stats: [{ id: 'swaps', label: 'Swaps', value: state => state?.swaps || 0 }],
+  breakpoints: [
+    { label: 'Swap', when: /^Swapped/ },
+    { label: 'Pass done', when: /bubbled up|No swaps/ }
+  ],
+  phase: state => state.swapping ? 'swap' : state.comparing?.length ? 'compare' : /bubbled up/.test(state.description) ? 'place' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
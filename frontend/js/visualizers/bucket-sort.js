@@ -0,0 +1,81 @@
+/**
+ * Bucket Sort - Visualizer
+ */
+import { BucketSort } from '../algorithms/bucketSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Bucket Sort?</h3>
+    <p>Bucket Sort splits the range of values into equal-width buckets, scatters the elements into them, sorts each small bucket on its own and then gathers the buckets back in order.</p>
+    <p>When values are spread evenly, each bucket holds only a few elements and the whole sort runs in about linear time. When they cluster, one bucket gets most of them and the inner sort dominates.</p>
+    <ul>
+      <li>Average O(n + k) for evenly spread input</li>
+      <li>Worst case O(n²) when everything lands in one bucket</li>
+      <li>Stable if the inner sort is stable (insertion sort here)</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Split the value range into k equal buckets (about √n by default)</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Drop each element into the bucket for its range</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Insertion sort every bucket</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Write the buckets back from lowest to highest</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#f59e0b">Orange</strong> = bucket or chips in use, <strong style="color:#ef4444">Red</strong> = just written, <strong style="color:#10b981">Green</strong> = in place</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Uniform Data:</strong> Sorting floating-point values spread evenly over a range</li>
+      <li><strong>External Sorting:</strong> Partitioning huge files into ranges that fit in memory</li>
+      <li><strong>Parallel Sorting:</strong> Each bucket can be sorted by a different worker</li>
+      <li><strong>Histograms:</strong> Grouping measurements into ranges before analysis</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">bucketSort</span>(arr, k):
+    lo, span = <span class="function">min</span>(arr), <span class="function">max</span>(arr) - <span class="function">min</span>(arr) + <span class="number">1</span>
+    buckets = k empty lists
+    <span class="keyword">for</span> value <span class="keyword">in</span> arr:
+        buckets[(value - lo) * k / span].append(value)
+    <span class="keyword">for</span> bucket <span class="keyword">in</span> buckets:
+        <span class="function">insertionSort</span>(bucket)
+    arr = concatenation of buckets
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: BucketSort,
+  info,
+  stepDuration: 150,
+  inputs: [
+    {
+      id: 'buckets', type: 'select', section: 'Buckets', value: 'auto',
+      options: [
+        { value: 'auto', label: 'About √n' },
+        { value: '3', label: '3' },
+        { value: '5', label: '5' },
+        { value: '10', label: '10' }
+      ]
+    }
+  ],
+  breakpoints: [
+    { label: 'Bucket sorted', when: /^Sorting bucket/ },
+    { label: 'Gather', when: /^Wrote/ }
+  ],
+  phase: state => /^Wrote/.test(state.description) ? 'place'
+    : /^Swapped/.test(state.description) ? 'swap'
+    : /^Comparing/.test(state.description) ? 'compare'
+    : state.comparing?.length ? 'count' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
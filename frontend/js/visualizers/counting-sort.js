@@ -0,0 +1,75 @@
+/**
+ * Counting Sort - Visualizer
+ */
+import { CountingSort } from '../algorithms/countingSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Counting Sort?</h3>
+    <p>Counting Sort never compares two elements. It counts how often each value occurs, turns the counts into running totals that say where each value's block ends, and then places every element straight into its slot in an output array.</p>
+    <p>It runs in O(n + k) time, where k is the range of values, so it beats every comparison sort when the range is small.</p>
+    <ul>
+      <li>No comparisons at all</li>
+      <li>Stable when the output is filled from right to left</li>
+      <li>Needs O(n + k) extra memory for the counts and the output</li>
+      <li>Only works on keys that map to small integers</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Count each value's occurrences in the <em>count</em> lane, indexed by value</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Add each count to the one before it, so count[v] is where v's block ends</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">From right to left, place each element at <em>output</em>[--count[v]]</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Copy the output back into the array</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#f59e0b">Orange</strong> = element or cell in use, <strong style="color:#ef4444">Red</strong> = just written, <strong style="color:#10b981">Green</strong> = in place</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Radix Sort:</strong> The stable per-digit pass inside radix sort</li>
+      <li><strong>Histograms:</strong> Image processing and grading curves over small ranges</li>
+      <li><strong>Small Keys:</strong> Ages, exam scores, ASCII characters</li>
+      <li><strong>Suffix Arrays:</strong> Bucketing characters in string algorithms</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">countingSort</span>(arr):
+    lo, hi = <span class="function">min</span>(arr), <span class="function">max</span>(arr)
+    count = array of hi - lo + <span class="number">1</span> zeros
+    <span class="keyword">for</span> value <span class="keyword">in</span> arr:
+        count[value - lo]++
+    <span class="keyword">for</span> v = <span class="number">1</span> to hi - lo:
+        count[v] += count[v - <span class="number">1</span>]
+    <span class="keyword">for</span> i = length(arr) - <span class="number">1</span> down to <span class="number">0</span>:
+        count[arr[i] - lo]--
+        output[count[arr[i] - lo]] = arr[i]
+    arr = output
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: CountingSort,
+  info,
+  stepDuration: 120,
+  stats: [{ id: 'writes', label: 'Writes', value: state => state?.writes || 0 }],
+  breakpoints: [
+    { label: 'Running totals', when: /^count\[.*\+=/ },
+    { label: 'Into output', when: /^Placed/ },
+    { label: 'Copy back', when: /^Copied/ }
+  ],
+  phase: state => /^Copied/.test(state.description) ? 'place'
+    : /^Placed/.test(state.description) ? 'update'
+    : state.comparing?.length ? 'count' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
@@ -0,0 +1,173 @@
+/**
+ * Floyd-Warshall Algorithm - Visualizer
+ */
+import { FloydWarshall } from '../algorithms/floydWarshall.js';
+import { createGraphVisualizer } from '../utils/graph.js';
+
+const info = {
+  overview: `
+    <h3>What is the Floyd-Warshall Algorithm?</h3>
+    <p>Floyd-Warshall finds the shortest distance between every pair of nodes at once, where Dijkstra and Bellman-Ford work from a single start node.</p>
+    <p>It fills a V × V distance matrix by dynamic programming. Round k allows one more node, k, as a stop in the middle: for every pair (i, j) the best route either avoids k or goes i → k → j, combining two distances the matrix already holds.</p>
+    <p>A second matrix keeps the next hop on each shortest path, so any route can be read back afterwards one hop at a time.</p>
+    <ul>
+      <li>O(V³) time, O(V²) memory</li>
+      <li>Handles negative edges</li>
+      <li>A negative value on the diagonal means a negative cycle</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Set dist[i][j] to the edge weight (0 on the diagonal, ∞ without an edge) and next[i][j] to j</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">For each intermediate node k in turn</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">For every pair (i, j): if dist[i][k] + dist[k][j] < dist[i][j], take the route through k</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">When taking it, set next[i][j] to next[i][k], the first hop towards k</li>
+    </ol>
+    <p style="margin-top:16px;">In the matrices, row and column k are tinted <strong style="color:#f59e0b">orange</strong>; the two cells being added are outlined in orange and the cell they are compared with in white, turning <strong style="color:#10b981">green</strong> when it improves. On the graph, k is orange and the pair (i, j) is ringed. The numbers under the nodes are the start node's row.</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Routing Tables:</strong> Precomputing the best next hop between every pair of routers</li>
+      <li><strong>Transitive Closure:</strong> Which nodes can reach which (Warshall's original form)</li>
+      <li><strong>Graph Metrics:</strong> Diameter, eccentricity and closeness centrality</li>
+      <li><strong>Game Maps:</strong> Lookup tables of distances between waypoints</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">floydWarshall</span>(graph):
+    dist[i][j] = weight(i, j), <span class="number">0</span> <span class="keyword">if</span> i == j, ∞ <span class="keyword">if</span> no edge
+    next[i][j] = j <span class="keyword">if</span> there is an edge
+
+    <span class="keyword">for</span> k <span class="keyword">in</span> nodes:
+        <span class="keyword">for</span> i <span class="keyword">in</span> nodes:
+            <span class="keyword">for</span> j <span class="keyword">in</span> nodes:
+                <span class="keyword">if</span> dist[i][k] + dist[k][j] < dist[i][j]:
+                    dist[i][j] = dist[i][k] + dist[k][j]
+                    next[i][j] = next[i][k]
+
+<span class="keyword">function</span> <span class="function">path</span>(i, j):
+    route = [i]
+    <span class="keyword">while</span> i != j: i = next[i][j]; route.append(i)
+    </div>
+  `
+};
+
+const matrixColors = {
+  header: '#64748b',
+  cell: '#0f172a',
+  tint: 'rgba(245, 158, 11, 0.14)',
+  operand: '#f59e0b',
+  target: '#f1f5f9',
+  improved: '#10b981',
+  text: '#cbd5e1',
+  infinity: '#475569'
+};
+
+// Distance and next-hop matrices, one above the other
+const matrixPanel = {
+  share: 0.48,
+  max: 460,
+  draw(ctx, state, { x, y, width, height }, { label }) {
+    if (!state.dist) return;
+    const gap = 14;
+    const half = (height - gap) / 2;
+    drawMatrix(ctx, state, 'dist', { x, y, width, height: half }, label);
+    drawMatrix(ctx, state, 'next', { x, y: y + half + gap, width, height: half }, label);
+  }
+};
+
+const shell = createGraphVisualizer({
+  Algorithm: FloydWarshall,
+  info,
+  method: 'floydWarshall',
+  runLabel: 'Find All Shortest Paths',
+  negative: true,
+  panel: matrixPanel,
+  stepDuration: 250,
+  stats: [{
+    id: 'round', label: 'Via', value: state => Number.isInteger(state?.cell?.k) ? String.fromCharCode(65 + state.cell.k) : '-'
+  }],
+  breakpoints: [
+    { label: 'Round started', when: { phase: 'visit' } },
+    { label: 'Distance improved', when: { phase: 'update' } },
+    { label: 'Negative cycle', when: { phase: 'invalid' } }
+  ]
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+/**
+ * Draw dist or next as a labelled grid, marking round k and the cells the
+ * current (k, i, j) step compares
+ */
+function drawMatrix(ctx, state, field, { x, y, width, height }, label) {
+  const matrix = state[field];
+  const n = matrix.length;
+  const { k, i, j } = state.cell || {};
+  const size = Math.min(34, (width - 8) / (n + 1), (height - 22) / (n + 1));
+  const left = x + (width - size * (n + 1)) / 2;
+  const top = y + 20;
+
+  ctx.fillStyle = '#1e293b';
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, 10);
+  ctx.fill();
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = 'bold 12px Inter';
+  ctx.fillText(field === 'dist' ? 'Distance dist[i][j]' : 'Next hop next[i][j]', x + width / 2, y + 11);
+
+  const font = Math.max(7, Math.min(12, Math.round(size * 0.4)));
+  for (let v = 0; v < n; v++) {
+    ctx.fillStyle = v === k ? matrixColors.operand : matrixColors.header;
+    ctx.font = `bold ${font}px Inter`;
+    ctx.fillText(label(v), left + (v + 1.5) * size, top + size / 2);
+    ctx.fillText(label(v), left + size / 2, top + (v + 1.5) * size);
+  }
+
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      const cx = left + (c + 1) * size;
+      const cy = top + (r + 1) * size;
+      ctx.fillStyle = matrixColors.cell;
+      ctx.fillRect(cx + 1, cy + 1, size - 2, size - 2);
+      if (r === k || c === k) {
+        ctx.fillStyle = matrixColors.tint;
+        ctx.fillRect(cx + 1, cy + 1, size - 2, size - 2);
+      }
+
+      // dist[i][k] + dist[k][j] against dist[i][j]
+      let outline = null;
+      if (r === i && c === j) outline = state.improved ? matrixColors.improved : matrixColors.target;
+      else if (Number.isInteger(i) && Number.isInteger(k) && ((r === i && c === k) || (r === k && c === j))) outline = matrixColors.operand;
+      if (outline) {
+        if (state.improved && outline === matrixColors.improved) {
+          ctx.fillStyle = 'rgba(16, 185, 129, 0.3)';
+          ctx.fillRect(cx + 1, cy + 1, size - 2, size - 2);
+        }
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(cx + 2, cy + 2, size - 4, size - 4);
+      }
+
+      const value = matrix[r][c];
+      const negativeLoop = field === 'dist' && r === c && value < 0;
+      ctx.fillStyle = value === Infinity || value === null ? matrixColors.infinity : negativeLoop ? '#f87171' : matrixColors.text;
+      ctx.font = `${font}px Inter`;
+      const text = field === 'dist'
+        ? (value === Infinity ? '∞' : String(value))
+        : (value === null ? '–' : label(value));
+      ctx.fillText(text, cx + size / 2, cy + size / 2);
+    }
+  }
+}
+
+export default { init };
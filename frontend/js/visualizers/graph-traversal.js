@@ -2,11 +2,12 @@
  * Graph Traversal (BFS/DFS) - Visualizer
  */
 import { GraphTraversal } from '../algorithms/graphTraversal.js';
-import { AnimationController } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
+import { encodeGraph, decodeGraph } from '../utils/link.js';
+import { EventReplay, findSetup } from '../utils/events.js';
+import { GraphEditor } from '../utils/editor.js';
 
 const info = {
-  title: 'Graph Traversal (BFS/DFS)',
-  description: 'Explore graphs using Breadth-First Search and Depth-First Search.',
   overview: `
     <h3>Graph Traversal</h3>
     <p>Graph traversal algorithms visit all nodes in a graph systematically. The two fundamental approaches are:</p>
@@ -14,16 +15,6 @@ const info = {
       <li><strong>BFS:</strong> Explores all neighbors at current depth before moving deeper (uses a queue)</li>
       <li><strong>DFS:</strong> Explores as far as possible along each branch before backtracking (uses a stack)</li>
     </ul>
-    <div class="complexity-grid" style="margin-top:24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time Complexity</div>
-        <div class="complexity-value">O(V + E)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space Complexity</div>
-        <div class="complexity-value">O(V)</div>
-      </div>
-    </div>
   `,
   steps: `
     <h3>BFS vs DFS</h3>
@@ -71,10 +62,22 @@ stack.push(start)
   `
 };
 
-let algorithm, animator, canvas, ctx;
-let states = [], currentState = null;
+let algorithm;
 let currentAlgorithm = 'bfs';
 
+// Graph coordinates span this box; draw() scales it to the canvas
+const GRAPH_WIDTH = 600, GRAPH_HEIGHT = 350;
+const NODE_RADIUS = 26;
+
+const editor = new GraphEditor({
+  graph: () => algorithm,
+  layout,
+  bounds: { width: GRAPH_WIDTH, height: GRAPH_HEIGHT },
+  nodeRadius: NODE_RADIUS,
+  onChange: onGraphEdit,
+  onRender: () => shell.render()
+});
+
 const colors = {
   bg: '#0f172a',
   node: '#475569',
@@ -87,247 +90,222 @@ const colors = {
   text: '#f1f5f9'
 };
 
-export function init() {
-  setupDOM();
-  setupControls();
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 500,
+  inputs: [
+    {
+      id: 'algorithm', type: 'toggle', section: 'Algorithm', value: 'bfs',
+      options: [{ value: 'bfs', label: 'BFS' }, { value: 'dfs', label: 'DFS' }],
+      onChange: v => { currentAlgorithm = v; reset(); }
+    },
+    { id: 'start', type: 'select', section: 'Start Node', options: [] },
+    {
+      id: 'tool', type: 'toggle', section: 'Edit Graph', label: 'Dragging a node', value: 'move',
+      options: [{ value: 'move', label: 'Moves It' }, { value: 'connect', label: 'Adds Edge' }],
+      onChange: v => { editor.tool = v; }
+    },
+    { id: 'edit-help', type: 'note', section: 'Edit Graph', html: 'Click empty space to add a node and Shift-drag from node to node to connect them. Select a node or edge and press Delete to remove it; Ctrl+Z / Ctrl+Y undo and redo.' }
+  ],
+  actions: [
+    { id: 'traverse', label: 'Start Traversal', primary: true, onClick: traverse },
+    { id: 'new', label: 'New Graph', onClick: newGraph },
+    [
+      { id: 'undo', label: 'Undo', onClick: () => editor.undo() },
+      { id: 'redo', label: 'Redo', onClick: () => editor.redo() }
+    ]
+  ],
+  stats: [{ id: 'visited', label: 'Visited', value: state => state?.order?.length || 0 }],
+  breakpoints: [
+    { label: 'Node visited', when: /^Visiting/ }
+  ],
+  phase: state => /^Visiting/.test(state.description) ? 'visit' : /^Adding/.test(state.description) ? 'explore' : null,
+  setup,
+  run: traverse,
+  reset,
+  problem: { kind: 'graph', keys: ['nodes', 'edges', 'start'] },
+  serialize,
+  restore,
+  replayEvents,
+  draw,
+  bindCanvas: canvas => editor.attach(canvas)
+});
 
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  resize();
-  window.addEventListener('resize', resize);
-}
-
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play">
-            <svg class="icon-play" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 3 19 12 5 21"/>
-            </svg>
-            <svg class="icon-pause hidden" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor:pointer">
-            <div class="progress-bar-fill" id="progress-fill"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Algorithm</h4>
-        <div style="display:flex;gap:8px;">
-          <button class="btn btn-primary active" id="btn-bfs" style="flex:1;">BFS</button>
-          <button class="btn btn-secondary" id="btn-dfs" style="flex:1;">DFS</button>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Start Node</h4>
-        <select class="input-field" id="start-select"></select>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-primary" id="btn-traverse" style="width:100%;margin-bottom:8px;">Start Traversal</button>
-        <button class="btn btn-secondary" id="btn-new" style="width:100%;">New Graph</button>
-      </div>
-    </div>
-  `;
-  
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', () => animator.stepForward());
-  document.getElementById('btn-step-back').addEventListener('click', () => animator.stepBackward());
-  document.getElementById('btn-traverse').addEventListener('click', traverse);
-  document.getElementById('btn-new').addEventListener('click', newGraph);
-  
-  document.getElementById('btn-bfs').addEventListener('click', () => {
-    currentAlgorithm = 'bfs';
-    document.getElementById('btn-bfs').className = 'btn btn-primary active';
-    document.getElementById('btn-dfs').className = 'btn btn-secondary';
-    reset();
-  });
-  
-  document.getElementById('btn-dfs').addEventListener('click', () => {
-    currentAlgorithm = 'dfs';
-    document.getElementById('btn-dfs').className = 'btn btn-primary active';
-    document.getElementById('btn-bfs').className = 'btn btn-secondary';
-    reset();
-  });
-  
-  document.getElementById('speed-slider').addEventListener('input', e => {
-    animator.setSpeed(parseFloat(e.target.value));
-    document.getElementById('speed-label').textContent = e.target.value + 'x';
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', e => {
-    const rect = e.target.getBoundingClientRect();
-    const step = Math.floor((e.clientX - rect.left) / rect.width * (states.length - 1));
-    animator.goToStep(Math.max(0, step));
-  });
+export function init(entry) {
+  shell.init(entry);
 }
 
 function updateNodeSelect() {
-  const select = document.getElementById('start-select');
-  select.innerHTML = algorithm.nodes.map(n => 
-    `<option value="${n.id}">${n.label}</option>`
-  ).join('');
+  shell.setOptions('start', algorithm.nodes.map(n => ({ value: n.id, label: n.label })));
 }
 
-function setupAlgorithm() {
+function setup() {
   algorithm = new GraphTraversal();
-  animator = new AnimationController();
-  animator.stepDuration = 500;
-  
-  animator.onStepChange = (state) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
   algorithm.createSampleGraph();
   updateNodeSelect();
   reset();
 }
 
 function traverse() {
-  const startId = parseInt(document.getElementById('start-select').value);
-  if (currentAlgorithm === 'bfs') {
-    algorithm.bfs(startId);
-  } else {
-    algorithm.dfs(startId);
-  }
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  const startId = parseInt(shell.getValue('start'));
+  shell.generate(algorithm, currentAlgorithm === 'bfs' ? 'bfs' : 'dfs', startId);
 }
 
 function reset() {
-  states = [{
+  shell.setSteps([{
     visited: new Set(),
     queue: [],
     stack: [],
     order: [],
     description: `Click "Start Traversal" to run ${currentAlgorithm.toUpperCase()}`
-  }];
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  }]);
 }
 
 function newGraph() {
+  editor.checkpoint();
+  editor.selection = null;
   algorithm.generateRandomGraph(7);
   updateNodeSelect();
   reset();
 }
 
-function togglePlay() {
-  if (states.length <= 1) traverse();
-  animator.toggle();
+// Keep the start on the same node when an earlier node is deleted
+function onGraphEdit({ removed }) {
+  let start = parseInt(shell.getValue('start'));
+  if (removed !== undefined && start > removed) start--;
+  else if (start === removed || start >= algorithm.nodes.length) start = 0;
+  updateNodeSelect();
+  shell.setValue('start', start);
+  reset();
 }
 
-function updatePlayButton(isPlaying) {
-  document.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
-  document.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
-  document.getElementById('btn-play').classList.toggle('active', isPlaying);
+function serialize() {
+  return {
+    ...encodeGraph(algorithm.nodes, algorithm.edges),
+    algorithm: currentAlgorithm,
+    start: shell.getValue('start')
+  };
 }
 
-function updateStats() {
-  const visited = currentState?.order?.length || 0;
-  document.getElementById('stat-moves').textContent = visited;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-  document.querySelector('.vis-stat:first-child span:first-child').textContent = 'Visited:';
+function restore(params) {
+  const graph = decodeGraph(params, false);
+  if (graph) {
+    algorithm.nodes = graph.nodes;
+    algorithm.edges = graph.edges;
+    algorithm.buildAdjacencyList();
+    editor.clearHistory();
+  }
+  updateNodeSelect();
+  const start = parseInt(params.get('start'));
+  if (start >= 0 && start < algorithm.nodes.length) shell.setValue('start', start);
+  if (['bfs', 'dfs'].includes(params.get('algorithm'))) {
+    currentAlgorithm = params.get('algorithm');
+    shell.setValue('algorithm', currentAlgorithm);
+  }
+  reset();
 }
 
-function draw() {
-  if (!ctx) return;
-  
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
-  
+// Event logs may start with `traversal bfs|dfs` and `start X`; then one
+// `visit X` per node in the order the student's code visits them. Nodes
+// are given by label (A, B, ...) or index.
+function replayEvents({ entries }) {
+  const traversal = findSetup(entries, 'traversal');
+  if (traversal) {
+    const type = (traversal.args[0] || '').toLowerCase();
+    if (!['bfs', 'dfs'].includes(type)) throw new Error(`Line ${traversal.line}: "traversal" must be bfs or dfs`);
+    currentAlgorithm = type;
+    shell.setValue('algorithm', type);
+  }
+  const setup = findSetup(entries, 'start');
+  if (setup) {
+    const start = findNode(setup.args[0]);
+    if (start === null) throw new Error(`Line ${setup.line}: no node "${setup.args[0]}"`);
+    shell.setValue('start', start);
+  }
+
+  const label = (id) => algorithm.nodes[id].label;
+  const neighbors = (id) => algorithm.adjacencyList.get(id) || [];
+  const start = parseInt(shell.getValue('start'));
+  const name = currentAlgorithm.toUpperCase();
+  const reference = algorithm[currentAlgorithm](start);
+  const visited = new Set();
+  const order = [];
+  const path = []; // DFS: current root-to-node path
+
+  // Why `id` can't be visited next in a BFS/DFS over what was visited so far
+  const check = (id) => {
+    if (visited.has(id)) return `${label(id)} was already visited`;
+    if (!order.length) return id === start ? null : `${name} starts at ${label(start)}`;
+    const unvisited = (u) => neighbors(u).some(n => !visited.has(n) && n !== id);
+    if (currentAlgorithm === 'bfs') {
+      const parent = order.findIndex(u => neighbors(u).includes(id));
+      if (parent < 0) return `${label(id)} is not next to any visited node`;
+      const pending = order.slice(0, parent).find(unvisited);
+      return pending === undefined ? null : `BFS must finish the neighbors of ${label(pending)} first`;
+    }
+    while (path.length && !neighbors(path[path.length - 1]).includes(id)) {
+      const top = path[path.length - 1];
+      if (unvisited(top)) return `DFS must finish the neighbors of ${label(top)} before backtracking`;
+      path.pop();
+    }
+    return path.length ? null : `${label(id)} is not next to any visited node`;
+  };
+
+  const replay = new EventReplay();
+  const events = entries.filter(entry => !['traversal', 'start'].includes(entry.op));
+  replay.push({ visited: new Set(), queue: [], stack: [], order: [], description: `Replaying ${name} from ${label(start)}` });
+
+  events.forEach(entry => {
+    if (entry.op !== 'visit') {
+      replay.reject(entry, `unknown event "${entry.op}" (expected visit)`);
+      return;
+    }
+    const id = findNode(entry.args[0]);
+    if (entry.args.length !== 1 || id === null) {
+      replay.reject(entry, `no node "${entry.args.join(' ')}"`);
+      return;
+    }
+    const issue = check(id);
+    if (!visited.has(id)) {
+      visited.add(id);
+      order.push(id);
+    }
+    // Keep the DFS path usable even after an invalid jump
+    while (currentAlgorithm === 'dfs' && path.length && !neighbors(path[path.length - 1]).includes(id)) path.pop();
+    path.push(id);
+    replay.push({ visited: new Set(visited), queue: [], stack: [], current: id, order: [...order], description: `Visiting node ${label(id)}` }, entry, issue);
+  });
+
+  const missed = reference.filter(id => !visited.has(id));
+  const matches = reference.length === order.length && reference.every((id, i) => order[i] === id);
+  const summary = `${name} order: ${order.map(label).join(' → ')}`;
+  replay.push({
+    visited: new Set(visited), queue: [], stack: [], current: null, order: [...order], complete: true,
+    description: matches ? `${summary} (same as the reference)` : `${summary} (reference: ${reference.map(label).join(' → ')})`
+  }, null, missed.length ? `never visited ${missed.map(label).join(', ')}` : null);
+  return replay.result();
+}
+
+function findNode(name = '') {
+  const node = algorithm.nodes.find(n => n.label === name.toUpperCase()) || algorithm.nodes[Number(name)];
+  return node && /^([a-z]|\d+)$/i.test(name) ? node.id : null;
+}
+
+function draw(ctx, state, { width, height }) {
   ctx.fillStyle = colors.bg;
   ctx.fillRect(0, 0, width, height);
   
-  // Scale
-  const scaleX = (width - 80) / 600;
-  const scaleY = (height - 120) / 350;
-  const scale = Math.min(scaleX, scaleY);
-  const offsetX = (width - 600 * scale) / 2;
-  const offsetY = 50;
-  
+  const { scale, offsetX, offsetY } = layout(width, height);
   const getPos = (node) => ({
     x: offsetX + node.x * scale,
     y: offsetY + node.y * scale
   });
   
-  const visited = currentState?.visited || new Set();
-  const queue = currentState?.queue || currentState?.stack || [];
-  const current = currentState?.current;
-  const exploring = currentState?.exploring;
-  const order = currentState?.order || [];
+  const visited = state?.visited || new Set();
+  const queue = state?.queue || state?.stack || [];
+  const current = state?.current;
+  const exploring = state?.exploring;
+  const order = state?.order || [];
   
   // Draw edges
   algorithm.edges.forEach(edge => {
@@ -355,7 +333,7 @@ function draw() {
   // Draw nodes
   algorithm.nodes.forEach(node => {
     const pos = getPos(node);
-    const radius = 26;
+    const radius = NODE_RADIUS;
     
     let color = colors.node;
     if (node.id === current) color = colors.nodeCurrent;
@@ -398,11 +376,21 @@ function draw() {
   ctx.textAlign = 'left';
   ctx.fillText(`${dsLabel}: [${queue.map(id => algorithm.nodes[id]?.label || id).join(', ')}]`, 20, dsY);
   
+  editor.drawOverlay(ctx);
+  
   // Description
   ctx.fillStyle = '#94a3b8';
   ctx.font = '14px Inter';
   ctx.textAlign = 'center';
-  ctx.fillText(currentState?.description || '', width / 2, 25);
+  ctx.fillText(state?.description || '', width / 2, 25);
+}
+
+// Scale the graph box to fit the canvas
+function layout(width, height) {
+  const scaleX = (width - 80) / GRAPH_WIDTH;
+  const scaleY = (height - 120) / GRAPH_HEIGHT;
+  const scale = Math.min(scaleX, scaleY);
+  return { scale, offsetX: (width - GRAPH_WIDTH * scale) / 2, offsetY: 50 };
 }
 
 export default { init };
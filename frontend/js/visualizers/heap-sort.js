@@ -0,0 +1,97 @@
+/**
+ * Heap Sort - Visualizer
+ */
+import { HeapSort } from '../algorithms/heapSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Heap Sort?</h3>
+    <p>Heap Sort arranges the array as a binary max-heap, where every parent is at least as large as its children, then repeatedly moves the root (the largest element) to the end and repairs the heap on what is left.</p>
+    <p>The heap lives inside the array itself: the children of position i are at 2i + 1 and 2i + 2.</p>
+    <ul>
+      <li>In-place sorting (O(1) extra memory)</li>
+      <li>Guaranteed O(n log n), even on adversarial input</li>
+      <li>Not stable (equal elements may change order)</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Build a max-heap by sifting down every parent, last one first</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Swap the root with the last element of the heap</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Shrink the heap by one; that element is now in place</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Sift the new root down and repeat until the heap is empty</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#8b5cf6">Purple</strong> = heap, <strong style="color:#f59e0b">Orange</strong> = comparing, <strong style="color:#10b981">Green</strong> = sorted</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Introsort:</strong> The fallback that keeps C++ std::sort at O(n log n)</li>
+      <li><strong>Real-Time Systems:</strong> Predictable worst case with no extra memory</li>
+      <li><strong>Priority Queues:</strong> The same sift operations power schedulers and Dijkstra</li>
+      <li><strong>Top-k Queries:</strong> Partial heap sort returns the k largest items</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">heapSort</span>(arr):
+    n = length(arr)
+    <span class="keyword">for</span> i = n / <span class="number">2</span> - <span class="number">1</span> down to <span class="number">0</span>:
+        <span class="function">siftDown</span>(arr, i, n)
+    <span class="keyword">for</span> end = n - <span class="number">1</span> down to <span class="number">1</span>:
+        <span class="function">swap</span>(arr[<span class="number">0</span>], arr[end])
+        <span class="function">siftDown</span>(arr, <span class="number">0</span>, end)
+
+<span class="keyword">function</span> <span class="function">siftDown</span>(arr, i, size):
+    largest = index of max(arr[i], arr[<span class="number">2</span>i+<span class="number">1</span>], arr[<span class="number">2</span>i+<span class="number">2</span>]) within size
+    <span class="keyword">if</span> largest != i:
+        <span class="function">swap</span>(arr[i], arr[largest])
+        <span class="function">siftDown</span>(arr, largest, size)
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: HeapSort,
+  info,
+  stepDuration: 120,
+  colors: { heap: '#8b5cf6' },
+  highlight: (state, i) => i < state.heapSize && !state.comparing?.includes(i) && !state.swapping?.includes(i) ? 'heap' : null,
+  decorate: drawHeapBoundary,
+  stats: [{ id: 'swaps', label: 'Swaps', value: state => state?.swaps || 0 }],
+  breakpoints: [
+    { label: 'Heap built', when: /^Max-heap built/ },
+    { label: 'Max extracted', when: /^Moved max/ }
+  ],
+  phase: state => /^Moved max/.test(state.description) ? 'place' : state.swapping ? 'swap' : state.comparing?.length ? 'compare' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+// Dashed line after the last heap element
+function drawHeapBoundary(ctx, state, { height, barX, barWidth, baseline }) {
+  const size = state.heapSize;
+  if (!size || size >= state.array.length) return;
+  const x = (barX(size - 1) + barWidth + barX(size)) / 2;
+  ctx.strokeStyle = 'rgba(139, 92, 246, 0.6)';
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(x, 50);
+  ctx.lineTo(x, baseline);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#a78bfa';
+  ctx.font = '12px Inter';
+  ctx.textAlign = 'right';
+  ctx.fillText('heap', x - 6, height - 40);
+  ctx.fillStyle = '#34d399';
+  ctx.textAlign = 'left';
+  ctx.fillText('sorted', x + 6, height - 40);
+}
+
+export default { init };
@@ -0,0 +1,70 @@
+/**
+ * Insertion Sort - Visualizer
+ */
+import { InsertionSort } from '../algorithms/insertionSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Insertion Sort?</h3>
+    <p>Insertion Sort builds the sorted array one element at a time, the way most people sort a hand of cards: each new element is shifted left past the larger ones until it reaches its place.</p>
+    <p>It does very little work on input that is already nearly sorted, which is why fast hybrid sorts switch to it for small slices.</p>
+    <ul>
+      <li>In-place sorting (O(1) extra memory)</li>
+      <li>Stable sort (equal elements keep their order)</li>
+      <li>O(n) on sorted input, O(n²) on reversed input</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Treat the first element as a sorted prefix</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Take the next element as the key</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Shift larger prefix elements one place right</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Drop the key into the gap and grow the prefix</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#ec4899">Pink</strong> = key, <strong style="color:#f59e0b">Orange</strong> = comparing, <strong style="color:#10b981">Green</strong> = sorted prefix</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Hybrid Sorts:</strong> Timsort and introsort finish small runs with insertion sort</li>
+      <li><strong>Online Sorting:</strong> Keeping a list sorted as items arrive one by one</li>
+      <li><strong>Nearly Sorted Data:</strong> Runs in close to linear time</li>
+      <li><strong>Embedded Systems:</strong> Tiny code with no extra memory</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">insertionSort</span>(arr):
+    <span class="keyword">for</span> i = <span class="number">1</span> to length(arr) - <span class="number">1</span>:
+        key = arr[i]
+        j = i - <span class="number">1</span>
+        <span class="keyword">while</span> j >= <span class="number">0</span> <span class="keyword">and</span> arr[j] > key:
+            arr[j + <span class="number">1</span>] = arr[j]
+            j--
+        arr[j + <span class="number">1</span>] = key
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: InsertionSort,
+  info,
+  stepDuration: 120,
+  colors: { key: '#ec4899' },
+  highlight: (state, i) => i === state.key ? 'key' : null,
+  stats: [{ id: 'writes', label: 'Writes', value: state => state?.writes || 0 }],
+  breakpoints: [
+    { label: 'Shift', when: /^Shifted/ },
+    { label: 'Key placed', when: /^Placed/ }
+  ],
+  phase: state => state.swapping ? 'swap' : state.comparing?.length ? 'compare' : /^Placed/.test(state.description) ? 'place' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
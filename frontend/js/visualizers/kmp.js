@@ -2,11 +2,9 @@
  * KMP String Matching - Visualizer
  */
 import { KMPMatcher } from '../algorithms/kmp.js';
-import { AnimationController } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
 
 const info = {
-  title: 'KMP String Matching',
-  description: 'An efficient pattern matching algorithm using a preprocessed failure function.',
   overview: `
     <h3>What is KMP?</h3>
     <p>The Knuth-Morris-Pratt algorithm is an efficient string matching algorithm that avoids redundant comparisons by using information from previous matches.</p>
@@ -16,16 +14,6 @@ const info = {
       <li>Searches in O(n) time</li>
       <li>Never backtracks in the text</li>
     </ul>
-    <div class="complexity-grid" style="margin-top:24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time Complexity</div>
-        <div class="complexity-value">O(n + m)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space Complexity</div>
-        <div class="complexity-value">O(m)</div>
-      </div>
-    </div>
   `,
   steps: `
     <h3>How It Works</h3>
@@ -67,8 +55,7 @@ const info = {
   `
 };
 
-let algorithm, animator, canvas, ctx;
-let states = [], currentState = null;
+let algorithm;
 
 const colors = {
   bg: '#0f172a',
@@ -81,209 +68,84 @@ const colors = {
   lps: '#64748b'
 };
 
-export function init() {
-  setupDOM();
-  setupControls();
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 400,
+  inputs: [
+    { id: 'text', type: 'text', section: 'Input', label: 'Text', value: 'ABABDABACDABABCABAB', maxlength: 40 },
+    { id: 'pattern', type: 'text', section: 'Input', label: 'Pattern', value: 'ABABCABAB', maxlength: 15 }
+  ],
+  actions: [
+    { id: 'search', label: 'Search Pattern', primary: true, onClick: search }
+  ],
+  stats: [{ id: 'matches', label: 'Matches', value: state => state?.matches?.length || 0 }],
+  breakpoints: [
+    { label: 'Match found', when: /Found match/ },
+    { label: 'Mismatch', when: 'mismatch' }
+  ],
+  phase: state => state.matchFound !== undefined ? 'match' : state.mismatch ? 'mismatch' : state.comparing?.length ? 'compare' : null,
+  setup,
+  run: search,
+  reset,
+  problem: { kind: 'text and pattern', keys: ['text', 'pattern'] },
+  serialize,
+  restore,
+  draw
+});
 
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  resize();
-  window.addEventListener('resize', resize);
-}
-
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play">
-            <svg class="icon-play" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 3 19 12 5 21"/>
-            </svg>
-            <svg class="icon-pause hidden" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor:pointer">
-            <div class="progress-bar-fill" id="progress-fill"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Input</h4>
-        <div class="input-group">
-          <label class="input-label">Text</label>
-          <input type="text" class="input-field" id="input-text" value="ABABDABACDABABCABAB" maxlength="40">
-        </div>
-        <div class="input-group">
-          <label class="input-label">Pattern</label>
-          <input type="text" class="input-field" id="input-pattern" value="ABABCABAB" maxlength="15">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-primary" id="btn-search" style="width:100%;">Search Pattern</button>
-      </div>
-    </div>
-  `;
-  
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', () => animator.stepForward());
-  document.getElementById('btn-step-back').addEventListener('click', () => animator.stepBackward());
-  document.getElementById('btn-search').addEventListener('click', search);
-  
-  document.getElementById('speed-slider').addEventListener('input', e => {
-    animator.setSpeed(parseFloat(e.target.value));
-    document.getElementById('speed-label').textContent = e.target.value + 'x';
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', e => {
-    const rect = e.target.getBoundingClientRect();
-    const step = Math.floor((e.clientX - rect.left) / rect.width * (states.length - 1));
-    animator.goToStep(Math.max(0, step));
-  });
+export function init(entry) {
+  shell.init(entry);
 }
 
-function setupAlgorithm() {
+function setup() {
   algorithm = new KMPMatcher();
-  animator = new AnimationController();
-  animator.stepDuration = 400;
-  
-  animator.onStepChange = (state) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
   updateInputs();
   reset();
 }
 
 function updateInputs() {
-  algorithm.setText(document.getElementById('input-text').value);
-  algorithm.setPattern(document.getElementById('input-pattern').value);
+  algorithm.setText(shell.getValue('text'));
+  algorithm.setPattern(shell.getValue('pattern'));
 }
 
 function search() {
   updateInputs();
-  algorithm.search();
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  shell.generate(algorithm, 'search');
 }
 
 function reset() {
   updateInputs();
-  states = [{
+  shell.setSteps([{
     text: algorithm.text,
     pattern: algorithm.pattern,
     textIndex: 0,
     patternIndex: 0,
     matches: [],
     description: 'Click "Search Pattern" to begin'
-  }];
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  }]);
 }
 
-function togglePlay() {
-  if (states.length <= 1) search();
-  animator.toggle();
+function serialize() {
+  return { text: algorithm.text, pattern: algorithm.pattern };
 }
 
-function updatePlayButton(isPlaying) {
-  document.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
-  document.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
-  document.getElementById('btn-play').classList.toggle('active', isPlaying);
-}
-
-function updateStats() {
-  const matches = currentState?.matches?.length || 0;
-  document.getElementById('stat-moves').textContent = matches;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-  document.querySelector('.vis-stat:first-child span:first-child').textContent = 'Matches:';
+function restore(params) {
+  if (params.has('text')) shell.setValue('text', params.get('text').slice(0, 40));
+  if (params.has('pattern')) shell.setValue('pattern', params.get('pattern').slice(0, 15));
+  reset();
 }
 
-function draw() {
-  if (!ctx) return;
-  
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
-  
+function draw(ctx, state, { width, height }) {
   ctx.fillStyle = colors.bg;
   ctx.fillRect(0, 0, width, height);
   
-  const text = currentState?.text || algorithm.text;
-  const pattern = currentState?.pattern || algorithm.pattern;
-  const textIndex = currentState?.textIndex || 0;
-  const patternIndex = currentState?.patternIndex || 0;
-  const matches = currentState?.matches || [];
-  const lps = currentState?.lps || [];
-  const comparing = currentState?.comparing || [];
+  const text = state?.text || algorithm.text;
+  const pattern = state?.pattern || algorithm.pattern;
+  const textIndex = state?.textIndex || 0;
+  const patternIndex = state?.patternIndex || 0;
+  const matches = state?.matches || [];
+  const lps = state?.lps || [];
+  const comparing = state?.comparing || [];
   
   if (!text || !pattern) return;
   
@@ -308,7 +170,7 @@ function draw() {
     // Background
     let bgColor = '#1e293b';
     if (comparing.length === 2 && comparing[0] === i) {
-      bgColor = currentState.mismatch ? colors.charMismatch : colors.charMatch;
+      bgColor = state.mismatch ? colors.charMismatch : colors.charMatch;
     } else if (isMatch) {
       bgColor = '#065f46'; // Dark green for found matches
     }
@@ -347,7 +209,7 @@ function draw() {
     // Background
     let bgColor = '#3d1c54'; // Purple-ish
     if (comparing.length === 2 && comparing[1] === j) {
-      bgColor = currentState.mismatch ? colors.charMismatch : colors.charMatch;
+      bgColor = state.mismatch ? colors.charMismatch : colors.charMatch;
     }
     
     ctx.fillStyle = bgColor;
@@ -388,8 +250,8 @@ function draw() {
   }
   
   // Draw match highlights
-  if (currentState?.matchFound !== undefined) {
-    const x = padding + currentState.matchFound * charWidth;
+  if (state?.matchFound !== undefined) {
+    const x = padding + state.matchFound * charWidth;
     ctx.strokeStyle = colors.charFound;
     ctx.lineWidth = 3;
     ctx.beginPath();
@@ -401,7 +263,7 @@ function draw() {
   ctx.fillStyle = '#94a3b8';
   ctx.font = '14px Inter';
   ctx.textAlign = 'center';
-  ctx.fillText(currentState?.description || '', width / 2, 30);
+  ctx.fillText(state?.description || '', width / 2, 30);
   
   // Match count
   if (matches.length > 0) {
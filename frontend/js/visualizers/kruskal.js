@@ -0,0 +1,247 @@
+/**
+ * Kruskal's Algorithm - Visualizer
+ */
+import { Kruskal } from '../algorithms/kruskal.js';
+import { createGraphVisualizer } from '../utils/graph.js';
+
+const info = {
+  overview: `
+    <h3>What is Kruskal's Algorithm?</h3>
+    <p>Kruskal's algorithm, published by Joseph Kruskal in 1956, finds a minimum spanning tree: the edges that connect every node of a weighted, undirected graph for the smallest total weight.</p>
+    <p>Where Prim grows one tree outwards, Kruskal looks at the edges from cheapest to most expensive and keeps every edge that joins two separate pieces, so many small trees merge into one. An edge whose ends are already connected would close a cycle and is skipped.</p>
+    <p>Telling whether two nodes are already connected is the job of a union-find (disjoint set) structure, shown on the right.</p>
+    <ul>
+      <li>O(E log E) time, dominated by sorting the edges</li>
+      <li>Union-find operations take nearly constant amortized time</li>
+      <li>On a disconnected graph, builds a minimum spanning forest</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Sort the edges by weight and put every node in a set of its own</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">For the next edge (u, v), find the root of u's set and of v's set</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Same root: the edge would close a cycle, so skip it</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Different roots: add the edge to the tree and union the two sets</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Stop once the tree has V - 1 edges</li>
+    </ol>
+    <p style="margin-top:16px;">Each set is a tree of parent pointers, drawn as arrows, with the root as its name. <strong>Union by rank</strong> hangs the shorter tree under the root of the taller one (rank bounds the height), and <strong>path compression</strong> repoints every node a find walked past straight at the root, so the next find is a single hop. Nodes on the current find paths are <strong style="color:#f59e0b">orange</strong> and repointed ones <strong style="color:#10b981">green</strong>; the parent and rank arrays below the forest are what the structure really stores.</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Network Design:</strong> Cheapest set of links connecting every site</li>
+      <li><strong>Clustering:</strong> Stopping k edges early leaves k single-linkage clusters</li>
+      <li><strong>Image Segmentation:</strong> Merging neighbouring pixel regions by similarity</li>
+      <li><strong>Union-Find Elsewhere:</strong> Connected components, percolation, type unification</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">kruskal</span>(graph):
+    <span class="keyword">for</span> each node v: parent[v] = v, rank[v] = <span class="number">0</span>
+
+    <span class="keyword">for</span> each edge (u, v, w) <span class="keyword">in</span> sorted(edges, by w):
+        a, b = find(u), find(v)
+        <span class="keyword">if</span> a == b: <span class="keyword">continue</span>          <span class="comment">// would close a cycle</span>
+        tree.add(u, v, w)
+        <span class="keyword">if</span> rank[a] < rank[b]: swap(a, b)
+        parent[b] = a
+        <span class="keyword">if</span> rank[a] == rank[b]: rank[a] += <span class="number">1</span>
+
+<span class="keyword">function</span> <span class="function">find</span>(v):
+    <span class="keyword">if</span> parent[v] != v:
+        parent[v] = find(parent[v])   <span class="comment">// path compression</span>
+    <span class="keyword">return</span> parent[v]
+    </div>
+  `
+};
+
+const forestColors = {
+  node: '#3b82f6',
+  finding: '#f59e0b',
+  compressed: '#10b981',
+  pointer: '#64748b',
+  cell: '#0f172a',
+  header: '#64748b',
+  text: '#f1f5f9'
+};
+
+// Union-find forest of parent pointers over the parent and rank arrays
+const unionFindPanel = {
+  share: 0.42,
+  max: 400,
+  draw(ctx, state, { x, y, width, height }, { label }) {
+    if (!state.parent) return;
+    ctx.fillStyle = '#1e293b';
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 10);
+    ctx.fill();
+
+    const sets = state.parent.filter((p, i) => p === i).length;
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = 'bold 12px Inter';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`Union-find: ${sets} ${sets === 1 ? 'set' : 'sets'}`, x + width / 2, y + 16);
+
+    const arraysHeight = 96;
+    drawForest(ctx, state, { x, y: y + 36, width, height: height - 36 - arraysHeight }, label);
+    drawArrays(ctx, state, { x, y: y + height - arraysHeight, width, height: arraysHeight }, label);
+  }
+};
+
+const shell = createGraphVisualizer({
+  Algorithm: Kruskal,
+  info,
+  method: 'kruskal',
+  runLabel: 'Build Spanning Tree',
+  ends: [],
+  undirected: true,
+  panel: unionFindPanel,
+  stepDuration: 700,
+  stats: [
+    { id: 'tree-weight', label: 'Tree Weight', value: state => state?.weight || 0 },
+    { id: 'compressions', label: 'Compressed', value: state => state?.compressions || 0 }
+  ],
+  breakpoints: [
+    { label: 'Edge added', when: { phase: 'place' } },
+    { label: 'Edge skipped', when: { phase: 'mismatch' } },
+    { label: 'Path compression', when: { phase: 'update' } }
+  ]
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+/**
+ * Draw each set as a tree hanging from its root, with an arrow from every
+ * node to its parent. Trees sit side by side, each as wide as its leaves.
+ */
+function drawForest(ctx, state, { x, y, width, height }, label) {
+  const { parent, rank } = state;
+  const n = parent.length;
+  const children = parent.map(() => []);
+  parent.forEach((p, i) => { if (p !== i) children[p].push(i); });
+  const leaves = (v) => children[v].length ? children[v].reduce((sum, c) => sum + leaves(c), 0) : 1;
+  const depth = (v) => children[v].length ? 1 + Math.max(...children[v].map(depth)) : 0;
+  const roots = parent.map((p, i) => p === i ? i : null).filter(i => i !== null);
+
+  const slots = roots.reduce((sum, r) => sum + leaves(r), 0);
+  const levels = Math.max(...roots.map(depth)) + 1;
+  const slot = width / slots;
+  const levelGap = levels > 1 ? Math.min(64, (height - 40) / (levels - 1)) : 0;
+  const radius = Math.max(8, Math.min(16, slot / 2 - 3));
+
+  // Place each node over the middle of its leaves
+  const pos = new Array(n);
+  let next = 0;
+  const place = (v, level) => {
+    if (!children[v].length) {
+      pos[v] = { x: x + (next++ + 0.5) * slot, y: y + 20 + level * levelGap };
+      return;
+    }
+    children[v].forEach(c => place(c, level + 1));
+    const first = pos[children[v][0]];
+    const last = pos[children[v][children[v].length - 1]];
+    pos[v] = { x: (first.x + last.x) / 2, y: y + 20 + level * levelGap };
+  };
+  roots.forEach(r => place(r, 0));
+
+  const finding = new Set(state.finding || []);
+  const compressed = new Set(state.compressed || []);
+  const linked = state.linked?.[0];
+
+  // Pointers, child up to parent
+  parent.forEach((p, v) => {
+    if (p === v) return;
+    const color = compressed.has(v) || linked === v ? forestColors.compressed : finding.has(v) ? forestColors.finding : forestColors.pointer;
+    const from = pos[v];
+    const to = pos[p];
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const tip = { x: to.x - Math.cos(angle) * (radius + 2), y: to.y - Math.sin(angle) * (radius + 2) };
+    ctx.strokeStyle = color;
+    ctx.lineWidth = color === forestColors.pointer ? 1.5 : 2.5;
+    ctx.beginPath();
+    ctx.moveTo(from.x + Math.cos(angle) * radius, from.y + Math.sin(angle) * radius);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - 8 * Math.cos(angle - Math.PI / 7), tip.y - 8 * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(tip.x - 8 * Math.cos(angle + Math.PI / 7), tip.y - 8 * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+  });
+
+  parent.forEach((p, v) => {
+    const { x: cx, y: cy } = pos[v];
+    ctx.fillStyle = compressed.has(v) || linked === v ? forestColors.compressed : finding.has(v) ? forestColors.finding : forestColors.node;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = forestColors.text;
+    ctx.font = `bold ${Math.round(radius * 0.8)}px Inter`;
+    ctx.fillText(label(v), cx, cy);
+
+    // Only a root's rank means anything
+    if (p === v) {
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '10px Inter';
+      ctx.fillText(`r${rank[v]}`, cx, cy - radius - 8);
+    }
+  });
+}
+
+// The parent and rank arrays as they are stored, one column per node
+function drawArrays(ctx, state, { x, y, width }, label) {
+  const { parent, rank } = state;
+  const n = parent.length;
+  const head = 44;
+  const cell = Math.min(34, (width - head - 12) / n);
+  const left = x + (width - head - cell * n) / 2 + head;
+  const finding = new Set(state.finding || []);
+  const compressed = new Set(state.compressed || []);
+  const child = state.linked?.[0];
+
+  const font = Math.max(8, Math.min(12, Math.round(cell * 0.4)));
+  const rows = [
+    { name: 'parent', values: parent, marked: v => compressed.has(v) || v === child },
+    { name: 'rank', values: rank, marked: v => v === state.promoted }
+  ];
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let v = 0; v < n; v++) {
+    ctx.fillStyle = finding.has(v) ? forestColors.finding : forestColors.header;
+    ctx.font = `bold ${font}px Inter`;
+    ctx.fillText(label(v), left + (v + 0.5) * cell, y + 10);
+  }
+
+  rows.forEach(({ name, values, marked }, r) => {
+    const top = y + 22 + r * (cell + 4);
+    ctx.fillStyle = forestColors.header;
+    ctx.font = `${font}px Inter`;
+    ctx.textAlign = 'right';
+    ctx.fillText(name, left - 8, top + cell / 2);
+    ctx.textAlign = 'center';
+    values.forEach((value, v) => {
+      const cx = left + v * cell;
+      ctx.fillStyle = marked(v) ? 'rgba(16, 185, 129, 0.3)' : forestColors.cell;
+      ctx.fillRect(cx + 1, top + 1, cell - 2, cell - 2);
+      if (marked(v)) {
+        ctx.strokeStyle = forestColors.compressed;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(cx + 2, top + 2, cell - 4, cell - 4);
+      }
+      // A rank stops changing once its node is no longer a root
+      ctx.fillStyle = name === 'rank' && parent[v] !== v ? forestColors.header : forestColors.text;
+      ctx.fillText(name === 'parent' ? label(value) : String(value), cx + cell / 2, top + cell / 2);
+    });
+  });
+}
+
+export default { init };
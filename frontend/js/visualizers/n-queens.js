@@ -2,11 +2,9 @@
  * N-Queens - Visualizer
  */
 import { NQueens } from '../algorithms/nQueens.js';
-import { AnimationController } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
 
 const info = {
-  title: 'N-Queens Problem',
-  description: 'Place N queens on an N×N chessboard so that no two queens threaten each other.',
   overview: `
     <h3>What is N-Queens?</h3>
     <p>The N-Queens puzzle is the problem of placing N chess queens on an N×N chessboard such that no two queens threaten each other.</p>
@@ -16,16 +14,6 @@ const info = {
       <li>For N=8 (standard chess board), there are 92 solutions</li>
       <li>For N=12, there are 14,200 solutions</li>
     </ul>
-    <div class="complexity-grid" style="margin-top: 24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time Complexity</div>
-        <div class="complexity-value">O(N!)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space Complexity</div>
-        <div class="complexity-value">O(N)</div>
-      </div>
-    </div>
   `,
   steps: `
     <h3>Backtracking Algorithm</h3>
@@ -69,8 +57,7 @@ const info = {
   `
 };
 
-let algorithm, animator, canvas, ctx;
-let states = [], currentState = null;
+let algorithm;
 
 const colors = {
   lightSquare: '#3d4a5f',
@@ -82,192 +69,80 @@ const colors = {
   highlight: 'rgba(59, 130, 246, 0.3)'
 };
 
-export function init() {
-  setupDOM();
-  setupControls();
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 300,
+  inputs: [
+    { id: 'board-size', type: 'number', section: 'Board Size', label: 'Queens (4-10)', min: 4, max: 10, value: 6, onChange: setSize },
+    {
+      id: 'search', type: 'toggle', section: 'Search', value: 'first',
+      options: [{ value: 'first', label: 'First Solution' }, { value: 'all', label: 'All Solutions' }],
+      onChange: reset
+    }
+  ],
+  actions: [
+    { id: 'solve', label: 'Solve N-Queens', primary: true, onClick: solve }
+  ],
+  stats: [{ id: 'solutions', label: 'Solutions', value: state => state?.solutionsFound || 0 }],
+  breakpoints: [
+    { label: 'Queen removed', when: { type: 'remove' } },
+    { label: 'Solution found', when: { type: 'solution' } }
+  ],
+  setup,
+  run: solve,
+  reset,
+  problem: { kind: 'board size', keys: ['n'] },
+  serialize,
+  restore,
+  draw
+});
 
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  
-  resize();
-  window.addEventListener('resize', resize);
+export function init(entry) {
+  shell.init(entry);
 }
 
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset" title="Reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play">
-            <svg class="icon-play" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 3 19 12 5 21"/>
-            </svg>
-            <svg class="icon-pause hidden" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor:pointer">
-            <div class="progress-bar-fill" id="progress-fill"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Board Size</h4>
-        <div class="input-group">
-          <label class="input-label" for="board-size">Queens (4-10)</label>
-          <input type="number" class="input-field" id="board-size" min="4" max="10" value="6">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-primary" id="btn-solve" style="width:100%">Solve N-Queens</button>
-      </div>
-    </div>
-  `;
-  
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', () => animator.stepForward());
-  document.getElementById('btn-step-back').addEventListener('click', () => animator.stepBackward());
-  document.getElementById('btn-solve').addEventListener('click', solve);
-  
-  document.getElementById('speed-slider').addEventListener('input', e => {
-    animator.setSpeed(parseFloat(e.target.value));
-    document.getElementById('speed-label').textContent = e.target.value + 'x';
-  });
-  
-  document.getElementById('board-size').addEventListener('change', e => {
-    algorithm.setSize(parseInt(e.target.value));
-    reset();
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', e => {
-    const rect = e.target.getBoundingClientRect();
-    const step = Math.floor((e.clientX - rect.left) / rect.width * (states.length - 1));
-    animator.goToStep(step);
-  });
+function setup() {
+  algorithm = new NQueens(6);
+  reset();
 }
 
-function setupAlgorithm() {
-  algorithm = new NQueens(6);
-  animator = new AnimationController();
-  animator.stepDuration = 300;
-  
-  animator.onStepChange = (state) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
+function setSize(n) {
+  algorithm.setSize(n);
   reset();
 }
 
 function solve() {
-  states = algorithm.generateStates(true);
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  // Steps are streamed lazily, so even an all-solutions search starts at once
+  shell.generate(algorithm, 'generateSteps', shell.getValue('search') !== 'all');
 }
 
 function reset() {
   algorithm.reset();
-  states = [{
+  shell.setSteps([{
     board: Array(algorithm.n).fill().map(() => Array(algorithm.n).fill(0)),
     queens: [],
     description: 'Click "Solve" to start',
     solutionsFound: 0
-  }];
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
-}
-
-function togglePlay() {
-  if (states.length <= 1) solve();
-  animator.toggle();
+  }]);
 }
 
-function updatePlayButton(isPlaying) {
-  document.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
-  document.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
-  document.getElementById('btn-play').classList.toggle('active', isPlaying);
+function serialize() {
+  return { n: algorithm.n, search: shell.getValue('search') };
 }
 
-function updateStats() {
-  document.getElementById('stat-moves').textContent = currentState?.solutionsFound || 0;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-  
-  // Update stat label
-  const movesEl = document.querySelector('.vis-stat:first-child span:first-child');
-  if (movesEl) movesEl.textContent = 'Solutions:';
+function restore(params) {
+  const n = parseInt(params.get('n'));
+  if (n >= 4 && n <= 10) {
+    shell.setValue('board-size', n);
+    algorithm.setSize(n);
+  }
+  if (['first', 'all'].includes(params.get('search'))) shell.setValue('search', params.get('search'));
+  reset();
 }
 
-function draw() {
-  if (!ctx || !currentState) return;
+function draw(ctx, state, { width, height }) {
+  if (!state) return;
   
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
   const n = algorithm.n;
   
   ctx.fillStyle = '#0f172a';
@@ -292,19 +167,19 @@ function draw() {
       ctx.fillRect(x, y, cellSize, cellSize);
       
       // Checking highlight
-      if (currentState.checking && currentState.checking.row === row && currentState.checking.col === col) {
-        ctx.fillStyle = currentState.safe ? 'rgba(16, 185, 129, 0.4)' : 'rgba(239, 68, 68, 0.4)';
+      if (state.checking && state.checking.row === row && state.checking.col === col) {
+        ctx.fillStyle = state.safe ? 'rgba(16, 185, 129, 0.4)' : 'rgba(239, 68, 68, 0.4)';
         ctx.fillRect(x, y, cellSize, cellSize);
       }
       
       // Conflict highlight
-      if (currentState.conflicts?.some(c => c.row === row && c.col === col)) {
+      if (state.conflicts?.some(c => c.row === row && c.col === col)) {
         ctx.fillStyle = 'rgba(239, 68, 68, 0.5)';
         ctx.fillRect(x, y, cellSize, cellSize);
       }
       
       // Solution highlight
-      if (currentState.isSolution) {
+      if (state.isSolution) {
         ctx.fillStyle = 'rgba(16, 185, 129, 0.2)';
         ctx.fillRect(x, y, cellSize, cellSize);
       }
@@ -312,12 +187,12 @@ function draw() {
   }
   
   // Draw queens
-  currentState.queens?.forEach(q => {
+  state.queens?.forEach(q => {
     const x = offsetX + q.col * cellSize + cellSize / 2;
     const y = offsetY + q.row * cellSize + cellSize / 2;
     
     // Queen glow
-    const isConflict = currentState.conflicts?.some(c => c.row === q.row && c.col === q.col);
+    const isConflict = state.conflicts?.some(c => c.row === q.row && c.col === q.col);
     ctx.shadowColor = isConflict ? colors.conflict : colors.queen;
     ctx.shadowBlur = 15;
     
@@ -331,10 +206,10 @@ function draw() {
   });
   
   // Draw checking position
-  if (currentState.checking) {
-    const x = offsetX + currentState.checking.col * cellSize + cellSize / 2;
-    const y = offsetY + currentState.checking.row * cellSize + cellSize / 2;
-    ctx.strokeStyle = currentState.safe ? colors.safe : colors.conflict;
+  if (state.checking) {
+    const x = offsetX + state.checking.col * cellSize + cellSize / 2;
+    const y = offsetY + state.checking.row * cellSize + cellSize / 2;
+    ctx.strokeStyle = state.safe ? colors.safe : colors.conflict;
     ctx.lineWidth = 3;
     ctx.beginPath();
     ctx.arc(x, y, cellSize * 0.35, 0, Math.PI * 2);
@@ -345,7 +220,7 @@ function draw() {
   ctx.fillStyle = '#94a3b8';
   ctx.font = '14px Inter, sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText(currentState.description || '', width / 2, 25);
+  ctx.fillText(state.description || '', width / 2, 25);
 }
 
 export default { init };
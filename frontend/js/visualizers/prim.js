@@ -0,0 +1,84 @@
+/**
+ * Prim's Algorithm - Visualizer
+ */
+import { Prim } from '../algorithms/prim.js';
+import { createGraphVisualizer, createHeapPanel } from '../utils/graph.js';
+
+const info = {
+  overview: `
+    <h3>What is Prim's Algorithm?</h3>
+    <p>Prim's algorithm finds a minimum spanning tree: the set of edges that connects every node of a weighted, undirected graph for the smallest total weight. Vojtěch Jarník described it in 1930; Robert Prim rediscovered it in 1957.</p>
+    <p>It grows a single tree from a start node, each time adding the cheapest edge that leads from the tree to a node outside it. Any such edge is safe: every spanning tree has to cross from the tree to the rest somewhere, and the cheapest crossing can always be part of a minimal one.</p>
+    <ul>
+      <li>O((V + E) log V) with a binary heap</li>
+      <li>Negative weights are fine; only their order matters</li>
+      <li>On a disconnected graph, spans only the start node's component</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Give the start node key 0 and every other node key ∞</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Pop the node with the smallest key and add it to the tree with the edge that set its key</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">For each neighbor outside the tree, if the edge to it is lighter than its key, lower the key</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Repeat until the heap is empty</li>
+    </ol>
+    <p style="margin-top:16px;">This is Dijkstra's algorithm with one change: a node's key is the weight of the single edge linking it to the tree, not its distance from the start. The numbers under the nodes are those keys, the heap on the right is ordered by them, and tree edges turn <strong style="color:#10b981">green</strong> as the Tree Weight counter adds them up.</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Network Design:</strong> Cheapest cabling, piping or road network linking every site</li>
+      <li><strong>Approximation:</strong> A 2-approximation for the metric travelling salesman problem</li>
+      <li><strong>Clustering:</strong> Single-linkage clusters from a spanning tree's heaviest edges</li>
+      <li><strong>Maze Generation:</strong> Randomized Prim's carves a perfect maze</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">prim</span>(graph, start):
+    key[start] = <span class="number">0</span>
+    <span class="keyword">for</span> all other v: key[v] = ∞
+
+    pq = MinHeap(start)
+
+    <span class="keyword">while</span> pq not empty:
+        u = pq.extractMin()
+        tree.add(u, edge(parent[u], u))
+
+        <span class="keyword">for</span> each neighbor v of u <span class="keyword">not in</span> tree:
+            <span class="keyword">if</span> weight(u,v) < key[v]:
+                key[v] = weight(u,v)     <span class="comment">// not dist[u] + weight</span>
+                parent[v] = u
+                <span class="keyword">if</span> v <span class="keyword">in</span> pq: pq.decreaseKey(v, key[v])
+                <span class="keyword">else</span>: pq.insert(v, key[v])
+    </div>
+  `
+};
+
+const shell = createGraphVisualizer({
+  Algorithm: Prim,
+  info,
+  method: 'prim',
+  runLabel: 'Build Spanning Tree',
+  ends: ['start'],
+  undirected: true,
+  panel: createHeapPanel('key'),
+  tween: true,
+  stats: [
+    { id: 'tree-weight', label: 'Tree Weight', value: state => state?.weight || 0 },
+    { id: 'heap-swaps', label: 'Heap Swaps', value: state => state?.heapSwaps || 0 }
+  ],
+  breakpoints: [
+    { label: 'Node joins tree', when: { phase: 'visit' } },
+    { label: 'Key lowered', when: { phase: 'update' } },
+    { label: 'Heap swap', when: { phase: 'swap' } }
+  ]
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
@@ -0,0 +1,97 @@
+/**
+ * Radix Sort - Visualizer
+ */
+import { RadixSort } from '../algorithms/radixSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Radix Sort?</h3>
+    <p>Radix Sort sorts numbers one digit at a time, starting from the least significant digit. Each pass distributes the elements into ten buckets by that digit and collects them back in bucket order.</p>
+    <p>Because every pass is stable, elements with the same digit keep the order earlier passes gave them, so after the last digit the whole array is sorted.</p>
+    <p>The most significant digit first (MSD) variant starts from the other end: it buckets by the leading digit, writes the buckets back as consecutive ranges, and sorts each range on its own by the next digit.</p>
+    <ul>
+      <li>No comparisons at all</li>
+      <li>O(d × (n + b)) for d digits in base b</li>
+      <li>Stable, with O(n + b) extra memory</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Start with the ones digit</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Put each element into the bucket for its digit, in array order</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Write the buckets back from 0 to 9</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Repeat with the tens, hundreds, ... digit up to the largest value's length</li>
+    </ol>
+    <p style="margin-top:16px;">MSD runs the same pass from the leading digit down, once per bucket range; bars outside the range being sorted are dimmed.</p>
+    <p style="margin-top:16px;">The digit under each bar is the one the current pass sorts by. <strong style="color:#f59e0b">Orange</strong> = reading, <strong style="color:#ef4444">Red</strong> = just written</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Fixed-Length Keys:</strong> Zip codes, dates, IP addresses</li>
+      <li><strong>Card Sorters:</strong> Punched-card machines sorted one column per pass</li>
+      <li><strong>GPUs:</strong> The standard parallel sort for integer keys</li>
+      <li><strong>Suffix Arrays:</strong> Sorting rank pairs in string indexing</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">radixSort</span>(arr):
+    <span class="keyword">for</span> place = <span class="number">1</span>; max(arr) / place > <span class="number">0</span>; place *= <span class="number">10</span>:
+        buckets = <span class="number">10</span> empty lists
+        <span class="keyword">for</span> value <span class="keyword">in</span> arr:
+            buckets[(value / place) % <span class="number">10</span>].append(value)
+        arr = concatenation of buckets <span class="number">0</span>..<span class="number">9</span>
+
+<span class="keyword">function</span> <span class="function">msdRadixSort</span>(arr, lo, hi, place):
+    <span class="keyword">if</span> hi - lo <= <span class="number">1</span> <span class="keyword">or</span> place < <span class="number">1</span>: <span class="keyword">return</span>
+    distribute arr[lo..hi) into buckets by (value / place) % <span class="number">10</span>
+    write the buckets back over arr[lo..hi)
+    <span class="keyword">for</span> each bucket's range [s, e):
+        <span class="function">msdRadixSort</span>(arr, s, e, place / <span class="number">10</span>)
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: RadixSort,
+  info,
+  stepDuration: 120,
+  inputs: [
+    {
+      id: 'order', type: 'select', section: 'Digit Order', value: 'lsd',
+      options: [
+        { value: 'lsd', label: 'Least significant first (LSD)' },
+        { value: 'msd', label: 'Most significant first (MSD)' }
+      ]
+    }
+  ],
+  colors: { outside: '#334155' },
+  highlight: (state, i) => state.range && (i < state.range[0] || i > state.range[1]) && !state.sorted?.includes(i) ? 'outside' : null,
+  decorate: drawDigits,
+  stats: [{ id: 'writes', label: 'Writes', value: state => state?.writes || 0 }],
+  breakpoints: [
+    { label: 'Pass done', when: /^Ordered/ }
+  ],
+  phase: state => state.swapping ? 'place' : state.comparing?.length ? 'count' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+// Digit of each value in the current place, under its bar
+function drawDigits(ctx, state, { barX, barWidth, baseline }) {
+  if (!state.place) return;
+  ctx.font = '12px "Fira Code", monospace';
+  ctx.textAlign = 'center';
+  state.array.forEach((value, i) => {
+    ctx.fillStyle = state.comparing?.includes(i) ? '#f59e0b' : '#64748b';
+    ctx.fillText(String(Math.floor(value / state.place) % 10), barX(i) + barWidth / 2, baseline + 18);
+  });
+}
+
+export default { init };
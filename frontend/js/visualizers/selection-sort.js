@@ -0,0 +1,71 @@
+/**
+ * Selection Sort - Visualizer
+ */
+import { SelectionSort } from '../algorithms/selectionSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Selection Sort?</h3>
+    <p>Selection Sort scans the unsorted part of the array for its smallest element and swaps it to the front, growing a sorted prefix by one element per pass.</p>
+    <p>It always makes about n²/2 comparisons, whatever the input, but never more than n - 1 swaps.</p>
+    <ul>
+      <li>In-place sorting (O(1) extra memory)</li>
+      <li>Not stable (the long-distance swap can reorder equal elements)</li>
+      <li>Minimal number of writes among the simple sorts</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Assume the first unsorted element is the minimum</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Compare it with every later element, remembering any smaller one</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Swap the minimum into the first unsorted position</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Repeat on the rest of the array</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#ec4899">Pink</strong> = current minimum, <strong style="color:#f59e0b">Orange</strong> = comparing, <strong style="color:#10b981">Green</strong> = sorted</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Flash Memory:</strong> Where every write wears the medium out</li>
+      <li><strong>Large Records:</strong> When moving an element costs far more than comparing it</li>
+      <li><strong>Teaching:</strong> A clear example of the selection principle behind heap sort</li>
+      <li><strong>Small Lists:</strong> Simple code with predictable running time</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">selectionSort</span>(arr):
+    n = length(arr)
+    <span class="keyword">for</span> i = <span class="number">0</span> to n - <span class="number">2</span>:
+        min = i
+        <span class="keyword">for</span> j = i + <span class="number">1</span> to n - <span class="number">1</span>:
+            <span class="keyword">if</span> arr[j] < arr[min]:
+                min = j
+        <span class="keyword">if</span> min != i:
+            <span class="function">swap</span>(arr[i], arr[min])
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: SelectionSort,
+  info,
+  stepDuration: 100,
+  colors: { minimum: '#ec4899' },
+  highlight: (state, i) => i === state.minimum && !state.sorted?.includes(i) ? 'minimum' : null,
+  stats: [{ id: 'swaps', label: 'Swaps', value: state => state?.swaps || 0 }],
+  breakpoints: [
+    { label: 'New minimum', when: /^New minimum/ },
+    { label: 'Swap', when: /^Swapped/ }
+  ],
+  phase: state => state.swapping ? 'swap' : state.comparing?.length ? 'compare' : /in place$/.test(state.description) ? 'place' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+export default { init };
@@ -0,0 +1,98 @@
+/**
+ * Shell Sort - Visualizer
+ */
+import { ShellSort } from '../algorithms/shellSort.js';
+import { createSortingVisualizer } from '../utils/sorting.js';
+
+const info = {
+  overview: `
+    <h3>What is Shell Sort?</h3>
+    <p>Shell Sort, published by Donald Shell in 1959, is insertion sort on elements a "gap" apart. Large gaps move elements long distances early, so the final pass with gap 1 only has small fixes left to make.</p>
+    <p>Its speed depends on the gap sequence: halving the size gives O(n²) in the worst case, while Knuth's 1, 4, 13, 40, ... gives O(n^1.5).</p>
+    <ul>
+      <li>In-place sorting (O(1) extra memory)</li>
+      <li>Not stable (long jumps can reorder equal elements)</li>
+      <li>Much faster than insertion sort on medium-sized arrays</li>
+    </ul>
+  `,
+  steps: `
+    <h3>How It Works</h3>
+    <ol style="padding-left:24px;">
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Pick the largest gap from the sequence</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Insertion sort each run of elements that gap apart</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">Move to the next smaller gap</li>
+      <li style="list-style:decimal;margin-bottom:8px;color:var(--color-text-secondary);">The last pass, with gap 1, is plain insertion sort on nearly sorted data</li>
+    </ol>
+    <p style="margin-top:16px;"><strong style="color:#f59e0b">Orange</strong> = comparing across the gap, <strong style="color:#ef4444">Red</strong> = shifting, <strong style="color:#10b981">Green</strong> = sorted</p>
+  `,
+  applications: `
+    <h3>Real-World Applications</h3>
+    <ul>
+      <li><strong>Embedded Systems:</strong> Small code and no recursion, as in uClibc's qsort</li>
+      <li><strong>Compression:</strong> bzip2 shell-sorts short blocks before its main sort</li>
+      <li><strong>Medium Arrays:</strong> Competitive with O(n log n) sorts up to a few thousand elements</li>
+      <li><strong>Teaching:</strong> Shows how the choice of gaps changes complexity</li>
+    </ul>
+  `,
+  code: `
+    <h3>Pseudocode</h3>
+    <div class="code-block">
+<span class="keyword">function</span> <span class="function">shellSort</span>(arr):
+    <span class="keyword">for</span> gap <span class="keyword">in</span> gaps (largest first):
+        <span class="keyword">for</span> i = gap to length(arr) - <span class="number">1</span>:
+            value = arr[i]
+            j = i
+            <span class="keyword">while</span> j >= gap <span class="keyword">and</span> arr[j - gap] > value:
+                arr[j] = arr[j - gap]
+                j -= gap
+            arr[j] = value
+    </div>
+  `
+};
+
+const shell = createSortingVisualizer({
+  Algorithm: ShellSort,
+  info,
+  stepDuration: 120,
+  inputs: [
+    {
+      id: 'gaps', type: 'select', section: 'Gap Sequence', value: 'shell',
+      options: [
+        { value: 'shell', label: 'Shell (n/2, n/4, ..., 1)' },
+        { value: 'knuth', label: 'Knuth (..., 13, 4, 1)' }
+      ]
+    }
+  ],
+  decorate: drawGap,
+  stats: [{ id: 'writes', label: 'Writes', value: state => state?.writes || 0 }],
+  breakpoints: [
+    { label: 'New gap', when: /^Insertion sort on elements/ },
+    { label: 'Shift', when: /^Shifted/ }
+  ],
+  phase: state => state.swapping ? 'swap' : state.comparing?.length ? 'compare' : /^Placed/.test(state.description) ? 'place' : null
+});
+
+export function init(entry) {
+  shell.init(entry);
+}
+
+// Arc over the pair being compared, labelled with the gap
+function drawGap(ctx, state, { barX, barWidth, baseline }) {
+  if (!state.gap) return;
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '12px Inter';
+  ctx.textAlign = 'left';
+  ctx.fillText(`gap = ${state.gap}`, 16, 56);
+
+  const pair = state.swapping?.length === 2 ? state.swapping : state.comparing;
+  if (pair?.length !== 2) return;
+  const [a, b] = pair.map(i => barX(i) + barWidth / 2);
+  const y = baseline + 12;
+  ctx.strokeStyle = 'rgba(245, 158, 11, 0.7)';
+  ctx.beginPath();
+  ctx.moveTo(a, y);
+  ctx.quadraticCurveTo((a + b) / 2, y + 30, b, y);
+  ctx.stroke();
+}
+
+export default { init };
@@ -2,11 +2,10 @@
  * Sudoku Solver - Visualizer
  */
 import { SudokuSolver } from '../algorithms/sudoku.js';
-import { AnimationController } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
+import { EventReplay, findSetup, integerArgs } from '../utils/events.js';
 
 const info = {
-  title: 'Sudoku Solver',
-  description: 'Watch backtracking solve a Sudoku puzzle step by step.',
   overview: `
     <h3>What is Sudoku?</h3>
     <p>Sudoku is a logic-based number placement puzzle. The goal is to fill a 9×9 grid with digits so that each column, row, and 3×3 box contains all digits from 1 to 9.</p>
@@ -16,17 +15,6 @@ const info = {
       <li>Each column must contain 1-9</li>
       <li>Each 3×3 box must contain 1-9</li>
     </ul>
-    <div class="complexity-grid" style="margin-top:24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time Complexity</div>
-        <div class="complexity-value">O(9^m)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space Complexity</div>
-        <div class="complexity-value">O(m)</div>
-      </div>
-    </div>
-    <p style="font-size:12px;color:var(--color-text-muted);margin-top:8px;">m = number of empty cells</p>
   `,
   steps: `
     <h3>Backtracking Algorithm</h3>
@@ -68,8 +56,7 @@ const info = {
   `
 };
 
-let algorithm, animator, canvas, ctx;
-let states = [], currentState = null;
+let algorithm;
 
 const colors = {
   bg: '#0f172a',
@@ -87,199 +74,166 @@ const colors = {
   backtrack: '#ef4444'
 };
 
-export function init() {
-  setupDOM();
-  setupControls(); // Controls must come before algorithm for difficulty select
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 50,
+  inputs: [
+    {
+      id: 'difficulty', type: 'select', section: 'Difficulty', value: 'medium',
+      options: [
+        { value: 'easy', label: 'Easy (30 empty)' },
+        { value: 'medium', label: 'Medium (40 empty)' },
+        { value: 'hard', label: 'Hard (50 empty)' }
+      ]
+    }
+  ],
+  actions: [
+    { id: 'solve', label: 'Solve Puzzle', primary: true, onClick: solve },
+    { id: 'new', label: 'New Puzzle', onClick: newPuzzle }
+  ],
+  stats: [{ id: 'filled', label: 'Filled', value: state => {
+    // Count filled cells
+    const grid = state?.grid || algorithm.grid;
+    return grid.flat().filter(v => v !== 0).length;
+  } }],
+  breakpoints: [
+    { label: 'Backtrack', when: 'backtrack' },
+    { label: 'Number placed', when: /^Placed/ }
+  ],
+  phase: state => state.backtrack ? 'backtrack' : state.placed ? 'place' : state.trying ? 'try' : null,
+  setup,
+  run: solve,
+  reset,
+  problem: { kind: 'puzzle', keys: ['puzzle'] },
+  serialize,
+  restore,
+  replayEvents,
+  draw
+});
 
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  resize();
-  window.addEventListener('resize', resize);
+export function init(entry) {
+  shell.init(entry);
 }
 
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play">
-            <svg class="icon-play" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 3 19 12 5 21"/>
-            </svg>
-            <svg class="icon-pause hidden" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor:pointer">
-            <div class="progress-bar-fill" id="progress-fill"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Difficulty</h4>
-        <select class="input-field" id="difficulty-select">
-          <option value="easy">Easy (30 empty)</option>
-          <option value="medium" selected>Medium (40 empty)</option>
-          <option value="hard">Hard (50 empty)</option>
-        </select>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-primary" id="btn-solve" style="width:100%;margin-bottom:8px;">Solve Puzzle</button>
-        <button class="btn btn-secondary" id="btn-new" style="width:100%;">New Puzzle</button>
-      </div>
-    </div>
-  `;
-  
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', () => animator.stepForward());
-  document.getElementById('btn-step-back').addEventListener('click', () => animator.stepBackward());
-  document.getElementById('btn-solve').addEventListener('click', solve);
-  document.getElementById('btn-new').addEventListener('click', newPuzzle);
-  
-  document.getElementById('speed-slider').addEventListener('input', e => {
-    animator.setSpeed(parseFloat(e.target.value));
-    document.getElementById('speed-label').textContent = e.target.value + 'x';
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', e => {
-    const rect = e.target.getBoundingClientRect();
-    const step = Math.floor((e.clientX - rect.left) / rect.width * (states.length - 1));
-    animator.goToStep(Math.max(0, step));
-  });
-}
-
-function setupAlgorithm() {
+function setup() {
   algorithm = new SudokuSolver();
-  animator = new AnimationController();
-  animator.stepDuration = 50;
-  
-  animator.onStepChange = (state) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
   newPuzzle();
 }
 
 function solve() {
-  algorithm.solve();
-  states = algorithm.states;
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  // Hard puzzles can take millions of steps; stream them as playback goes
+  shell.generate(algorithm, 'solveSteps');
 }
 
 function reset() {
   algorithm.grid = algorithm.original.map(row => [...row]);
-  states = [{
+  shell.setSteps([{
     grid: algorithm.grid.map(row => [...row]),
     description: 'Click "Solve" to start'
-  }];
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  }]);
 }
 
 function newPuzzle() {
-  const difficulty = document.getElementById('difficulty-select').value;
-  algorithm.generatePuzzle(difficulty);
+  algorithm.generatePuzzle(shell.getValue('difficulty'));
   reset();
 }
 
-function togglePlay() {
-  if (states.length <= 1) solve();
-  animator.toggle();
+// The puzzle travels as its 81 givens, row by row, with 0 for blanks
+function serialize() {
+  return { puzzle: algorithm.original.flat().join('') };
 }
 
-function updatePlayButton(isPlaying) {
-  document.querySelector('.icon-play').classList.toggle('hidden', isPlaying);
-  document.querySelector('.icon-pause').classList.toggle('hidden', !isPlaying);
-  document.getElementById('btn-play').classList.toggle('active', isPlaying);
+function restore(params) {
+  const puzzle = params.get('puzzle');
+  if (/^[0-9]{81}$/.test(puzzle)) {
+    algorithm.original = Array.from({ length: 9 }, (_, row) =>
+      [...puzzle.slice(row * 9, row * 9 + 9)].map(Number));
+    algorithm.reset();
+  }
+  reset();
 }
 
-function updateStats() {
-  // Count filled cells
-  const grid = currentState?.grid || algorithm.grid;
-  const filled = grid.flat().filter(v => v !== 0).length;
-  document.getElementById('stat-moves').textContent = filled;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-  document.querySelector('.vis-stat:first-child span:first-child').textContent = 'Filled:';
+// Event logs may start with `puzzle <81 digits, 0 or . for blanks>`; then
+// `try r c v`, `set r c v` and `clear r c` with 0-based rows and columns
+function replayEvents({ entries }) {
+  const setup = findSetup(entries, 'puzzle');
+  if (setup) {
+    const puzzle = (setup.args[0] || '').replace(/\./g, '0');
+    if (!/^[0-9]{81}$/.test(puzzle)) throw new Error(`Line ${setup.line}: "puzzle" needs 81 digits, row by row`);
+    restore(new URLSearchParams({ puzzle }));
+  }
+
+  const grid = algorithm.original.map(row => [...row]);
+  const replay = new EventReplay();
+  const snapshot = (fields) => ({ grid: grid.map(row => [...row]), ...fields });
+  const events = entries.filter(entry => entry.op !== 'puzzle');
+  replay.push(snapshot({ description: `Replaying ${events.length} events` }));
+
+  events.forEach(entry => {
+    const arity = { try: 3, set: 3, clear: 2 }[entry.op];
+    if (!arity) {
+      replay.reject(entry, `unknown event "${entry.op}" (expected try, set or clear)`);
+      return;
+    }
+    const args = integerArgs(entry, arity);
+    if (!args) {
+      replay.reject(entry, `expected "${entry.op} row col${arity === 3 ? ' value' : ''}"`);
+      return;
+    }
+    const [row, col, num] = args;
+    if (!(row >= 0 && row < 9 && col >= 0 && col < 9)) {
+      replay.reject(entry, 'row and column must be 0 to 8');
+      return;
+    }
+    if (arity === 3 && !(num >= 1 && num <= 9)) {
+      replay.reject(entry, 'value must be 1 to 9');
+      return;
+    }
+    if (algorithm.isOriginal(row, col)) {
+      replay.reject(entry, `(${row}, ${col}) is a given and can't change`);
+      return;
+    }
+
+    const current = { row, col };
+    const cell = `(${row + 1}, ${col + 1})`;
+    if (entry.op === 'try') {
+      replay.push(snapshot({ current, trying: num, description: `Trying ${num} at ${cell}` }), entry);
+    } else if (entry.op === 'clear') {
+      grid[row][col] = 0;
+      replay.push(snapshot({ current, backtrack: true, description: `Backtracking from ${cell}` }), entry);
+    } else {
+      // The reference solver only places digits that fit the row, column and box
+      grid[row][col] = 0;
+      const valid = algorithm.isValid(grid, row, col, num);
+      grid[row][col] = num;
+      replay.push(snapshot({ current, placed: num, valid, description: `Placed ${num} at ${cell}` }), entry,
+        valid ? null : `${num} clashes with its row, column or box`);
+    }
+  });
+
+  const empty = grid.flat().filter(v => v === 0).length;
+  const clashes = grid.flat().filter((num, i) => {
+    const row = Math.floor(i / 9), col = i % 9;
+    if (!num) return false;
+    grid[row][col] = 0;
+    const valid = algorithm.isValid(grid, row, col, num);
+    grid[row][col] = num;
+    return !valid;
+  }).length;
+  if (empty || clashes) {
+    replay.push(snapshot({ description: 'Log finished' }), null,
+      empty ? `the grid is not solved (${empty} empty cell${empty === 1 ? '' : 's'})` : `${clashes} cells clash`);
+  } else {
+    replay.push(snapshot({ solved: true, description: 'Puzzle solved!' }));
+  }
+  return replay.result();
 }
 
-function draw() {
-  if (!ctx) return;
-  
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
-  
+function draw(ctx, state, { width, height }) {
   ctx.fillStyle = colors.bg;
   ctx.fillRect(0, 0, width, height);
   
-  const grid = currentState?.grid || algorithm.grid;
+  const grid = state?.grid || algorithm.grid;
   
   // Calculate grid dimensions
   const size = Math.min(width - 60, height - 80);
@@ -294,13 +248,13 @@ function draw() {
       const y = offsetY + row * cellSize;
       const val = grid[row][col];
       const isOriginal = algorithm.isOriginal(row, col);
-      const isCurrent = currentState?.current?.row === row && currentState?.current?.col === col;
+      const isCurrent = state?.current?.row === row && state?.current?.col === col;
       
       // Cell background
       let cellBg = colors.cell;
       if (isCurrent) {
-        if (currentState.backtrack) cellBg = colors.backtrack;
-        else if (currentState.valid) cellBg = colors.valid;
+        if (state.backtrack) cellBg = colors.backtrack;
+        else if (state.valid) cellBg = colors.valid;
         else cellBg = colors.trying;
       } else if (isOriginal) {
         cellBg = colors.cellOriginal;
@@ -319,10 +273,10 @@ function draw() {
       }
       
       // Trying value indicator
-      if (isCurrent && currentState.trying && val === 0) {
+      if (isCurrent && state.trying && val === 0) {
         ctx.fillStyle = colors.trying;
         ctx.font = `${cellSize * 0.4}px Inter`;
-        ctx.fillText(currentState.trying.toString(), x + cellSize / 2, y + cellSize / 2);
+        ctx.fillText(state.trying.toString(), x + cellSize / 2, y + cellSize / 2);
       }
     }
   }
@@ -359,7 +313,7 @@ function draw() {
   ctx.fillStyle = '#94a3b8';
   ctx.font = '13px Inter';
   ctx.textAlign = 'center';
-  ctx.fillText(currentState?.description || '', width / 2, 22);
+  ctx.fillText(state?.description || '', width / 2, 22);
 }
 
 export default { init };
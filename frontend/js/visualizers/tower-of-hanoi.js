@@ -2,12 +2,11 @@
  * Tower of Hanoi - Visualizer
  */
 import { TowerOfHanoi } from '../algorithms/towerOfHanoi.js';
-import { AnimationController, Tween } from '../utils/animator.js';
+import { VisualizerShell } from '../utils/shell.js';
+import { Tween } from '../utils/animator.js';
 
 // Algorithm info
 const info = {
-  title: 'Tower of Hanoi',
-  description: 'A classic recursive puzzle where you move disks from one peg to another.',
   overview: `
     <h3>What is Tower of Hanoi?</h3>
     <p>The Tower of Hanoi is a classic mathematical puzzle invented by French mathematician Édouard Lucas in 1883. It consists of three pegs and a number of disks of different sizes that can slide onto any peg.</p>
@@ -17,16 +16,6 @@ const info = {
       <li>Only the top disk from a stack can be moved</li>
       <li>A larger disk cannot be placed on top of a smaller disk</li>
     </ul>
-    <div class="complexity-grid" style="margin-top: 24px;">
-      <div class="complexity-card">
-        <div class="complexity-label">Time Complexity</div>
-        <div class="complexity-value">O(2ⁿ)</div>
-      </div>
-      <div class="complexity-card">
-        <div class="complexity-label">Space Complexity</div>
-        <div class="complexity-value">O(n)</div>
-      </div>
-    </div>
   `,
   steps: `
     <h3>How It Works</h3>
@@ -77,12 +66,6 @@ const info = {
 
 // State
 let algorithm = null;
-let animator = null;
-let canvas = null;
-let ctx = null;
-let states = [];
-let currentState = null;
-let animatingDisk = null;
 
 // Colors
 const colors = {
@@ -95,231 +78,70 @@ const colors = {
   ]
 };
 
-// Initialize
-export function init() {
-  setupDOM();
-  setupControls();
-  setupAlgorithm();
-  setupCanvas();
-}
-
-function setupDOM() {
-  document.getElementById('algo-title').textContent = info.title;
-  document.getElementById('algo-description').textContent = info.description;
-  document.getElementById('tab-overview').innerHTML = info.overview;
-  document.getElementById('tab-steps').innerHTML = info.steps;
-  document.getElementById('tab-applications').innerHTML = info.applications;
-  document.getElementById('tab-code').innerHTML = info.code;
-}
+const shell = new VisualizerShell({
+  info,
+  stepDuration: 800,
+  tween: true,
+  inputs: [
+    { id: 'num-disks', type: 'number', label: 'Number of Disks (1-8)', min: 1, max: 8, value: 4, onChange: setNumDisks },
+    { id: 'min-moves', type: 'note', html: 'Minimum moves required: <strong>15</strong>' }
+  ],
+  actions: [
+    { id: 'solve', label: 'Solve Puzzle', primary: true, onClick: solve }
+  ],
+  stats: [{ id: 'moves', label: 'Moves', value: state => state?.moveNumber || 0 }],
+  breakpoints: [
+    { label: 'Largest disk moves', when: state => state.movingDisk === algorithm.numDisks }
+  ],
+  setup,
+  run: solve,
+  reset,
+  problem: { kind: 'disk count', keys: ['disks'] },
+  serialize,
+  restore,
+  draw
+});
 
-function setupCanvas() {
-  canvas = document.getElementById('visualization-canvas');
-  ctx = canvas.getContext('2d');
-  
-  const resize = () => {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    ctx.scale(dpr, dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    draw();
-  };
-  
-  resize();
-  window.addEventListener('resize', resize);
+// Initialize
+export function init(entry) {
+  shell.init(entry);
 }
 
-function setupControls() {
-  const panel = document.getElementById('control-panel');
-  panel.innerHTML = `
-    <div class="control-panel">
-      <div class="control-section">
-        <h4 class="control-section-title">Playback</h4>
-        <div class="playback-controls">
-          <button class="playback-btn" id="btn-reset" title="Reset">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-back" title="Step Back">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="19 20 9 12 19 4 19 20"/><line x1="5" y1="4" x2="5" y2="20"/>
-            </svg>
-          </button>
-          <button class="playback-btn playback-btn-play" id="btn-play" title="Play/Pause">
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="icon-play">
-              <polygon points="5 3 19 12 5 21 5 3"/>
-            </svg>
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="icon-pause hidden">
-              <rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>
-            </svg>
-          </button>
-          <button class="playback-btn" id="btn-step-forward" title="Step Forward">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="4" x2="19" y2="20"/>
-            </svg>
-          </button>
-        </div>
-        <div class="progress-container">
-          <div class="progress-bar" id="progress-bar" style="cursor: pointer;">
-            <div class="progress-bar-fill" id="progress-fill" style="width: 0%"></div>
-          </div>
-          <div class="progress-info" id="progress-info">0/0</div>
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Speed</h4>
-        <div class="speed-control">
-          <span class="speed-label" id="speed-label">1.0x</span>
-          <input type="range" class="range-slider" id="speed-slider" min="0.25" max="4" step="0.25" value="1">
-        </div>
-      </div>
-      
-      <div class="control-section">
-        <h4 class="control-section-title">Parameters</h4>
-        <div class="input-group">
-          <label class="input-label" for="num-disks">Number of Disks (1-8)</label>
-          <input type="number" class="input-field" id="num-disks" min="1" max="8" value="4">
-        </div>
-        <p style="font-size: 12px; color: var(--color-text-muted); margin-top: 8px;">
-          Minimum moves required: <strong id="min-moves">15</strong>
-        </p>
-      </div>
-      
-      <div class="control-section">
-        <button class="btn btn-primary" id="btn-solve" style="width: 100%;">
-          Solve Puzzle
-        </button>
-      </div>
-    </div>
-  `;
-  
-  // Bind events
-  document.getElementById('btn-play').addEventListener('click', togglePlay);
-  document.getElementById('btn-reset').addEventListener('click', reset);
-  document.getElementById('btn-step-forward').addEventListener('click', stepForward);
-  document.getElementById('btn-step-back').addEventListener('click', stepBack);
-  document.getElementById('btn-solve').addEventListener('click', solve);
-  
-  document.getElementById('speed-slider').addEventListener('input', (e) => {
-    const speed = parseFloat(e.target.value);
-    animator.setSpeed(speed);
-    document.getElementById('speed-label').textContent = speed.toFixed(2) + 'x';
-  });
-  
-  document.getElementById('num-disks').addEventListener('change', (e) => {
-    const n = parseInt(e.target.value);
-    algorithm.setNumDisks(n);
-    document.getElementById('min-moves').textContent = algorithm.getMinMoves();
-    reset();
-  });
-  
-  document.getElementById('progress-bar').addEventListener('click', (e) => {
-    const rect = e.target.getBoundingClientRect();
-    const pct = (e.clientX - rect.left) / rect.width;
-    const step = Math.floor(pct * (states.length - 1));
-    goToStep(step);
-  });
-  
-  // Keyboard shortcuts
-  document.addEventListener('keydown', (e) => {
-    if (e.target.tagName === 'INPUT') return;
-    switch(e.code) {
-      case 'Space': e.preventDefault(); togglePlay(); break;
-      case 'ArrowLeft': e.preventDefault(); stepBack(); break;
-      case 'ArrowRight': e.preventDefault(); stepForward(); break;
-      case 'KeyR': e.preventDefault(); reset(); break;
-    }
-  });
+function setup() {
+  algorithm = new TowerOfHanoi(4);
+  reset();
 }
 
-function setupAlgorithm() {
-  algorithm = new TowerOfHanoi(4);
-  animator = new AnimationController();
-  animator.stepDuration = 800;
-  
-  animator.onStepChange = (state, step, total) => {
-    currentState = state;
-    updateStats();
-    draw();
-  };
-  
-  animator.onStateChange = (state) => {
-    updatePlayButton(state.isPlaying);
-    document.getElementById('progress-fill').style.width = state.progress + '%';
-    document.getElementById('progress-info').textContent = `${state.currentStep + 1}/${state.totalSteps}`;
-  };
-  
+function setNumDisks(n) {
+  algorithm.setNumDisks(n);
+  shell.setValue('min-moves', `Minimum moves required: <strong>${algorithm.getMinMoves()}</strong>`);
   reset();
 }
 
 function solve() {
-  states = algorithm.generateStates();
-  animator.setSteps(states);
-  currentState = states[0];
-  updateStats();
-  draw();
+  shell.setSteps(algorithm.generateStates());
 }
 
 function reset() {
   algorithm.reset();
-  states = algorithm.generateStates();
-  animator.setSteps(states);
-  animator.reset();
-  currentState = states[0];
-  updateStats();
-  draw();
+  shell.setSteps(algorithm.generateStates());
 }
 
-function togglePlay() {
-  if (states.length <= 1) solve();
-  animator.toggle();
+function serialize() {
+  return { disks: algorithm.numDisks };
 }
 
-function stepForward() {
-  if (states.length <= 1) solve();
-  animator.stepForward();
-}
-
-function stepBack() {
-  animator.stepBackward();
-}
-
-function goToStep(step) {
-  animator.goToStep(step);
-}
-
-function updatePlayButton(isPlaying) {
-  const playIcon = document.querySelector('.icon-play');
-  const pauseIcon = document.querySelector('.icon-pause');
-  const playBtn = document.getElementById('btn-play');
-  
-  if (isPlaying) {
-    playIcon.classList.add('hidden');
-    pauseIcon.classList.remove('hidden');
-    playBtn.classList.add('active');
-  } else {
-    playIcon.classList.remove('hidden');
-    pauseIcon.classList.add('hidden');
-    playBtn.classList.remove('active');
+function restore(params) {
+  const disks = parseInt(params.get('disks'));
+  if (disks >= 1 && disks <= 8) {
+    shell.setValue('num-disks', disks);
+    setNumDisks(disks);
   }
 }
 
-function updateStats() {
-  const moves = currentState?.moveNumber || 0;
-  document.getElementById('stat-moves').textContent = moves;
-  document.getElementById('stat-step').textContent = `${animator.currentStep + 1}/${states.length}`;
-}
-
 // Drawing
-function draw() {
-  if (!ctx || !currentState) return;
-  
-  const width = canvas.width / (window.devicePixelRatio || 1);
-  const height = canvas.height / (window.devicePixelRatio || 1);
+function draw(ctx, state, { width, height, next, progress }) {
+  if (!state) return;
   
   // Clear
   ctx.fillStyle = colors.bg;
@@ -378,54 +200,98 @@ function draw() {
   }
   
   // Draw disks
-  const pegs = currentState.pegs;
+  const pegs = state.pegs;
+  const getDiskWidth = (diskSize) => minDiskWidth + (diskSize - 1) * ((maxDiskWidth - minDiskWidth) / (algorithm.numDisks - 1 || 1));
+  const hop = next ? findHop(pegs, next.pegs) : null;
+  const traveling = hop ? hop.disk : null;
+
   for (let pegIndex = 0; pegIndex < 3; pegIndex++) {
     const pegX = pegSpacing * (pegIndex + 1);
     const disks = pegs[pegIndex];
     
     disks.forEach((diskSize, stackIndex) => {
-      const diskWidth = minDiskWidth + (diskSize - 1) * ((maxDiskWidth - minDiskWidth) / (algorithm.numDisks - 1 || 1));
-      const x = pegX - diskWidth / 2;
+      if (diskSize === traveling) return;
       const y = baseY - (stackIndex + 1) * diskHeight - 2;
-      
-      // Disk gradient
-      const color = colors.diskColors[diskSize - 1];
-      const gradient = ctx.createLinearGradient(x, y, x, y + diskHeight);
-      gradient.addColorStop(0, lightenColor(color, 20));
-      gradient.addColorStop(0.5, color);
-      gradient.addColorStop(1, darkenColor(color, 20));
-      
-      ctx.fillStyle = gradient;
-      ctx.beginPath();
-      ctx.roundRect(x, y, diskWidth, diskHeight - 4, 8);
-      ctx.fill();
-      
-      // Glow for moving disk
-      if (currentState.movingDisk === diskSize && stackIndex === disks.length - 1) {
-        ctx.shadowColor = color;
-        ctx.shadowBlur = 20;
-        ctx.fill();
-        ctx.shadowBlur = 0;
-      }
-      
-      // Disk number
-      ctx.fillStyle = 'white';
-      ctx.font = 'bold 14px Inter, sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(diskSize.toString(), pegX, y + (diskHeight - 4) / 2);
+      const glow = state.movingDisk === diskSize && stackIndex === disks.length - 1;
+      drawDisk(ctx, diskSize, pegX, y, getDiskWidth(diskSize), diskHeight, glow);
     });
   }
+
+  // Slide the disk of the upcoming move: up its peg, across, and down
+  if (traveling) {
+    const fromX = pegSpacing * (hop.from + 1);
+    const toX = pegSpacing * (hop.to + 1);
+    const fromY = baseY - pegs[hop.from].length * diskHeight - 2;
+    const toY = baseY - next.pegs[hop.to].length * diskHeight - 2;
+    const liftY = baseY - pegHeight - diskHeight - 10;
+
+    const rise = fromY - liftY;
+    const across = Math.abs(toX - fromX);
+    const fall = toY - liftY;
+    const distance = Tween.easeInOutQuad(0, rise + across + fall, progress);
+
+    let x = fromX;
+    let y = liftY;
+    if (distance < rise) {
+      y = fromY - distance;
+    } else if (distance < rise + across) {
+      x = Tween.linear(fromX, toX, (distance - rise) / (across || 1));
+    } else {
+      x = toX;
+      y = liftY + (distance - rise - across);
+    }
+    drawDisk(ctx, traveling, x, y, getDiskWidth(traveling), diskHeight, true);
+  }
   
   // Draw current move description
-  if (currentState.description) {
+  if (state.description) {
     ctx.fillStyle = '#94a3b8';
     ctx.font = '16px Inter, sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(currentState.description, width / 2, 40);
+    ctx.fillText(state.description, width / 2, 40);
   }
 }
 
+// The single disk that changes peg between two states (works for
+// forward and reverse playback alike)
+function findHop(pegs, nextPegs) {
+  const from = pegs.findIndex((p, i) => p.length > nextPegs[i].length);
+  const to = nextPegs.findIndex((p, i) => p.length > pegs[i].length);
+  if (from < 0 || to < 0) return null;
+  return { disk: pegs[from][pegs[from].length - 1], from, to };
+}
+
+function drawDisk(ctx, diskSize, centerX, y, diskWidth, diskHeight, glow) {
+  const x = centerX - diskWidth / 2;
+  
+  // Disk gradient
+  const color = colors.diskColors[diskSize - 1];
+  const gradient = ctx.createLinearGradient(x, y, x, y + diskHeight);
+  gradient.addColorStop(0, lightenColor(color, 20));
+  gradient.addColorStop(0.5, color);
+  gradient.addColorStop(1, darkenColor(color, 20));
+  
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.roundRect(x, y, diskWidth, diskHeight - 4, 8);
+  ctx.fill();
+  
+  // Glow for moving disk
+  if (glow) {
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 20;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+  }
+  
+  // Disk number
+  ctx.fillStyle = 'white';
+  ctx.font = 'bold 14px Inter, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(diskSize.toString(), centerX, y + (diskHeight - 4) / 2);
+}
+
 function lightenColor(hex, percent) {
   const num = parseInt(hex.replace('#', ''), 16);
   const amt = Math.round(2.55 * percent);
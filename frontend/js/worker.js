@@ -0,0 +1,75 @@
+/**
+ * DSA Algorithm Visualizer - Step Generation Worker
+ * Module worker that runs an algorithm off the main thread and posts its
+ * steps back in batches (the page side is utils/worker.js)
+ *
+ * Messages in:  { type: 'run', id, fields, method, args, lookahead }
+ *               { type: 'request', upTo } - keep a streamed run going
+ * Messages out: { type: 'start', lazy, total }, { type: 'steps', steps },
+ *               { type: 'done' }, { type: 'error', message }
+ */
+import { getAlgorithm } from './registry.js';
+import { resolveSteps } from './utils/worker.js';
+
+const BATCH_SIZE = 250;
+
+let source = null; // Iterator over the run's steps
+let lazy = false;
+let sent = 0;
+let wanted = 0;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'run') {
+    run(data);
+  } else if (data.type === 'request') {
+    wanted = Math.max(wanted, data.upTo);
+    flush();
+  }
+};
+
+function run({ id, fields, method, args, lookahead }) {
+  try {
+    const entry = getAlgorithm(id);
+    if (!entry?.algorithm) throw new Error(`Unknown algorithm: ${id}`);
+    const algorithm = Object.assign(new entry.algorithm(), fields);
+    const steps = resolveSteps(algorithm, algorithm[method](...args));
+
+    lazy = typeof steps.next === 'function';
+    source = lazy ? steps : steps[Symbol.iterator]();
+    // Runs computed in full are sent straight away; generators on request
+    wanted = lazy ? lookahead : Infinity;
+    self.postMessage({ type: 'start', lazy, total: lazy ? null : steps.length });
+    flush();
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}
+
+function flush() {
+  if (!source) return;
+  try {
+    while (sent < wanted) {
+      const batch = [];
+      let finished = false;
+      while (batch.length < BATCH_SIZE && sent + batch.length < wanted) {
+        const { value, done } = source.next();
+        if (done) {
+          finished = true;
+          break;
+        }
+        // Generators may yield live data they go on to mutate
+        batch.push(lazy ? structuredClone(value) : value);
+      }
+      if (batch.length) self.postMessage({ type: 'steps', steps: batch });
+      sent += batch.length;
+      if (finished) {
+        source = null;
+        self.postMessage({ type: 'done' });
+        return;
+      }
+    }
+  } catch (error) {
+    source = null;
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}